@@ -0,0 +1,169 @@
+// scripts/retire-stored-deposit-keys.js
+// Migration path for deposit wallets made before HD derivation.
+//
+// Their addresses are random, so they can't be moved onto the HD seeds - their encrypted keys stay on the
+// order (and keep working, including key rotation) until the wallet is no longer needed. This script
+// reports how many stored keys are left and, with --apply, removes the ones that are safe to drop:
+// finished orders/batches older than --min-age-days whose wallet was swept or found empty (or that can be
+// re-derived from an HD index), that expired more than LATE_DEPOSIT_WATCH_HOURS ago, and (for orders) with
+// no refund open. Unfunded wallets keep their key: a late deposit can still land there and needs signing
+// for its refund or sweep. Once none are left, only the HD seeds need backing up.
+//
+// Usage: node scripts/retire-stored-deposit-keys.js [--apply] [--min-age-days=90]
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const {
+    BusinessOfframpOrder,
+    BUSINESS_OFFRAMP_STATUS,
+    DEPOSIT_REFUND_STATUS,
+    DEPOSIT_SWEEP_STATUS
+} = require('../src/models/BusinessOfframpOrder');
+const { BusinessOfframpBatch, OFFRAMP_BATCH_STATUS } = require('../src/models/BusinessOfframpBatch');
+
+const FINISHED_ORDER_STATUSES = [
+    BUSINESS_OFFRAMP_STATUS.COMPLETED,
+    BUSINESS_OFFRAMP_STATUS.FAILED,
+    BUSINESS_OFFRAMP_STATUS.EXPIRED,
+    BUSINESS_OFFRAMP_STATUS.CANCELLED,
+    BUSINESS_OFFRAMP_STATUS.REFUNDED
+];
+const FINISHED_BATCH_STATUSES = [
+    OFFRAMP_BATCH_STATUS.COMPLETED,
+    OFFRAMP_BATCH_STATUS.PARTIALLY_COMPLETED,
+    OFFRAMP_BATCH_STATUS.FAILED,
+    OFFRAMP_BATCH_STATUS.EXPIRED
+];
+const OPEN_REFUND_STATUSES = [
+    DEPOSIT_REFUND_STATUS.AWAITING_ADDRESS,
+    DEPOSIT_REFUND_STATUS.SCHEDULED,
+    DEPOSIT_REFUND_STATUS.PROCESSING,
+    DEPOSIT_REFUND_STATUS.FAILED
+];
+
+const STORED_KEY = { 'depositWallet.privateKey': { $exists: true, $nin: [null, ''] } };
+
+function parseArgs(argv) {
+    const minAgeArg = argv.find(arg => arg.startsWith('--min-age-days='));
+    const minAgeDays = minAgeArg ? parseInt(minAgeArg.split('=')[1]) : 90;
+    if (!(minAgeDays >= 0)) {
+        throw new Error('--min-age-days must be a number of days');
+    }
+    return { apply: argv.includes('--apply'), minAgeDays };
+}
+
+// Same window the deposit watcher keeps watching expired wallets for late deposits
+const LATE_DEPOSIT_WATCH_MS = parseFloat(process.env.LATE_DEPOSIT_WATCH_HOURS || '72') * 60 * 60 * 1000;
+
+function retirableQuery(finishedStatuses, cutoff, { checkRefunds }) {
+    const query = {
+        ...STORED_KEY,
+        status: { $in: finishedStatuses },
+        createdAt: { $lt: cutoff },
+        expiresAt: { $lt: new Date(Date.now() - LATE_DEPOSIT_WATCH_MS) },
+        $or: [
+            { sweepStatus: { $in: [DEPOSIT_SWEEP_STATUS.SWEPT, DEPOSIT_SWEEP_STATUS.EMPTY] } },
+            { 'depositWallet.derivationIndex': { $exists: true, $ne: null } }
+        ]
+    };
+    if (checkRefunds) {
+        // Open refunds still have to sign from the wallet
+        query['depositRefund.status'] = { $nin: OPEN_REFUND_STATUSES };
+    }
+    return query;
+}
+
+async function countByStatus(model, query) {
+    const rows = await model.aggregate([
+        { $match: query },
+        { $group: { _id: '$status', count: { $sum: 1 } } },
+        { $sort: { count: -1 } }
+    ]);
+    return Object.fromEntries(rows.map(row => [row._id, row.count]));
+}
+
+async function retireStoredDepositKeys({ apply, minAgeDays }) {
+    try {
+        console.log(`🔧 Stored deposit key migration (${apply ? 'APPLY' : 'dry run'}, min age ${minAgeDays} days)`);
+
+        if (mongoose.connection.readyState === 0) {
+            await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/your-db');
+            console.log('📦 Connected to MongoDB');
+        }
+
+        const cutoff = new Date(Date.now() - minAgeDays * 24 * 60 * 60 * 1000);
+        const sources = [
+            { name: 'orders', model: BusinessOfframpOrder, query: retirableQuery(FINISHED_ORDER_STATUSES, cutoff, { checkRefunds: true }) },
+            { name: 'batches', model: BusinessOfframpBatch, query: retirableQuery(FINISHED_BATCH_STATUSES, cutoff, { checkRefunds: false }) }
+        ];
+
+        const summary = {};
+
+        for (const { name, model, query } of sources) {
+            const [stored, derived, retirable] = await Promise.all([
+                countByStatus(model, STORED_KEY),
+                model.countDocuments({ 'depositWallet.derivationIndex': { $exists: true, $ne: null } }),
+                model.countDocuments(query)
+            ]);
+
+            console.log(`\n📊 ${name}:`);
+            console.log(`   HD-derived wallets: ${derived}`);
+            console.log(`   Stored keys by status: ${JSON.stringify(stored)}`);
+            console.log(`   Safe to retire: ${retirable}`);
+
+            let retired = 0;
+            if (apply && retirable > 0) {
+                const result = await model.updateMany(query, {
+                    $unset: { 'depositWallet.privateKey': '' },
+                    $set: { 'depositWallet.keyRetiredAt': new Date() }
+                });
+                retired = result.modifiedCount;
+                console.log(`   🗑️  Retired ${retired} stored keys`);
+            }
+
+            summary[name] = { derived, stored, retirable, retired };
+        }
+
+        if (!apply) {
+            console.log('\nℹ️  Dry run - re-run with --apply to remove the keys marked safe to retire');
+        }
+
+        return { success: true, summary };
+
+    } catch (error) {
+        console.error('❌ Migration failed:', error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+// Run the migration
+if (require.main === module) {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+
+    retireStoredDepositKeys(options)
+        .then((result) => {
+            if (result.success) {
+                console.log('✅ Migration completed successfully');
+                process.exit(0);
+            } else {
+                console.error('❌ Migration failed:', result.error);
+                process.exit(1);
+            }
+        })
+        .catch((error) => {
+            console.error('💥 Migration crashed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = { retireStoredDepositKeys };
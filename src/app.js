@@ -5,11 +5,16 @@ const connectDB = require('./config/database');
 const config = require('./config');
 const routes = require('./routes');
 const { swaggerSetup } = require('./config/swagger');
+const businessOnrampController = require('./controllers/businessOnrampController');
+const businessOfframpController = require('./controllers/businessOfframpController');
 
 const app = express();
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB, then start the background jobs that depend on it
+connectDB().then(() => {
+  businessOnrampController.startBackgroundJobs();
+  businessOfframpController.startBackgroundJobs();
+});
 
 // Middleware
 app.use(helmet());
@@ -17,7 +22,13 @@ app.use(cors({
   origin: process.env.CORS_ORIGIN || '*',
   credentials: true
 }));
-app.use(express.json({ limit: '10mb' }));
+// Keep the raw bytes so webhook signatures are checked against exactly what the sender signed
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Setup Swagger documentation
@@ -364,7 +364,7 @@ const options = {
             },
             status: {
               type: 'string',
-              enum: ['pending_deposit', 'deposit_received', 'processing', 'pending_payout', 'completed', 'failed', 'expired', 'cancelled'],
+              enum: ['pending_deposit', 'deposit_received', 'processing', 'swap_retry', 'pending_payout', 'completed', 'failed', 'expired', 'cancelled'],
               description: 'Current order status'
             },
             customerEmail: {
@@ -0,0 +1,124 @@
+// controllers/adminDepositReviewController.js
+const depositReviewService = require('../services/depositReviewService');
+
+const SUPPORTED_NETWORKS = ['base', 'ethereum', 'solana'];
+
+// Map review service errors (which carry code + status) onto the API error shape
+function sendReviewError(res, error, fallbackMessage) {
+  if (error.code && error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+}
+
+class AdminDepositReviewController {
+  // Offramp deposits held for review, oldest first
+  async getReviews(req, res) {
+    try {
+      const { status, network, businessId, page = 1, limit = 20 } = req.query;
+
+      if (network && !SUPPORTED_NETWORKS.includes(network.toLowerCase())) {
+        return res.status(400).json({
+          success: false,
+          message: `Unsupported network. Supported: ${SUPPORTED_NETWORKS.join(', ')}`,
+          code: 'INVALID_NETWORK'
+        });
+      }
+
+      const result = await depositReviewService.listReviews({
+        status,
+        network,
+        businessId,
+        page: Math.max(parseInt(page) || 1, 1),
+        limit: Math.min(parseInt(limit) || 20, 100)
+      });
+
+      res.json({
+        success: true,
+        data: result
+      });
+
+    } catch (error) {
+      return sendReviewError(res, error, 'Failed to fetch deposit reviews');
+    }
+  }
+
+  async getReview(req, res) {
+    try {
+      const review = await depositReviewService.getReview(req.params.orderId);
+
+      res.json({
+        success: true,
+        data: review
+      });
+
+    } catch (error) {
+      return sendReviewError(res, error, 'Failed to fetch deposit review');
+    }
+  }
+
+  // Accept the deposit as sent and pay out at the received amount
+  async approveDeposit(req, res) {
+    try {
+      const { notes } = req.body || {};
+
+      const review = await depositReviewService.approve(req.params.orderId, req.admin.email, { notes });
+
+      res.json({
+        success: true,
+        message: `Deposit approved - paying out ₦${review.netNgnAmount}`,
+        data: review
+      });
+
+    } catch (error) {
+      return sendReviewError(res, error, 'Failed to approve deposit');
+    }
+  }
+
+  // Send the deposit back to the address it came from (or any address the customer gives)
+  async refundDeposit(req, res) {
+    try {
+      const { refundAddress, notes } = req.body || {};
+
+      const review = await depositReviewService.refund(req.params.orderId, req.admin.email, { refundAddress, notes });
+
+      res.json({
+        success: true,
+        message: 'Deposit refunded',
+        data: review
+      });
+
+    } catch (error) {
+      return sendReviewError(res, error, 'Failed to refund deposit');
+    }
+  }
+
+  async rejectDeposit(req, res) {
+    try {
+      const { notes } = req.body || {};
+
+      const review = await depositReviewService.reject(req.params.orderId, req.admin.email, { notes });
+
+      res.json({
+        success: true,
+        message: 'Deposit rejected and order cancelled',
+        data: review
+      });
+
+    } catch (error) {
+      return sendReviewError(res, error, 'Failed to reject deposit');
+    }
+  }
+}
+
+module.exports = new AdminDepositReviewController();
@@ -0,0 +1,142 @@
+// controllers/adminKeyRotationController.js
+const { KeyRotationJob } = require('../models/KeyRotationJob');
+const keyRotationService = require('../services/keyRotationService');
+
+// Map key rotation service errors (which carry code + status) onto the API error shape
+function sendKeyRotationError(res, error, fallbackMessage) {
+  if (error.code && error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+}
+
+function formatJobSummary(job) {
+  return {
+    jobId: job.jobId,
+    status: job.status,
+    targetKeyId: job.targetKeyId,
+    triggeredBy: job.triggeredBy,
+    percentComplete: job.percentComplete,
+    progress: job.progress,
+    rewrappedFrom: job.rewrappedFrom,
+    failureCount: job.failures.length,
+    error: job.error,
+    startedAt: job.startedAt,
+    heartbeatAt: job.heartbeatAt,
+    finishedAt: job.finishedAt
+  };
+}
+
+class AdminKeyRotationController {
+  // Master keys in use, how many stored wallet keys sit on each, and the latest job
+  async getStatus(req, res) {
+    try {
+      const status = await keyRotationService.getStatus();
+
+      res.json({
+        success: true,
+        data: {
+          ...status,
+          latestJob: status.latestJob ? formatJobSummary(status.latestJob) : null
+        }
+      });
+
+    } catch (error) {
+      return sendKeyRotationError(res, error, 'Failed to get key rotation status');
+    }
+  }
+
+  // List rotation jobs, newest first
+  async getJobs(req, res) {
+    try {
+      const { page = 1, limit = 20, status } = req.query;
+
+      const limitNum = Math.min(parseInt(limit), 100);
+      const skip = (parseInt(page) - 1) * limitNum;
+
+      const query = {};
+      if (status) query.status = status;
+
+      const [jobs, total] = await Promise.all([
+        KeyRotationJob.find(query).sort({ startedAt: -1 }).skip(skip).limit(limitNum),
+        KeyRotationJob.countDocuments(query)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          jobs: jobs.map(formatJobSummary),
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(total / limitNum),
+            totalJobs: total,
+            limit: limitNum
+          }
+        }
+      });
+
+    } catch (error) {
+      return sendKeyRotationError(res, error, 'Failed to get key rotation jobs');
+    }
+  }
+
+  // One job with its recorded failures
+  async getJob(req, res) {
+    try {
+      const job = await KeyRotationJob.findOne({ jobId: req.params.jobId });
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          message: 'Key rotation job not found',
+          code: 'KEY_ROTATION_JOB_NOT_FOUND'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          ...formatJobSummary(job),
+          failures: job.failures
+        }
+      });
+
+    } catch (error) {
+      return sendKeyRotationError(res, error, 'Failed to get key rotation job');
+    }
+  }
+
+  // Start re-wrapping every stored wallet key onto the active master key
+  async startRotation(req, res) {
+    try {
+      const { targetKeyId } = req.body || {};
+
+      const job = await keyRotationService.startRotation({
+        triggeredBy: req.admin.email,
+        targetKeyId
+      });
+
+      console.log(`🔐 Key rotation ${job.jobId} to master key ${job.targetKeyId} started by ${req.admin.email}`);
+
+      res.status(202).json({
+        success: true,
+        message: `Key rotation to master key ${job.targetKeyId} started`,
+        data: formatJobSummary(job)
+      });
+
+    } catch (error) {
+      return sendKeyRotationError(res, error, 'Failed to start key rotation');
+    }
+  }
+}
+
+module.exports = new AdminKeyRotationController();
@@ -0,0 +1,95 @@
+// controllers/adminRateController.js
+const rateEngine = require('../services/rateEngine');
+
+// Map rate engine errors (which carry code + status) onto the API error shape
+function sendRateError(res, error, fallbackMessage) {
+  if (error.code && error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+}
+
+class AdminRateController {
+  // Source health, cached rates and the manual rates in force
+  async getRates(req, res) {
+    try {
+      const manualRates = await rateEngine.listManualRates({
+        activeOnly: req.query.includeInactive !== 'true'
+      });
+
+      res.json({
+        success: true,
+        data: {
+          ...rateEngine.getStatus(),
+          manualRates
+        }
+      });
+
+    } catch (error) {
+      return sendRateError(res, error, 'Failed to fetch rates');
+    }
+  }
+
+  // What getRate returns right now for a side and token
+  async getCurrentRate(req, res) {
+    try {
+      const rate = await rateEngine.getRate(req.params.side, req.query.token || 'USDC');
+
+      res.json({
+        success: true,
+        data: rate
+      });
+
+    } catch (error) {
+      return sendRateError(res, error, 'Failed to fetch current rate');
+    }
+  }
+
+  async setManualRate(req, res) {
+    try {
+      const { token = 'USDC', rate, notes } = req.body || {};
+
+      const manualRate = await rateEngine.setManualRate(
+        { side: req.params.side, token, rate, notes },
+        req.admin.email
+      );
+
+      res.json({
+        success: true,
+        message: `Manual ${manualRate.side} rate for ${manualRate.token} set to ₦${manualRate.rate.toLocaleString()}`,
+        data: manualRate
+      });
+
+    } catch (error) {
+      return sendRateError(res, error, 'Failed to set manual rate');
+    }
+  }
+
+  async clearManualRate(req, res) {
+    try {
+      const token = req.query.token || 'USDC';
+
+      await rateEngine.clearManualRate(req.params.side, token, req.admin.email);
+
+      res.json({
+        success: true,
+        message: `Manual ${req.params.side} rate for ${token.toUpperCase()} cleared`
+      });
+
+    } catch (error) {
+      return sendRateError(res, error, 'Failed to clear manual rate');
+    }
+  }
+}
+
+module.exports = new AdminRateController();
@@ -0,0 +1,141 @@
+// controllers/adminReconciliationController.js
+const { ReconciliationReport } = require('../models/ReconciliationReport');
+const reconciliationService = require('../services/reconciliationService');
+
+// Map reconciliation service errors (which carry code + status) onto the API error shape
+function sendReconciliationError(res, error, fallbackMessage) {
+  if (error.code && error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+}
+
+function formatReportSummary(report) {
+  return {
+    reportId: report.reportId,
+    status: report.status,
+    trigger: report.trigger,
+    triggeredBy: report.triggeredBy,
+    windowStart: report.windowStart,
+    windowEnd: report.windowEnd,
+    ordersChecked: report.ordersChecked,
+    healedCount: report.healedCount,
+    providerErrors: report.providerErrors,
+    discrepancyCount: report.discrepancies.length,
+    summary: report.summary,
+    error: report.error,
+    startedAt: report.startedAt,
+    finishedAt: report.finishedAt
+  };
+}
+
+class AdminReconciliationController {
+  // List reconciliation runs, newest first
+  async getReports(req, res) {
+    try {
+      const { page = 1, limit = 20, status, trigger } = req.query;
+
+      const limitNum = Math.min(parseInt(limit), 100);
+      const skip = (parseInt(page) - 1) * limitNum;
+
+      const query = {};
+      if (status) query.status = status;
+      if (trigger) query.trigger = trigger;
+
+      const [reports, total] = await Promise.all([
+        ReconciliationReport.find(query).sort({ startedAt: -1 }).skip(skip).limit(limitNum),
+        ReconciliationReport.countDocuments(query)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          reports: reports.map(formatReportSummary),
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(total / limitNum),
+            totalReports: total,
+            limit: limitNum
+          }
+        }
+      });
+
+    } catch (error) {
+      return sendReconciliationError(res, error, 'Failed to get reconciliation reports');
+    }
+  }
+
+  // Get one report with its discrepancies, optionally filtered by type or action
+  async getReportDetails(req, res) {
+    try {
+      const { type, action } = req.query;
+
+      const report = await ReconciliationReport.findOne({ reportId: req.params.reportId });
+      if (!report) {
+        return res.status(404).json({
+          success: false,
+          message: 'Reconciliation report not found',
+          code: 'REPORT_NOT_FOUND'
+        });
+      }
+
+      const discrepancies = report.discrepancies.filter(d =>
+        (!type || d.type === type) && (!action || d.action === action)
+      );
+
+      res.json({
+        success: true,
+        data: {
+          ...formatReportSummary(report),
+          discrepancies
+        }
+      });
+
+    } catch (error) {
+      return sendReconciliationError(res, error, 'Failed to get reconciliation report');
+    }
+  }
+
+  // Start a reconciliation run now instead of waiting for the next scheduled one
+  async runReconciliation(req, res) {
+    try {
+      const { lookbackHours } = req.body || {};
+
+      if (lookbackHours !== undefined && !(parseInt(lookbackHours) > 0)) {
+        return res.status(400).json({
+          success: false,
+          message: 'lookbackHours must be a positive number',
+          code: 'INVALID_LOOKBACK'
+        });
+      }
+
+      const report = await reconciliationService.startManualRun({
+        triggeredBy: req.admin.email,
+        lookbackHours
+      });
+
+      console.log(`🔎 Reconciliation ${report.reportId} started by ${req.admin.email}`);
+
+      res.status(202).json({
+        success: true,
+        message: 'Reconciliation started',
+        data: formatReportSummary(report)
+      });
+
+    } catch (error) {
+      return sendReconciliationError(res, error, 'Failed to start reconciliation');
+    }
+  }
+}
+
+module.exports = new AdminReconciliationController();
@@ -0,0 +1,230 @@
+// controllers/adminRefundController.js
+const { BusinessOnrampOrder, BUSINESS_ORDER_STATUS } = require('../models/BusinessOnrampOrder');
+const { OnrampRefund, REFUND_STATUS, REFUND_SOURCES } = require('../models/OnrampRefund');
+const refundService = require('../services/refundService');
+
+// Map refund service errors (which carry code + status) onto the API error shape
+function sendRefundError(res, error, fallbackMessage) {
+  if (error.code && error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+}
+
+function formatRefund(refund) {
+  return {
+    refundId: refund.refundId,
+    orderId: refund.orderId,
+    businessId: refund.businessId,
+    source: refund.source,
+    amount: refund.amount,
+    currency: refund.currency,
+    reason: refund.reason,
+    status: refund.status,
+    provider: refund.provider,
+    providerReference: refund.providerReference,
+    refundReference: refund.refundReference,
+    destination: refund.destination,
+    customerEmail: refund.customerEmail,
+    lastError: refund.lastError,
+    attempts: refund.attempts,
+    requestedBy: refund.requestedBy,
+    approvedBy: refund.approvedBy,
+    approvedAt: refund.approvedAt,
+    createdAt: refund.createdAt,
+    completedAt: refund.completedAt,
+    failedAt: refund.failedAt
+  };
+}
+
+class AdminRefundController {
+  // List refunds with filtering and pagination
+  async getRefunds(req, res) {
+    try {
+      const { page = 1, limit = 20, status, source, orderId } = req.query;
+
+      const limitNum = Math.min(parseInt(limit), 100);
+      const skip = (parseInt(page) - 1) * limitNum;
+
+      const query = {};
+      if (status) query.status = status;
+      if (source) query.source = source;
+      if (orderId) query.orderId = orderId;
+
+      const [refunds, total] = await Promise.all([
+        OnrampRefund.find(query).sort({ createdAt: -1 }).skip(skip).limit(limitNum),
+        OnrampRefund.countDocuments(query)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          refunds: refunds.map(formatRefund),
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(total / limitNum),
+            totalRefunds: total,
+            limit: limitNum
+          }
+        }
+      });
+
+    } catch (error) {
+      return sendRefundError(res, error, 'Failed to get refunds');
+    }
+  }
+
+  // Get a single refund
+  async getRefundDetails(req, res) {
+    try {
+      const refund = await refundService.getRefundOrThrow(req.params.refundId);
+
+      res.json({
+        success: true,
+        data: formatRefund(refund)
+      });
+
+    } catch (error) {
+      return sendRefundError(res, error, 'Failed to get refund');
+    }
+  }
+
+  // Create a refund for an order
+  async triggerRefund(req, res) {
+    try {
+      const { orderId, amount, reason, destination, provider } = req.body;
+
+      if (!orderId || !reason) {
+        return res.status(400).json({
+          success: false,
+          message: 'orderId and reason are required',
+          code: 'MISSING_REQUIRED_FIELDS'
+        });
+      }
+
+      if (amount !== undefined && !(parseFloat(amount) > 0)) {
+        return res.status(400).json({
+          success: false,
+          message: 'amount must be a positive number',
+          code: 'INVALID_AMOUNT'
+        });
+      }
+
+      const order = await BusinessOnrampOrder.findOne({ orderId });
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: 'Order not found',
+          code: 'ORDER_NOT_FOUND'
+        });
+      }
+
+      // Refunding an order that is still settling could pay the customer twice
+      if ([BUSINESS_ORDER_STATUS.PENDING, BUSINESS_ORDER_STATUS.PROCESSING].includes(order.status) &&
+          !order.paymentMismatch?.requiresReview) {
+        return res.status(409).json({
+          success: false,
+          message: `Order is ${order.status} - wait for settlement to finish before refunding`,
+          code: 'ORDER_SETTLEMENT_IN_PROGRESS'
+        });
+      }
+
+      const { refund, created } = await refundService.createRefund(order, {
+        source: REFUND_SOURCES.MANUAL,
+        amount,
+        reason,
+        destination,
+        provider,
+        requestedBy: req.admin.email
+      });
+
+      if (!created) {
+        return res.status(409).json({
+          success: false,
+          message: `Order already has a manual refund: ${refund.refundId}. Retry it instead.`,
+          code: 'REFUND_ALREADY_EXISTS',
+          details: formatRefund(refund)
+        });
+      }
+
+      console.log(`✅ Refund ${refund.refundId} triggered by ${req.admin.email} for order ${orderId}`);
+
+      res.status(201).json({
+        success: true,
+        message: refund.status === REFUND_STATUS.PENDING_APPROVAL
+          ? 'Refund created and waiting for approval'
+          : `Refund created and ${refund.status}`,
+        data: formatRefund(refund)
+      });
+
+    } catch (error) {
+      return sendRefundError(res, error, 'Failed to trigger refund');
+    }
+  }
+
+  // Approve a refund above the auto-approve limit and send it
+  async approveRefund(req, res) {
+    try {
+      const refund = await refundService.approveRefund(req.params.refundId, req.admin.email);
+
+      console.log(`✅ Refund ${refund.refundId} approved by ${req.admin.email}`);
+
+      res.json({
+        success: true,
+        message: `Refund approved and ${refund.status}`,
+        data: formatRefund(refund)
+      });
+
+    } catch (error) {
+      return sendRefundError(res, error, 'Failed to approve refund');
+    }
+  }
+
+  // Retry a failed refund, optionally with a different provider or destination account
+  async retryRefund(req, res) {
+    try {
+      const { provider, destination } = req.body || {};
+
+      const refund = await refundService.retryRefund(req.params.refundId, req.admin.email, { provider, destination });
+
+      console.log(`🔄 Refund ${refund.refundId} retried by ${req.admin.email}`);
+
+      res.json({
+        success: true,
+        message: `Refund retried and ${refund.status}`,
+        data: formatRefund(refund)
+      });
+
+    } catch (error) {
+      return sendRefundError(res, error, 'Failed to retry refund');
+    }
+  }
+
+  // Ask the provider for the latest status of a processing refund
+  async syncRefundStatus(req, res) {
+    try {
+      const refund = await refundService.syncRefundStatus(req.params.refundId);
+
+      res.json({
+        success: true,
+        message: `Refund is ${refund.status}`,
+        data: formatRefund(refund)
+      });
+
+    } catch (error) {
+      return sendRefundError(res, error, 'Failed to sync refund status');
+    }
+  }
+}
+
+module.exports = new AdminRefundController();
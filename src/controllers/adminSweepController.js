@@ -0,0 +1,109 @@
+// controllers/adminSweepController.js
+const { BusinessOfframpOrder } = require('../models/BusinessOfframpOrder');
+const { BusinessOfframpBatch } = require('../models/BusinessOfframpBatch');
+const depositSweeper = require('../services/depositSweeper');
+
+const SUPPORTED_NETWORKS = ['base', 'ethereum', 'solana'];
+
+// Map sweeper errors (which carry code + status) onto the API error shape
+function sendSweepError(res, error, fallbackMessage) {
+  if (error.code && error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+}
+
+class AdminSweepController {
+  // Deposit wallets still holding funds, with totals per network and token
+  async getUnsweptReport(req, res) {
+    try {
+      const { network, live, limit = 100 } = req.query;
+
+      if (network && !SUPPORTED_NETWORKS.includes(network.toLowerCase())) {
+        return res.status(400).json({
+          success: false,
+          message: `Unsupported network. Supported: ${SUPPORTED_NETWORKS.join(', ')}`,
+          code: 'INVALID_NETWORK'
+        });
+      }
+
+      const report = await depositSweeper.getUnsweptReport({
+        network: network?.toLowerCase(),
+        live: live === 'true',
+        // On-chain lookups are one RPC call per wallet - keep live reports small
+        limit: Math.min(parseInt(limit) || 100, live === 'true' ? 50 : 500)
+      });
+
+      res.json({
+        success: true,
+        data: report
+      });
+
+    } catch (error) {
+      return sendSweepError(res, error, 'Failed to build unswept balance report');
+    }
+  }
+
+  // Sweep every finished deposit wallet now instead of waiting for the next scheduled run
+  async runSweep(req, res) {
+    try {
+      console.log(`🧹 Deposit sweep started by ${req.admin.email}`);
+
+      const summary = await depositSweeper.runSweep();
+
+      res.json({
+        success: true,
+        message: 'Sweep completed',
+        data: summary
+      });
+
+    } catch (error) {
+      return sendSweepError(res, error, 'Failed to run deposit sweep');
+    }
+  }
+
+  // Sweep a single order (or batch, by OFFB_ id) wallet
+  async sweepWallet(req, res) {
+    try {
+      const { reference } = req.params;
+      const { force = false } = req.body || {};
+
+      const owner = reference.startsWith('OFFB_')
+        ? await BusinessOfframpBatch.findOne({ batchId: reference })
+        : await BusinessOfframpOrder.findOne({ orderId: reference });
+
+      if (!owner) {
+        return res.status(404).json({
+          success: false,
+          message: 'Offramp order or batch not found',
+          code: 'ORDER_NOT_FOUND'
+        });
+      }
+
+      console.log(`🧹 Sweep of ${reference} requested by ${req.admin.email}${force ? ' (forced)' : ''}`);
+
+      const result = await depositSweeper.sweepWallet(owner, { force: force === true });
+
+      res.json({
+        success: true,
+        message: result.transactions.length > 0 ? 'Wallet swept to treasury' : 'Nothing to sweep',
+        data: result
+      });
+
+    } catch (error) {
+      return sendSweepError(res, error, 'Failed to sweep deposit wallet');
+    }
+  }
+}
+
+module.exports = new AdminSweepController();
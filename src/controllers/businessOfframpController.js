@@ -2,15 +2,25 @@
  * COMPLETE Business Off-ramp Controller with Fixed Network-Specific Processing
  * Handles token to fiat conversions with wallet generation and Lenco account verification
  * Supports Base, Solana, and Ethereum networks with proper network targeting
- * Integrated with your /api/v1/offramp-price endpoint
+ * NGN rates come from the in-process rate engine
  */
 
 const { BusinessOfframpOrder, BUSINESS_OFFRAMP_STATUS } = require('../models/BusinessOfframpOrder');
+const { Quote, QUOTE_TYPES, QUOTE_VALID_FOR_SECONDS } = require('../models/Quote');
+const { BusinessOfframpBatch } = require('../models/BusinessOfframpBatch');
+const { OfframpCustomer, OFFRAMP_CUSTOMER_STATUS } = require('../models/OfframpCustomer');
 const { Business } = require('../models');
 const { OnrampPriceChecker } = require('../services/onrampPriceChecker');
 const { SolanaTokenPriceChecker } = require('../services/solanaOnrampPriceChecker');
 const lencoService = require('../services/lencoService');
 const walletGeneratorService = require('../services/walletGeneratorService');
+const depositWatcher = require('../services/depositWatcher');
+const depositSweeper = require('../services/depositSweeper');
+const payoutStatusPoller = require('../services/payoutStatusPoller');
+const lateDepositRefunder = require('../services/lateDepositRefunder');
+const swapRetryScheduler = require('../services/swapRetryScheduler');
+const offrampWebhookHandler = require('../services/offrampWebhookHandler');
+const rateEngine = require('../services/rateEngine');
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
 const axios = require('axios');
@@ -20,159 +30,7 @@ const basePriceChecker = new OnrampPriceChecker();
 const solanaPriceChecker = new SolanaTokenPriceChecker();
 
 /**
- * FIXED: Get current token to NGN rate using your pricing API
- */
-async function getTokenToNGNRate(cryptoSymbol = 'USDC', amount = 1) {
-    try {
-      const baseUrl = process.env.INTERNAL_API_BASE_URL || 'http://localhost:5002';
-      
-      console.log(`[TOKEN_NGN_RATE] Fetching current ${cryptoSymbol} to NGN rate for ${amount} tokens...`);
-      
-      try {
-        // Use your actual offramp-price API endpoint
-        const response = await axios.get(`${baseUrl}/api/v1/offramp-price`, {
-          params: {
-            token: cryptoSymbol.toUpperCase(),
-            amount: amount
-          },
-          timeout: 10000,
-          headers: {
-            'Content-Type': 'application/json',
-            'User-Agent': 'OfframpService/1.0'
-          }
-        });
-        
-        if (response.data && response.data.success && response.data.data) {
-          const apiData = response.data.data;
-          
-          // Extract data from your API format
-          const rate = apiData.exchangeRate;  // This is the rate per 1 token
-          const ngnAmount = apiData.totalNgnAmount;  // This is for the requested amount
-          const source = apiData.source || 'pricing_api';
-          const providerId = apiData.providerId;
-          const rateDisplay = apiData.rateDisplay;
-          
-          // Validation: Check if the calculation makes sense
-          const expectedNgnAmount = amount * rate;
-          const calculationDifference = Math.abs(ngnAmount - expectedNgnAmount);
-          const tolerancePercentage = 0.01; // 1% tolerance
-          const maxTolerance = expectedNgnAmount * tolerancePercentage;
-          
-          if (calculationDifference > maxTolerance) {
-            console.warn(`[TOKEN_NGN_RATE] ⚠️ CALCULATION MISMATCH DETECTED:`);
-            console.warn(`  - API returned NGN amount: ₦${ngnAmount.toLocaleString()}`);
-            console.warn(`  - Expected (${amount} × ₦${rate}): ₦${expectedNgnAmount.toLocaleString()}`);
-            console.warn(`  - Difference: ₦${calculationDifference.toLocaleString()}`);
-            
-            // Use the rate to recalculate if there's a mismatch
-            const correctedNgnAmount = amount * rate;
-            console.warn(`  - Using corrected amount: ₦${correctedNgnAmount.toLocaleString()}`);
-            
-            return {
-              success: true,
-              rate: rate,
-              ngnAmount: correctedNgnAmount,
-              tokenAmount: amount,
-              source: 'internal_offramp_api',
-              exchangeRateString: rateDisplay,
-              formattedAmount: `₦${correctedNgnAmount.toLocaleString()}`,
-              timestamp: apiData.timestamp || new Date().toISOString(),
-              providerId: providerId,
-              originalSource: source,
-              rawApiResponse: apiData,
-              corrected: true,
-              originalApiAmount: ngnAmount
-            };
-          }
-          
-          // Validate rate reasonableness for USDC
-          if (cryptoSymbol.toUpperCase() === 'USDC') {
-            if (rate < 800 || rate > 3000) {
-              console.warn(`[TOKEN_NGN_RATE] ⚠️ USDC rate seems unusual: ₦${rate.toLocaleString()}`);
-              console.warn(`  - Normal range: ₦800 - ₦3,000`);
-              console.warn(`  - This might indicate a pricing API issue`);
-            } else {
-              console.log(`[TOKEN_NGN_RATE] ✅ USDC rate looks reasonable: ₦${rate.toLocaleString()}`);
-            }
-          }
-          
-          console.log(`[TOKEN_NGN_RATE] ✅ Rate calculation verified:`);
-          console.log(`  - Rate: ₦${rate.toLocaleString()} per ${cryptoSymbol}`);
-          console.log(`  - ${amount} ${cryptoSymbol} = ₦${ngnAmount.toLocaleString()}`);
-          console.log(`  - Source: ${source} (Provider: ${providerId})`);
-          
-          return {
-            success: true,
-            rate: rate,
-            ngnAmount: ngnAmount,
-            tokenAmount: amount,
-            source: 'internal_offramp_api',
-            exchangeRateString: rateDisplay,
-            formattedAmount: apiData.formattedAmount,
-            timestamp: apiData.timestamp || new Date().toISOString(),
-            providerId: providerId,
-            originalSource: source,
-            rawApiResponse: apiData,
-            validation: {
-              calculationMatches: calculationDifference <= maxTolerance,
-              calculationDifference: calculationDifference,
-              expectedAmount: expectedNgnAmount,
-              actualAmount: ngnAmount,
-              rateReasonable: cryptoSymbol.toUpperCase() === 'USDC' ? (rate >= 800 && rate <= 3000) : true
-            }
-          };
-        } else {
-          console.warn(`[TOKEN_NGN_RATE] Offramp API returned invalid data:`, response.data);
-          throw new Error('Invalid response from offramp API');
-        }
-      } catch (offrampApiError) {
-        console.warn(`[TOKEN_NGN_RATE] Offramp API failed:`, offrampApiError.message);
-        
-        // Fallback to environment variable rate
-        const fallbackRate = parseFloat(process.env.CURRENT_USDC_NGN_OFFRAMP_RATE || 1650);
-        const fallbackNgnAmount = amount * fallbackRate;
-        
-        console.log(`[TOKEN_NGN_RATE] ⚠️ Using fallback rate: ₦${fallbackRate.toLocaleString()}`);
-        console.log(`[TOKEN_NGN_RATE] Fallback calculation: ${amount} × ₦${fallbackRate} = ₦${fallbackNgnAmount.toLocaleString()}`);
-        
-        return {
-          success: true,
-          rate: fallbackRate,
-          ngnAmount: fallbackNgnAmount,
-          tokenAmount: amount,
-          source: 'fallback_rate',
-          exchangeRateString: `1 ${cryptoSymbol} = ₦${fallbackRate.toLocaleString()}`,
-          formattedAmount: `₦${fallbackNgnAmount.toLocaleString()}`,
-          timestamp: new Date().toISOString(),
-          isFallback: true,
-          fallbackReason: offrampApiError.message
-        };
-      }
-      
-    } catch (error) {
-      console.error(`[TOKEN_NGN_RATE] Error getting ${cryptoSymbol}-NGN rate:`, error.message);
-      
-      // Emergency fallback
-      const emergencyRate = 1650;
-      const emergencyNgnAmount = amount * emergencyRate;
-      
-      return {
-        success: false,
-        rate: emergencyRate,
-        ngnAmount: emergencyNgnAmount,
-        tokenAmount: amount,
-        source: 'emergency_fallback',
-        exchangeRateString: `1 ${cryptoSymbol} = ₦${emergencyRate.toLocaleString()}`,
-        formattedAmount: `₦${emergencyNgnAmount.toLocaleString()}`,
-        timestamp: new Date().toISOString(),
-        error: error.message,
-        isEmergencyFallback: true
-      };
-    }
-  }
-
-/**
- * Process token to NGN conversion for Base network with your pricing API
+ * Process token to NGN conversion for Base network with the rate engine
  */
 async function processBaseTokenToNGN(cryptoSymbol, tokenInfo, tokenAmount, customerNgnAmount = null) {
     try {
@@ -209,7 +67,7 @@ async function processBaseTokenToNGN(cryptoSymbol, tokenInfo, tokenAmount, custo
       
       // Step 2: Get USDC to NGN rate (for 1 USDC)
       console.log(`[BASE_OFFRAMP_PROCESSOR] Getting USDC to NGN rate...`);
-      const usdcRateResult = await getTokenToNGNRate('USDC', 1);
+      const usdcRateResult = await rateEngine.getRate('offramp', 'USDC');
       
       console.log(`[BASE_OFFRAMP_PROCESSOR] ✅ USDC rate: 1 USDC = ₦${usdcRateResult.rate.toLocaleString()}`);
       
@@ -294,12 +152,9 @@ async function processBaseTokenToNGN(cryptoSymbol, tokenInfo, tokenAmount, custo
         rateSource: usdcRateResult.source,
         pricingApiData: {
           rate: usdcRateResult.rate,
-          source: usdcRateResult.originalSource,
-          providerId: usdcRateResult.providerId,
-          isFallback: usdcRateResult.isFallback,
-          isEmergencyFallback: usdcRateResult.isEmergencyFallback,
-          timestamp: usdcRateResult.timestamp,
-          rawApiResponse: usdcRateResult.rawApiResponse
+          source: usdcRateResult.source,
+          fetchedAt: usdcRateResult.fetchedAt,
+          stale: usdcRateResult.stale
         },
         validation: {
           businessSupported: true,
@@ -315,7 +170,7 @@ async function processBaseTokenToNGN(cryptoSymbol, tokenInfo, tokenAmount, custo
           minimumNgnRequired: Math.ceil(usdcRateResult.rate * 0.5),
           isNativeToken: isETH,
           effectiveTokenAddress: effectiveTokenAddress,
-          pricingApiSuccess: usdcRateResult.success
+          rateStale: usdcRateResult.stale
         }
       };
       
@@ -326,7 +181,7 @@ async function processBaseTokenToNGN(cryptoSymbol, tokenInfo, tokenAmount, custo
   }
 
 /**
- * Process Solana token to NGN conversion with your pricing API
+ * Process Solana token to NGN conversion with the rate engine
  */
 async function processSolanaTokenToNGN(cryptoSymbol, tokenInfo, tokenAmount, customerNgnAmount = null) {
     try {
@@ -342,7 +197,7 @@ async function processSolanaTokenToNGN(cryptoSymbol, tokenInfo, tokenAmount, cus
         console.log(`[SOLANA_OFFRAMP_PROCESSOR] 🪙 Solana USDC detected - direct NGN conversion`);
         
         // For USDC, get the rate per 1 USDC first
-        const usdcRateResult = await getTokenToNGNRate('USDC', 1);
+        const usdcRateResult = await rateEngine.getRate('offramp', 'USDC');
         
         // Then calculate total for the amount
         const totalNgnAmount = tokenAmount * usdcRateResult.rate;
@@ -408,12 +263,9 @@ async function processSolanaTokenToNGN(cryptoSymbol, tokenInfo, tokenAmount, cus
           rateSource: usdcRateResult.source,
           pricingApiData: {
             rate: usdcRateResult.rate,
-            source: usdcRateResult.originalSource,
-            providerId: usdcRateResult.providerId,
-            isFallback: usdcRateResult.isFallback,
-            isEmergencyFallback: usdcRateResult.isEmergencyFallback,
-            timestamp: usdcRateResult.timestamp,
-            rawApiResponse: usdcRateResult.rawApiResponse
+            source: usdcRateResult.source,
+            fetchedAt: usdcRateResult.fetchedAt,
+            stale: usdcRateResult.stale
           },
           validation: {
             businessSupported: true,
@@ -430,7 +282,7 @@ async function processSolanaTokenToNGN(cryptoSymbol, tokenInfo, tokenAmount, cus
             isDirect: true,
             isNativeToken: false,
             network: 'solana',
-            pricingApiSuccess: usdcRateResult.success
+            rateStale: usdcRateResult.stale
           }
         };
       }
@@ -454,7 +306,7 @@ async function processSolanaTokenToNGN(cryptoSymbol, tokenInfo, tokenAmount, cus
       
       // Step 2: Get USDC to NGN rate (for 1 USDC)
       console.log(`[SOLANA_OFFRAMP_PROCESSOR] Getting USDC to NGN rate...`);
-      const usdcRateResult = await getTokenToNGNRate('USDC', 1);
+      const usdcRateResult = await rateEngine.getRate('offramp', 'USDC');
       
       console.log(`[SOLANA_OFFRAMP_PROCESSOR] ✅ USDC rate: 1 USDC = ₦${usdcRateResult.rate.toLocaleString()}`);
       
@@ -534,12 +386,9 @@ async function processSolanaTokenToNGN(cryptoSymbol, tokenInfo, tokenAmount, cus
         rateSource: usdcRateResult.source,
         pricingApiData: {
           rate: usdcRateResult.rate,
-          source: usdcRateResult.originalSource,
-          providerId: usdcRateResult.providerId,
-          isFallback: usdcRateResult.isFallback,
-          isEmergencyFallback: usdcRateResult.isEmergencyFallback,
-          timestamp: usdcRateResult.timestamp,
-          rawApiResponse: usdcRateResult.rawApiResponse
+          source: usdcRateResult.source,
+          fetchedAt: usdcRateResult.fetchedAt,
+          stale: usdcRateResult.stale
         },
         validation: {
           businessSupported: true,
@@ -556,7 +405,7 @@ async function processSolanaTokenToNGN(cryptoSymbol, tokenInfo, tokenAmount, cus
           isNativeToken: cryptoSymbol.toUpperCase() === 'SOL',
           network: 'solana',
           priceImpact: priceResult.priceImpact,
-          pricingApiSuccess: usdcRateResult.success
+          rateStale: usdcRateResult.stale
         }
       };
       
@@ -632,10 +481,10 @@ async function validateAndPriceTokenForOfframp(cryptoSymbol, business, tokenAmou
     
     // Route to appropriate processor based on ACTUAL network found
     if (network === 'base') {
-      console.log(`[OFFRAMP_PROCESSOR] 🔵 Processing on Base network with your pricing API`);
+      console.log(`[OFFRAMP_PROCESSOR] 🔵 Processing on Base network with the rate engine`);
       return await processBaseTokenToNGN(cryptoSymbol, tokenInfo, tokenAmount, customerNgnAmount);
     } else if (network === 'solana') {
-      console.log(`[OFFRAMP_PROCESSOR] 🟡 Processing on Solana network with your pricing API`);
+      console.log(`[OFFRAMP_PROCESSOR] 🟡 Processing on Solana network with the rate engine`);
       return await processSolanaTokenToNGN(cryptoSymbol, tokenInfo, tokenAmount, customerNgnAmount);
     } else if (network === 'ethereum') {
       console.log(`[OFFRAMP_PROCESSOR] 🔴 Processing on Ethereum network`);
@@ -688,6 +537,222 @@ async function sendBusinessOfframpWebhook(webhookUrl, orderData, eventType = 'of
   }
 }
 
+// ================================
+// BATCH OFF-RAMP HELPERS
+// ================================
+
+const OFFRAMP_BATCH_CONFIG = {
+  MAX_RECIPIENTS: parseInt(process.env.OFFRAMP_BATCH_MAX_RECIPIENTS || '200'),
+  MIN_RECIPIENT_AMOUNT: 100,
+  DEPOSIT_WINDOW_HOURS: 24
+};
+
+// Check recipient rows before anything is sent to Lenco. Returns a list of per-recipient errors.
+function validateOfframpBatchRecipients(recipients) {
+  const errors = [];
+  const seenReferences = new Set();
+
+  recipients.forEach((recipient, index) => {
+    const recipientNumber = index + 1;
+    const problems = [];
+    const accountNumber = String(recipient?.accountNumber || '').trim();
+    const bankCode = String(recipient?.bankCode || '').trim();
+    const amount = parseFloat(recipient?.amount);
+
+    if (!lencoService.isValidAccountNumber(accountNumber)) {
+      problems.push('accountNumber must be 10 digits');
+    }
+    if (!lencoService.isValidBankCode(bankCode)) {
+      problems.push('bankCode must be 6 digits');
+    }
+    if (!(amount >= OFFRAMP_BATCH_CONFIG.MIN_RECIPIENT_AMOUNT)) {
+      problems.push(`amount must be at least ₦${OFFRAMP_BATCH_CONFIG.MIN_RECIPIENT_AMOUNT}`);
+    }
+    if (recipient?.reference) {
+      if (seenReferences.has(recipient.reference)) {
+        problems.push(`reference ${recipient.reference} is used more than once`);
+      }
+      seenReferences.add(recipient.reference);
+    }
+
+    if (problems.length > 0) {
+      errors.push({ recipientNumber, accountNumber, bankCode, errors: problems });
+    }
+  });
+
+  return errors;
+}
+
+// Resolve every recipient account through Lenco. One at a time so large batches don't trip rate limits.
+async function verifyOfframpBatchRecipients(recipients, batchTag) {
+  const verified = [];
+  const errors = [];
+
+  for (let i = 0; i < recipients.length; i++) {
+    const recipient = recipients[i];
+    const recipientNumber = i + 1;
+    const accountNumber = String(recipient.accountNumber).trim();
+    const bankCode = String(recipient.bankCode).trim();
+
+    try {
+      const accountVerification = await lencoService.resolveAccount(accountNumber, bankCode);
+
+      if (!accountVerification) {
+        errors.push({ recipientNumber, accountNumber, bankCode, errors: ['Could not verify bank account'] });
+        continue;
+      }
+
+      verified.push({
+        recipientNumber,
+        accountNumber,
+        bankCode,
+        accountName: accountVerification.accountName,
+        bankName: accountVerification.bank?.name,
+        amount: Math.round(parseFloat(recipient.amount) * 100) / 100,
+        reference: recipient.reference?.toString().trim(),
+        narration: recipient.narration?.toString().trim()
+      });
+
+    } catch (verificationError) {
+      console.error(`[${batchTag}] Account verification failed for recipient ${recipientNumber}:`, verificationError.message);
+      errors.push({ recipientNumber, accountNumber, bankCode, errors: [verificationError.message] });
+    }
+  }
+
+  return { verified, errors };
+}
+
+function formatOfframpBatch(batch) {
+  return {
+    batchId: batch.batchId,
+    status: batch.status,
+    targetToken: batch.targetToken,
+    targetNetwork: batch.targetNetwork,
+    tokenAmount: batch.tokenAmount,
+    exchangeRate: batch.exchangeRate,
+    totalPayoutAmount: batch.totalPayoutAmount,
+    feePercentage: batch.feePercentage,
+    feeAmount: batch.feeAmount,
+    grossNgnAmount: batch.grossNgnAmount,
+    recipientCount: batch.recipientCount,
+    completedCount: batch.completedCount,
+    failedCount: batch.failedCount,
+    depositWallet: {
+      address: batch.depositWallet?.address,
+      network: batch.depositWallet?.network,
+      expiresAt: batch.depositWallet?.expiresAt,
+      tokensReceived: batch.depositWallet?.tokensReceived,
+      receivedAmount: batch.depositWallet?.receivedAmount,
+      transactionHash: batch.depositWallet?.transactionHash
+    },
+    recipients: batch.recipients.map(recipient => ({
+      recipientNumber: recipient.recipientNumber,
+      accountNumber: recipient.accountNumber,
+      accountName: recipient.accountName,
+      bankCode: recipient.bankCode,
+      bankName: recipient.bankName,
+      amount: recipient.amount,
+      reference: recipient.reference,
+      status: recipient.status,
+      payoutReference: recipient.payoutReference,
+      providerReference: recipient.providerReference,
+      error: recipient.error,
+      paidAt: recipient.paidAt
+    })),
+    failureReason: batch.failureReason,
+    webhookConfigured: !!batch.webhookUrl,
+    createdAt: batch.createdAt,
+    expiresAt: batch.expiresAt,
+    depositReceivedAt: batch.depositReceivedAt,
+    completedAt: batch.completedAt
+  };
+}
+
+// ================================
+// CUSTOMER DEPOSIT ADDRESS HELPERS
+// ================================
+
+// Networks that offramp pricing supports - permanent addresses are only issued on these
+const CUSTOMER_DEPOSIT_NETWORKS = ['base', 'solana'];
+
+// Native coins can't be told apart from the gas the sweeper tops addresses up with, so permanent
+// addresses only take tokens
+const NATIVE_DEPOSIT_TOKENS = ['0x0000000000000000000000000000000000000000', 'So11111111111111111111111111111111111111112'];
+
+function isNativeDepositToken(token) {
+  return ['ETH', 'SOL'].includes(token.symbol.toUpperCase()) || NATIVE_DEPOSIT_TOKENS.includes(token.contractAddress);
+}
+
+function formatOfframpCustomer(customer) {
+  return {
+    customerId: customer.customerId,
+    customerEmail: customer.customerEmail,
+    customerName: customer.customerName,
+    customerPhone: customer.customerPhone,
+    bankDetails: {
+      accountNumber: customer.recipientAccountNumber,
+      accountName: customer.recipientAccountName,
+      bankName: customer.recipientBankName,
+      bankCode: customer.recipientBankCode,
+      verifiedAt: customer.accountVerifiedAt
+    },
+    depositAddresses: customer.depositAddresses.map(entry => ({
+      network: entry.network,
+      address: entry.address,
+      tokens: entry.tokens.map(token => ({
+        symbol: token.symbol,
+        contractAddress: token.contractAddress
+      })),
+      createdAt: entry.createdAt
+    })),
+    status: customer.status,
+    depositCount: customer.depositCount,
+    lastDepositAt: customer.lastDepositAt,
+    webhookConfigured: !!customer.webhookUrl,
+    createdAt: customer.createdAt
+  };
+}
+
+// Tokens a permanent address on the network accepts: the requested symbols, or every (non-native) token
+// the business has enabled there. Returns { tokens } or { error }.
+function resolveCustomerDepositTokens(business, network, requestedSymbols) {
+  const enabled = (business.supportedTokens?.[network] || []).filter(
+    token => token.isActive !== false && token.isTradingEnabled !== false && token.contractAddress
+  );
+  const tokenEnabled = enabled.filter(token => !isNativeDepositToken(token));
+
+  if (!requestedSymbols) {
+    return tokenEnabled.length > 0
+      ? { tokens: tokenEnabled.map(token => ({ symbol: token.symbol, contractAddress: token.contractAddress })) }
+      : { error: `No tokens are enabled for your business on ${network}` };
+  }
+
+  const tokens = [];
+  for (const symbol of requestedSymbols) {
+    const token = enabled.find(t => t.symbol.toUpperCase() === String(symbol).toUpperCase());
+    if (!token) {
+      return { error: `Token ${symbol} is not configured for your business on ${network}` };
+    }
+    if (isNativeDepositToken(token)) {
+      return { error: `Native ${token.symbol} can't be deposited to a permanent address - use an order instead` };
+    }
+    tokens.push({ symbol: token.symbol, contractAddress: token.contractAddress });
+  }
+  return { tokens };
+}
+
+// Permanent addresses are HD-derived, so no key is stored for them
+async function createCustomerDepositAddress(network, tokens) {
+  const wallet = await walletGeneratorService.generateHdWallet(network);
+  return {
+    network,
+    address: wallet.address,
+    derivationIndex: wallet.derivationIndex,
+    tokens,
+    createdAt: new Date()
+  };
+}
+
 // ================================
 // MAIN CONTROLLER OBJECT
 // ================================
@@ -711,6 +776,7 @@ const businessOfframpController = {
         recipientBankCode,
         recipientBankName,
         webhookUrl,
+        quoteId,
         metadata = {}
       } = req.body;
       
@@ -746,6 +812,38 @@ const businessOfframpController = {
       
       console.log(`[BUSINESS_OFFRAMP] Customer wants to sell: ${tokenAmount} ${targetToken} on ${targetNetwork} network`);
       
+      // Load the locked quote before doing any external calls
+      let lockedQuote = null;
+      if (quoteId) {
+        lockedQuote = await Quote.findForBusiness(quoteId, business._id, QUOTE_TYPES.OFFRAMP);
+        
+        if (!lockedQuote) {
+          return res.status(404).json({
+            success: false,
+            message: `Quote ${quoteId} not found`,
+            code: 'QUOTE_NOT_FOUND'
+          });
+        }
+        
+        const unusable = lockedQuote.getUnusableReason({ targetToken, targetNetwork, tokenAmount });
+        if (unusable) {
+          console.log(`[BUSINESS_OFFRAMP] ❌ Quote cannot be used: ${unusable.message}`);
+          return res.status(unusable.status).json({
+            success: false,
+            message: unusable.message,
+            details: {
+              quoteId,
+              expiresAt: lockedQuote.expiresAt,
+              usedByOrderId: lockedQuote.usedByOrderId,
+              mismatches: unusable.mismatches
+            },
+            code: unusable.code
+          });
+        }
+        
+        console.log(`[BUSINESS_OFFRAMP] 🔒 Honoring locked quote ${lockedQuote.quoteId} (rate ₦${lockedQuote.exchangeRate.toLocaleString()})`);
+      }
+      
       // Step 1: Verify bank account through Lenco
       console.log(`[BUSINESS_OFFRAMP] Verifying bank account...`);
       
@@ -787,9 +885,18 @@ const businessOfframpController = {
       let priceData;
       try {
         // FIXED: Pass the targetNetwork to ensure correct network processing
-        priceData = await validateAndPriceTokenForOfframp(targetToken, business, tokenAmount, null, targetNetwork);
+        priceData = lockedQuote
+          ? lockedQuote.pricingSnapshot
+          : await validateAndPriceTokenForOfframp(targetToken, business, tokenAmount, null, targetNetwork);
       } catch (validationError) {
         console.error(`[BUSINESS_OFFRAMP] ❌ Token validation failed:`, validationError.message);
+        if (validationError.code === 'RATE_UNAVAILABLE') {
+          return res.status(503).json({
+            success: false,
+            message: validationError.message,
+            code: 'RATE_UNAVAILABLE'
+          });
+        }
         
         return res.status(400).json({
           success: false,
@@ -827,16 +934,35 @@ const businessOfframpController = {
       const feeConfig = business.feeConfiguration?.[targetNetwork]?.find(
         f => f.contractAddress?.toLowerCase() === priceData.tokenAddress?.toLowerCase() && f.isActive
       );
-      const feePercentage = feeConfig ? feeConfig.feePercentage : 0;
-      const feeAmount = Math.round(priceData.totalNgnOutput * (feePercentage / 100));
-      const netNgnAmount = priceData.totalNgnOutput - feeAmount;
+      const feePercentage = lockedQuote ? lockedQuote.feePercentage : (feeConfig ? feeConfig.feePercentage : 0);
+      const feeAmount = lockedQuote ? lockedQuote.feeAmount : Math.round(priceData.totalNgnOutput * (feePercentage / 100));
+      const netNgnAmount = lockedQuote ? lockedQuote.netAmount : priceData.totalNgnOutput - feeAmount;
       
       console.log(`[BUSINESS_OFFRAMP] Fee calculation:`);
       console.log(`  - Gross NGN: ₦${priceData.totalNgnOutput.toLocaleString()}`);
       console.log(`  - Business fee (${feePercentage}%): ₦${feeAmount.toLocaleString()}`);
       console.log(`  - Net to customer: ₦${netNgnAmount.toLocaleString()}`);
       
-      // Step 4: Generate wallet for customer to send tokens
+      // Step 4: Generate unique identifiers
+      const businessOrderReference = `OFFRAMP-${targetToken}-${uuidv4().substr(0, 8).toUpperCase()}`;
+      const orderId = `OFF_${Date.now()}_${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
+      
+      // Consume the locked quote atomically so it can back only one order. This happens before the
+      // wallet is generated so a rejected quote doesn't use up a deposit address.
+      if (lockedQuote) {
+        const claimedQuote = await Quote.claim(lockedQuote.quoteId, business._id, orderId);
+        if (!claimedQuote) {
+          return res.status(409).json({
+            success: false,
+            message: `Quote ${lockedQuote.quoteId} has already been used or has expired`,
+            details: { quoteId: lockedQuote.quoteId },
+            code: 'QUOTE_ALREADY_USED'
+          });
+        }
+        console.log(`[BUSINESS_OFFRAMP] 🔒 Quote ${lockedQuote.quoteId} consumed by ${orderId}`);
+      }
+      
+      // Step 5: Generate wallet for customer to send tokens
       console.log(`[BUSINESS_OFFRAMP] Generating deposit wallet for ${targetNetwork}...`);
       
       let generatedWallet;
@@ -851,6 +977,10 @@ const businessOfframpController = {
         
       } catch (walletError) {
         console.error(`[BUSINESS_OFFRAMP] Wallet generation failed:`, walletError.message);
+        // Let the client retry with the same quote
+        if (lockedQuote) {
+          await Quote.releaseClaim(lockedQuote.quoteId, orderId);
+        }
         return res.status(500).json({
           success: false,
           message: 'Failed to generate deposit wallet',
@@ -859,10 +989,6 @@ const businessOfframpController = {
         });
       }
       
-      // Step 5: Generate unique identifiers
-      const businessOrderReference = `OFFRAMP-${targetToken}-${uuidv4().substr(0, 8).toUpperCase()}`;
-      const orderId = `OFF_${Date.now()}_${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
-      
       // Step 6: Create offramp order
       const order = new BusinessOfframpOrder({
         orderId,
@@ -901,17 +1027,29 @@ const businessOfframpController = {
         depositWallet: {
           address: generatedWallet.address,
           network: targetNetwork.toLowerCase(),
-          privateKey: generatedWallet.encryptedPrivateKey,
+          derivationIndex: generatedWallet.derivationIndex,
+          // HD wallets are re-derived from derivationIndex - only random wallets have a key to store
+          ...(generatedWallet.keySource === 'stored' && { privateKey: generatedWallet.encryptedPrivateKey }),
           publicKey: generatedWallet.publicKey,
           generatedAt: new Date(),
           expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000) // 24 hours
         },
         
         status: BUSINESS_OFFRAMP_STATUS.PENDING_DEPOSIT,
+        quoteId: lockedQuote?.quoteId,
         webhookUrl: webhookUrl?.trim(),
         
         metadata: {
           ...metadata,
+          ...(lockedQuote && {
+            lockedQuote: {
+              quoteId: lockedQuote.quoteId,
+              quotedAt: lockedQuote.createdAt,
+              expiresAt: lockedQuote.expiresAt,
+              exchangeRate: lockedQuote.exchangeRate,
+              netNgnAmount: lockedQuote.netAmount
+            }
+          }),
           // Token validation results
           tokenValidation: priceData.validation,
           // Pricing metadata with API data
@@ -951,7 +1089,15 @@ const businessOfframpController = {
         expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000) // 24 hours to complete
       });
       
-      await order.save();
+      try {
+        await order.save();
+      } catch (saveError) {
+        // Let the client retry with the same quote
+        if (lockedQuote) {
+          await Quote.releaseClaim(lockedQuote.quoteId, orderId);
+        }
+        throw saveError;
+      }
       console.log(`[BUSINESS_OFFRAMP] ✅ Off-ramp order created: ${order.orderId}`);
       
       // Step 7: Prepare comprehensive response with pricing API data
@@ -968,6 +1114,7 @@ const businessOfframpController = {
         feePercentage: order.feePercentage,
         netNgnAmount: order.netNgnAmount,
         exchangeRate: order.exchangeRate,
+        quoteId: order.quoteId || null,
         
         // Payment instructions
         depositInstructions: {
@@ -1140,6 +1287,13 @@ const businessOfframpController = {
         priceData = await validateAndPriceTokenForOfframp(targetToken, business, tokenAmount, null, targetNetwork);
       } catch (validationError) {
         console.error(`[BUSINESS_OFFRAMP] ❌ Validation failed:`, validationError.message);
+        if (validationError.code === 'RATE_UNAVAILABLE') {
+          return res.status(503).json({
+            success: false,
+            message: validationError.message,
+            code: 'RATE_UNAVAILABLE'
+          });
+        }
         
         return res.status(400).json({
           success: false,
@@ -1176,8 +1330,31 @@ const businessOfframpController = {
       const feeAmount = Math.round(priceData.totalNgnOutput * (feePercentage / 100));
       const netNgnAmount = priceData.totalNgnOutput - feeAmount;
       
+      // Persist the quote so /create can honor exactly these numbers
+      const lockedQuote = await Quote.create({
+        quoteId: Quote.generateQuoteId(),
+        businessId: business._id,
+        type: QUOTE_TYPES.OFFRAMP,
+        targetToken: targetToken.toUpperCase(),
+        targetNetwork: priceData.network,
+        tokenContractAddress: priceData.tokenAddress,
+        tokenAmount: parseFloat(tokenAmount),
+        exchangeRate: priceData.unitPriceInNgn,
+        usdcToNgnRate: priceData.usdcToNgnRate,
+        usdcValue: priceData.usdcValue,
+        feePercentage,
+        feeAmount,
+        netAmount: netNgnAmount,
+        grossNgnAmount: priceData.totalNgnOutput,
+        pricingSnapshot: JSON.parse(JSON.stringify(priceData)),
+        expiresAt: new Date(Date.now() + QUOTE_VALID_FOR_SECONDS * 1000)
+      });
+      
+      console.log(`[BUSINESS_OFFRAMP] 🔒 Quote locked: ${lockedQuote.quoteId} (valid ${QUOTE_VALID_FOR_SECONDS}s)`);
+      
       // Prepare comprehensive quote response with pricing API data
       const responseData = {
+        quoteId: lockedQuote.quoteId,
         tokenAmount,
         targetToken: targetToken.toUpperCase(),
         targetNetwork: priceData.network, // Use actual processed network
@@ -1223,8 +1400,8 @@ const businessOfframpController = {
         validation: priceData.validation,
         
         // Quote validity
-        validFor: 300, // 5 minutes
-        expiresAt: new Date(Date.now() + 5 * 60 * 1000)
+        validFor: QUOTE_VALID_FOR_SECONDS,
+        expiresAt: lockedQuote.expiresAt
       };
       
       // Add CORRECT network-specific data
@@ -1317,6 +1494,8 @@ const businessOfframpController = {
           
           exchangeRate: order.exchangeRate,
           transactionHash: order.transactionHash,
+          swapTransactionHash: order.swapTransactionHash,
+          swap: offrampWebhookHandler.formatSwap(order),
           payoutReference: order.payoutReference,
           createdAt: order.createdAt,
           updatedAt: order.updatedAt,
@@ -1341,6 +1520,9 @@ const businessOfframpController = {
             baseData: order.metadata.baseData
           }),
           
+          // Deposits that arrived after the order expired or was cancelled
+          depositRefund: lateDepositRefunder.formatRefund(order),
+          
           webhookConfigured: !!order.webhookUrl
         }
       });
@@ -1356,6 +1538,38 @@ const businessOfframpController = {
     }
   },
 
+  // Choose where a deposit to an expired or cancelled order is refunded
+  setRefundAddress: async (req, res) => {
+    try {
+      const { refundAddress } = req.body || {};
+      
+      const refund = await lateDepositRefunder.setRefundAddress(req.params.orderId, req.business._id, refundAddress);
+      
+      res.json({
+        success: true,
+        message: `Refund scheduled to ${refund.refundAddress}`,
+        data: refund
+      });
+      
+    } catch (error) {
+      if (error.code && error.status) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message,
+          code: error.code
+        });
+      }
+      
+      console.error('[BUSINESS_OFFRAMP] Error setting refund address:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to set refund address',
+        error: error.message,
+        code: 'REFUND_ADDRESS_ERROR'
+      });
+    }
+  },
+
   // Get all orders with filtering
   getAllOrders: async (req, res) => {
     try {
@@ -1416,7 +1630,7 @@ const businessOfframpController = {
               $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] }
             },
             pendingOrders: {
-              $sum: { $cond: [{ $in: ['$status', ['pending_deposit', 'processing', 'pending_payout']] }, 1, 0] }
+              $sum: { $cond: [{ $in: ['$status', ['pending_deposit', 'processing', 'swap_retry', 'pending_payout']] }, 1, 0] }
             },
             baseOrders: {
               $sum: { $cond: [{ $eq: ['$targetNetwork', 'base'] }, 1, 0] }
@@ -1543,7 +1757,7 @@ const businessOfframpController = {
               $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] }
             },
             pendingOrders: {
-              $sum: { $cond: [{ $in: ['$status', ['pending_deposit', 'processing', 'pending_payout']] }, 1, 0] }
+              $sum: { $cond: [{ $in: ['$status', ['pending_deposit', 'processing', 'swap_retry', 'pending_payout']] }, 1, 0] }
             }
           }
         }
@@ -1652,12 +1866,7 @@ const businessOfframpController = {
             };
             return acc;
           }, {}),
-          pricingApiStats: {
-            enabled: true,
-            endpoint: '/api/v1/offramp-price',
-            fallbackRateUsed: false, // This would be determined from recent orders
-            lastUpdateCheck: new Date().toISOString()
-          }
+          pricingApiStats: rateEngine.getStatus()
         }
       });
       
@@ -1892,10 +2101,892 @@ const businessOfframpController = {
         code: 'BANK_INTERNAL_ERROR'
       });
     }
-  }
-};
+  },
+
+  /**
+   * Create a batch off-ramp: one token deposit paid out to many bank accounts
+   * POST /api/v1/business-offramp/batches
+   */
+  createOfframpBatch: async (req, res) => {
+    const batchTag = `OFFRAMP_BATCH_${Date.now()}`;
+
+    try {
+      const business = req.business;
+      const {
+        targetToken,
+        targetNetwork,
+        recipients,
+        webhookUrl,
+        metadata = {}
+      } = req.body;
+
+      if (!targetToken || !targetNetwork || !Array.isArray(recipients)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Missing required fields',
+          required: ['targetToken', 'targetNetwork', 'recipients'],
+          code: 'MISSING_REQUIRED_FIELDS'
+        });
+      }
+
+      if (recipients.length === 0 || recipients.length > OFFRAMP_BATCH_CONFIG.MAX_RECIPIENTS) {
+        return res.status(400).json({
+          success: false,
+          message: `A batch must have between 1 and ${OFFRAMP_BATCH_CONFIG.MAX_RECIPIENTS} recipients`,
+          code: 'INVALID_RECIPIENT_COUNT'
+        });
+      }
+
+      const supportedNetworks = ['base', 'solana', 'ethereum'];
+      if (!supportedNetworks.includes(targetNetwork.toLowerCase())) {
+        return res.status(400).json({
+          success: false,
+          message: `Unsupported network: ${targetNetwork}. Supported networks: ${supportedNetworks.join(', ')}`,
+          code: 'UNSUPPORTED_NETWORK'
+        });
+      }
+
+      const recipientErrors = validateOfframpBatchRecipients(recipients);
+      if (recipientErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `${recipientErrors.length} recipient(s) are invalid`,
+          details: { recipients: recipientErrors },
+          code: 'INVALID_RECIPIENTS'
+        });
+      }
+
+      console.log(`[${batchTag}] 📦 Batch off-ramp for ${recipients.length} recipients in ${targetToken} on ${targetNetwork}`);
+
+      // Step 1: Verify every bank account up front - nothing is created if any fails
+      if (!lencoService.isServiceConfigured()) {
+        return res.status(503).json({
+          success: false,
+          message: 'Bank account verification service is not configured',
+          code: 'VERIFICATION_SERVICE_UNAVAILABLE'
+        });
+      }
+
+      const { verified, errors: verificationErrors } = await verifyOfframpBatchRecipients(recipients, batchTag);
+
+      if (verificationErrors.length > 0) {
+        console.log(`[${batchTag}] ❌ ${verificationErrors.length} account(s) failed verification`);
+        return res.status(400).json({
+          success: false,
+          message: `${verificationErrors.length} recipient account(s) could not be verified`,
+          details: { recipients: verificationErrors },
+          code: 'ACCOUNT_VERIFICATION_FAILED'
+        });
+      }
+
+      console.log(`[${batchTag}] ✅ All ${verified.length} accounts verified`);
+
+      // Step 2: Price the token
+      let priceData;
+      try {
+        priceData = await validateAndPriceTokenForOfframp(targetToken, business, 1, null, targetNetwork);
+      } catch (validationError) {
+        console.error(`[${batchTag}] ❌ Token validation failed:`, validationError.message);
+        if (validationError.code === 'RATE_UNAVAILABLE') {
+          return res.status(503).json({
+            success: false,
+            message: validationError.message,
+            code: 'RATE_UNAVAILABLE'
+          });
+        }
+        return res.status(400).json({
+          success: false,
+          message: validationError.message,
+          details: {
+            token: targetToken,
+            requestedNetwork: targetNetwork,
+            step: 'token_validation_for_offramp_batch'
+          },
+          code: 'TOKEN_VALIDATION_FAILED'
+        });
+      }
+
+      // Step 3: Work out the deposit - recipients get exactly their amounts, the fee comes on top
+      const feeConfig = business.feeConfiguration?.[targetNetwork.toLowerCase()]?.find(
+        f => f.contractAddress?.toLowerCase() === priceData.tokenAddress?.toLowerCase() && f.isActive
+      );
+      const feePercentage = feeConfig ? feeConfig.feePercentage : 0;
+      const totalPayoutAmount = Math.round(verified.reduce((sum, r) => sum + r.amount, 0) * 100) / 100;
+      const grossNgnAmount = Math.ceil(totalPayoutAmount / (1 - feePercentage / 100));
+      const feeAmount = grossNgnAmount - totalPayoutAmount;
+      const tokenAmount = Math.ceil((grossNgnAmount / priceData.unitPriceInNgn) * 1e6) / 1e6;
+
+      console.log(`[${batchTag}] Payouts ₦${totalPayoutAmount.toLocaleString()} + fee ₦${feeAmount.toLocaleString()} = ${tokenAmount} ${targetToken}`);
+
+      // Step 4: One deposit wallet for the whole batch
+      let generatedWallet;
+      try {
+        generatedWallet = await walletGeneratorService.generateOfframpWallet(targetNetwork, targetToken);
+
+        if (!generatedWallet.success) {
+          throw new Error(generatedWallet.error || 'Failed to generate wallet');
+        }
+      } catch (walletError) {
+        console.error(`[${batchTag}] Wallet generation failed:`, walletError.message);
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to generate deposit wallet',
+          error: walletError.message,
+          code: 'WALLET_GENERATION_FAILED'
+        });
+      }
+
+      const expiresAt = new Date(Date.now() + OFFRAMP_BATCH_CONFIG.DEPOSIT_WINDOW_HOURS * 60 * 60 * 1000);
+      const batch = new BusinessOfframpBatch({
+        batchId: BusinessOfframpBatch.generateBatchId(),
+        businessId: business._id,
+        targetToken: targetToken.toUpperCase(),
+        targetNetwork: targetNetwork.toLowerCase(),
+        tokenContractAddress: priceData.tokenAddress,
+        tokenDecimals: priceData.decimals,
+        tokenAmount,
+        exchangeRate: priceData.unitPriceInNgn,
+        totalPayoutAmount,
+        feePercentage,
+        feeAmount,
+        grossNgnAmount,
+        recipients: verified,
+        recipientCount: verified.length,
+        depositWallet: {
+          address: generatedWallet.address,
+          network: targetNetwork.toLowerCase(),
+          derivationIndex: generatedWallet.derivationIndex,
+          // HD wallets are re-derived from derivationIndex - only random wallets have a key to store
+          ...(generatedWallet.keySource === 'stored' && { privateKey: generatedWallet.encryptedPrivateKey }),
+          publicKey: generatedWallet.publicKey,
+          generatedAt: new Date(),
+          expiresAt
+        },
+        webhookUrl: webhookUrl?.trim(),
+        metadata: {
+          ...metadata,
+          pricingSource: priceData.source,
+          currentOfframpRate: priceData.usdcToNgnRate,
+          rateSource: priceData.rateSource,
+          walletType: generatedWallet.walletType
+        },
+        expiresAt
+      });
+
+      await batch.save();
+      console.log(`[${batchTag}] ✅ Batch ${batch.batchId} created`);
+
+      const responseData = {
+        ...formatOfframpBatch(batch),
+        depositInstructions: {
+          walletAddress: generatedWallet.address,
+          network: batch.targetNetwork,
+          tokenAddress: priceData.tokenAddress,
+          exactAmount: tokenAmount,
+          expiresAt,
+          instructions: [
+            `Send exactly ${tokenAmount} ${batch.targetToken} to the address above`,
+            `Network: ${batch.targetNetwork.charAt(0).toUpperCase() + batch.targetNetwork.slice(1)}`,
+            `Once received, ₦${totalPayoutAmount.toLocaleString()} will be paid out to ${verified.length} bank account(s)`,
+            `Deposit must be completed within ${OFFRAMP_BATCH_CONFIG.DEPOSIT_WINDOW_HOURS} hours`
+          ]
+        }
+      };
+
+      if (batch.webhookUrl) {
+        sendBusinessOfframpWebhook(batch.webhookUrl, formatOfframpBatch(batch), 'offramp_batch.created')
+          .catch(error => console.error(`[${batchTag}] Webhook failed:`, error));
+      }
+
+      res.status(201).json({
+        success: true,
+        message: `Batch off-ramp created. Send ${batch.targetToken} to the provided wallet address.`,
+        data: responseData
+      });
+
+    } catch (error) {
+      console.error(`[${batchTag}] Batch creation error:`, error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to create batch off-ramp',
+        code: 'OFFRAMP_BATCH_CREATION_FAILED'
+      });
+    }
+  },
+
+  /**
+   * List batch off-ramps
+   * GET /api/v1/business-offramp/batches
+   */
+  getOfframpBatches: async (req, res) => {
+    try {
+      const business = req.business;
+      const { status, page = 1, limit = 20 } = req.query;
+
+      const query = { businessId: business._id };
+      if (status) query.status = status;
+
+      const limitNum = Math.min(parseInt(limit), 100);
+      const skip = (parseInt(page) - 1) * limitNum;
+
+      const [batches, total] = await Promise.all([
+        BusinessOfframpBatch.find(query).sort({ createdAt: -1 }).skip(skip).limit(limitNum),
+        BusinessOfframpBatch.countDocuments(query)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          batches: batches.map(batch => {
+            const { recipients, ...summary } = formatOfframpBatch(batch);
+            return summary;
+          }),
+          pagination: {
+            total,
+            page: parseInt(page),
+            limit: limitNum,
+            pages: Math.ceil(total / limitNum)
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('[BUSINESS_OFFRAMP] Error getting batches:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get batch off-ramps',
+        error: error.message,
+        code: 'BATCHES_RETRIEVAL_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Get a batch off-ramp with per-recipient payout status
+   * GET /api/v1/business-offramp/batches/:batchId
+   */
+  getOfframpBatchById: async (req, res) => {
+    try {
+      const batch = await BusinessOfframpBatch.findOne({
+        batchId: req.params.batchId,
+        businessId: req.business._id
+      });
+
+      if (!batch) {
+        return res.status(404).json({
+          success: false,
+          message: 'Batch off-ramp not found',
+          code: 'BATCH_NOT_FOUND'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: formatOfframpBatch(batch)
+      });
+
+    } catch (error) {
+      console.error('[BUSINESS_OFFRAMP] Error getting batch:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get batch off-ramp',
+        error: error.message,
+        code: 'BATCH_RETRIEVAL_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Register a customer for permanent deposit addresses (or add networks to an existing registration).
+   * Every deposit to one of the addresses opens an order, priced when the deposit is detected, that pays
+   * out to the customer's saved bank account.
+   */
+  registerOfframpCustomer: async (req, res) => {
+    const requestId = Math.random().toString(36).substr(2, 8);
+    console.log(`[OFFRAMP_CUSTOMER_${requestId}] 🏦 Registering offramp customer`);
+
+    try {
+      const business = req.business;
+      const {
+        customerEmail,
+        customerName,
+        customerPhone,
+        recipientAccountNumber,
+        recipientBankCode,
+        networks,
+        tokens,
+        webhookUrl
+      } = req.body;
+
+      if (!customerEmail || !customerName || !recipientAccountNumber || !recipientBankCode || !networks) {
+        return res.status(400).json({
+          success: false,
+          message: 'Missing required fields',
+          required: ['customerEmail', 'customerName', 'recipientAccountNumber', 'recipientBankCode', 'networks'],
+          code: 'MISSING_REQUIRED_FIELDS'
+        });
+      }
+
+      const requestedNetworks = [...new Set((Array.isArray(networks) ? networks : [networks]).map(n => String(n).toLowerCase()))];
+      const unsupported = requestedNetworks.filter(network => !CUSTOMER_DEPOSIT_NETWORKS.includes(network));
+      if (requestedNetworks.length === 0 || unsupported.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Unsupported network(s): ${unsupported.join(', ') || 'none given'}. Supported networks: ${CUSTOMER_DEPOSIT_NETWORKS.join(', ')}`,
+          code: 'UNSUPPORTED_NETWORK'
+        });
+      }
+      if (tokens !== undefined && (!Array.isArray(tokens) || tokens.length === 0)) {
+        return res.status(400).json({
+          success: false,
+          message: 'tokens must be a non-empty array of token symbols',
+          code: 'INVALID_TOKENS'
+        });
+      }
+
+      const notDerivable = requestedNetworks.filter(network => !walletGeneratorService.canDeriveHd(network));
+      if (notDerivable.length > 0) {
+        return res.status(503).json({
+          success: false,
+          message: `Permanent deposit addresses are not available on ${notDerivable.join(', ')}`,
+          code: 'HD_DERIVATION_NOT_CONFIGURED'
+        });
+      }
+
+      const tokensByNetwork = {};
+      for (const network of requestedNetworks) {
+        const resolved = resolveCustomerDepositTokens(business, network, tokens);
+        if (resolved.error) {
+          return res.status(400).json({
+            success: false,
+            message: resolved.error,
+            code: 'TOKEN_NOT_CONFIGURED'
+          });
+        }
+        tokensByNetwork[network] = resolved.tokens;
+      }
+
+      // Registered already - only add addresses for networks the customer doesn't have yet
+      const existing = await OfframpCustomer.findForCustomer(business._id, customerEmail);
+      if (existing) {
+        for (const network of requestedNetworks) {
+          if (existing.getDepositAddress(network)) continue;
+
+          const depositAddress = await createCustomerDepositAddress(network, tokensByNetwork[network]);
+          await OfframpCustomer.updateOne(
+            { _id: existing._id, 'depositAddresses.network': { $ne: network } },
+            { $push: { depositAddresses: depositAddress }, $set: { updatedAt: new Date() } }
+          );
+          console.log(`[OFFRAMP_CUSTOMER_${requestId}] ➕ ${network} address for ${existing.customerId}: ${depositAddress.address}`);
+        }
+
+        const customer = await OfframpCustomer.findById(existing._id);
+        return res.json({
+          success: true,
+          message: 'Customer is already registered',
+          data: formatOfframpCustomer(customer),
+          created: false
+        });
+      }
+
+      if (!lencoService.isServiceConfigured()) {
+        return res.status(503).json({
+          success: false,
+          message: 'Bank account verification service is not configured',
+          code: 'VERIFICATION_SERVICE_UNAVAILABLE'
+        });
+      }
+
+      const accountVerification = await lencoService.resolveAccount(recipientAccountNumber, recipientBankCode);
+      if (!accountVerification) {
+        return res.status(400).json({
+          success: false,
+          message: 'Could not verify bank account. Please check account number and bank code.',
+          code: 'ACCOUNT_VERIFICATION_FAILED'
+        });
+      }
+
+      const depositAddresses = [];
+      for (const network of requestedNetworks) {
+        depositAddresses.push(await createCustomerDepositAddress(network, tokensByNetwork[network]));
+      }
+
+      const customer = new OfframpCustomer({
+        customerId: OfframpCustomer.generateCustomerId(),
+        businessId: business._id,
+        customerEmail,
+        customerName,
+        customerPhone,
+        recipientAccountNumber,
+        recipientAccountName: accountVerification.accountName,
+        recipientBankCode,
+        recipientBankName: accountVerification.bank.name,
+        accountVerifiedAt: new Date(),
+        webhookUrl: webhookUrl?.trim(),
+        depositAddresses
+      });
+
+      try {
+        await customer.save();
+      } catch (saveError) {
+        // Another request registered this customer at the same time
+        if (saveError.code === 11000) {
+          const winner = await OfframpCustomer.findForCustomer(business._id, customerEmail);
+          return res.json({
+            success: true,
+            message: 'Customer is already registered',
+            data: formatOfframpCustomer(winner),
+            created: false
+          });
+        }
+        throw saveError;
+      }
+
+      console.log(`[OFFRAMP_CUSTOMER_${requestId}] ✅ Registered ${customer.customerEmail} as ${customer.customerId} with ${depositAddresses.length} address(es)`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Customer registered. Every deposit to these addresses is paid out to the saved bank account.',
+        data: formatOfframpCustomer(customer),
+        created: true
+      });
+
+    } catch (error) {
+      console.error(`[OFFRAMP_CUSTOMER_${requestId}] 💥 Error:`, error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to register customer',
+        error: error.message,
+        code: 'OFFRAMP_CUSTOMER_ERROR'
+      });
+    }
+  },
+
+  /**
+   * List the business's registered offramp customers (optionally one customer by email)
+   */
+  getOfframpCustomers: async (req, res) => {
+    try {
+      const { customerEmail, status, page = 1, limit = 20 } = req.query;
+
+      const limitNum = Math.min(parseInt(limit), 100);
+      const query = { businessId: req.business._id };
+      if (customerEmail) {
+        query.customerEmail = customerEmail.toLowerCase().trim();
+      }
+      if (status) {
+        query.status = status;
+      }
+
+      const [customers, total] = await Promise.all([
+        OfframpCustomer.find(query)
+          .sort({ createdAt: -1 })
+          .skip((parseInt(page) - 1) * limitNum)
+          .limit(limitNum),
+        OfframpCustomer.countDocuments(query)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          customers: customers.map(formatOfframpCustomer),
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(total / limitNum),
+            total,
+            limit: limitNum
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('[OFFRAMP_CUSTOMER] Error listing customers:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get customers',
+        error: error.message,
+        code: 'OFFRAMP_CUSTOMER_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Get one registered customer with the orders its deposits opened
+   */
+  getOfframpCustomer: async (req, res) => {
+    try {
+      const customer = await OfframpCustomer.findOne({
+        customerId: req.params.customerId,
+        businessId: req.business._id
+      });
+
+      if (!customer) {
+        return res.status(404).json({
+          success: false,
+          message: 'Customer not found',
+          code: 'OFFRAMP_CUSTOMER_NOT_FOUND'
+        });
+      }
+
+      const recentOrders = await BusinessOfframpOrder.find({ offrampCustomerId: customer.customerId })
+        .sort({ createdAt: -1 })
+        .limit(20)
+        .select('orderId status tokenAmount targetToken targetNetwork netNgnAmount exchangeRate depositWallet.transactionHash createdAt completedAt');
+
+      res.json({
+        success: true,
+        data: {
+          ...formatOfframpCustomer(customer),
+          unprocessedDeposits: customer.unprocessedDeposits,
+          recentOrders
+        }
+      });
+
+    } catch (error) {
+      console.error('[OFFRAMP_CUSTOMER] Error getting customer:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get customer',
+        error: error.message,
+        code: 'OFFRAMP_CUSTOMER_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Change a customer's payout bank account, contact details, webhook or status.
+   * A new bank account is verified before it's saved; it applies to deposits detected from then on.
+   */
+  updateOfframpCustomer: async (req, res) => {
+    try {
+      const { recipientAccountNumber, recipientBankCode, customerName, customerPhone, webhookUrl, status } = req.body;
+
+      const customer = await OfframpCustomer.findOne({
+        customerId: req.params.customerId,
+        businessId: req.business._id
+      });
+
+      if (!customer) {
+        return res.status(404).json({
+          success: false,
+          message: 'Customer not found',
+          code: 'OFFRAMP_CUSTOMER_NOT_FOUND'
+        });
+      }
+
+      if (status !== undefined && !Object.values(OFFRAMP_CUSTOMER_STATUS).includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `status must be one of: ${Object.values(OFFRAMP_CUSTOMER_STATUS).join(', ')}`,
+          code: 'INVALID_STATUS'
+        });
+      }
+
+      if (recipientAccountNumber || recipientBankCode) {
+        if (!recipientAccountNumber || !recipientBankCode) {
+          return res.status(400).json({
+            success: false,
+            message: 'recipientAccountNumber and recipientBankCode must be changed together',
+            code: 'MISSING_REQUIRED_FIELDS'
+          });
+        }
+
+        if (!lencoService.isServiceConfigured()) {
+          return res.status(503).json({
+            success: false,
+            message: 'Bank account verification service is not configured',
+            code: 'VERIFICATION_SERVICE_UNAVAILABLE'
+          });
+        }
+
+        const accountVerification = await lencoService.resolveAccount(recipientAccountNumber, recipientBankCode);
+        if (!accountVerification) {
+          return res.status(400).json({
+            success: false,
+            message: 'Could not verify bank account. Please check account number and bank code.',
+            code: 'ACCOUNT_VERIFICATION_FAILED'
+          });
+        }
+
+        customer.recipientAccountNumber = recipientAccountNumber;
+        customer.recipientAccountName = accountVerification.accountName;
+        customer.recipientBankCode = recipientBankCode;
+        customer.recipientBankName = accountVerification.bank.name;
+        customer.accountVerifiedAt = new Date();
+      }
+
+      if (customerName) customer.customerName = customerName;
+      if (customerPhone !== undefined) customer.customerPhone = customerPhone;
+      if (webhookUrl !== undefined) customer.webhookUrl = webhookUrl?.trim();
+      if (status) customer.status = status;
+
+      await customer.save();
+      console.log(`[OFFRAMP_CUSTOMER] ✏️ Updated ${customer.customerId}`);
+
+      res.json({
+        success: true,
+        message: 'Customer updated',
+        data: formatOfframpCustomer(customer)
+      });
+
+    } catch (error) {
+      console.error('[OFFRAMP_CUSTOMER] Error updating customer:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update customer',
+        error: error.message,
+        code: 'OFFRAMP_CUSTOMER_ERROR'
+      });
+    }
+  },
+
+  /**
+   * Open an order for a confirmed deposit to a customer's permanent address and start processing it.
+   * Called by offrampWebhookHandler.confirmDeposit; the deposit is priced now, not at registration.
+   * Throws when no rate is available, so the deposit is reported again later.
+   * @returns {Promise<{statusCode: number, body: Object}>}
+   */
+  async processCustomerDeposit(customer, deposit) {
+    const { walletAddress, transactionHash, tokenAddress, network, logIndex } = deposit;
+    const amount = parseFloat(deposit.amount);
+    // One transaction can carry several transfers to the address (EVM logs)
+    const depositReference = logIndex != null ? `${transactionHash}:${logIndex}` : transactionHash;
+    const tag = `[OFFRAMP_CUSTOMER_${customer.customerId}]`;
+
+    console.log(`${tag} 💰 ${amount} deposited to ${walletAddress} on ${network} (${depositReference})`);
+
+    // The watcher and an external monitor can both report the same deposit. A reference taken
+    // without a log index (older records, Solana) must also match the transaction hash alone.
+    const escapedHash = transactionHash.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const existingOrder = await BusinessOfframpOrder.findOne({
+      $or: [
+        { depositReference: { $in: [depositReference, transactionHash] } },
+        ...(logIndex == null ? [{ depositReference: { $regex: `^${escapedHash}:` } }] : [])
+      ]
+    });
+    // Opened but processing never started (e.g. the process stopped) - pick it up again
+    if (existingOrder?.status === BUSINESS_OFFRAMP_STATUS.PENDING_DEPOSIT) {
+      return offrampWebhookHandler.applyOrderDeposit(existingOrder, deposit);
+    }
+    if (existingOrder) {
+      console.log(`${tag} ⏭️ Deposit already processed as ${existingOrder.orderId}`);
+      return {
+        statusCode: 200,
+        body: {
+          success: true,
+          message: `Deposit already processed (${existingOrder.status})`,
+          orderId: existingOrder.orderId,
+          status: existingOrder.status
+        }
+      };
+    }
+
+    const unprocessed = async (reason) => {
+      console.warn(`${tag} ⚠️ Deposit not processed: ${reason}`);
+      const recorded = await OfframpCustomer.recordUnprocessedDeposit(customer.customerId, {
+        depositReference,
+        transactionHash,
+        network,
+        tokenAddress,
+        amount,
+        reason
+      });
+
+      if (recorded && customer.webhookUrl) {
+        sendBusinessOfframpWebhook(customer.webhookUrl, {
+          customerId: customer.customerId,
+          customerEmail: customer.customerEmail,
+          depositAddress: walletAddress,
+          network,
+          tokenAddress,
+          transactionHash,
+          amount,
+          reason
+        }, 'offramp_customer.deposit_unprocessed')
+          .catch(error => console.error(`${tag} Webhook failed:`, error.message));
+      }
+
+      return {
+        statusCode: 200,
+        body: {
+          success: true,
+          message: `Deposit recorded but not processed: ${reason}`,
+          customerId: customer.customerId
+        }
+      };
+    };
+
+    const depositAddress = customer.depositAddresses.find(entry => entry.address === walletAddress);
+    if (depositAddress.network !== String(network).toLowerCase()) {
+      return unprocessed(`Deposit reported on ${network}, but the address is for ${depositAddress.network}`);
+    }
+
+    const token = tokenAddress && depositAddress.tokens.find(
+      t => t.contractAddress.toLowerCase() === tokenAddress.toLowerCase()
+    );
+    if (!token) {
+      return unprocessed(`Token ${tokenAddress || '(not given)'} is not accepted on this address`);
+    }
+    if (!customer.isActive()) {
+      return unprocessed(`Customer is ${customer.status}`);
+    }
+    if (!(amount > 0)) {
+      return unprocessed('Deposit amount must be greater than 0');
+    }
+
+    const business = await Business.findById(customer.businessId);
+    if (!business) {
+      return unprocessed('Business not found');
+    }
+
+    // Price at the time the deposit was detected
+    let priceData;
+    try {
+      priceData = await validateAndPriceTokenForOfframp(token.symbol, business, amount, null, depositAddress.network);
+    } catch (pricingError) {
+      if (pricingError.code === 'RATE_UNAVAILABLE') {
+        throw pricingError;
+      }
+      return unprocessed(pricingError.message);
+    }
+
+    const feeConfig = business.feeConfiguration?.[depositAddress.network]?.find(
+      f => f.contractAddress?.toLowerCase() === priceData.tokenAddress?.toLowerCase() && f.isActive
+    );
+    const feePercentage = feeConfig ? feeConfig.feePercentage : 0;
+    const feeAmount = Math.round(priceData.totalNgnOutput * (feePercentage / 100));
+    const netNgnAmount = priceData.totalNgnOutput - feeAmount;
+
+    const order = new BusinessOfframpOrder({
+      orderId: `OFF_${Date.now()}_${Math.random().toString(36).substr(2, 9).toUpperCase()}`,
+      businessId: business._id,
+      businessOrderReference: `OFFRAMP-${token.symbol}-${uuidv4().substr(0, 8).toUpperCase()}`,
+      customerEmail: customer.customerEmail,
+      customerName: customer.customerName,
+      customerPhone: customer.customerPhone,
+      offrampCustomerId: customer.customerId,
+      depositReference,
+
+      tokenAmount: amount,
+      targetToken: token.symbol.toUpperCase(),
+      targetNetwork: depositAddress.network,
+      tokenContractAddress: priceData.tokenAddress,
+
+      exchangeRate: priceData.unitPriceInNgn,
+      grossNgnAmount: priceData.totalNgnOutput,
+      feePercentage,
+      feeAmount,
+      netNgnAmount,
+
+      // Saved bank account, verified when it was registered
+      recipientAccountNumber: customer.recipientAccountNumber,
+      recipientAccountName: customer.recipientAccountName,
+      recipientBankCode: customer.recipientBankCode,
+      recipientBankName: customer.recipientBankName,
+      accountVerified: true,
+      accountVerificationData: {
+        verifiedName: customer.recipientAccountName,
+        verifiedBank: { code: customer.recipientBankCode, name: customer.recipientBankName },
+        verifiedAt: customer.accountVerifiedAt
+      },
+
+      depositWallet: {
+        address: depositAddress.address,
+        network: depositAddress.network,
+        derivationIndex: depositAddress.derivationIndex,
+        generatedAt: depositAddress.createdAt,
+        expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000)
+      },
+
+      status: BUSINESS_OFFRAMP_STATUS.PENDING_DEPOSIT,
+      webhookUrl: customer.webhookUrl,
+
+      metadata: {
+        depositMode: 'customer_address',
+        tokenValidation: priceData.validation,
+        pricingSource: priceData.source,
+        pricingTimestamp: priceData.timestamp,
+        currentOfframpRate: priceData.usdcToNgnRate,
+        rateSource: priceData.rateSource,
+        ...(priceData.network === 'base' && {
+          baseData: {
+            usdcValue: priceData.usdcValue,
+            pricePerTokenUsdc: priceData.pricePerTokenUsdc,
+            bestRoute: priceData.bestRoute,
+            swapRoute: priceData.swapRoute
+          }
+        }),
+        ...(priceData.network === 'solana' && {
+          solanaData: {
+            usdcValue: priceData.usdcValue,
+            pricePerTokenUsdc: priceData.pricePerTokenUsdc,
+            bestRoute: priceData.bestRoute,
+            priceImpact: priceData.priceImpact,
+            jupiterQuote: priceData.swapRoute?.jupiterQuote
+          }
+        })
+      },
+
+      createdAt: new Date(),
+      expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000)
+    });
+
+    try {
+      await order.save();
+    } catch (saveError) {
+      if (saveError.code === 11000) {
+        return { statusCode: 200, body: { success: true, message: 'Deposit already processed' } };
+      }
+      throw saveError;
+    }
+
+    await OfframpCustomer.recordDeposit(customer.customerId);
+    console.log(`${tag} ✅ Order ${order.orderId} opened: ${order.tokenAmount} ${order.targetToken} → ₦${order.netNgnAmount.toLocaleString()} to ${order.recipientAccountNumber}`);
+
+    if (order.webhookUrl) {
+      sendBusinessOfframpWebhook(order.webhookUrl, {
+        orderId: order.orderId,
+        businessOrderReference: order.businessOrderReference,
+        customerId: customer.customerId,
+        status: order.status,
+        tokenAmount: order.tokenAmount,
+        targetToken: order.targetToken,
+        targetNetwork: order.targetNetwork,
+        netNgnAmount: order.netNgnAmount,
+        exchangeRate: order.exchangeRate,
+        customerEmail: order.customerEmail,
+        depositWallet: order.depositWallet.address,
+        transactionHash
+      }, 'offramp_order.created')
+        .catch(error => console.error(`${tag} Webhook failed:`, error.message));
+    }
+
+    return offrampWebhookHandler.applyOrderDeposit(order, deposit);
+  }
+};
+
+/**
+ * Start the offramp background jobs. Called from app bootstrap once MongoDB is connected.
+ */
+function startBackgroundJobs() {
+  // Detect deposits into offramp wallets without waiting on an external monitor
+  depositWatcher.start();
+
+  // Move finished deposit wallets' funds to the treasury
+  depositSweeper.start();
+
+  // Chase payouts whose status webhook never arrived
+  payoutStatusPoller.start();
+
+  // Send deposits to expired or cancelled orders back
+  lateDepositRefunder.start();
+
+  // Retry swaps held back by the slippage budget
+  swapRetryScheduler.start();
+}
 
 module.exports = businessOfframpController;
+module.exports.startBackgroundJobs = startBackgroundJobs;
 
 /**
  * COMPLETE CONTROLLER SUMMARY
@@ -1914,7 +3005,7 @@ module.exports = businessOfframpController;
  * 
  * 🔧 Key Features:
  * - Network-targeted token processing (Base, Solana, Ethereum)
- * - Pricing API integration with fallback strategies
+ * - NGN rates from the rate engine, with no hard-coded fallback
  * - Bank account verification via Lenco API
  * - Automatic wallet generation for deposits
  * - Comprehensive error handling and validation
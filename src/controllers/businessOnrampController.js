@@ -5,15 +5,28 @@
  * Version: v4.0 - Enhanced with caching, provider selection, and improved monitoring
  */
 
-const { BusinessOnrampOrder, BUSINESS_ORDER_STATUS } = require('../models/BusinessOnrampOrder');
+const { BusinessOnrampOrder, BUSINESS_ORDER_STATUS, PAYMENT_MISMATCH_ACTIONS } = require('../models/BusinessOnrampOrder');
+const { Quote, QUOTE_TYPES, QUOTE_VALID_FOR_SECONDS } = require('../models/Quote');
+const { OnrampRefund, REFUND_SOURCES } = require('../models/OnrampRefund');
+const { CustomerFundingAccount, FUNDING_ACCOUNT_MODES } = require('../models/CustomerFundingAccount');
+const { OnrampSchedule, SCHEDULE_STATUS, SCHEDULE_FREQUENCIES, SCHEDULE_FUNDING_METHODS } = require('../models/OnrampSchedule');
+const { OnrampBatch, BATCH_STATUS, BATCH_ROW_STATUS } = require('../models/OnrampBatch');
+const { LIQUIDITY_RESERVATION_STATUS } = require('../models/LiquidityReservation');
 const { Business } = require('../models');
 const monnifyService = require('../services/monnifyService');
+const refundService = require('../services/refundService');
+const onrampScheduler = require('../services/onrampScheduler');
+const reconciliationService = require('../services/reconciliationService');
+const settlementVerifier = require('../services/settlementVerifier');
+const rateEngine = require('../services/rateEngine');
+const walletGeneratorService = require('../services/walletGeneratorService');
 const { OnrampPriceChecker } = require('../services/onrampPriceChecker');
 const { SolanaTokenPriceChecker } = require('../services/solanaOnrampPriceChecker.js');
 const { liquidityService } = require('../services/liquidityService'); // Enhanced liquidity service
 const axios = require('axios');
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
+const Papa = require('papaparse');
 const { BASE_CONFIG } = require('../config/baseConfig');
 const { SOLANA_CONFIG } = require('../config/solanaConfig');
 const { DEFAULT_TOKENS } = require('../config/defaultTokens');
@@ -28,11 +41,479 @@ const liquidityCache = new Map();
 const CACHE_TTL = 60 * 1000; // 1 minute cache
 const ORDER_TIMEOUT = 5 * 60 * 1000; // 5 minutes
 
+// Handling for Monnify payments that don't match the order amount
+const PAYMENT_MISMATCH_CONFIG = {
+  // Differences at or below this percentage are treated as an exact payment
+  TOLERANCE_PERCENT: parseFloat(process.env.ONRAMP_PAYMENT_TOLERANCE_PERCENT || '0'),
+  // Underpayments up to this percentage settle pro-rata; larger ones are held for review
+  MAX_AUTO_SETTLE_UNDERPAYMENT_PERCENT: parseFloat(process.env.ONRAMP_MAX_AUTO_SETTLE_UNDERPAYMENT_PERCENT || '5'),
+  // 'settle' delivers tokens for the full amount paid, 'refund_excess' settles the ordered amount and flags the rest
+  OVERPAYMENT_MODE: process.env.ONRAMP_OVERPAYMENT_MODE === 'settle' ? 'settle' : 'refund_excess'
+};
+
+// CSV batch limits
+const BATCH_CONFIG = {
+  MAX_ROWS: parseInt(process.env.ONRAMP_BATCH_MAX_ROWS || '500'),
+  REQUIRED_COLUMNS: ['wallet', 'token', 'network', 'amount'],
+  RESULT_COLUMNS: ['rowNumber', 'wallet', 'token', 'network', 'amount', 'reference', 'status', 'orderId',
+    'estimatedTokenAmount', 'actualTokenAmount', 'transactionHash', 'error']
+};
+
 console.log('[ENHANCED_CONTROLLER] 🚀 Enhanced Token Onramp Controller v4.0 Initialized');
 console.log('[ENHANCED_CONTROLLER] ✅ Active order tracking enabled');
 console.log('[ENHANCED_CONTROLLER] ✅ Liquidity caching enabled (TTL: 60s)');
 console.log('[ENHANCED_CONTROLLER] ✅ Provider selection optimization enabled');
 
+/**
+ * Network-specific pricing data stored on the order metadata (smartContractData / jupiterData).
+ * Settlement reads the USDC value from here.
+ */
+function buildNetworkPricingMetadata(priceData) {
+  if (priceData.network === 'base' && priceData.usdcValue) {
+    return {
+      smartContractData: {
+        usdcValue: priceData.usdcValue,
+        pricePerTokenUsdc: priceData.pricePerTokenUsdc,
+        bestRoute: priceData.bestRoute,
+        reserveSupported: priceData.reserveSupported,
+        liquidityAdequate: priceData.hasAdequatePoolLiquidity,
+        swapRoute: priceData.swapRoute,
+        actualUsdcValue: priceData.validation.actualUsdcValue,
+        isNativeToken: priceData.isNativeToken,
+        processingTime: priceData.processingTime
+      }
+    };
+  }
+
+  if (priceData.network === 'solana') {
+    return {
+      jupiterData: {
+        usdcValue: priceData.usdcValue,
+        pricePerTokenUsdc: priceData.pricePerTokenUsdc,
+        bestRoute: priceData.bestRoute,
+        priceImpact: priceData.priceImpact,
+        routeSteps: priceData.swapRoute.routeSteps,
+        jupiterQuote: priceData.swapRoute.jupiterQuote,
+        actualUsdcValue: priceData.validation.actualUsdcValue,
+        isNativeToken: priceData.isNativeToken,
+        processingTime: priceData.processingTime
+      }
+    };
+  }
+
+  return {};
+}
+
+// Public shape of a customer funding account
+function formatFundingAccount(fundingAccount) {
+  return {
+    accountReference: fundingAccount.accountReference,
+    customerEmail: fundingAccount.customerEmail,
+    customerName: fundingAccount.customerName,
+    accountName: fundingAccount.accountName,
+    accounts: fundingAccount.accounts,
+    targetToken: fundingAccount.targetToken,
+    targetNetwork: fundingAccount.targetNetwork,
+    customerWallet: fundingAccount.customerWallet,
+    status: fundingAccount.status,
+    mode: fundingAccount.mode,
+    availableBalance: fundingAccount.availableBalance,
+    totalReceived: fundingAccount.totalReceived,
+    transferCount: fundingAccount.transferCount,
+    lastTransferAt: fundingAccount.lastTransferAt,
+    createdAt: fundingAccount.createdAt
+  };
+}
+
+// Public shape of a recurring schedule (card token never leaves the database)
+function formatSchedule(schedule) {
+  return {
+    scheduleId: schedule.scheduleId,
+    status: schedule.status,
+    pausedReason: schedule.pausedReason,
+    customerEmail: schedule.customerEmail,
+    customerName: schedule.customerName,
+    amount: schedule.amount,
+    targetToken: schedule.targetToken,
+    targetNetwork: schedule.targetNetwork,
+    customerWallet: schedule.customerWallet,
+    frequency: schedule.frequency,
+    fundingMethod: schedule.fundingMethod,
+    fundingAccountReference: schedule.fundingAccountReference,
+    startAt: schedule.startAt,
+    endDate: schedule.endDate,
+    maxRuns: schedule.maxRuns,
+    nextRunAt: schedule.nextRunAt,
+    lastRunAt: schedule.lastRunAt,
+    runCount: schedule.runCount,
+    successfulRuns: schedule.successfulRuns,
+    consecutiveFailures: schedule.consecutiveFailures,
+    createdAt: schedule.createdAt
+  };
+}
+
+/**
+ * Parse an uploaded batch CSV. Headers are matched case-insensitively;
+ * wallet, token, network and amount are required, reference, email and name are optional.
+ */
+function parseBatchCsv(buffer) {
+  const parsed = Papa.parse(buffer.toString('utf8').replace(/^\uFEFF/, ''), {
+    header: true,
+    skipEmptyLines: 'greedy',
+    transformHeader: header => header.trim().toLowerCase()
+  });
+
+  const columns = parsed.meta.fields || [];
+  const missing = BATCH_CONFIG.REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    return { error: `CSV is missing required column(s): ${missing.join(', ')}` };
+  }
+
+  return {
+    rows: parsed.data.map((row, index) => ({
+      rowNumber: index + 1,
+      wallet: (row.wallet || '').trim(),
+      token: (row.token || '').trim().toUpperCase(),
+      network: (row.network || '').trim().toLowerCase(),
+      amount: parseFloat(String(row.amount || '').replace(/[,₦\s]/g, '')),
+      reference: (row.reference || '').trim() || undefined,
+      customerEmail: (row.email || '').trim().toLowerCase() || undefined,
+      customerName: (row.name || '').trim() || undefined
+    }))
+  };
+}
+
+/**
+ * Validate batch rows with the same checks as single orders (network, wallet format, amount,
+ * token enabled for the business) and price each token once to estimate what every row receives.
+ */
+async function validateBatchRows(business, rows, defaults) {
+  const supportedNetworks = ['base', 'solana', 'ethereum'];
+
+  for (const row of rows) {
+    const errors = [];
+
+    row.customerEmail = row.customerEmail || defaults.customerEmail;
+    row.customerName = row.customerName || defaults.customerName;
+
+    if (!supportedNetworks.includes(row.network)) {
+      errors.push(`Unsupported network: ${row.network || '(empty)'}`);
+    } else {
+      if (!walletGeneratorService.validateWalletAddress(row.wallet, row.network)) {
+        errors.push(`Invalid ${row.network} wallet address`);
+      }
+
+      const tokenInfo = business.supportedTokens?.[row.network]?.find(
+        t => t.symbol.toUpperCase() === row.token &&
+             t.isActive !== false &&
+             t.isTradingEnabled !== false
+      );
+      if (!tokenInfo) {
+        errors.push(`Token ${row.token || '(empty)'} is not configured for your business on ${row.network}`);
+      }
+    }
+
+    if (isNaN(row.amount)) {
+      errors.push('Amount must be a number');
+    } else if (row.amount < 1000 || row.amount > 10000000) {
+      errors.push('Amount must be between ₦1,000 and ₦10,000,000');
+    }
+
+    if (!row.customerEmail || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(row.customerEmail)) {
+      errors.push('A valid email is required (email column or customerEmail field)');
+    }
+
+    row.validationErrors = errors;
+    row.status = errors.length > 0 ? BATCH_ROW_STATUS.INVALID : BATCH_ROW_STATUS.PENDING;
+  }
+
+  // Price each token/network pair once rather than once per row
+  const pairs = [...new Set(rows
+    .filter(row => row.status === BATCH_ROW_STATUS.PENDING)
+    .map(row => `${row.network}:${row.token}`))];
+
+  for (const pair of pairs) {
+    const [network, token] = pair.split(':');
+    const pairRows = rows.filter(row => row.status === BATCH_ROW_STATUS.PENDING && row.network === network && row.token === token);
+
+    const tokenInfo = business.supportedTokens[network].find(t => t.symbol.toUpperCase() === token);
+    const feeConfig = business.feeConfiguration?.[network]?.find(
+      f => f.contractAddress?.toLowerCase() === tokenInfo.contractAddress?.toLowerCase() && f.isActive
+    );
+    const feePercentage = feeConfig ? feeConfig.feePercentage : 0;
+
+    global.currentRequestNetwork = network;
+    try {
+      const priceData = await validateAndPriceToken(token, business, 1);
+      for (const row of pairRows) {
+        const netAmount = row.amount - Math.round(row.amount * (feePercentage / 100));
+        row.estimatedTokenAmount = parseFloat((netAmount / priceData.unitPriceInNgn).toFixed(priceData.decimals || 18));
+      }
+    } catch (pricingError) {
+      for (const row of pairRows) {
+        row.status = BATCH_ROW_STATUS.INVALID;
+        row.validationErrors = [`Token ${token} on ${network} could not be priced: ${pricingError.message}`];
+      }
+    } finally {
+      delete global.currentRequestNetwork;
+    }
+  }
+
+  return rows;
+}
+
+// Public shape of a batch (rows are returned separately)
+function formatBatch(batch) {
+  return {
+    batchId: batch.batchId,
+    status: batch.status,
+    fileName: batch.fileName,
+    totalRows: batch.totalRows,
+    validRows: batch.validRows,
+    invalidRows: batch.invalidRows,
+    completedRows: batch.completedRows,
+    failedRows: batch.failedRows,
+    funding: {
+      totalAmount: batch.totalAmount,
+      paidAmount: batch.paidAmount,
+      unsettledAmount: batch.unsettledAmount,
+      reference: batch.fundingReference,
+      checkoutUrl: batch.status === BATCH_STATUS.AWAITING_FUNDING ? batch.checkoutUrl : undefined,
+      expiresAt: batch.fundingExpiresAt,
+      fundedAt: batch.fundedAt
+    },
+    createdAt: batch.createdAt,
+    completedAt: batch.completedAt
+  };
+}
+
+// Update one row in place (rows never move, so the array index is stable) and mirror it on the document
+async function setBatchRow(batch, index, fields, extraUpdate = {}) {
+  const $set = {};
+  for (const [key, value] of Object.entries(fields)) {
+    $set[`rows.${index}.${key}`] = value;
+    batch.rows[index][key] = value;
+  }
+  await OnrampBatch.updateOne({ _id: batch._id }, { $set, ...extraUpdate });
+}
+
+/**
+ * Pull the latest child order results into the batch rows, finish the batch once every row
+ * has settled and send batch.completed once.
+ */
+async function refreshBatch(batch) {
+  if (batch.status !== BATCH_STATUS.PROCESSING) {
+    return batch;
+  }
+
+  const orders = await BusinessOnrampOrder.find({ batchId: batch.batchId })
+    .select('orderId batchRowNumber status actualTokenAmount transactionHash errorMessage');
+  const ordersByRow = new Map(orders.map(order => [order.batchRowNumber, order]));
+
+  for (let i = 0; i < batch.rows.length; i++) {
+    const row = batch.rows[i];
+    const order = ordersByRow.get(row.rowNumber);
+    if (row.status !== BATCH_ROW_STATUS.ORDER_CREATED || !order) continue;
+
+    if (order.status === BUSINESS_ORDER_STATUS.COMPLETED) {
+      await setBatchRow(batch, i, {
+        status: BATCH_ROW_STATUS.COMPLETED,
+        actualTokenAmount: order.actualTokenAmount,
+        transactionHash: order.transactionHash
+      });
+    } else if ([BUSINESS_ORDER_STATUS.FAILED, BUSINESS_ORDER_STATUS.CANCELLED, BUSINESS_ORDER_STATUS.EXPIRED].includes(order.status)) {
+      await setBatchRow(batch, i, {
+        status: BATCH_ROW_STATUS.FAILED,
+        error: order.errorMessage || `Order ${order.status}`
+      });
+    }
+  }
+
+  batch.refreshTotals();
+  const finished = await OnrampBatch.findOneAndUpdate(
+    { _id: batch._id, status: BATCH_STATUS.PROCESSING },
+    {
+      $set: {
+        completedRows: batch.completedRows,
+        failedRows: batch.failedRows,
+        status: batch.status,
+        completedAt: batch.completedAt,
+        updatedAt: new Date()
+      }
+    },
+    { new: true }
+  );
+
+  if (finished?.isFinished() && !finished.completionNotifiedAt) {
+    const claimed = await OnrampBatch.findOneAndUpdate(
+      { _id: batch._id, completionNotifiedAt: null },
+      { $set: { completionNotifiedAt: new Date() } }
+    );
+    if (claimed && batch.webhookUrl) {
+      sendBusinessWebhook(batch.webhookUrl, formatBatch(batch), 'batch.completed')
+        .catch(err => console.error(`[BATCH_${batch.batchId}] Webhook failed:`, err.message));
+    }
+    console.log(`[BATCH_${batch.batchId}] 🏁 Batch ${batch.status}: ${batch.completedRows} delivered, ${batch.failedRows} failed`);
+  }
+
+  return batch;
+}
+
+/**
+ * Price an amount that is already funded and build (but don't save) its INITIATED order.
+ * Used where the naira arrives without a checkout - reserved-account transfers and scheduled runs.
+ * Returns { order } or { error } when the token is no longer tradable or pricing fails.
+ */
+async function buildPricedOrder(business, params, requestId) {
+  const {
+    amount,
+    targetToken,
+    targetNetwork: network,
+    referencePrefix,
+    metadata = {},
+    ...orderFields
+  } = params;
+
+  const tokenInfo = business?.supportedTokens?.[network]?.find(
+    t => t.symbol.toUpperCase() === targetToken &&
+         t.isActive !== false &&
+         t.isTradingEnabled !== false
+  );
+  if (!tokenInfo) {
+    return { error: `Token ${targetToken} is no longer enabled on ${network}` };
+  }
+
+  const feeConfig = business.feeConfiguration?.[network]?.find(
+    f => f.contractAddress?.toLowerCase() === tokenInfo.contractAddress?.toLowerCase() && f.isActive
+  );
+  const feePercentage = feeConfig ? feeConfig.feePercentage : 0;
+  const feeAmount = Math.round(amount * (feePercentage / 100));
+  const netAmount = amount - feeAmount;
+
+  let priceData;
+  global.currentRequestNetwork = network;
+  try {
+    priceData = await validateAndPriceToken(targetToken, business, 1, netAmount);
+  } catch (pricingError) {
+    return { error: `Pricing failed: ${pricingError.message}` };
+  } finally {
+    delete global.currentRequestNetwork;
+  }
+
+  const order = new BusinessOnrampOrder({
+    ...orderFields,
+    orderId: `OR_${Date.now()}_${Math.random().toString(36).substr(2, 9).toUpperCase()}`,
+    businessId: business._id,
+    businessOrderReference: `${referencePrefix}-${targetToken}-${uuidv4().substr(0, 8).toUpperCase()}`,
+    amount,
+    targetToken,
+    targetNetwork: network,
+    tokenContractAddress: priceData.tokenAddress,
+    exchangeRate: priceData.unitPriceInNgn,
+    estimatedTokenAmount: parseFloat(priceData.cryptoAmount.toFixed(priceData.decimals || 18)),
+    feePercentage,
+    feeAmount,
+    netAmount,
+    status: BUSINESS_ORDER_STATUS.INITIATED,
+    metadata: {
+      ...metadata,
+      processingMetadata: {
+        requestId,
+        createdAt: new Date().toISOString(),
+        processingVersion: '4.0-enhanced',
+        networkRouting: priceData.networkRouting
+      },
+      tokenValidation: priceData.validation,
+      pricingSource: priceData.source,
+      pricingTimestamp: priceData.timestamp,
+      currentUsdcRate: priceData.usdcToNgnRate,
+      rateSource: priceData.rateSource,
+      ...buildNetworkPricingMetadata(priceData)
+    },
+    createdAt: new Date(),
+    expiresAt: new Date(Date.now() + 30 * 60 * 1000)
+  });
+
+  return { order };
+}
+
+/**
+ * Compare the amount paid on Monnify with the order amount and decide how to settle.
+ * Returns null when the payment matches (within tolerance), otherwise the paymentMismatch record.
+ */
+function evaluatePaymentMismatch(order, paidAmount) {
+  const expectedAmount = order.amount;
+  const difference = parseFloat((paidAmount - expectedAmount).toFixed(2));
+  const differencePercent = expectedAmount > 0 ? Math.abs(difference) / expectedAmount * 100 : 0;
+
+  if (difference === 0 || differencePercent <= PAYMENT_MISMATCH_CONFIG.TOLERANCE_PERCENT) {
+    return null;
+  }
+
+  const mismatch = {
+    type: difference < 0 ? 'underpayment' : 'overpayment',
+    expectedAmount,
+    paidAmount,
+    difference,
+    differencePercent: parseFloat(differencePercent.toFixed(4)),
+    originalTokenAmount: order.estimatedTokenAmount,
+    originalFeeAmount: order.feeAmount,
+    originalNetAmount: order.netAmount,
+    detectedAt: new Date()
+  };
+
+  // Re-price the amount actually paid at the order's locked rate and fee
+  const repriced = () => {
+    const adjustedFeeAmount = Math.round(paidAmount * (order.feePercentage / 100));
+    const adjustedNetAmount = paidAmount - adjustedFeeAmount;
+    const settlementRatio = order.netAmount > 0 ? adjustedNetAmount / order.netAmount : 1;
+
+    return {
+      adjustedFeeAmount,
+      adjustedNetAmount,
+      settlementRatio: parseFloat(settlementRatio.toFixed(8)),
+      adjustedTokenAmount: parseFloat((order.estimatedTokenAmount * settlementRatio).toFixed(8))
+    };
+  };
+
+  if (mismatch.type === 'underpayment') {
+    if (differencePercent > PAYMENT_MISMATCH_CONFIG.MAX_AUTO_SETTLE_UNDERPAYMENT_PERCENT) {
+      return {
+        ...mismatch,
+        ...repriced(),
+        action: PAYMENT_MISMATCH_ACTIONS.HELD_FOR_REVIEW,
+        requiresReview: true
+      };
+    }
+
+    return {
+      ...mismatch,
+      ...repriced(),
+      action: PAYMENT_MISMATCH_ACTIONS.SETTLED_PRO_RATA
+    };
+  }
+
+  if (PAYMENT_MISMATCH_CONFIG.OVERPAYMENT_MODE === 'settle') {
+    return {
+      ...mismatch,
+      ...repriced(),
+      action: PAYMENT_MISMATCH_ACTIONS.SETTLED_AT_PAID_AMOUNT
+    };
+  }
+
+  // Settle what was ordered and flag the excess for an NGN refund
+  return {
+    ...mismatch,
+    action: PAYMENT_MISMATCH_ACTIONS.EXCESS_FLAGGED_FOR_REFUND,
+    adjustedTokenAmount: order.estimatedTokenAmount,
+    adjustedFeeAmount: order.feeAmount,
+    adjustedNetAmount: order.netAmount,
+    settlementRatio: 1,
+    refundAmount: difference,
+    refundStatus: 'pending'
+  };
+}
+
 /**
  * Enhanced liquidity check with correct single-provider validation
  */
@@ -256,6 +737,42 @@ function registerActiveOrder(customerEmail, targetToken, targetNetwork, orderId)
   }, ORDER_TIMEOUT);
 }
 
+/**
+ * Undo what a failed order creation had already set up: the liquidity reservation, the locked
+ * quote claim, the duplicate-order slot and the saved order (moved to failed).
+ * @param {Object} state - { orderId, liquidityReserved, quoteId, activeOrderKey, order, completed }
+ */
+async function rollbackOrderCreation(state, reason, requestId) {
+  if (state.completed || !state.orderId) return;
+  const tag = `[CREATE_ORDER_${requestId}]`;
+
+  try {
+    if (state.liquidityReserved) {
+      await liquidityService.releaseReservation(state.orderId, LIQUIDITY_RESERVATION_STATUS.RELEASED, `Order creation failed: ${reason}`);
+    }
+
+    if (state.quoteId) {
+      const released = await Quote.releaseClaim(state.quoteId, state.orderId);
+      if (released) {
+        console.log(`${tag} ↩️ Quote ${state.quoteId} released for retry`);
+      }
+    }
+
+    if (state.activeOrderKey) {
+      activeOrders.delete(state.activeOrderKey);
+    }
+
+    if (state.order && state.order.canTransitionTo(BUSINESS_ORDER_STATUS.FAILED)) {
+      state.order.markAsFailed(`Order creation failed: ${reason}`, { actor: 'system' });
+      await state.order.save();
+    }
+
+    console.log(`${tag} 🧹 Rolled back partially created order ${state.orderId}`);
+  } catch (rollbackError) {
+    console.error(`${tag} ⚠️ Failed to roll back order ${state.orderId}:`, rollbackError.message);
+  }
+}
+
 /**
  * Ensure business has default tokens
  */
@@ -333,79 +850,6 @@ async function ensureBusinessHasDefaultTokens(business) {
   }
 }
 
-/**
- * Enhanced USDC to NGN rate with multiple fallbacks
- */
-async function getUSDCToNGNRate() {
-  const startTime = Date.now();
-  console.log('[USDC_NGN_RATE] 💱 Fetching current USDC to NGN exchange rate...');
-
-  try {
-    const baseUrl = process.env.INTERNAL_API_BASE_URL || 'http://localhost:5002';
-
-    console.log(`[USDC_NGN_RATE] 🌐 Primary source: ${baseUrl}/api/v1/onramp-price`);
-
-    try {
-      const response = await axios.get(`${baseUrl}/api/v1/onramp-price`, {
-        params: {
-          cryptoSymbol: 'USDC',
-          cryptoAmount: 1
-        },
-        timeout: 10000,
-        headers: {
-          'Content-Type': 'application/json',
-          'User-Agent': 'OnrampService/4.0'
-        }
-      });
-
-      if (response.data && response.data.success && response.data.data) {
-        const usdcRate = response.data.data.unitPriceInNgn;
-        const fetchTime = Date.now() - startTime;
-        console.log(`[USDC_NGN_RATE] ✅ SUCCESS - Primary API: ₦${usdcRate.toLocaleString()} (${fetchTime}ms)`);
-        return usdcRate;
-      } else {
-        console.warn('[USDC_NGN_RATE] ⚠️  Primary API returned invalid data:', response.data);
-        throw new Error('Invalid response from primary onramp API');
-      }
-    } catch (primaryError) {
-      console.warn(`[USDC_NGN_RATE] ❌ Primary API failed (${Date.now() - startTime}ms):`, primaryError.message);
-
-      console.log(`[USDC_NGN_RATE] 🔄 Trying fallback: ${baseUrl}/api/v1/exchange-rate/usdc-ngn`);
-
-      try {
-        const exchangeResponse = await axios.get(`${baseUrl}/api/v1/exchange-rate/usdc-ngn`, {
-          timeout: 5000,
-          headers: {
-            'Content-Type': 'application/json',
-            'User-Agent': 'OnrampService/4.0'
-          }
-        });
-
-        if (exchangeResponse.data && exchangeResponse.data.success) {
-          const rate = exchangeResponse.data.data.rate;
-          const fallbackTime = Date.now() - startTime;
-          console.log(`[USDC_NGN_RATE] ✅ SUCCESS - Fallback API: ₦${rate.toLocaleString()} (${fallbackTime}ms)`);
-          return rate;
-        }
-      } catch (fallbackError) {
-        console.warn(`[USDC_NGN_RATE] ❌ Fallback API failed (${Date.now() - startTime}ms):`, fallbackError.message);
-      }
-
-      const envRate = process.env.CURRENT_USDC_NGN_RATE || 1720;
-      const envFallbackTime = Date.now() - startTime;
-      console.log(`[USDC_NGN_RATE] 🔧 Using ENV fallback: ₦${envRate} (${envFallbackTime}ms) - UPDATE CURRENT_USDC_NGN_RATE`);
-      return parseFloat(envRate);
-    }
-
-  } catch (error) {
-    console.error(`[USDC_NGN_RATE] 🆘 Complete failure (${Date.now() - startTime}ms):`, error.message);
-
-    const emergencyRate = 1720;
-    console.log(`[USDC_NGN_RATE] 🚨 EMERGENCY fallback: ₦${emergencyRate} - CRITICAL: Update rate sources!`);
-    return emergencyRate;
-  }
-}
-
 /**
  * ENHANCED: Process Base network tokens with improved logging and error handling
  */
@@ -463,7 +907,7 @@ async function processBaseNetworkTokenFixed(cryptoSymbol, tokenInfo, cryptoAmoun
 
     console.log(`[BASE_PROCESSOR_${processingId}] 🏦 Fetching current USDC-NGN exchange rate...`);
     const rateStart = Date.now();
-    const usdcToNgnRate = await getUSDCToNGNRate();
+    const { rate: usdcToNgnRate } = await rateEngine.getRate('onramp', 'USDC');
     const rateTime = Date.now() - rateStart;
     console.log(`[BASE_PROCESSOR_${processingId}] ✅ Exchange rate obtained (${rateTime}ms): 1 USDC = ₦${usdcToNgnRate.toLocaleString()}`);
 
@@ -601,7 +1045,7 @@ async function processSolanaNetworkToken(cryptoSymbol, tokenInfo, cryptoAmount,
 
     console.log(`[SOLANA_PROCESSOR_${processingId}] 🏦 Fetching current USDC-NGN rate...`);
     const rateStart = Date.now();
-    const usdcToNgnRate = await getUSDCToNGNRate();
+    const { rate: usdcToNgnRate } = await rateEngine.getRate('onramp', 'USDC');
     const rateTime = Date.now() - rateStart;
     console.log(`[SOLANA_PROCESSOR_${processingId}] ✅ Exchange rate obtained (${rateTime}ms): 1 USDC = ₦${usdcToNgnRate.toLocaleString()}`);
 
@@ -722,7 +1166,7 @@ async function processSolanaNetworkToken(cryptoSymbol, tokenInfo, cryptoAmount,
   }
 
   /**
-   * Process non-Base/Solana tokens using internal API
+   * Process non-Base/Solana tokens straight from the rate engine's NGN rate for the symbol
    */
   async function processNonBaseToken(cryptoSymbol, tokenInfo, network, cryptoAmount) {
     const processingId = Math.random().toString(36).substr(2, 8);
@@ -730,47 +1174,32 @@ async function processSolanaNetworkToken(cryptoSymbol, tokenInfo, cryptoAmount,
 
     try {
       const startTime = Date.now();
-      const baseUrl = process.env.INTERNAL_API_BASE_URL || 'http://localhost:5002';
-
-      console.log(`[NON_BASE_PROCESSOR_${processingId}] 🌐 Fetching from: ${baseUrl}/api/v1/onramp-price`);
-
-      const response = await axios.get(`${baseUrl}/api/v1/onramp-price`, {
-        params: {
-          cryptoSymbol: cryptoSymbol,
-          cryptoAmount: cryptoAmount,
-          network: network
-        },
-        timeout: 10000
-      });
-
+      const rate = await rateEngine.getRate('onramp', cryptoSymbol);
       const fetchTime = Date.now() - startTime;
 
-      if (!response.data || !response.data.success) {
-        console.error(`[NON_BASE_PROCESSOR_${processingId}] ❌ API call failed (${fetchTime}ms):`, response.data?.message);
-        throw new Error(response.data?.message || `Failed to get price for ${cryptoSymbol} on ${network}`);
-      }
-
-      const priceData = response.data.data;
+      const unitPriceInNgn = rate.rate;
+      const totalNgnNeeded = unitPriceInNgn * cryptoAmount;
 
-      console.log(`[NON_BASE_PROCESSOR_${processingId}] ✅ ${network} API success (${fetchTime}ms): 1 ${cryptoSymbol} = ₦${priceData.unitPriceInNgn.toLocaleString()}`);
+      console.log(`[NON_BASE_PROCESSOR_${processingId}] ✅ ${rate.source} rate (${fetchTime}ms): 1 ${cryptoSymbol} = ₦${unitPriceInNgn.toLocaleString()}`);
 
       return {
-        cryptoSymbol: priceData.cryptoSymbol,
-        cryptoAmount: priceData.cryptoAmount,
+        cryptoSymbol: rate.token,
+        cryptoAmount: cryptoAmount,
         network: network,
         tokenAddress: tokenInfo.contractAddress,
         decimals: tokenInfo.decimals,
 
-        unitPriceInNgn: priceData.unitPriceInNgn,
-        totalNgnNeeded: priceData.totalNgnNeeded,
-        exchangeRate: priceData.unitPriceInNgn,
-        ngnToTokenRate: 1 / priceData.unitPriceInNgn,
+        unitPriceInNgn: unitPriceInNgn,
+        totalNgnNeeded: totalNgnNeeded,
+        exchangeRate: unitPriceInNgn,
+        ngnToTokenRate: 1 / unitPriceInNgn,
 
-        formattedPrice: priceData.formattedPrice,
-        exchangeRateString: priceData.exchangeRate,
+        formattedPrice: `₦${unitPriceInNgn.toLocaleString()}`,
+        exchangeRateString: `1 ${rate.token} = ₦${unitPriceInNgn.toLocaleString()}`,
 
-        timestamp: new Date(priceData.timestamp),
-        source: priceData.source || 'internal_api',
+        timestamp: rate.fetchedAt,
+        source: rate.source,
+        rateStale: rate.stale,
         processingTime: fetchTime,
         validation: {
           businessSupported: true,
@@ -1198,6 +1627,9 @@ async function processSolanaNetworkToken(cryptoSymbol, tokenInfo, cryptoAmount,
       console.log(`[CREATE_ORDER_${orderRequestId}] 🚀 Starting enhanced universal token onramp order creation`);
       console.log(`[CREATE_ORDER_${orderRequestId}] 🔧 Enhanced features: Caching ✅ | Provider Selection ✅ | Duplicate Protection ✅ | Advanced Monitoring ✅`);
 
+      // Filled in as the order is set up, so a failure part-way can be rolled back
+      const creationState = { orderId: null, liquidityReserved: false, quoteId: null, activeOrderKey: null, order: null, completed: false };
+
       try {
         const orderStartTime = Date.now();
         const business = req.business;
@@ -1211,6 +1643,7 @@ async function processSolanaNetworkToken(cryptoSymbol, tokenInfo, cryptoAmount,
           customerWallet,
           redirectUrl,
           webhookUrl,
+          quoteId,
           metadata = {}
         } = req.body;
 
@@ -1274,6 +1707,40 @@ async function processSolanaNetworkToken(cryptoSymbol, tokenInfo, cryptoAmount,
       global.currentRequestNetwork = targetNetwork.toLowerCase();
 
       try {
+        // Step 0: Load the locked quote when the business is creating from a /quote result
+        let lockedQuote = null;
+        if (quoteId) {
+          console.log(`[CREATE_ORDER_${orderRequestId}] 🔒 Loading locked quote: ${quoteId}`);
+          lockedQuote = await Quote.findForBusiness(quoteId, business._id, QUOTE_TYPES.ONRAMP);
+
+          if (!lockedQuote) {
+            console.error(`[CREATE_ORDER_${orderRequestId}] ❌ Quote not found: ${quoteId}`);
+            return res.status(404).json({
+              success: false,
+              message: `Quote ${quoteId} not found`,
+              code: 'QUOTE_NOT_FOUND'
+            });
+          }
+
+          const unusable = lockedQuote.getUnusableReason({ targetToken, targetNetwork, amount });
+          if (unusable) {
+            console.error(`[CREATE_ORDER_${orderRequestId}] ❌ Quote cannot be used: ${unusable.message}`);
+            return res.status(unusable.status).json({
+              success: false,
+              message: unusable.message,
+              details: {
+                quoteId,
+                expiresAt: lockedQuote.expiresAt,
+                usedByOrderId: lockedQuote.usedByOrderId,
+                mismatches: unusable.mismatches
+              },
+              code: unusable.code
+            });
+          }
+
+          console.log(`[CREATE_ORDER_${orderRequestId}] ✅ Honoring locked quote (rate ₦${lockedQuote.exchangeRate.toLocaleString()}, expires ${lockedQuote.expiresAt.toISOString()})`);
+        }
+
         // Step 1: Enhanced fee calculation with detailed logging
         console.log(`[CREATE_ORDER_${orderRequestId}] 💰 Calculating fees and net amount...`);
 
@@ -1295,9 +1762,9 @@ async function processSolanaNetworkToken(cryptoSymbol, tokenInfo, cryptoAmount,
         const feeConfig = business.feeConfiguration?.[targetNetwork]?.find(
           f => f.contractAddress?.toLowerCase() === tokenInfo.contractAddress?.toLowerCase() && f.isActive
         );
-        const feePercentage = feeConfig ? feeConfig.feePercentage : 0;
-        const feeAmount = Math.round(amount * (feePercentage / 100));
-        const netAmount = amount - feeAmount;
+        const feePercentage = lockedQuote ? lockedQuote.feePercentage : (feeConfig ? feeConfig.feePercentage : 0);
+        const feeAmount = lockedQuote ? lockedQuote.feeAmount : Math.round(amount * (feePercentage / 100));
+        const netAmount = lockedQuote ? lockedQuote.netAmount : amount - feeAmount;
 
         console.log(`[CREATE_ORDER_${orderRequestId}] 📊 Fee breakdown:`);
         console.log(`[CREATE_ORDER_${orderRequestId}]   - Gross amount: ₦${amount.toLocaleString()}`);
@@ -1310,13 +1777,22 @@ async function processSolanaNetworkToken(cryptoSymbol, tokenInfo, cryptoAmount,
         const pricingStartTime = Date.now();
 
         try {
-          priceData = await validateAndPriceToken(targetToken, business, 1, netAmount);
+          priceData = lockedQuote
+            ? lockedQuote.pricingSnapshot
+            : await validateAndPriceToken(targetToken, business, 1, netAmount);
           const pricingTime = Date.now() - pricingStartTime;
-          console.log(`[CREATE_ORDER_${orderRequestId}] ✅ Pricing completed (${pricingTime}ms)`);
+          console.log(`[CREATE_ORDER_${orderRequestId}] ✅ Pricing completed (${pricingTime}ms)${lockedQuote ? ' - from locked quote' : ''}`);
           console.log(`[CREATE_ORDER_${orderRequestId}] 💎 Price result: ${priceData.cryptoAmount.toFixed(8)} ${targetToken} = $${priceData.usdcValue} USDC`);
         } catch (validationError) {
           const pricingTime = Date.now() - pricingStartTime;
           console.error(`[CREATE_ORDER_${orderRequestId}] ❌ Token validation failed (${pricingTime}ms):`, validationError.message);
+          if (validationError.code === 'RATE_UNAVAILABLE') {
+            return res.status(503).json({
+              success: false,
+              message: validationError.message,
+              code: 'RATE_UNAVAILABLE'
+            });
+          }
 
           return res.status(400).json({
             success: false,
@@ -1386,13 +1862,20 @@ async function processSolanaNetworkToken(cryptoSymbol, tokenInfo, cryptoAmount,
 
           } catch (liquidityError) {
             const liquidityTime = Date.now() - liquidityStartTime;
-            console.warn(`[CREATE_ORDER_${orderRequestId}] ⚠️  Liquidity check failed (${liquidityTime}ms), allowing order to proceed:`, liquidityError.message);
-            liquidityCheck = {
-              hasLiquidity: true,
-              error: liquidityError.message,
-              note: 'Liquidity check failed but order allowed to proceed',
-              fallback: true
-            };
+            // Without a provider to reserve against the order could be promised liquidity nobody holds
+            console.error(`[CREATE_ORDER_${orderRequestId}] ❌ Liquidity check failed (${liquidityTime}ms):`, liquidityError.message);
+            return res.status(503).json({
+              success: false,
+              message: 'Liquidity providers could not be checked for this order',
+              details: {
+                token: targetToken,
+                network: priceData.network,
+                requiredAmount: `$${priceData.usdcValue} USDC`,
+                error: liquidityError.message
+              },
+              code: 'LIQUIDITY_CHECK_FAILED',
+              retryAfter: 60
+            });
           }
         } else {
           console.log(`[CREATE_ORDER_${orderRequestId}] ⏭️  Liquidity check skipped for ${priceData.network} network`);
@@ -1418,8 +1901,72 @@ async function processSolanaNetworkToken(cryptoSymbol, tokenInfo, cryptoAmount,
         console.log(`[CREATE_ORDER_${orderRequestId}]   - Order ID: ${orderId}`);
         console.log(`[CREATE_ORDER_${orderRequestId}]   - Business Reference: ${businessOrderReference}`);
 
+        const orderExpiresAt = new Date(Date.now() + 30 * 60 * 1000);
+
+        // Hold the USDC against the selected provider so concurrent orders cannot promise it twice.
+        // Orders on provider-settled networks are never created without a hold.
+        let liquidityReservation = null;
+        if (liquidityService.reservesLiquidity(priceData.network)) {
+          liquidityReservation = await liquidityService.reserveForOrder(
+            { orderId, businessId: business._id, expiresAt: orderExpiresAt },
+            priceData.network,
+            priceData.usdcValue,
+            liquidityCheck.liquidityAnalysis
+          );
+
+          if (!liquidityReservation) {
+            console.error(`[CREATE_ORDER_${orderRequestId}] ❌ Could not reserve $${priceData.usdcValue} USDC on ${priceData.network}`);
+            return res.status(503).json({
+              success: false,
+              message: 'Insufficient liquidity available for this order',
+              details: {
+                token: targetToken,
+                network: priceData.network,
+                requiredAmount: `$${priceData.usdcValue} USDC`,
+                customerAmount: `₦${amount.toLocaleString()}`,
+                reason: liquidityCheck.liquidityAnalysis?.recommendedProvider
+                  ? 'Available provider liquidity is reserved by other open orders'
+                  : 'No liquidity provider can take this order',
+                alternativeOptions: [
+                  'Reduce order amount',
+                  'Try again in 5-10 minutes',
+                  'Consider using a different network'
+                ]
+              },
+              code: 'INSUFFICIENT_LIQUIDITY',
+              retryAfter: 300
+            });
+          }
+
+          console.log(`[CREATE_ORDER_${orderRequestId}] 🔒 Liquidity reserved: ${liquidityReservation.reservationId} on ${liquidityReservation.providerName}`);
+          creationState.orderId = orderId;
+          creationState.liquidityReserved = true;
+        }
+
+        // Consume the locked quote atomically so it can back only one order
+        if (lockedQuote) {
+          const claimedQuote = await Quote.claim(lockedQuote.quoteId, business._id, orderId);
+          if (!claimedQuote) {
+            console.error(`[CREATE_ORDER_${orderRequestId}] ❌ Quote ${lockedQuote.quoteId} was used or expired during order creation`);
+            if (liquidityReservation) {
+              await liquidityService.releaseReservation(orderId, LIQUIDITY_RESERVATION_STATUS.RELEASED, 'Quote already used');
+            }
+            return res.status(409).json({
+              success: false,
+              message: `Quote ${lockedQuote.quoteId} has already been used or has expired`,
+              details: { quoteId: lockedQuote.quoteId },
+              code: 'QUOTE_ALREADY_USED'
+            });
+          }
+          console.log(`[CREATE_ORDER_${orderRequestId}] 🔒 Quote ${lockedQuote.quoteId} consumed by ${orderId}`);
+          creationState.orderId = orderId;
+          creationState.quoteId = lockedQuote.quoteId;
+        }
+
         // Register active order for duplicate protection
         registerActiveOrder(customerEmail, targetToken, targetNetwork, orderId);
+        creationState.orderId = orderId;
+        creationState.activeOrderKey = `${customerEmail.toLowerCase()}-${targetToken.toUpperCase()}-${targetNetwork.toLowerCase()}`;
 
         // Create enhanced order with comprehensive metadata
         const order = new BusinessOnrampOrder({
@@ -1440,10 +1987,20 @@ async function processSolanaNetworkToken(cryptoSymbol, tokenInfo, cryptoAmount,
           feeAmount,
           netAmount,
           status: BUSINESS_ORDER_STATUS.INITIATED,
+          quoteId: lockedQuote?.quoteId,
           redirectUrl: redirectUrl?.trim(),
           webhookUrl: webhookUrl?.trim(),
           metadata: {
             ...metadata,
+            ...(lockedQuote && {
+              lockedQuote: {
+                quoteId: lockedQuote.quoteId,
+                quotedAt: lockedQuote.createdAt,
+                expiresAt: lockedQuote.expiresAt,
+                exchangeRate: lockedQuote.exchangeRate,
+                tokenAmount: lockedQuote.tokenAmount
+              }
+            }),
             // Enhanced processing metadata
             processingMetadata: {
               requestId: orderRequestId,
@@ -1475,39 +2032,24 @@ async function processSolanaNetworkToken(cryptoSymbol, tokenInfo, cryptoAmount,
               fallback: liquidityCheck.fallback || false,
               providerSelectionScore: liquidityCheck.liquidityAnalysis?.recommendedProvider?.selectionScore || null
             },
-            // Network-specific enhanced data
-            ...(priceData.network === 'base' && priceData.usdcValue && {
-              smartContractData: {
-                usdcValue: priceData.usdcValue,
-                pricePerTokenUsdc: priceData.pricePerTokenUsdc,
-                bestRoute: priceData.bestRoute,
-                reserveSupported: priceData.reserveSupported,
-                liquidityAdequate: priceData.hasAdequatePoolLiquidity,
-                swapRoute: priceData.swapRoute,
-                actualUsdcValue: priceData.validation.actualUsdcValue,
-                isNativeToken: priceData.isNativeToken,
-                processingTime: priceData.processingTime
+            ...(liquidityReservation && {
+              liquidityReservation: {
+                reservationId: liquidityReservation.reservationId,
+                providerId: liquidityReservation.providerId,
+                providerName: liquidityReservation.providerName,
+                amount: liquidityReservation.amount,
+                reservedAt: liquidityReservation.createdAt
               }
             }),
-            ...(priceData.network === 'solana' && {
-              jupiterData: {
-                usdcValue: priceData.usdcValue,
-                pricePerTokenUsdc: priceData.pricePerTokenUsdc,
-                bestRoute: priceData.bestRoute,
-                priceImpact: priceData.priceImpact,
-                routeSteps: priceData.swapRoute.routeSteps,
-                jupiterQuote: priceData.swapRoute.jupiterQuote,
-                actualUsdcValue: priceData.validation.actualUsdcValue,
-                isNativeToken: priceData.isNativeToken,
-                processingTime: priceData.processingTime
-              }
-            })
+            // Network-specific enhanced data
+            ...buildNetworkPricingMetadata(priceData)
           },
           createdAt: new Date(),
-          expiresAt: new Date(Date.now() + 30 * 60 * 1000)
+          expiresAt: orderExpiresAt
         });
 
         await order.save();
+        creationState.order = order;
         const orderSaveTime = Date.now();
         console.log(`[CREATE_ORDER_${orderRequestId}] ✅ Order saved to database: ${order.orderId}`);
 
@@ -1532,6 +2074,13 @@ async function processSolanaNetworkToken(cryptoSymbol, tokenInfo, cryptoAmount,
 
         console.log(`[CREATE_ORDER_${orderRequestId}] ✅ Payment link generated (${paymentTime}ms): ${paymentDetails.checkoutUrl}`);
 
+        // Keep Monnify references on the order so the checkout can be looked up later
+        order.paymentReference = paymentDetails.paymentReference || businessOrderReference;
+        order.monnifyTransactionReference = paymentDetails.transactionReference;
+        await order.save();
+        // The order is payable from here on; later failures must not undo it
+        creationState.completed = true;
+
         // Enhanced transaction preparation
         console.log(`[CREATE_ORDER_${orderRequestId}] ⚙️  Preparing blockchain transaction...`);
         let transactionPreparation = null;
@@ -1574,6 +2123,7 @@ async function processSolanaNetworkToken(cryptoSymbol, tokenInfo, cryptoAmount,
           status: order.status,
           expiresAt: order.expiresAt,
           customerWallet: order.customerWallet,
+          quoteId: order.quoteId || null,
 
           // Enhanced payment information
           paymentDetails: {
@@ -1749,6 +2299,8 @@ async function processSolanaNetworkToken(cryptoSymbol, tokenInfo, cryptoAmount,
       console.error(`[CREATE_ORDER_${orderRequestId}] 💥 ORDER CREATION FAILED:`, error);
       delete global.currentRequestNetwork;
 
+      await rollbackOrderCreation(creationState, error.message, orderRequestId);
+
       res.status(500).json({
         success: false,
         message: error.message || 'Failed to create enhanced onramp order',
@@ -1845,6 +2397,13 @@ async function processSolanaNetworkToken(cryptoSymbol, tokenInfo, cryptoAmount,
         } catch (validationError) {
           const pricingTime = Date.now() - pricingStartTime;
           console.error(`[GET_QUOTE_${quoteRequestId}] ❌ Pricing validation failed (${pricingTime}ms):`, validationError.message);
+          if (validationError.code === 'RATE_UNAVAILABLE') {
+            return res.status(503).json({
+              success: false,
+              message: validationError.message,
+              code: 'RATE_UNAVAILABLE'
+            });
+          }
 
           return res.status(400).json({
             success: false,
@@ -1892,8 +2451,31 @@ async function processSolanaNetworkToken(cryptoSymbol, tokenInfo, cryptoAmount,
         const finalTokenAmount = parseFloat(priceData.cryptoAmount.toFixed(priceData.decimals || 18));
         const tokenAmount = parseFloat((amount * priceData.ngnToTokenRate).toFixed(priceData.decimals || 18));
 
+        // Persist the quote so /create can honor exactly these numbers
+        const lockedQuote = await Quote.create({
+          quoteId: Quote.generateQuoteId(),
+          businessId: business._id,
+          type: QUOTE_TYPES.ONRAMP,
+          targetToken: targetToken.toUpperCase(),
+          targetNetwork: targetNetwork.toLowerCase(),
+          tokenContractAddress: priceData.tokenAddress,
+          amount,
+          tokenAmount: finalTokenAmount,
+          exchangeRate: priceData.unitPriceInNgn,
+          usdcToNgnRate: priceData.usdcToNgnRate,
+          usdcValue: priceData.usdcValue,
+          feePercentage,
+          feeAmount,
+          netAmount,
+          pricingSnapshot: JSON.parse(JSON.stringify(priceData)),
+          expiresAt: new Date(Date.now() + QUOTE_VALID_FOR_SECONDS * 1000)
+        });
+
+        console.log(`[GET_QUOTE_${quoteRequestId}] 🔒 Quote locked: ${lockedQuote.quoteId} (valid ${QUOTE_VALID_FOR_SECONDS}s)`);
+
         // Enhanced comprehensive quote response
         const responseData = {
+          quoteId: lockedQuote.quoteId,
           amount,
           targetToken: targetToken.toUpperCase(),
           targetNetwork: targetNetwork.toLowerCase(),
@@ -1966,8 +2548,8 @@ async function processSolanaNetworkToken(cryptoSymbol, tokenInfo, cryptoAmount,
           },
 
           // Enhanced quote validity and capabilities
-          validFor: 300, // 5 minutes
-          expiresAt: new Date(Date.now() + 5 * 60 * 1000),
+          validFor: QUOTE_VALID_FOR_SECONDS,
+          expiresAt: lockedQuote.expiresAt,
           canProceedToOrder: liquidityCheck.hasLiquidity,
 
           // Enhanced performance metrics
@@ -2078,7 +2660,10 @@ async function processSolanaNetworkToken(cryptoSymbol, tokenInfo, cryptoAmount,
     try {
       const startTime = Date.now();
 
-      const dashboard = await liquidityService.getDashboard();
+      const [dashboard, reservations] = await Promise.all([
+        liquidityService.getDashboard(),
+        liquidityService.getReservationSummary()
+      ]);
       const dashboardTime = Date.now() - startTime;
 
       console.log(`[LIQUIDITY_DASHBOARD_${dashboardId}] ✅ Dashboard data retrieved (${dashboardTime}ms)`);
@@ -2100,6 +2685,7 @@ async function processSolanaNetworkToken(cryptoSymbol, tokenInfo, cryptoAmount,
         message: `Enhanced liquidity dashboard updated - Overall status: ${dashboard.summary.overallHealth.toUpperCase()}`,
         data: {
           ...dashboard,
+          reservations,
           cacheStatistics: cacheStats,
           performanceMetrics: {
             dashboardGenerationTime: dashboardTime,
@@ -2465,6 +3051,16 @@ async function processSolanaNetworkToken(cryptoSymbol, tokenInfo, cryptoAmount,
       completedAt: order.completedAt,
       expiresAt: order.expiresAt,
       metadata: order.metadata,
+      paidAmount: order.paidAmount,
+      paymentMismatch: order.paymentMismatch || null,
+      statusHistory: (order.statusHistory || []).map(entry => ({
+        from: entry.from,
+        to: entry.to,
+        actor: entry.actor,
+        sourceEventId: entry.sourceEventId,
+        reason: entry.reason,
+        timestamp: entry.timestamp
+      })),
 
       // Enhanced validation and pricing info
       validation: order.metadata?.tokenValidation,
@@ -2483,6 +3079,17 @@ async function processSolanaNetworkToken(cryptoSymbol, tokenInfo, cryptoAmount,
       // 🔥 ENHANCED: Liquidity validation info
       liquidityValidation: order.metadata?.liquidityValidation,
 
+      // NGN refunds issued for this order
+      refunds: (await OnrampRefund.findByOrder(order.orderId)).map(refund => ({
+        refundId: refund.refundId,
+        source: refund.source,
+        amount: refund.amount,
+        status: refund.status,
+        reason: refund.reason,
+        createdAt: refund.createdAt,
+        completedAt: refund.completedAt
+      })),
+
       // Performance metrics
       lookupTime: lookupTime,
       requestId: requestId
@@ -2505,15 +3112,1418 @@ async function processSolanaNetworkToken(cryptoSymbol, tokenInfo, cryptoAmount,
   }
 },
 
-// Enhanced get all orders with comprehensive filtering and analytics
-getAllOrders: async (req, res) => {
+/**
+ * Cancel an unpaid onramp order owned by the calling business
+ */
+cancelOrder: async (req, res) => {
   const requestId = Math.random().toString(36).substr(2, 8);
-  console.log(`[GET_ALL_ORDERS_${requestId}] 📋 Getting all orders with enhanced filtering`);
+  console.log(`[CANCEL_ORDER_${requestId}] 🛑 Cancelling onramp order`);
 
   try {
-    const startTime = Date.now();
+    const { orderId } = req.params;
+    const { reason } = req.body || {};
     const business = req.business;
-    const {
+
+    let order = await BusinessOnrampOrder.findOne({
+      $or: [
+        { orderId: orderId },
+        { businessOrderReference: orderId }
+      ],
+      businessId: business._id
+    });
+
+    if (!order) {
+      console.error(`[CANCEL_ORDER_${requestId}] ❌ Order not found: ${orderId}`);
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+        code: 'ORDER_NOT_FOUND'
+      });
+    }
+
+    // Paid orders need a refund, not a cancellation
+    if (!order.canBeCancelled() || order.isPaymentCompleted()) {
+      console.error(`[CANCEL_ORDER_${requestId}] ❌ Order ${order.orderId} cannot be cancelled in status: ${order.status}`);
+      return res.status(400).json({
+        success: false,
+        message: `Cannot cancel order with status: ${order.status}. Only unpaid orders can be cancelled.`,
+        currentStatus: order.status,
+        code: 'ORDER_NOT_CANCELLABLE'
+      });
+    }
+
+    // Check the Monnify checkout first so we never cancel a payment whose webhook is still in flight
+    let checkoutStatus = null;
+    if (order.monnifyTransactionReference) {
+      const statusResult = await monnifyService.getTransactionStatus(order.monnifyTransactionReference);
+
+      if (statusResult.success) {
+        checkoutStatus = statusResult.paymentStatus;
+        console.log(`[CANCEL_ORDER_${requestId}] 💳 Monnify checkout status: ${checkoutStatus}`);
+
+        if (['PAID', 'OVERPAID', 'PARTIALLY_PAID'].includes(checkoutStatus)) {
+          return res.status(409).json({
+            success: false,
+            message: 'Payment has already been received for this order and it can no longer be cancelled',
+            details: {
+              orderId: order.orderId,
+              checkoutStatus,
+              amountPaid: statusResult.amountPaid
+            },
+            code: 'ORDER_PAYMENT_RECEIVED'
+          });
+        }
+      } else {
+        console.warn(`[CANCEL_ORDER_${requestId}] ⚠️ Could not check Monnify checkout status:`, statusResult.error);
+      }
+    }
+
+    const previousStatus = order.status;
+    const cancelReason = reason || 'Cancelled by business via API';
+
+    // Monnify has no API to revoke a checkout link, so the link is invalidated on our side:
+    // the order can no longer move to pending, and any late payment is flagged for refund
+    const cancelledOrder = await order.cancelIfUnpaid(cancelReason, {
+      actor: 'business',
+      eventId: requestId
+    }, {
+      'metadata.cancellation': {
+        cancelledAt: new Date(),
+        cancelledBy: 'business',
+        reason: cancelReason,
+        previousStatus,
+        checkoutStatus,
+        checkoutInvalidated: true,
+        invalidationMethod: 'order_state'
+      }
+    });
+
+    // The payment webhook got there between our read and the write
+    if (!cancelledOrder) {
+      console.warn(`[CANCEL_ORDER_${requestId}] ⚠️ Order ${order.orderId} changed while cancelling - not cancelled`);
+      return res.status(409).json({
+        success: false,
+        message: 'The order was updated (for example paid) while it was being cancelled and can no longer be cancelled',
+        details: { orderId: order.orderId },
+        code: 'ORDER_STATE_CHANGED'
+      });
+    }
+    order = cancelledOrder;
+    await liquidityService.finalizeReservation(order);
+
+    // Free the duplicate-order slot for this customer
+    activeOrders.delete(`${order.customerEmail}-${order.targetToken}-${order.targetNetwork}`);
+
+    console.log(`[CANCEL_ORDER_${requestId}] ✅ Order ${order.orderId} cancelled (was ${previousStatus})`);
+
+    if (order.webhookUrl) {
+      const webhookResult = await sendBusinessWebhook(order.webhookUrl, {
+        orderId: order.orderId,
+        businessOrderReference: order.businessOrderReference,
+        status: order.status,
+        previousStatus,
+        amount: order.amount,
+        targetToken: order.targetToken,
+        targetNetwork: order.targetNetwork,
+        customerEmail: order.customerEmail,
+        reason: cancelReason,
+        cancelledAt: order.metadata.cancellation.cancelledAt,
+        cancelledBy: 'business'
+      }, 'order.cancelled');
+
+      if (webhookResult.sent) {
+        order.markWebhookDelivered();
+      } else {
+        order.updateWebhookAttempt();
+      }
+      await order.save();
+    }
+
+    res.json({
+      success: true,
+      message: `Order ${order.orderId} cancelled successfully`,
+      data: {
+        orderId: order.orderId,
+        businessOrderReference: order.businessOrderReference,
+        status: order.status,
+        previousStatus,
+        reason: cancelReason,
+        cancelledAt: order.metadata.cancellation.cancelledAt,
+        checkoutStatus,
+        webhookSent: order.webhookUrl ? order.webhookDelivered : null
+      }
+    });
+
+  } catch (error) {
+    console.error(`[CANCEL_ORDER_${requestId}] 💥 Error cancelling order:`, error);
+
+    if (error.code === 'INVALID_STATUS_TRANSITION') {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel order',
+      error: error.message,
+      code: 'ORDER_CANCEL_ERROR'
+    });
+  }
+},
+
+// Enhanced get all orders with comprehensive filtering and analytics
+/**
+ * Create (or return the existing) reserved bank account for a customer.
+ * Every transfer into the account is converted to the customer's chosen token automatically.
+ */
+createFundingAccount: async (req, res) => {
+  const requestId = Math.random().toString(36).substr(2, 8);
+  console.log(`[FUNDING_ACCOUNT_${requestId}] 🏦 Creating customer funding account`);
+
+  try {
+    const business = req.business;
+    const {
+      customerEmail,
+      customerName,
+      customerPhone,
+      targetToken,
+      targetNetwork,
+      customerWallet,
+      bvn,
+      webhookUrl
+    } = req.body;
+
+    if (!customerEmail || !customerName || !targetToken || !targetNetwork || !customerWallet) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields',
+        required: ['customerEmail', 'customerName', 'targetToken', 'targetNetwork', 'customerWallet'],
+        code: 'MISSING_REQUIRED_FIELDS'
+      });
+    }
+
+    const network = targetNetwork.toLowerCase();
+    const supportedNetworks = ['base', 'solana', 'ethereum'];
+    if (!supportedNetworks.includes(network)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported network: ${targetNetwork}. Supported networks: ${supportedNetworks.join(', ')}`,
+        code: 'UNSUPPORTED_NETWORK'
+      });
+    }
+
+    const tokenInfo = business.supportedTokens?.[network]?.find(
+      t => t.symbol.toUpperCase() === targetToken.toUpperCase() &&
+           t.isActive !== false &&
+           t.isTradingEnabled !== false
+    );
+    if (!tokenInfo) {
+      return res.status(400).json({
+        success: false,
+        message: `Token ${targetToken} is not configured for your business on ${network}`,
+        code: 'TOKEN_NOT_CONFIGURED'
+      });
+    }
+
+    // One account per customer - return the existing one instead of reserving another
+    const existing = await CustomerFundingAccount.findForCustomer(business._id, customerEmail);
+    if (existing) {
+      console.log(`[FUNDING_ACCOUNT_${requestId}] ✅ Returning existing account ${existing.accountReference}`);
+      return res.json({
+        success: true,
+        message: 'Customer already has a funding account',
+        data: formatFundingAccount(existing),
+        created: false
+      });
+    }
+
+    const accountReference = CustomerFundingAccount.generateAccountReference();
+    const accountName = `${business.businessName || 'Aboki'} - ${customerName.trim()}`.substr(0, 60);
+
+    const reservation = await monnifyService.createVirtualAccount(customerName.trim(), customerEmail.toLowerCase().trim(), bvn, {
+      accountReference,
+      accountName
+    });
+
+    if (!reservation.success) {
+      console.error(`[FUNDING_ACCOUNT_${requestId}] ❌ Monnify reservation failed:`, reservation.error);
+      return res.status(502).json({
+        success: false,
+        message: `Could not reserve a bank account: ${reservation.error}`,
+        code: 'FUNDING_ACCOUNT_RESERVATION_FAILED'
+      });
+    }
+
+    const fundingAccount = new CustomerFundingAccount({
+      accountReference,
+      businessId: business._id,
+      customerEmail,
+      customerName,
+      customerPhone,
+      targetToken,
+      targetNetwork: network,
+      customerWallet,
+      webhookUrl,
+      accountName: reservation.data.accountName || accountName,
+      accounts: (reservation.data.accounts || []).map(account => ({
+        bankCode: account.bankCode,
+        bankName: account.bankName,
+        accountNumber: account.accountNumber,
+        accountName: account.accountName
+      })),
+      reservationReference: reservation.data.reservationReference
+    });
+
+    try {
+      await fundingAccount.save();
+    } catch (saveError) {
+      // Another request reserved an account for this customer at the same time
+      if (saveError.code === 11000) {
+        const winner = await CustomerFundingAccount.findForCustomer(business._id, customerEmail);
+        return res.json({
+          success: true,
+          message: 'Customer already has a funding account',
+          data: formatFundingAccount(winner),
+          created: false
+        });
+      }
+      throw saveError;
+    }
+
+    console.log(`[FUNDING_ACCOUNT_${requestId}] ✅ Reserved ${fundingAccount.accounts.length} account(s) for ${fundingAccount.customerEmail}: ${accountReference}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Funding account created. Transfers to any of these accounts will be converted automatically.',
+      data: formatFundingAccount(fundingAccount),
+      created: true
+    });
+
+  } catch (error) {
+    console.error(`[FUNDING_ACCOUNT_${requestId}] 💥 Error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create funding account',
+      error: error.message,
+      code: 'FUNDING_ACCOUNT_ERROR'
+    });
+  }
+},
+
+/**
+ * List the business's customer funding accounts (optionally for one customer)
+ */
+getFundingAccounts: async (req, res) => {
+  try {
+    const { customerEmail, page = 1, limit = 20 } = req.query;
+
+    const limitNum = Math.min(parseInt(limit), 100);
+    const query = { businessId: req.business._id };
+    if (customerEmail) {
+      query.customerEmail = customerEmail.toLowerCase().trim();
+    }
+
+    const [accounts, total] = await Promise.all([
+      CustomerFundingAccount.find(query)
+        .sort({ createdAt: -1 })
+        .skip((parseInt(page) - 1) * limitNum)
+        .limit(limitNum),
+      CustomerFundingAccount.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        fundingAccounts: accounts.map(formatFundingAccount),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limitNum),
+          total,
+          limit: limitNum
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('[FUNDING_ACCOUNT] Error listing funding accounts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get funding accounts',
+      error: error.message,
+      code: 'FUNDING_ACCOUNT_ERROR'
+    });
+  }
+},
+
+/**
+ * Get one funding account with its most recent orders
+ */
+getFundingAccount: async (req, res) => {
+  try {
+    const fundingAccount = await CustomerFundingAccount.findOne({
+      accountReference: req.params.accountReference,
+      businessId: req.business._id
+    });
+
+    if (!fundingAccount) {
+      return res.status(404).json({
+        success: false,
+        message: 'Funding account not found',
+        code: 'FUNDING_ACCOUNT_NOT_FOUND'
+      });
+    }
+
+    const recentOrders = await BusinessOnrampOrder.find({ fundingAccountReference: fundingAccount.accountReference })
+      .sort({ createdAt: -1 })
+      .limit(20)
+      .select('orderId status amount estimatedTokenAmount actualTokenAmount targetToken transactionHash createdAt completedAt');
+
+    res.json({
+      success: true,
+      data: {
+        ...formatFundingAccount(fundingAccount),
+        unprocessedTransfers: fundingAccount.unprocessedTransfers,
+        recentOrders
+      }
+    });
+
+  } catch (error) {
+    console.error('[FUNDING_ACCOUNT] Error getting funding account:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get funding account',
+      error: error.message,
+      code: 'FUNDING_ACCOUNT_ERROR'
+    });
+  }
+},
+
+/**
+ * Turn a verified transfer into a reserved funding account into a paid order and settle it
+ */
+async processReservedAccountTransfer(eventData, webhookId) {
+  const accountReference = eventData.product?.reference;
+  const transactionReference = eventData.transactionReference;
+  const amountPaid = parseFloat(eventData.amountPaid);
+
+  console.log(`[RESERVED_ACCOUNT_${webhookId}] 🏦 Transfer of ₦${amountPaid.toLocaleString()} into ${accountReference} (${transactionReference})`);
+
+  const fundingAccount = await CustomerFundingAccount.findOne({ accountReference });
+  if (!fundingAccount) {
+    return { status: 404, message: 'Funding account not found' };
+  }
+
+  // Monnify retries webhooks - one order per transfer
+  const existingOrder = await BusinessOnrampOrder.findOne({ fundingTransactionReference: transactionReference });
+  if (existingOrder) {
+    console.log(`[RESERVED_ACCOUNT_${webhookId}] ⏭️ Transfer already processed as ${existingOrder.orderId}`);
+    return { status: 200, message: `Transfer already processed: ${existingOrder.orderId}` };
+  }
+
+  // Never mint tokens on the webhook's word alone - confirm the transfer with Monnify
+  const verification = await monnifyService.getTransactionStatus(transactionReference);
+  if (!verification.success) {
+    // Let Monnify retry later
+    return { status: 503, message: `Could not verify transfer: ${verification.error}` };
+  }
+  if (verification.paymentStatus !== 'PAID' || parseFloat(verification.amountPaid) !== amountPaid) {
+    console.error(`[RESERVED_ACCOUNT_${webhookId}] ❌ Verification mismatch: ${verification.paymentStatus}, ₦${verification.amountPaid}`);
+    return { status: 400, message: 'Transfer could not be verified with Monnify' };
+  }
+
+  const unprocessed = async (reason) => {
+    console.warn(`[RESERVED_ACCOUNT_${webhookId}] ⚠️ Transfer not converted: ${reason}`);
+    fundingAccount.recordTransfer(amountPaid);
+    fundingAccount.recordUnprocessedTransfer({
+      transactionReference,
+      paymentReference: eventData.paymentReference,
+      amount: amountPaid,
+      reason,
+      paidOn: eventData.paidOn ? new Date(eventData.paidOn) : new Date()
+    });
+    await fundingAccount.save();
+
+    if (fundingAccount.webhookUrl) {
+      sendBusinessWebhook(fundingAccount.webhookUrl, {
+        accountReference,
+        customerEmail: fundingAccount.customerEmail,
+        transactionReference,
+        amount: amountPaid,
+        reason
+      }, 'funding_account.transfer_unprocessed')
+        .catch(err => console.error(`[RESERVED_ACCOUNT_${webhookId}] Webhook failed:`, err.message));
+    }
+
+    return { status: 200, message: `Transfer recorded but not converted: ${reason}` };
+  };
+
+  if (!fundingAccount.isActive()) {
+    return unprocessed(`Funding account is ${fundingAccount.status}`);
+  }
+
+  // Accounts backing recurring schedules keep the money for the runs instead of converting it
+  if (fundingAccount.usesBalance()) {
+    const credited = await CustomerFundingAccount.creditTransfer(accountReference, transactionReference, amountPaid);
+    if (!credited) {
+      return { status: 200, message: 'Transfer already credited' };
+    }
+
+    console.log(`[RESERVED_ACCOUNT_${webhookId}] 💰 Credited ₦${amountPaid.toLocaleString()} - balance ₦${credited.availableBalance.toLocaleString()}`);
+
+    if (credited.webhookUrl) {
+      sendBusinessWebhook(credited.webhookUrl, {
+        accountReference,
+        customerEmail: credited.customerEmail,
+        transactionReference,
+        amount: amountPaid,
+        availableBalance: credited.availableBalance
+      }, 'funding_account.credited')
+        .catch(err => console.error(`[RESERVED_ACCOUNT_${webhookId}] Webhook failed:`, err.message));
+    }
+
+    return { status: 200, message: `Transfer credited to balance: ₦${credited.availableBalance}` };
+  }
+  if (amountPaid < 1000 || amountPaid > 10000000) {
+    return unprocessed('Amount must be between ₦1,000 and ₦10,000,000');
+  }
+
+  const business = await Business.findById(fundingAccount.businessId);
+  if (!business) {
+    return unprocessed('Business not found');
+  }
+
+  // Price at the time the money arrived
+  const { order, error: pricingError } = await buildPricedOrder(business, {
+    amount: amountPaid,
+    targetToken: fundingAccount.targetToken,
+    targetNetwork: fundingAccount.targetNetwork,
+    referencePrefix: 'ONRAMP-VA',
+    customerEmail: fundingAccount.customerEmail,
+    customerName: fundingAccount.customerName,
+    customerPhone: fundingAccount.customerPhone,
+    customerWallet: fundingAccount.customerWallet,
+    webhookUrl: fundingAccount.webhookUrl,
+    fundingAccountReference: accountReference,
+    fundingTransactionReference: transactionReference,
+    monnifyTransactionReference: transactionReference,
+    paymentReference: eventData.paymentReference,
+    metadata: { fundingMode: 'reserved_account' }
+  }, webhookId);
+  if (pricingError) {
+    return unprocessed(pricingError);
+  }
+  const orderId = order.orderId;
+
+  try {
+    await order.save();
+  } catch (saveError) {
+    if (saveError.code === 11000) {
+      return { status: 200, message: 'Transfer already processed' };
+    }
+    throw saveError;
+  }
+
+  order.markAsPaid(amountPaid, transactionReference, {
+    actor: 'webhook',
+    eventId: transactionReference,
+    reason: `Transfer received on reserved account ${accountReference}`
+  });
+  order.paymentCompletedAt = eventData.paidOn ? new Date(eventData.paidOn) : new Date();
+  order.metadata.monnifyPayment = {
+    paymentReference: eventData.paymentReference,
+    paymentMethod: eventData.paymentMethod || 'ACCOUNT_TRANSFER',
+    paymentSource: eventData.paymentSourceInformation,
+    destinationAccount: eventData.destinationAccountInformation,
+    webhookReceivedAt: new Date(),
+    webhookId
+  };
+  order.markModified('metadata');
+  await order.save();
+
+  fundingAccount.recordTransfer(amountPaid);
+  await fundingAccount.save();
+
+  console.log(`[RESERVED_ACCOUNT_${webhookId}] ✅ Order ${orderId} created: ${order.estimatedTokenAmount} ${order.targetToken} → ${order.customerWallet}`);
+
+  if (order.webhookUrl) {
+    sendBusinessWebhook(order.webhookUrl, {
+      orderId: order.orderId,
+      businessOrderReference: order.businessOrderReference,
+      fundingAccountReference: accountReference,
+      status: order.status,
+      amount: order.amount,
+      targetToken: order.targetToken,
+      targetNetwork: order.targetNetwork,
+      estimatedTokenAmount: order.estimatedTokenAmount,
+      customerEmail: order.customerEmail,
+      customerWallet: order.customerWallet
+    }, 'order.created')
+      .catch(err => console.error(`[RESERVED_ACCOUNT_${webhookId}] Webhook failed:`, err.message));
+  }
+
+  genericTokenOnrampController.initiateSettlement(order, webhookId)
+    .catch(err => console.error(`[RESERVED_ACCOUNT_${webhookId}] Settlement failed:`, err.message));
+
+  return { status: 200, message: `Transfer converted into order ${orderId}` };
+},
+
+/**
+ * Create a recurring (DCA) schedule that buys a fixed naira amount of a token for a customer
+ */
+createSchedule: async (req, res) => {
+  const requestId = Math.random().toString(36).substr(2, 8);
+  console.log(`[SCHEDULE_${requestId}] 🔁 Creating recurring onramp schedule`);
+
+  try {
+    const business = req.business;
+    const {
+      customerEmail,
+      customerName,
+      customerPhone,
+      amount,
+      targetToken,
+      targetNetwork,
+      customerWallet,
+      frequency,
+      fundingMethod,
+      cardToken,
+      startAt,
+      endDate,
+      maxRuns,
+      webhookUrl
+    } = req.body;
+
+    if (!customerEmail || !customerName || !amount || !targetToken || !targetNetwork || !customerWallet || !frequency || !fundingMethod) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields',
+        required: ['customerEmail', 'customerName', 'amount', 'targetToken', 'targetNetwork', 'customerWallet', 'frequency', 'fundingMethod'],
+        code: 'MISSING_REQUIRED_FIELDS'
+      });
+    }
+
+    const amountNum = parseFloat(amount);
+    if (!(amountNum >= 1000 && amountNum <= 10000000)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Amount must be between ₦1,000 and ₦10,000,000',
+        code: 'INVALID_AMOUNT'
+      });
+    }
+
+    if (!Object.values(SCHEDULE_FREQUENCIES).includes(frequency)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported frequency: ${frequency}. Supported: ${Object.values(SCHEDULE_FREQUENCIES).join(', ')}`,
+        code: 'INVALID_FREQUENCY'
+      });
+    }
+
+    if (!Object.values(SCHEDULE_FUNDING_METHODS).includes(fundingMethod)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported funding method: ${fundingMethod}. Supported: ${Object.values(SCHEDULE_FUNDING_METHODS).join(', ')}`,
+        code: 'INVALID_FUNDING_METHOD'
+      });
+    }
+
+    if (fundingMethod === SCHEDULE_FUNDING_METHODS.CARD_TOKEN && !cardToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'cardToken is required for card_token schedules',
+        code: 'CARD_TOKEN_REQUIRED'
+      });
+    }
+
+    const network = targetNetwork.toLowerCase();
+    const supportedNetworks = ['base', 'solana', 'ethereum'];
+    if (!supportedNetworks.includes(network)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported network: ${targetNetwork}. Supported networks: ${supportedNetworks.join(', ')}`,
+        code: 'UNSUPPORTED_NETWORK'
+      });
+    }
+
+    const tokenInfo = business.supportedTokens?.[network]?.find(
+      t => t.symbol.toUpperCase() === targetToken.toUpperCase() &&
+           t.isActive !== false &&
+           t.isTradingEnabled !== false
+    );
+    if (!tokenInfo) {
+      return res.status(400).json({
+        success: false,
+        message: `Token ${targetToken} is not configured for your business on ${network}`,
+        code: 'TOKEN_NOT_CONFIGURED'
+      });
+    }
+
+    const firstRunAt = startAt ? new Date(startAt) : new Date();
+    if (isNaN(firstRunAt.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'startAt must be a valid date',
+        code: 'INVALID_START_DATE'
+      });
+    }
+
+    const endAt = endDate ? new Date(endDate) : null;
+    if (endAt && (isNaN(endAt.getTime()) || endAt <= firstRunAt)) {
+      return res.status(400).json({
+        success: false,
+        message: 'endDate must be a valid date after startAt',
+        code: 'INVALID_END_DATE'
+      });
+    }
+
+    if (maxRuns !== undefined && !(parseInt(maxRuns) > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'maxRuns must be a positive integer',
+        code: 'INVALID_MAX_RUNS'
+      });
+    }
+
+    // Reserved-account schedules draw from the customer's funding account balance
+    let fundingAccount = null;
+    if (fundingMethod === SCHEDULE_FUNDING_METHODS.RESERVED_ACCOUNT) {
+      fundingAccount = await CustomerFundingAccount.findForCustomer(business._id, customerEmail);
+      if (!fundingAccount) {
+        return res.status(400).json({
+          success: false,
+          message: 'Customer has no funding account. Create one with POST /funding-accounts first.',
+          code: 'FUNDING_ACCOUNT_NOT_FOUND'
+        });
+      }
+
+      if (!fundingAccount.usesBalance()) {
+        fundingAccount.mode = FUNDING_ACCOUNT_MODES.BALANCE;
+        await fundingAccount.save();
+        console.log(`[SCHEDULE_${requestId}] 💰 Funding account ${fundingAccount.accountReference} switched to balance mode`);
+      }
+    }
+
+    const schedule = new OnrampSchedule({
+      scheduleId: OnrampSchedule.generateScheduleId(),
+      businessId: business._id,
+      customerEmail,
+      customerName,
+      customerPhone,
+      amount: amountNum,
+      targetToken,
+      targetNetwork: network,
+      customerWallet,
+      webhookUrl,
+      frequency,
+      startAt: firstRunAt,
+      endDate: endAt || undefined,
+      maxRuns: maxRuns !== undefined ? parseInt(maxRuns) : undefined,
+      nextRunAt: firstRunAt,
+      currentPeriodAt: firstRunAt,
+      fundingMethod,
+      cardToken: fundingMethod === SCHEDULE_FUNDING_METHODS.CARD_TOKEN ? cardToken : undefined,
+      fundingAccountReference: fundingAccount?.accountReference,
+      statusHistory: [{ to: SCHEDULE_STATUS.ACTIVE, reason: 'Schedule created', changedBy: 'business' }]
+    });
+
+    await schedule.save();
+
+    console.log(`[SCHEDULE_${requestId}] ✅ Schedule ${schedule.scheduleId}: ₦${amountNum.toLocaleString()} of ${schedule.targetToken} ${frequency}, first run ${firstRunAt.toISOString()}`);
+
+    res.status(201).json({
+      success: true,
+      message: fundingAccount
+        ? 'Schedule created. Transfers to the customer\'s funding account now top up the balance each run draws from.'
+        : 'Schedule created',
+      data: {
+        ...formatSchedule(schedule),
+        fundingAccount: fundingAccount ? formatFundingAccount(fundingAccount) : undefined
+      }
+    });
+
+  } catch (error) {
+    console.error(`[SCHEDULE_${requestId}] 💥 Error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create schedule',
+      error: error.message,
+      code: 'SCHEDULE_ERROR'
+    });
+  }
+},
+
+/**
+ * List the business's recurring schedules
+ */
+getSchedules: async (req, res) => {
+  try {
+    const { status, customerEmail, page = 1, limit = 20 } = req.query;
+
+    const limitNum = Math.min(parseInt(limit), 100);
+    const query = { businessId: req.business._id };
+    if (status) query.status = status;
+    if (customerEmail) query.customerEmail = customerEmail.toLowerCase().trim();
+
+    const [schedules, total] = await Promise.all([
+      OnrampSchedule.find(query)
+        .sort({ createdAt: -1 })
+        .skip((parseInt(page) - 1) * limitNum)
+        .limit(limitNum),
+      OnrampSchedule.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        schedules: schedules.map(formatSchedule),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limitNum),
+          total,
+          limit: limitNum
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('[SCHEDULE] Error listing schedules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get schedules',
+      error: error.message,
+      code: 'SCHEDULE_ERROR'
+    });
+  }
+},
+
+/**
+ * Get one schedule with its run history
+ */
+getSchedule: async (req, res) => {
+  try {
+    const schedule = await OnrampSchedule.findOne({
+      scheduleId: req.params.scheduleId,
+      businessId: req.business._id
+    });
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found',
+        code: 'SCHEDULE_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...formatSchedule(schedule),
+        runs: [...schedule.runs].reverse(),
+        statusHistory: schedule.statusHistory
+      }
+    });
+
+  } catch (error) {
+    console.error('[SCHEDULE] Error getting schedule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get schedule',
+      error: error.message,
+      code: 'SCHEDULE_ERROR'
+    });
+  }
+},
+
+pauseSchedule: async (req, res) => {
+  return genericTokenOnrampController.changeScheduleStatus(req, res, SCHEDULE_STATUS.PAUSED);
+},
+
+resumeSchedule: async (req, res) => {
+  return genericTokenOnrampController.changeScheduleStatus(req, res, SCHEDULE_STATUS.ACTIVE);
+},
+
+cancelSchedule: async (req, res) => {
+  return genericTokenOnrampController.changeScheduleStatus(req, res, SCHEDULE_STATUS.CANCELLED);
+},
+
+/**
+ * Pause, resume or cancel a schedule on behalf of the business
+ */
+async changeScheduleStatus(req, res, newStatus) {
+  try {
+    const schedule = await OnrampSchedule.findOne({
+      scheduleId: req.params.scheduleId,
+      businessId: req.business._id
+    });
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found',
+        code: 'SCHEDULE_NOT_FOUND'
+      });
+    }
+
+    const allowedFrom = {
+      [SCHEDULE_STATUS.PAUSED]: [SCHEDULE_STATUS.ACTIVE],
+      [SCHEDULE_STATUS.ACTIVE]: [SCHEDULE_STATUS.PAUSED],
+      [SCHEDULE_STATUS.CANCELLED]: [SCHEDULE_STATUS.ACTIVE, SCHEDULE_STATUS.PAUSED]
+    };
+    if (!allowedFrom[newStatus].includes(schedule.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Schedule is ${schedule.status} and cannot be ${newStatus === SCHEDULE_STATUS.ACTIVE ? 'resumed' : newStatus}`,
+        code: 'INVALID_SCHEDULE_STATUS'
+      });
+    }
+
+    const reason = req.body?.reason || `Schedule ${newStatus === SCHEDULE_STATUS.ACTIVE ? 'resumed' : newStatus} by business`;
+    schedule.changeStatus(newStatus, reason, 'business');
+
+    if (newStatus === SCHEDULE_STATUS.PAUSED) {
+      schedule.pausedReason = reason;
+    } else if (newStatus === SCHEDULE_STATUS.ACTIVE) {
+      // Missed runs are not made up - resume at the next run time, or straight away if it has passed
+      schedule.pausedReason = undefined;
+      schedule.consecutiveFailures = 0;
+      if (!schedule.nextRunAt || schedule.nextRunAt < new Date()) {
+        schedule.nextRunAt = new Date();
+        schedule.currentPeriodAt = schedule.nextRunAt;
+      }
+    } else {
+      schedule.nextRunAt = null;
+    }
+
+    await schedule.save();
+
+    console.log(`[SCHEDULE] ${schedule.scheduleId} is now ${newStatus}`);
+
+    res.json({
+      success: true,
+      message: reason,
+      data: formatSchedule(schedule)
+    });
+
+  } catch (error) {
+    console.error('[SCHEDULE] Error changing schedule status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update schedule',
+      error: error.message,
+      code: 'SCHEDULE_ERROR'
+    });
+  }
+},
+
+/**
+ * Scheduler run handler: fund one run of a schedule, create its order and start settlement.
+ * Returns { success, orderId } or { success: false, error, errorCode } - the scheduler records the outcome.
+ */
+async processScheduleRun(schedule, run) {
+  const logPrefix = `[SCHEDULE_${schedule.scheduleId}]`;
+
+  const business = await Business.findById(schedule.businessId);
+  if (!business) {
+    return { success: false, error: 'Business not found', errorCode: 'BUSINESS_NOT_FOUND' };
+  }
+
+  const usesBalance = schedule.fundingMethod === SCHEDULE_FUNDING_METHODS.RESERVED_ACCOUNT;
+
+  const { order, error: pricingError } = await buildPricedOrder(business, {
+    amount: schedule.amount,
+    targetToken: schedule.targetToken,
+    targetNetwork: schedule.targetNetwork,
+    referencePrefix: 'ONRAMP-DCA',
+    customerEmail: schedule.customerEmail,
+    customerName: schedule.customerName,
+    customerPhone: schedule.customerPhone,
+    customerWallet: schedule.customerWallet,
+    webhookUrl: schedule.webhookUrl,
+    scheduleId: schedule.scheduleId,
+    scheduleRunId: run.runId,
+    fundingAccountReference: usesBalance ? schedule.fundingAccountReference : undefined,
+    metadata: {
+      fundingMode: 'schedule',
+      fundingMethod: schedule.fundingMethod,
+      scheduleRunNumber: run.runNumber
+    }
+  }, run.runId);
+  if (pricingError) {
+    return { success: false, error: pricingError, errorCode: 'PRICING_FAILED' };
+  }
+
+  if (usesBalance) {
+    const debited = await CustomerFundingAccount.debitBalance(schedule.fundingAccountReference, schedule.amount);
+    if (!debited) {
+      return { success: false, error: 'Insufficient funding account balance', errorCode: 'INSUFFICIENT_BALANCE' };
+    }
+
+    order.metadata.fundedFromBalance = schedule.fundingAccountReference;
+    order.markAsPaid(schedule.amount, undefined, {
+      actor: 'system',
+      eventId: run.runId,
+      reason: `Scheduled run #${run.runNumber} paid from funding account balance`
+    });
+
+    try {
+      await order.save();
+    } catch (saveError) {
+      await CustomerFundingAccount.restoreBalance(schedule.fundingAccountReference, schedule.amount);
+      throw saveError;
+    }
+  } else {
+    await order.save();
+
+    const charge = await monnifyService.chargeCardToken({
+      cardToken: schedule.cardToken,
+      amount: schedule.amount,
+      customerEmail: schedule.customerEmail,
+      customerName: schedule.customerName,
+      paymentReference: order.businessOrderReference,
+      paymentDescription: `${schedule.frequency} ${schedule.targetToken} purchase`,
+      metaData: { orderId: order.orderId, scheduleId: schedule.scheduleId }
+    });
+
+    if (!charge.success || charge.paymentStatus !== 'PAID') {
+      const reason = `Card charge failed: ${charge.error || charge.paymentStatus}`;
+      order.markAsFailed(reason, { actor: 'system', eventId: run.runId });
+      await order.save();
+      await liquidityService.finalizeReservation(order);
+      return { success: false, error: reason, errorCode: 'CARD_CHARGE_FAILED', orderId: order.orderId };
+    }
+
+    order.markAsPaid(parseFloat(charge.amountPaid) || schedule.amount, charge.transactionReference, {
+      actor: 'system',
+      eventId: charge.transactionReference,
+      reason: `Scheduled run #${run.runNumber} charged to stored card`
+    });
+    order.metadata.monnifyPayment = {
+      paymentReference: order.businessOrderReference,
+      paymentMethod: 'CARD',
+      chargedAt: new Date()
+    };
+    await order.save();
+  }
+
+  console.log(`${logPrefix} 💳 Order ${order.orderId} funded: ${order.estimatedTokenAmount} ${order.targetToken} → ${order.customerWallet}`);
+
+  if (order.webhookUrl) {
+    sendBusinessWebhook(order.webhookUrl, {
+      orderId: order.orderId,
+      businessOrderReference: order.businessOrderReference,
+      scheduleId: schedule.scheduleId,
+      runNumber: run.runNumber,
+      status: order.status,
+      amount: order.amount,
+      targetToken: order.targetToken,
+      targetNetwork: order.targetNetwork,
+      estimatedTokenAmount: order.estimatedTokenAmount,
+      customerEmail: order.customerEmail,
+      customerWallet: order.customerWallet
+    }, 'order.created')
+      .catch(err => console.error(`${logPrefix} Webhook failed:`, err.message));
+  }
+
+  genericTokenOnrampController.initiateSettlement(order, run.runId)
+    .catch(err => console.error(`${logPrefix} Settlement failed:`, err.message));
+
+  return { success: true, orderId: order.orderId };
+},
+
+/**
+ * Create a bulk onramp batch from a CSV of wallet, token, network and amount rows.
+ * Rows are validated up front; the business funds one total through a Monnify checkout
+ * and every valid row then becomes its own order.
+ */
+createBatch: async (req, res) => {
+  const requestId = Math.random().toString(36).substr(2, 8);
+  console.log(`[BATCH_${requestId}] 📄 Creating onramp batch from ${req.file?.originalname}`);
+
+  try {
+    const business = req.business;
+    const { customerEmail, customerName, webhookUrl, redirectUrl } = req.body;
+
+    const { rows, error: csvError } = parseBatchCsv(req.file.buffer);
+    if (csvError) {
+      return res.status(400).json({
+        success: false,
+        message: csvError,
+        required: BATCH_CONFIG.REQUIRED_COLUMNS,
+        code: 'INVALID_CSV'
+      });
+    }
+
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'CSV has no rows',
+        code: 'EMPTY_CSV'
+      });
+    }
+
+    if (rows.length > BATCH_CONFIG.MAX_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `Batches are limited to ${BATCH_CONFIG.MAX_ROWS} rows (got ${rows.length})`,
+        code: 'BATCH_TOO_LARGE'
+      });
+    }
+
+    await validateBatchRows(business, rows, {
+      customerEmail: customerEmail ? customerEmail.trim().toLowerCase() : undefined,
+      customerName: customerName || business.businessName
+    });
+
+    const validRows = rows.filter(row => row.status === BATCH_ROW_STATUS.PENDING);
+    const invalidRows = rows.filter(row => row.status === BATCH_ROW_STATUS.INVALID);
+
+    console.log(`[BATCH_${requestId}] ✅ ${validRows.length} valid, ❌ ${invalidRows.length} invalid of ${rows.length} rows`);
+
+    if (validRows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No valid rows in CSV',
+        code: 'NO_VALID_ROWS',
+        details: invalidRows.map(row => ({ rowNumber: row.rowNumber, errors: row.validationErrors }))
+      });
+    }
+
+    const totalAmount = validRows.reduce((sum, row) => sum + row.amount, 0);
+    const batchId = OnrampBatch.generateBatchId();
+    const fundingReference = `ONRAMP-BATCH-${uuidv4().substr(0, 12).toUpperCase()}`;
+
+    const paymentDetails = await monnifyService.generatePaymentLink({
+      amount: totalAmount,
+      reference: fundingReference,
+      customerName: business.businessName,
+      customerEmail: customerEmail || validRows[0].customerEmail,
+      redirectUrl: redirectUrl || `${process.env.FRONTEND_URL}/payment/success?batchId=${batchId}`
+    });
+
+    if (!paymentDetails.success) {
+      console.error(`[BATCH_${requestId}] ❌ Payment link generation failed:`, paymentDetails.message);
+      return res.status(502).json({
+        success: false,
+        message: `Could not create the funding checkout: ${paymentDetails.error || paymentDetails.message}`,
+        code: 'BATCH_FUNDING_LINK_FAILED'
+      });
+    }
+
+    const batch = new OnrampBatch({
+      batchId,
+      businessId: business._id,
+      fileName: req.file.originalname,
+      webhookUrl,
+      rows,
+      totalRows: rows.length,
+      validRows: validRows.length,
+      invalidRows: invalidRows.length,
+      totalAmount,
+      fundingReference,
+      monnifyTransactionReference: paymentDetails.transactionReference,
+      checkoutUrl: paymentDetails.checkoutUrl,
+      fundingExpiresAt: paymentDetails.expiresAt ? new Date(paymentDetails.expiresAt) : undefined
+    });
+    await batch.save();
+
+    console.log(`[BATCH_${requestId}] 💳 Batch ${batchId} awaiting ₦${totalAmount.toLocaleString()}: ${paymentDetails.checkoutUrl}`);
+
+    res.status(201).json({
+      success: true,
+      message: invalidRows.length > 0
+        ? `Batch created. ${invalidRows.length} invalid row(s) were left out of the total.`
+        : 'Batch created',
+      data: {
+        ...formatBatch(batch),
+        invalidRowDetails: invalidRows.map(row => ({ rowNumber: row.rowNumber, wallet: row.wallet, errors: row.validationErrors }))
+      }
+    });
+
+  } catch (error) {
+    console.error(`[BATCH_${requestId}] 💥 Error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create batch',
+      error: error.message,
+      code: 'BATCH_ERROR'
+    });
+  }
+},
+
+/**
+ * List the business's batches
+ */
+getBatches: async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const limitNum = Math.min(parseInt(limit), 100);
+    const query = { businessId: req.business._id };
+    if (status) query.status = status;
+
+    const [batches, total] = await Promise.all([
+      OnrampBatch.find(query)
+        .select('-rows')
+        .sort({ createdAt: -1 })
+        .skip((parseInt(page) - 1) * limitNum)
+        .limit(limitNum),
+      OnrampBatch.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        batches: batches.map(formatBatch),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limitNum),
+          total,
+          limit: limitNum
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('[BATCH] Error listing batches:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get batches',
+      error: error.message,
+      code: 'BATCH_ERROR'
+    });
+  }
+},
+
+/**
+ * Get a batch with the status of every row
+ */
+getBatch: async (req, res) => {
+  try {
+    let batch = await OnrampBatch.findOne({ batchId: req.params.batchId, businessId: req.business._id });
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Batch not found',
+        code: 'BATCH_NOT_FOUND'
+      });
+    }
+
+    batch = await refreshBatch(batch);
+
+    res.json({
+      success: true,
+      data: {
+        ...formatBatch(batch),
+        rows: batch.rows
+      }
+    });
+
+  } catch (error) {
+    console.error('[BATCH] Error getting batch:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get batch',
+      error: error.message,
+      code: 'BATCH_ERROR'
+    });
+  }
+},
+
+/**
+ * Download the per-row results of a batch as CSV
+ */
+getBatchResults: async (req, res) => {
+  try {
+    let batch = await OnrampBatch.findOne({ batchId: req.params.batchId, businessId: req.business._id });
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Batch not found',
+        code: 'BATCH_NOT_FOUND'
+      });
+    }
+
+    batch = await refreshBatch(batch);
+
+    const csv = Papa.unparse({
+      fields: BATCH_CONFIG.RESULT_COLUMNS,
+      data: batch.rows.map(row => BATCH_CONFIG.RESULT_COLUMNS.map(column => (
+        column === 'error'
+          ? row.error || (row.validationErrors || []).join('; ')
+          : row[column] ?? ''
+      )))
+    });
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${batch.batchId}-results.csv"`);
+    res.send(csv);
+
+  } catch (error) {
+    console.error('[BATCH] Error exporting batch results:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export batch results',
+      error: error.message,
+      code: 'BATCH_ERROR'
+    });
+  }
+},
+
+/**
+ * Monnify confirmed the funding payment for a batch: verify it, then create and settle the child orders
+ */
+async processBatchFunding(batch, payment, webhookId) {
+  if (payment.paymentStatus !== 'PAID') {
+    console.log(`[BATCH_${batch.batchId}] ⏭️ Funding payment status ${payment.paymentStatus} - nothing to do`);
+    return { status: 200, message: `Batch payment ${payment.paymentStatus}` };
+  }
+
+  if (batch.status !== BATCH_STATUS.AWAITING_FUNDING) {
+    return { status: 200, message: `Batch already ${batch.status}` };
+  }
+
+  // Hundreds of orders ride on this payment - confirm it with Monnify first
+  const verification = await monnifyService.getTransactionStatus(batch.monnifyTransactionReference);
+  if (!verification.success) {
+    return { status: 503, message: `Could not verify batch payment: ${verification.error}` };
+  }
+  if (verification.paymentStatus !== 'PAID') {
+    console.error(`[BATCH_${batch.batchId}] ❌ Verification mismatch: ${verification.paymentStatus}`);
+    return { status: 400, message: 'Batch payment could not be verified with Monnify' };
+  }
+
+  const paidAmount = parseFloat(verification.amountPaid);
+
+  if (paidAmount < batch.totalAmount) {
+    const held = await OnrampBatch.findOneAndUpdate(
+      { _id: batch._id, status: BATCH_STATUS.AWAITING_FUNDING },
+      { $set: { status: BATCH_STATUS.UNDERPAID, paidAmount, fundedAt: new Date(), updatedAt: new Date() } },
+      { new: true }
+    );
+    console.warn(`[BATCH_${batch.batchId}] ⚠️ Underpaid: ₦${paidAmount.toLocaleString()} of ₦${batch.totalAmount.toLocaleString()} - held for review`);
+
+    if (held?.webhookUrl) {
+      sendBusinessWebhook(held.webhookUrl, formatBatch(held), 'batch.underpaid')
+        .catch(err => console.error(`[BATCH_${batch.batchId}] Webhook failed:`, err.message));
+    }
+    return { status: 200, message: 'Batch underpaid and held for review' };
+  }
+
+  // Only one webhook delivery gets to start the batch
+  const funded = await OnrampBatch.findOneAndUpdate(
+    { _id: batch._id, status: BATCH_STATUS.AWAITING_FUNDING },
+    {
+      $set: {
+        status: BATCH_STATUS.PROCESSING,
+        paidAmount,
+        unsettledAmount: paidAmount - batch.totalAmount,
+        fundedAt: new Date(),
+        updatedAt: new Date()
+      }
+    },
+    { new: true }
+  );
+  if (!funded) {
+    return { status: 200, message: 'Batch already funded' };
+  }
+
+  console.log(`[BATCH_${batch.batchId}] ✅ Funded with ₦${paidAmount.toLocaleString()} - creating ${funded.validRows} orders`);
+
+  if (funded.webhookUrl) {
+    sendBusinessWebhook(funded.webhookUrl, formatBatch(funded), 'batch.funded')
+      .catch(err => console.error(`[BATCH_${batch.batchId}] Webhook failed:`, err.message));
+  }
+
+  // Creating and settling hundreds of orders takes a while - answer Monnify first
+  genericTokenOnrampController.processBatchRows(funded, webhookId)
+    .catch(err => console.error(`[BATCH_${batch.batchId}] Row processing failed:`, err.message));
+
+  return { status: 200, message: `Batch funded, processing ${funded.validRows} rows` };
+},
+
+/**
+ * Create, pay and settle one child order per pending row. Safe to re-run: rows that already
+ * have an order are picked up from it instead of creating a second one.
+ */
+async processBatchRows(batch, requestId) {
+  const business = await Business.findById(batch.businessId);
+
+  for (let i = 0; i < batch.rows.length; i++) {
+    const row = batch.rows[i];
+    if (row.status !== BATCH_ROW_STATUS.PENDING) continue;
+
+    const existing = await BusinessOnrampOrder.findOne({ batchId: batch.batchId, batchRowNumber: row.rowNumber });
+    if (existing) {
+      await setBatchRow(batch, i, { status: BATCH_ROW_STATUS.ORDER_CREATED, orderId: existing.orderId });
+      continue;
+    }
+
+    const { order, error: pricingError } = business
+      ? await buildPricedOrder(business, {
+        amount: row.amount,
+        targetToken: row.token,
+        targetNetwork: row.network,
+        referencePrefix: 'ONRAMP-BATCH',
+        customerEmail: row.customerEmail,
+        customerName: row.customerName,
+        customerWallet: row.wallet,
+        webhookUrl: batch.webhookUrl,
+        batchId: batch.batchId,
+        batchRowNumber: row.rowNumber,
+        metadata: {
+          fundingMode: 'batch',
+          batchReference: row.reference
+        }
+      }, `${requestId}_${row.rowNumber}`)
+      : { error: 'Business not found' };
+
+    if (pricingError) {
+      // Paid for but never ordered - counts toward the batch's unsettled naira
+      console.warn(`[BATCH_${batch.batchId}] ⚠️ Row ${row.rowNumber} failed: ${pricingError}`);
+      await setBatchRow(batch, i, { status: BATCH_ROW_STATUS.FAILED, error: pricingError }, {
+        $inc: { unsettledAmount: row.amount }
+      });
+      continue;
+    }
+
+    // Child orders share the batch's Monnify transaction so refunds go back against it
+    order.markAsPaid(row.amount, batch.monnifyTransactionReference, {
+      actor: 'system',
+      eventId: `${batch.batchId}:${row.rowNumber}`,
+      reason: `Funded by batch ${batch.batchId}`
+    });
+    await order.save();
+
+    await setBatchRow(batch, i, {
+      status: BATCH_ROW_STATUS.ORDER_CREATED,
+      orderId: order.orderId,
+      estimatedTokenAmount: order.estimatedTokenAmount
+    });
+
+    // One at a time so a large batch doesn't flood the liquidity provider
+    try {
+      await genericTokenOnrampController.initiateSettlement(order, `${requestId}_${row.rowNumber}`);
+    } catch (settlementError) {
+      console.error(`[BATCH_${batch.batchId}] Row ${row.rowNumber} settlement failed:`, settlementError.message);
+    }
+  }
+
+  return refreshBatch(batch);
+},
+
+getAllOrders: async (req, res) => {
+  const requestId = Math.random().toString(36).substr(2, 8);
+  console.log(`[GET_ALL_ORDERS_${requestId}] 📋 Getting all orders with enhanced filtering`);
+
+  try {
+    const startTime = Date.now();
+    const business = req.business;
+    const {
       status,
       targetToken,
       targetNetwork,
@@ -2928,14 +4938,39 @@ handleMonnifyWebhook: async (req, res) => {
   console.log(`[MONNIFY_WEBHOOK_${webhookId}] 📦 Body:`, JSON.stringify(req.body, null, 2));
 
   try {
-    const {
-      transactionReference,
-      paymentReference,
-      amountPaid,
-      paymentStatus,
-      paidOn,
-      paymentMethod
-    } = req.body;
+    // Transfers into a customer's reserved funding account become orders automatically
+    if (req.body.eventType === 'SUCCESSFUL_TRANSACTION' && req.body.eventData?.product?.type === 'RESERVED_ACCOUNT') {
+      const result = await genericTokenOnrampController.processReservedAccountTransfer(req.body.eventData, webhookId);
+
+      return res.status(result.status).json({
+        requestSuccessful: result.status === 200,
+        responseMessage: result.message
+      });
+    }
+
+    // Refund status updates for refunds we initiated
+    if (['SUCCESSFUL_REFUND', 'FAILED_REFUND'].includes(req.body.eventType)) {
+      const eventData = req.body.eventData || {};
+      const refundStatus = req.body.eventType === 'SUCCESSFUL_REFUND' ? 'completed' : 'failed';
+
+      console.log(`[MONNIFY_WEBHOOK_${webhookId}] 💸 Refund ${refundStatus}: ${eventData.refundReference}`);
+
+      try {
+        await refundService.handleProviderUpdate(eventData.refundReference, refundStatus, eventData);
+      } catch (error) {
+        if (error.code !== 'REFUND_NOT_FOUND') {
+          throw error;
+        }
+        console.log(`[MONNIFY_WEBHOOK_${webhookId}] ⏭️ Unknown refund reference - ignoring`);
+      }
+
+      return res.json({
+        requestSuccessful: true,
+        responseMessage: `Refund ${refundStatus} recorded`
+      });
+    }
+
+    const { transactionReference, paymentStatus } = req.body;
 
     if (!transactionReference || !paymentStatus) {
       return res.status(400).json({
@@ -2944,6 +4979,17 @@ handleMonnifyWebhook: async (req, res) => {
       });
     }
 
+    // Funding payment for a CSV batch
+    const batch = await OnrampBatch.findOne({ fundingReference: transactionReference });
+    if (batch) {
+      const result = await genericTokenOnrampController.processBatchFunding(batch, req.body, webhookId);
+
+      return res.status(result.status).json({
+        requestSuccessful: result.status === 200,
+        responseMessage: result.message
+      });
+    }
+
     const order = await BusinessOnrampOrder.findOne({
       businessOrderReference: transactionReference
     });
@@ -2956,59 +5002,166 @@ handleMonnifyWebhook: async (req, res) => {
       });
     }
 
-    // Prevent duplicate processing
-    if (order.status !== BUSINESS_ORDER_STATUS.INITIATED) {
-      return res.json({
-        requestSuccessful: true,
-        responseMessage: `Order already processed: ${order.status}`
+    const result = await genericTokenOnrampController.applyMonnifyPayment(order, req.body, {
+      actor: 'webhook',
+      eventId: webhookId,
+      logTag: `MONNIFY_WEBHOOK_${webhookId}`
+    });
+
+    return res.status(result.status).json({
+      requestSuccessful: true,
+      responseMessage: result.message
+    });
+
+  } catch (error) {
+    console.error(`[MONNIFY_WEBHOOK_${webhookId}] ❌ Error:`, error);
+
+    if (error.code === 'INVALID_STATUS_TRANSITION') {
+      return res.status(409).json({
+        requestSuccessful: false,
+        responseMessage: error.message
       });
     }
 
-    if (paymentStatus === 'PAID') {
-      console.log(`[MONNIFY_WEBHOOK_${webhookId}] ✅ Payment confirmed`);
+    return res.status(500).json({
+      requestSuccessful: false,
+      responseMessage: error.message
+    });
+  }
+},
 
-      order.status = BUSINESS_ORDER_STATUS.PENDING;
-      order.paidAmount = parseFloat(amountPaid);
-      order.paymentCompletedAt = new Date(paidOn);
-      order.metadata.monnifyPayment = {
-        paymentReference,
-        paymentMethod,
-        webhookReceivedAt: new Date(),
-        webhookId
-      };
+/**
+ * Apply a Monnify payment to an order. Used by the payment webhook and by reconciliation when it
+ * finds a payment whose webhook never arrived.
+ * @param {Object} order BusinessOnrampOrder the payment belongs to
+ * @param {Object} payment Monnify transaction (transactionReference, paymentReference, amountPaid, paymentStatus, paidOn, paymentMethod)
+ * @param {Object} context { actor: 'webhook' | 'system', eventId, logTag }
+ */
+async applyMonnifyPayment(order, payment, context) {
+  const { transactionReference, paymentReference, amountPaid, paymentStatus, paidOn, paymentMethod } = payment;
+  const logTag = context.logTag || `MONNIFY_PAYMENT_${context.eventId}`;
 
-      await order.save();
+  // Where the payment came from: the webhook, or reconciliation picking up one that never arrived
+  const source = context.actor === 'webhook'
+    ? { webhookId: context.eventId, webhookReceivedAt: new Date() }
+    : { recoveredBy: context.actor, recoveryId: context.eventId, recoveredAt: new Date() };
 
-      // Initiate settlement (async - don't wait)
-      genericTokenOnrampController.initiateSettlement(order, webhookId)
-        .catch(err => console.error(`Settlement failed:`, err));
+  // Payment landed on a checkout the business already cancelled (or that expired) - flag it for refund
+  if (paymentStatus === 'PAID' &&
+      [BUSINESS_ORDER_STATUS.CANCELLED, BUSINESS_ORDER_STATUS.EXPIRED].includes(order.status)) {
+    console.warn(`[${logTag}] ⚠️ Payment received for ${order.status} order ${order.orderId} - flagging for refund`);
 
-      return res.json({
-        requestSuccessful: true,
-        responseMessage: 'Payment confirmed and settlement initiated'
-      });
+    order.metadata.paymentAfterCancellation = {
+      paymentReference,
+      transactionReference,
+      amountPaid: parseFloat(amountPaid),
+      paidOn,
+      paymentMethod,
+      ...source,
+      receivedAt: new Date(),
+      requiresRefund: true
+    };
+    order.markModified('metadata');
+    await order.save();
 
-    } else if (paymentStatus === 'FAILED') {
-      order.status = BUSINESS_ORDER_STATUS.FAILED;
-      order.metadata.paymentFailure = {
-        reason: 'Payment failed at Monnify',
-        timestamp: new Date()
-      };
-      await order.save();
+    refundService.createRefund(order, {
+      source: REFUND_SOURCES.PAYMENT_AFTER_CANCELLATION,
+      reason: `Payment received after the order was ${order.status}`
+    }).catch(err => console.error(`[${logTag}] Refund creation failed:`, err.message));
 
-      return res.json({
-        requestSuccessful: true,
-        responseMessage: 'Payment failure recorded'
-      });
+    return { status: 200, message: `Payment recorded for ${order.status} order and flagged for refund` };
+  }
+
+  // Prevent duplicate processing
+  if (order.status !== BUSINESS_ORDER_STATUS.INITIATED) {
+    return { status: 200, message: `Order already processed: ${order.status}` };
+  }
+
+  if (paymentStatus === 'PAID') {
+    console.log(`[${logTag}] ✅ Payment confirmed`);
+
+    order.transitionTo(BUSINESS_ORDER_STATUS.PENDING, {
+      actor: context.actor,
+      eventId: paymentReference || context.eventId,
+      reason: 'Monnify payment confirmed'
+    });
+    order.paidAmount = parseFloat(amountPaid);
+    order.paymentCompletedAt = new Date(paidOn);
+    order.metadata.monnifyPayment = {
+      paymentReference,
+      paymentMethod,
+      ...source
+    };
+
+    // Handle payments that don't match the order amount
+    const mismatch = evaluatePaymentMismatch(order, order.paidAmount);
+    if (mismatch) {
+      console.warn(`[${logTag}] ⚠️ ${mismatch.type}: expected ₦${mismatch.expectedAmount.toLocaleString()}, paid ₦${mismatch.paidAmount.toLocaleString()} (${mismatch.differencePercent}%) → ${mismatch.action}`);
+
+      order.paymentMismatch = mismatch;
+      if (mismatch.action !== PAYMENT_MISMATCH_ACTIONS.HELD_FOR_REVIEW) {
+        order.estimatedTokenAmount = mismatch.adjustedTokenAmount;
+        order.feeAmount = mismatch.adjustedFeeAmount;
+        order.netAmount = mismatch.adjustedNetAmount;
+      }
     }
 
-  } catch (error) {
-    console.error(`[MONNIFY_WEBHOOK_${webhookId}] ❌ Error:`, error);
-    return res.status(500).json({
-      requestSuccessful: false,
-      responseMessage: error.message
+    await order.save();
+
+    if (mismatch && order.webhookUrl) {
+      sendBusinessWebhook(order.webhookUrl, {
+        orderId: order.orderId,
+        businessOrderReference: order.businessOrderReference,
+        status: order.status,
+        targetToken: order.targetToken,
+        targetNetwork: order.targetNetwork,
+        estimatedTokenAmount: order.estimatedTokenAmount,
+        paymentMismatch: mismatch
+      }, mismatch.requiresReview ? 'order.payment_held' : 'order.payment_mismatch')
+        .catch(err => console.error(`[${logTag}] Mismatch webhook failed:`, err));
+    }
+
+    if (mismatch?.action === PAYMENT_MISMATCH_ACTIONS.EXCESS_FLAGGED_FOR_REFUND) {
+      refundService.createRefund(order, {
+        source: REFUND_SOURCES.OVERPAYMENT,
+        amount: mismatch.refundAmount,
+        reason: `Overpayment of ₦${mismatch.refundAmount.toLocaleString()} on order ${order.orderId}`
+      }).catch(err => console.error(`[${logTag}] Overpayment refund failed:`, err.message));
+    }
+
+    if (mismatch && mismatch.requiresReview) {
+      console.warn(`[${logTag}] ⏸️ Settlement held for review: ${order.orderId}`);
+      return { status: 200, message: 'Underpayment recorded and held for review' };
+    }
+
+    // Initiate settlement (async - don't wait)
+    genericTokenOnrampController.initiateSettlement(order, context.eventId)
+      .catch(err => console.error(`Settlement failed:`, err));
+
+    return {
+      status: 200,
+      message: mismatch
+        ? `Payment confirmed (${mismatch.type}, ${mismatch.action}) and settlement initiated`
+        : 'Payment confirmed and settlement initiated'
+    };
+
+  } else if (paymentStatus === 'FAILED') {
+    order.transitionTo(BUSINESS_ORDER_STATUS.FAILED, {
+      actor: context.actor,
+      eventId: paymentReference || context.eventId,
+      reason: 'Payment failed at Monnify'
     });
+    order.metadata.paymentFailure = {
+      reason: 'Payment failed at Monnify',
+      timestamp: new Date()
+    };
+    await order.save();
+    await liquidityService.finalizeReservation(order);
+
+    return { status: 200, message: 'Payment failure recorded' };
   }
+
+  return { status: 200, message: `Payment status ${paymentStatus} ignored` };
 },
 
 /**
@@ -3018,7 +5171,27 @@ async initiateSettlement(order, webhookId) {
   console.log(`[SETTLEMENT_${webhookId}] 🚀 Starting settlement for ${order.orderId}`);
 
   try {
-    order.status = BUSINESS_ORDER_STATUS.PROCESSING;
+    // Settle only against liquidity that is still held for the order
+    if (liquidityService.reservesLiquidity(order.targetNetwork)) {
+      const reservation = await liquidityService.holdReservationForSettlement(order);
+      if (!reservation) {
+        throw new Error('No liquidity provider has room to settle this order');
+      }
+      order.metadata.liquidityReservation = {
+        reservationId: reservation.reservationId,
+        providerId: reservation.providerId,
+        providerName: reservation.providerName,
+        amount: reservation.amount,
+        reservedAt: reservation.createdAt
+      };
+      order.markModified('metadata');
+    }
+
+    order.transitionTo(BUSINESS_ORDER_STATUS.PROCESSING, {
+      actor: 'system',
+      eventId: webhookId,
+      reason: 'Settlement initiated'
+    });
     order.settlementInitiatedAt = new Date();
     await order.save();
 
@@ -3026,11 +5199,12 @@ async initiateSettlement(order, webhookId) {
     const settlementData = {
       orderId: order.orderId,
       customerWallet: order.customerWallet,
-      amount: order.metadata.smartContractData?.actualUsdcValue || order.metadata.jupiterData?.usdcValue,
+      amount: order.getSettlementUsdcValue(),
       token: order.targetToken,
       network: order.targetNetwork,
       businessId: order.businessId,
-      customerEmail: order.customerEmail
+      customerEmail: order.customerEmail,
+      liquidityProviderId: order.metadata?.liquidityReservation?.providerId
     };
 
     console.log(`[SETTLEMENT_${webhookId}] 📡 Requesting settlement from Liquidity-Provider...`);
@@ -3060,12 +5234,25 @@ async initiateSettlement(order, webhookId) {
   } catch (error) {
     console.error(`[SETTLEMENT_${webhookId}] ❌ Settlement failed:`, error.message);
 
-    order.status = BUSINESS_ORDER_STATUS.FAILED;
+    if (order.canTransitionTo(BUSINESS_ORDER_STATUS.FAILED)) {
+      order.transitionTo(BUSINESS_ORDER_STATUS.FAILED, {
+        actor: 'system',
+        eventId: webhookId,
+        reason: error.message
+      });
+    }
     order.metadata.settlementError = {
       message: error.message,
       timestamp: new Date()
     };
+    order.markModified('metadata');
     await order.save();
+    await liquidityService.finalizeReservation(order);
+
+    if (order.status === BUSINESS_ORDER_STATUS.FAILED) {
+      refundService.refundFailedOrder(order, error.message)
+        .catch(err => console.error(`[SETTLEMENT_${webhookId}] Refund creation failed:`, err.message));
+    }
 
     throw error;
   }
@@ -3102,14 +5289,19 @@ handleSettlementWebhook: async (req, res) => {
 
     console.log(`[SETTLEMENT_WEBHOOK_${webhookId}] 📊 Order: ${orderId}, Status: ${status}`);
 
+    const settlementEventId = req.body.eventId || txHash || webhookId;
+
     if (status === 'confirmed' || status === 'completed') {
       console.log(`[SETTLEMENT_WEBHOOK_${webhookId}] ✅ Settlement confirmed`);
 
-      order.status = BUSINESS_ORDER_STATUS.COMPLETED;
-      order.actualTokenAmount = order.estimatedTokenAmount;
-      order.settlementCompletedAt = new Date();
-      order.completedAt = new Date();
-      order.transactionHash = txHash;
+      if (order.status === BUSINESS_ORDER_STATUS.COMPLETED) {
+        return res.json({
+          success: true,
+          message: 'Order already completed',
+          orderId: order.orderId,
+          currentStatus: order.status
+        });
+      }
 
       order.metadata.settlementTransaction = {
         ...order.metadata.settlementTransaction,
@@ -3119,36 +5311,59 @@ handleSettlementWebhook: async (req, res) => {
         confirmedAt: new Date(),
         status: 'confirmed'
       };
+      order.markModified('metadata');
+
+      // Completes the order (and notifies the business) only once the transfer checks out on-chain
+      const verification = await settlementVerifier.confirmSettlement(order, {
+        transactionHash: txHash,
+        actualTokenAmount: order.estimatedTokenAmount,
+        actor: 'webhook',
+        eventId: settlementEventId
+      });
 
-      await order.save();
-
-      console.log(`[SETTLEMENT_WEBHOOK_${webhookId}] ✅ Order completed: ${txHash}`);
+      console.log(`[SETTLEMENT_WEBHOOK_${webhookId}] 🔗 On-chain verification: ${verification.status}`);
 
-      // Notify business
-      if (order.webhookUrl) {
-        await sendBusinessWebhook(order.webhookUrl, {
-          event: 'order.completed',
-          orderId: order.orderId,
-          status: order.status,
-          txHash,
-          completedAt: order.completedAt
-        }, 'order.completed');
+      if (verification.status === 'verified') {
+        // Clean up active orders
+        const registryKey = `${order.customerEmail}-${order.targetToken}-${order.targetNetwork}`;
+        activeOrders.delete(registryKey);
       }
 
-      // Clean up active orders
-      const registryKey = `${order.customerEmail}-${order.targetToken}-${order.targetNetwork}`;
-      activeOrders.delete(registryKey);
+      return res.json({
+        success: true,
+        message: 'Settlement webhook processed',
+        orderId: order.orderId,
+        currentStatus: order.status,
+        settlementVerification: verification.status
+      });
 
     } else if (status === 'failed') {
       console.log(`[SETTLEMENT_WEBHOOK_${webhookId}] ❌ Settlement failed`);
 
-      order.status = BUSINESS_ORDER_STATUS.FAILED;
+      if (order.status === BUSINESS_ORDER_STATUS.FAILED) {
+        return res.json({
+          success: true,
+          message: 'Order already failed',
+          orderId: order.orderId,
+          currentStatus: order.status
+        });
+      }
+
+      order.transitionTo(BUSINESS_ORDER_STATUS.FAILED, {
+        actor: 'webhook',
+        eventId: settlementEventId,
+        reason: 'Transaction failed on blockchain'
+      });
       order.metadata.settlementError = {
         txHash,
         message: 'Transaction failed on blockchain',
         timestamp: new Date()
       };
       await order.save();
+      await liquidityService.finalizeReservation(order);
+
+      refundService.refundFailedOrder(order, 'Transaction failed on blockchain')
+        .catch(err => console.error(`[SETTLEMENT_WEBHOOK_${webhookId}] Refund creation failed:`, err.message));
 
       // Notify business
       if (order.webhookUrl) {
@@ -3170,6 +5385,15 @@ handleSettlementWebhook: async (req, res) => {
 
   } catch (error) {
     console.error(`[SETTLEMENT_WEBHOOK_${webhookId}] ❌ Error:`, error);
+
+    if (error.code === 'INVALID_STATUS_TRANSITION') {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: error.message
@@ -3226,20 +5450,33 @@ checkSettlementStatus: async (req, res) => {
 
     if (statusResult.success) {
       // Update order status based on settlement status
-      if (statusResult.status === 'completed' && order.status !== BUSINESS_ORDER_STATUS.COMPLETED) {
-        order.status = BUSINESS_ORDER_STATUS.COMPLETED;
-        order.completedAt = new Date();
-        order.transactionHash = statusResult.transactionHash;
-        await order.save();
+      let settlementVerification = order.settlementVerification?.status || null;
 
-        console.log(`[SETTLEMENT_STATUS_${requestId}] ✅ Order completed: ${order.orderId}`);
-      } else if (statusResult.status === 'failed' && order.status !== BUSINESS_ORDER_STATUS.FAILED) {
-        order.status = BUSINESS_ORDER_STATUS.FAILED;
+      if (statusResult.status === 'completed' && order.canTransitionTo(BUSINESS_ORDER_STATUS.COMPLETED)) {
+        const verification = await settlementVerifier.confirmSettlement(order, {
+          transactionHash: statusResult.transactionHash,
+          actualTokenAmount: statusResult.actualTokenAmount,
+          actor: 'system',
+          eventId: settlementId
+        });
+        settlementVerification = verification.status;
+
+        console.log(`[SETTLEMENT_STATUS_${requestId}] 🔗 Order ${order.orderId} on-chain verification: ${verification.status}`);
+      } else if (statusResult.status === 'failed' && order.canTransitionTo(BUSINESS_ORDER_STATUS.FAILED)) {
+        order.transitionTo(BUSINESS_ORDER_STATUS.FAILED, {
+          actor: 'system',
+          eventId: settlementId,
+          reason: statusResult.error || 'Settlement failed'
+        });
         order.metadata.settlementError = {
           message: statusResult.error || 'Settlement failed',
           timestamp: new Date()
         };
         await order.save();
+        await liquidityService.finalizeReservation(order);
+
+        refundService.refundFailedOrder(order, statusResult.error || 'Settlement failed')
+          .catch(err => console.error(`[SETTLEMENT_STATUS_${requestId}] Refund creation failed:`, err.message));
 
         console.log(`[SETTLEMENT_STATUS_${requestId}] ❌ Order failed: ${order.orderId}`);
       }
@@ -3253,7 +5490,8 @@ checkSettlementStatus: async (req, res) => {
           transactionHash: statusResult.transactionHash,
           completedAt: statusResult.completedAt,
           error: statusResult.error,
-          orderStatus: order.status
+          orderStatus: order.status,
+          settlementVerification
         }
       });
     } else {
@@ -3386,10 +5624,33 @@ testToken: async (req, res) => {
 }
 };
 
+/**
+ * Start the onramp background jobs. Called from app bootstrap once MongoDB is connected.
+ */
+function startBackgroundJobs() {
+  // Recurring schedules are run in-process; each due run is funded and settled by processScheduleRun
+  onrampScheduler.start((schedule, run) => genericTokenOnrampController.processScheduleRun(schedule, run));
+
+  // Reconciliation heals missed Monnify webhooks through the same payment and settlement code the webhook uses
+  reconciliationService.start({
+    applyPayment: (order, payment, reportId) => genericTokenOnrampController.applyMonnifyPayment(order, payment, {
+      actor: 'system',
+      eventId: reportId,
+      logTag: `RECONCILIATION_${reportId}`
+    }),
+    startSettlement: (order, reportId) => genericTokenOnrampController.initiateSettlement(order, reportId)
+  });
+
+  // Re-checks settlements whose transactions weren't confirmed on-chain when they were reported
+  settlementVerifier.start();
+}
+
 // Export the complete enhanced controller with all optimizations
 module.exports = {
 ...genericTokenOnrampController,
 
+startBackgroundJobs,
+
 // Export helper functions for testing and external use
 helpers: {
   validateAndPriceToken,
@@ -3398,19 +5659,23 @@ helpers: {
   processNonBaseToken,
   initializeBaseTransaction,
   initializeSolanaTransaction,
-  getUSDCToNGNRate,
+  rollbackOrderCreation,
   ensureBusinessHasDefaultTokens,
   checkLiquidityWithCaching,
   selectOptimalProvider,
   checkDuplicateOrder,
   registerActiveOrder,
-  sendBusinessWebhook
+  sendBusinessWebhook,
+  evaluatePaymentMismatch,
+  buildPricedOrder,
+  parseBatchCsv
 },
 
 // Export configuration and metrics
 config: {
   CACHE_TTL,
   ORDER_TIMEOUT,
+  PAYMENT_MISMATCH_CONFIG,
   version: '4.0-enhanced-with-optimized-liquidity-integration'
 },
 
@@ -7,6 +7,8 @@ const { BusinessOnrampOrder, BUSINESS_ORDER_STATUS } = require('../models/Busine
 const { Business } = require('../models');
 const monnifyService = require('../services/monnifyService');
 const { OnrampPriceChecker } = require('../services/onrampPriceChecker');
+const rateEngine = require('../services/rateEngine');
+const { liquidityService } = require('../services/liquidityService');
 const axios = require('axios');
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
@@ -170,7 +172,7 @@ async function fetchCryptoToNgnPriceWithSmartContract(cryptoSymbol, business, cr
     }
     
     // Get USDC to NGN conversion rate
-    const usdcToNgnRate = await getUSDCToNGNRate();
+    const { rate: usdcToNgnRate } = await rateEngine.getRate('onramp', 'USDC');
     
     // Calculate NGN values from USDC amounts
     const totalNgnValue = priceResult.usdcValue * usdcToNgnRate;
@@ -227,37 +229,24 @@ async function fetchCryptoToNgnPriceWithSmartContract(cryptoSymbol, business, cr
 }
 
 /**
- * Get USDC to NGN conversion rate
+ * Price data for tokens not priced through the smart contract, from the rate engine's NGN rate
  */
-async function getUSDCToNGNRate() {
-  try {
-    const baseUrl = process.env.INTERNAL_API_BASE_URL || 'http://localhost:5002';
-    
-    try {
-      const response = await axios.get(`${baseUrl}/api/v1/exchange-rate/usdc-ngn`, {
-        timeout: 5000,
-        headers: {
-          'Content-Type': 'application/json',
-          'User-Agent': 'EnhancedOnrampService/1.0'
-        }
-      });
-      
-      if (response.data && response.data.success) {
-        console.log(`[USDC_NGN_RATE] Got rate from internal API: ₦${response.data.data.rate}`);
-        return response.data.data.rate;
-      }
-    } catch (apiError) {
-      console.warn('[USDC_NGN_RATE] Internal API failed, using fallback:', apiError.message);
-    }
-    
-    const fallbackRate = process.env.FALLBACK_USDC_NGN_RATE || 1650;
-    console.log(`[USDC_NGN_RATE] Using fallback rate: ₦${fallbackRate}`);
-    return parseFloat(fallbackRate);
-    
-  } catch (error) {
-    console.error('[USDC_NGN_RATE] Error getting USDC-NGN rate:', error);
-    return 1650;
-  }
+async function fetchCryptoToNgnPriceFromRateEngine(cryptoSymbol) {
+  const rate = await rateEngine.getRate('onramp', cryptoSymbol);
+
+  return {
+    cryptoSymbol: rate.token,
+    cryptoAmount: 1,
+    unitPriceInNgn: rate.rate,
+    totalNgnNeeded: rate.rate,
+    exchangeRate: rate.rate,
+    ngnToTokenRate: 1 / rate.rate,
+    formattedPrice: `₦${rate.rate.toLocaleString()}`,
+    exchangeRateString: `1 ${rate.token} = ₦${rate.rate.toLocaleString()}`,
+    timestamp: rate.fetchedAt,
+    source: rate.source,
+    rateStale: rate.stale
+  };
 }
 
 // Helper function to send webhook to business
@@ -350,6 +339,7 @@ async function sendLiquidityWebhook(orderData) {
 const enhancedBusinessOnrampController = {
   // Enhanced createOnrampOrder with FULL token validation (business + smart contract)
   createOnrampOrder: async (req, res) => {
+    const creationState = { orderId: null, liquidityReserved: false, quoteId: null, activeOrderKey: null, order: null, completed: false };
     try {
       console.log('[BUSINESS_ONRAMP] Creating new business onramp order with FULL token validation');
       const business = req.business;
@@ -363,6 +353,7 @@ const enhancedBusinessOnrampController = {
         customerWallet,
         redirectUrl,
         webhookUrl,
+        quoteId,
         metadata = {}
       } = req.body;
       
@@ -375,6 +366,16 @@ const enhancedBusinessOnrampController = {
         });
       }
       
+      // This controller prices every order live - refuse a quoteId rather than silently ignore its locked rate
+      if (quoteId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Locked quotes are not supported by this endpoint - omit quoteId to create the order at the current rate',
+          details: { quoteId },
+          code: 'QUOTE_LOCKING_NOT_SUPPORTED'
+        });
+      }
+      
       // Amount validation
       if (amount < 1000 || amount > 10000000) {
         return res.status(400).json({
@@ -461,6 +462,13 @@ const enhancedBusinessOnrampController = {
           priceData = await fetchCryptoToNgnPriceWithSmartContract(targetToken, business, 1);
         } catch (smartContractError) {
           console.error('[BUSINESS_ONRAMP] Smart contract price calculation failed:', smartContractError);
+          if (smartContractError.code === 'RATE_UNAVAILABLE') {
+            return res.status(503).json({
+              success: false,
+              message: smartContractError.message,
+              code: 'RATE_UNAVAILABLE'
+            });
+          }
           return res.status(500).json({
             success: false,
             message: 'Failed to calculate token price from smart contract',
@@ -469,39 +477,20 @@ const enhancedBusinessOnrampController = {
           });
         }
       } else {
-        // Fallback to internal API for non-Base tokens or if smart contract fails
-        console.log(`[BUSINESS_ONRAMP] Using internal API pricing for ${targetNetwork} token`);
+        // Non-Base tokens are priced from the rate engine
+        console.log(`[BUSINESS_ONRAMP] Using rate engine pricing for ${targetNetwork} token`);
         
         try {
-          const baseUrl = process.env.INTERNAL_API_BASE_URL || 'http://localhost:5002';
-          const response = await axios.get(`${baseUrl}/api/v1/onramp-price`, {
-            params: {
-              cryptoSymbol: targetToken,
-              cryptoAmount: 1
-            },
-            timeout: 10000
-          });
-          
-          if (!response.data || !response.data.success) {
-            throw new Error(response.data?.message || `Failed to get price for ${targetToken}`);
-          }
-          
-          const apiPriceData = response.data.data;
-          
-          priceData = {
-            cryptoSymbol: targetToken.toUpperCase(),
-            cryptoAmount: 1,
-            unitPriceInNgn: apiPriceData.unitPriceInNgn,
-            totalNgnNeeded: apiPriceData.totalNgnNeeded,
-            exchangeRate: apiPriceData.unitPriceInNgn,
-            ngnToTokenRate: 1 / apiPriceData.unitPriceInNgn,
-            formattedPrice: apiPriceData.formattedPrice,
-            exchangeRateString: apiPriceData.exchangeRate,
-            timestamp: new Date(apiPriceData.timestamp),
-            source: apiPriceData.source || 'internal_api'
-          };
+          priceData = await fetchCryptoToNgnPriceFromRateEngine(targetToken);
         } catch (apiError) {
-          console.error('[BUSINESS_ONRAMP] Internal API price calculation failed:', apiError);
+          console.error('[BUSINESS_ONRAMP] Rate engine price calculation failed:', apiError);
+          if (apiError.code === 'RATE_UNAVAILABLE') {
+            return res.status(503).json({
+              success: false,
+              message: apiError.message,
+              code: 'RATE_UNAVAILABLE'
+            });
+          }
           return res.status(500).json({
             success: false,
             message: 'Failed to calculate token price',
@@ -535,6 +524,44 @@ const enhancedBusinessOnrampController = {
       // Generate unique references
       const businessOrderReference = `BIZRAMP-${uuidv4()}`;
       const orderId = `BO_${Date.now()}_${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
+      const orderExpiresAt = new Date(Date.now() + 30 * 60 * 1000); // 30 minutes expiration
+      creationState.orderId = orderId;
+      
+      // Hold provider liquidity for the order so concurrent orders cannot promise it twice
+      let liquidityReservation = null;
+      if (liquidityService.reservesLiquidity(targetNetwork.toLowerCase())) {
+        const { rate: usdcToNgnRate } = await rateEngine.getRate('onramp', 'USDC');
+        const usdcValue = parseFloat((netAmount / usdcToNgnRate).toFixed(6));
+        const liquidityCheck = await liquidityService.checkAvailability(targetNetwork.toLowerCase(), usdcValue);
+        
+        if (liquidityCheck.hasLiquidity) {
+          liquidityReservation = await liquidityService.reserveForOrder(
+            { orderId, businessId: business._id, expiresAt: orderExpiresAt },
+            targetNetwork.toLowerCase(),
+            usdcValue,
+            liquidityCheck.liquidityAnalysis
+          );
+        }
+        
+        if (!liquidityReservation) {
+          console.error(`[BUSINESS_ONRAMP] ❌ Could not reserve $${usdcValue} USDC on ${targetNetwork}`);
+          return res.status(503).json({
+            success: false,
+            message: 'Insufficient liquidity available for this order',
+            details: {
+              token: targetToken,
+              network: targetNetwork,
+              requiredAmount: `$${usdcValue} USDC`,
+              customerAmount: `₦${amount.toLocaleString()}`
+            },
+            code: 'INSUFFICIENT_LIQUIDITY',
+            retryAfter: 300
+          });
+        }
+        
+        console.log(`[BUSINESS_ONRAMP] 🔒 Liquidity reserved: ${liquidityReservation.reservationId} on ${liquidityReservation.providerName}`);
+        creationState.liquidityReserved = true;
+      }
       
       // Create enhanced business onramp order
       const order = new BusinessOnrampOrder({
@@ -576,13 +603,23 @@ const enhancedBusinessOnrampController = {
               reserveSupported: priceData.reserveSupported,
               liquidityAdequate: priceData.liquidityAdequate
             }
+          }),
+          ...(liquidityReservation && {
+            liquidityReservation: {
+              reservationId: liquidityReservation.reservationId,
+              providerId: liquidityReservation.providerId,
+              providerName: liquidityReservation.providerName,
+              amount: liquidityReservation.amount,
+              reservedAt: liquidityReservation.createdAt
+            }
           })
         },
         createdAt: new Date(),
-        expiresAt: new Date(Date.now() + 30 * 60 * 1000) // 30 minutes expiration
+        expiresAt: orderExpiresAt
       });
       
       await order.save();
+      creationState.order = order;
       console.log(`[BUSINESS_ONRAMP] Enhanced order created with ID: ${order.orderId}`);
       
       // Generate payment link
@@ -600,6 +637,7 @@ const enhancedBusinessOnrampController = {
       }
       
       console.log(`[BUSINESS_ONRAMP] Payment link generated successfully`);
+      creationState.completed = true;
       
       // Prepare order data for webhook
       const orderData = {
@@ -695,6 +733,7 @@ const enhancedBusinessOnrampController = {
       
     } catch (error) {
       console.error('[BUSINESS_ONRAMP] Error creating enhanced onramp order:', error);
+      await originalController.helpers.rollbackOrderCreation(creationState, error.message, creationState.orderId);
       res.status(500).json({
         success: false,
         message: error.message || 'Failed to create business onramp order',
@@ -783,6 +822,13 @@ const enhancedBusinessOnrampController = {
           priceData = await fetchCryptoToNgnPriceWithSmartContract(targetToken, business, 1);
         } catch (smartContractError) {
           console.error('[BUSINESS_ONRAMP] Smart contract quote failed:', smartContractError);
+          if (smartContractError.code === 'RATE_UNAVAILABLE') {
+            return res.status(503).json({
+              success: false,
+              message: smartContractError.message,
+              code: 'RATE_UNAVAILABLE'
+            });
+          }
           return res.status(500).json({
             success: false,
             message: 'Failed to get smart contract quote',
@@ -791,37 +837,18 @@ const enhancedBusinessOnrampController = {
           });
         }
       } else {
-        // Fallback to internal API
+        // Non-Base tokens are priced from the rate engine
         try {
-          const baseUrl = process.env.INTERNAL_API_BASE_URL || 'http://localhost:5002';
-          const response = await axios.get(`${baseUrl}/api/v1/onramp-price`, {
-            params: {
-              cryptoSymbol: targetToken,
-              cryptoAmount: 1
-            },
-            timeout: 10000
-          });
-          
-          if (!response.data || !response.data.success) {
-            throw new Error(response.data?.message || `Failed to get price for ${targetToken}`);
-          }
-          
-          const apiPriceData = response.data.data;
-          
-          priceData = {
-            cryptoSymbol: targetToken.toUpperCase(),
-            cryptoAmount: 1,
-            unitPriceInNgn: apiPriceData.unitPriceInNgn,
-            totalNgnNeeded: apiPriceData.totalNgnNeeded,
-            exchangeRate: apiPriceData.unitPriceInNgn,
-            ngnToTokenRate: 1 / apiPriceData.unitPriceInNgn,
-            formattedPrice: apiPriceData.formattedPrice,
-            exchangeRateString: apiPriceData.exchangeRate,
-            timestamp: new Date(apiPriceData.timestamp),
-            source: apiPriceData.source || 'internal_api'
-          };
+          priceData = await fetchCryptoToNgnPriceFromRateEngine(targetToken);
         } catch (apiError) {
-          console.error('[BUSINESS_ONRAMP] Internal API quote failed:', apiError);
+          console.error('[BUSINESS_ONRAMP] Rate engine quote failed:', apiError);
+          if (apiError.code === 'RATE_UNAVAILABLE') {
+            return res.status(503).json({
+              success: false,
+              message: apiError.message,
+              code: 'RATE_UNAVAILABLE'
+            });
+          }
           return res.status(500).json({
             success: false,
             message: 'Failed to get price quote',
@@ -862,6 +889,8 @@ const enhancedBusinessOnrampController = {
         timestamp: priceData.timestamp,
         validFor: 300,
         expiresAt: new Date(Date.now() + 5 * 60 * 1000),
+        // Indicative only - no quoteId is issued and orders are priced when they are created
+        rateLocked: false,
         validation: {
           businessSupported: tokenValidation.businessSupported,
           contractSupported: tokenValidation.contractSupported,
@@ -1045,20 +1074,19 @@ const enhancedBusinessOnrampController = {
         console.error('[HEALTH_CHECK] Smart contract connection failed:', error);
       }
       
-      // Test internal API connection
-      let internalApiHealth = false;
-      let apiError = null;
+      // Test the rate engine can price USDC
+      let rateEngineHealth = false;
+      let rateError = null;
       
       try {
-        const baseUrl = process.env.INTERNAL_API_BASE_URL || 'http://localhost:5002';
-        const response = await axios.get(`${baseUrl}/api/v1/health`, { timeout: 5000 });
-        internalApiHealth = response.status === 200;
+        await rateEngine.getRate('onramp', 'USDC');
+        rateEngineHealth = true;
       } catch (error) {
-        apiError = error.message;
-        console.error('[HEALTH_CHECK] Internal API connection failed:', error);
+        rateError = error.message;
+        console.error('[HEALTH_CHECK] Rate engine has no onramp rate:', error.message);
       }
       
-      const isHealthy = smartContractHealth || internalApiHealth; // At least one should work
+      const isHealthy = smartContractHealth || rateEngineHealth; // At least one should work
       const statusCode = isHealthy ? 200 : 503;
       
       res.status(statusCode).json({
@@ -1076,10 +1104,10 @@ const enhancedBusinessOnrampController = {
               contract: process.env.ABOKI_V2_CONTRACT || '0x14157cA08Ed86531355f1DE8c918dE85CA6bCDa1',
               ...(contractError && { error: contractError })
             },
-            internalApi: {
-              available: internalApiHealth,
-              baseUrl: process.env.INTERNAL_API_BASE_URL || 'http://localhost:5002',
-              ...(apiError && { error: apiError })
+            rateEngine: {
+              available: rateEngineHealth,
+              ...rateEngine.getStatus(),
+              ...(rateError && { error: rateError })
             }
           },
           capabilities: {
@@ -1087,11 +1115,11 @@ const enhancedBusinessOnrampController = {
             smartContractValidation: smartContractHealth,
             liquidityChecking: smartContractHealth,
             baseNetworkSupport: smartContractHealth,
-            fallbackPricing: internalApiHealth
+            fallbackPricing: rateEngineHealth
           },
           recommendations: !isHealthy ? [
             !smartContractHealth && 'Check Base RPC connection and contract address',
-            !internalApiHealth && 'Check internal API service availability'
+            !rateEngineHealth && 'Check the onramp rate sources (RATE_SOURCES_ONRAMP) or set a manual rate'
           ].filter(Boolean) : []
         }
       });
@@ -1194,6 +1222,20 @@ module.exports = {
   ...enhancedBusinessOnrampController,
   // Keep all other existing methods unchanged
   getOrderById: originalController.getOrderById,
+  cancelOrder: originalController.cancelOrder,
+  createFundingAccount: originalController.createFundingAccount,
+  getFundingAccounts: originalController.getFundingAccounts,
+  getFundingAccount: originalController.getFundingAccount,
+  createSchedule: originalController.createSchedule,
+  getSchedules: originalController.getSchedules,
+  getSchedule: originalController.getSchedule,
+  pauseSchedule: originalController.pauseSchedule,
+  resumeSchedule: originalController.resumeSchedule,
+  cancelSchedule: originalController.cancelSchedule,
+  createBatch: originalController.createBatch,
+  getBatches: originalController.getBatches,
+  getBatch: originalController.getBatch,
+  getBatchResults: originalController.getBatchResults,
   getAllOrders: originalController.getAllOrders,
   getBusinessStats: originalController.getBusinessStats,
   handleMonnifyWebhook: originalController.handleMonnifyWebhook
@@ -1,5 +1,8 @@
 const { BusinessOnrampOrder, BUSINESS_ORDER_STATUS } = require('../models/BusinessOnrampOrder');
 const { Business } = require('../models');
+const refundService = require('../services/refundService');
+const settlementVerifier = require('../services/settlementVerifier');
+const { liquidityService } = require('../services/liquidityService');
 const crypto = require('crypto');
 const axios = require('axios');
 
@@ -108,59 +111,56 @@ const liquidityWebhookController = {
       
       console.log(`[LIQUIDITY_WEBHOOK] Processing order ${order.orderId}, current status: ${order.status}`);
       
+      const transitionOptions = {
+        actor: 'webhook',
+        eventId: req.body.eventId || liquidityServerOrderId || null
+      };
+      
+      // Ignore redelivered events for orders already in the reported state
+      if (status === order.status) {
+        console.log(`[LIQUIDITY_WEBHOOK] Order ${orderId} already ${status}, ignoring duplicate event`);
+        return res.json({
+          success: true,
+          message: 'Settlement webhook already processed',
+          orderId,
+          orderStatus: order.status
+        });
+      }
+      
       // Update order based on settlement status
       if (status === 'completed') {
-        console.log(`[LIQUIDITY_WEBHOOK] Settlement completed for order ${orderId}`);
+        console.log(`[LIQUIDITY_WEBHOOK] Settlement reported completed for order ${orderId}, verifying on-chain`);
         
-        // Mark order as completed
-        order.markAsCompleted(transactionHash, actualTokenAmount);
-        order.liquidityServerOrderId = liquidityServerOrderId;
-        await order.save();
+        // Only complete the order once the transaction checks out on-chain;
+        // the verifier sends the order.completed webhook itself
+        const verification = await settlementVerifier.confirmSettlement(order, {
+          transactionHash,
+          actualTokenAmount,
+          liquidityServerOrderId,
+          ...transitionOptions
+        });
         
-        // Prepare order data for business webhook
-        const orderData = {
-          orderId: order.orderId,
-          businessOrderReference: order.businessOrderReference,
-          status: order.status,
-          amount: order.amount,
-          targetToken: order.targetToken,
-          targetNetwork: order.targetNetwork,
-          estimatedTokenAmount: order.estimatedTokenAmount,
-          actualTokenAmount: order.actualTokenAmount,
-          customerEmail: order.customerEmail,
-          customerWallet: order.customerWallet,
-          transactionHash: order.transactionHash,
-          completedAt: order.completedAt,
-          settlementCompletedAt: order.settlementCompletedAt,
-          metadata: order.metadata
-        };
+        console.log(`[LIQUIDITY_WEBHOOK] Order ${orderId} settlement verification: ${verification.status}`);
         
-        // Send completion webhook to business (optional)
-        if (order.webhookUrl) {
-          const webhookResult = await sendBusinessWebhook(
-            order.webhookUrl, 
-            orderData, 
-            'order.completed'
-          );
-          
-          if (webhookResult.sent) {
-            order.markWebhookDelivered();
-            await order.save();
-          } else {
-            order.updateWebhookAttempt();
-            await order.save();
-          }
-        }
-        
-        console.log(`[LIQUIDITY_WEBHOOK] Order ${orderId} marked as completed`);
+        return res.json({
+          success: true,
+          message: 'Settlement webhook processed successfully',
+          orderId,
+          orderStatus: order.status,
+          settlementVerification: verification.status
+        });
         
       } else if (status === 'failed') {
         console.log(`[LIQUIDITY_WEBHOOK] Settlement failed for order ${orderId}: ${errorMessage}`);
         
         // Mark order as failed
-        order.markAsFailed(errorMessage || 'Settlement failed on liquidity server');
+        order.markAsFailed(errorMessage || 'Settlement failed on liquidity server', transitionOptions);
         order.liquidityServerOrderId = liquidityServerOrderId;
         await order.save();
+        await liquidityService.finalizeReservation(order);
+        
+        refundService.refundFailedOrder(order, order.errorMessage)
+          .catch(err => console.error(`[LIQUIDITY_WEBHOOK] Refund creation failed for ${orderId}:`, err.message));
         
         // Prepare failure data for business webhook
         const orderData = {
@@ -196,13 +196,8 @@ const liquidityWebhookController = {
       } else if (status === 'processing') {
         console.log(`[LIQUIDITY_WEBHOOK] Settlement processing for order ${orderId}`);
         
-        // Update processing status if not already set
-        if (order.status !== BUSINESS_ORDER_STATUS.PROCESSING) {
-          order.status = BUSINESS_ORDER_STATUS.PROCESSING;
-          order.liquidityServerOrderId = liquidityServerOrderId;
-          order.settlementInitiatedAt = new Date();
-          await order.save();
-        }
+        order.markAsProcessing(liquidityServerOrderId, transitionOptions);
+        await order.save();
         
       } else {
         console.log(`[LIQUIDITY_WEBHOOK] Unknown settlement status: ${status}`);
@@ -221,6 +216,15 @@ const liquidityWebhookController = {
       
     } catch (error) {
       console.error('[LIQUIDITY_WEBHOOK] Error processing settlement webhook:', error);
+      
+      if (error.code === 'INVALID_STATUS_TRANSITION') {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+          code: error.code
+        });
+      }
+      
       res.status(500).json({
         success: false,
         message: 'Failed to process settlement webhook'
@@ -352,10 +356,17 @@ const liquidityWebhookController = {
       }
       
       // Update order with error information
-      if (!retryable) {
+      if (!retryable && order.canTransitionTo(BUSINESS_ORDER_STATUS.FAILED)) {
         // If error is not retryable, mark order as failed
-        order.markAsFailed(`Liquidity server error: ${errorMessage} (Code: ${errorCode})`);
+        order.markAsFailed(`Liquidity server error: ${errorMessage} (Code: ${errorCode})`, {
+          actor: 'webhook',
+          eventId: req.body.eventId || null
+        });
         await order.save();
+        await liquidityService.finalizeReservation(order);
+        
+        refundService.refundFailedOrder(order, order.errorMessage)
+          .catch(err => console.error(`[LIQUIDITY_WEBHOOK] Refund creation failed for ${orderId}:`, err.message));
         
         // Send failure webhook to business (optional)
         if (order.webhookUrl) {
@@ -377,8 +388,8 @@ const liquidityWebhookController = {
         
         console.log(`[LIQUIDITY_WEBHOOK] Order ${orderId} marked as failed due to non-retryable error`);
       } else {
-        // If error is retryable, just update notes
-        order.notes = `Liquidity server error (retryable): ${errorMessage} (Code: ${errorCode})`;
+        // If error is retryable (or the order can no longer fail), just update notes
+        order.notes = `Liquidity server error (${retryable ? 'retryable' : `order already ${order.status}`}): ${errorMessage} (Code: ${errorCode})`;
         order.updatedAt = new Date();
         await order.save();
         
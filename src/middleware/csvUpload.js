@@ -0,0 +1,40 @@
+const multer = require('multer');
+
+const MAX_CSV_BYTES = parseInt(process.env.ONRAMP_BATCH_MAX_FILE_BYTES || String(2 * 1024 * 1024));
+
+// CSVs are parsed straight from memory - nothing is written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_CSV_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const isCsv = /\.csv$/i.test(file.originalname) ||
+      ['text/csv', 'application/vnd.ms-excel', 'text/plain'].includes(file.mimetype);
+    cb(null, isCsv);
+  }
+});
+
+// Accept a single CSV in the `file` field and turn multer errors into API errors
+const uploadCsv = (fieldName = 'file') => (req, res, next) => {
+  upload.single(fieldName)(req, res, (error) => {
+    if (error) {
+      const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+      return res.status(400).json({
+        success: false,
+        message: tooLarge ? `CSV file is larger than ${Math.round(MAX_CSV_BYTES / 1024)}KB` : error.message,
+        code: tooLarge ? 'CSV_TOO_LARGE' : 'CSV_UPLOAD_FAILED'
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: `Upload a CSV file in the "${fieldName}" field`,
+        code: 'CSV_FILE_REQUIRED'
+      });
+    }
+
+    next();
+  });
+};
+
+module.exports = { uploadCsv };
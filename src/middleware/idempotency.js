@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const os = require('os');
+const { IdempotencyKey, IDEMPOTENCY_STATUS, IDEMPOTENCY_HEARTBEAT_SECONDS } = require('../models/IdempotencyKey');
+
+const MAX_KEY_LENGTH = 255;
+
+// Identifies this process as the holder of the keys it claims
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+// Serialize with sorted object keys so logically equal bodies fingerprint the same
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const fingerprintRequest = (req) => {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method}:${req.baseUrl}${req.path}:${canonicalize(req.body || {})}`)
+    .digest('hex');
+};
+
+// Claim the key for this request, or return the record that already holds it
+const claimKey = async (businessId, key, req, fingerprint, ownerId) => {
+  try {
+    const now = new Date();
+    const record = await IdempotencyKey.create({
+      businessId,
+      key,
+      method: req.method,
+      path: `${req.baseUrl}${req.path}`,
+      requestFingerprint: fingerprint,
+      ownerId,
+      claimedAt: now,
+      heartbeatAt: now
+    });
+    return { record, claimed: true };
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+
+    const existing = await IdempotencyKey.findOne({ businessId, key });
+
+    // Expired but not yet removed by the TTL monitor - free it up and try again
+    if (existing && existing.isExpired()) {
+      await IdempotencyKey.deleteOne({ _id: existing._id, expiresAt: existing.expiresAt });
+      return claimKey(businessId, key, req, fingerprint, ownerId);
+    }
+
+    // The process holding the key stopped heartbeating long ago - let this retry run instead
+    if (existing && existing.requestFingerprint === fingerprint && existing.isAbandoned()) {
+      const takenOver = await IdempotencyKey.takeOver(existing, ownerId);
+      if (takenOver) {
+        console.log(`[IDEMPOTENCY] ♻️ Took over abandoned key ${key} from ${existing.ownerId || 'unknown owner'} (last heartbeat ${(existing.heartbeatAt || existing.claimedAt || existing.createdAt).toISOString()})`);
+        return { record: takenOver, claimed: true };
+      }
+    }
+
+    return { record: existing, claimed: false };
+  }
+};
+
+/**
+ * Idempotency-Key support for order creation endpoints.
+ * Must run after authenticateApiKey so req.business is available.
+ * - First request with a key: runs normally, response is stored
+ * - Replay with the same body: stored response is returned as-is
+ * - Replay while the first request is still processing: 409 IDEMPOTENCY_KEY_IN_PROGRESS. The first
+ *   request heartbeats the key while it runs; only once it has sent none for IDEMPOTENCY_LOCK_TTL_SECONDS
+ *   (its process died) does a replay take the key over and run
+ */
+const idempotency = async (req, res, next) => {
+  const idempotencyKey = req.headers['idempotency-key'];
+
+  if (!idempotencyKey) {
+    return next();
+  }
+
+  const requestId = Math.random().toString(36).substr(2, 8);
+
+  try {
+    if (typeof idempotencyKey !== 'string' || idempotencyKey.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Idempotency-Key must be a string of at most ${MAX_KEY_LENGTH} characters`,
+        code: 'INVALID_IDEMPOTENCY_KEY'
+      });
+    }
+
+    if (!req.business) {
+      console.log(`[IDEMPOTENCY_${requestId}] ⚠️ No business on request, skipping idempotency check`);
+      return next();
+    }
+
+    const fingerprint = fingerprintRequest(req);
+    const ownerId = `${INSTANCE_ID}:${requestId}`;
+    const { record, claimed } = await claimKey(req.business._id, idempotencyKey, req, fingerprint, ownerId);
+
+    if (!claimed) {
+      if (!record) {
+        return res.status(409).json({
+          success: false,
+          message: 'Idempotency key is being released, please retry',
+          code: 'IDEMPOTENCY_KEY_IN_PROGRESS'
+        });
+      }
+
+      if (record.requestFingerprint !== fingerprint) {
+        console.log(`[IDEMPOTENCY_${requestId}] ❌ Key reused with a different request body: ${idempotencyKey}`);
+        return res.status(409).json({
+          success: false,
+          message: 'Idempotency-Key has already been used with a different request',
+          code: 'IDEMPOTENCY_KEY_REUSED',
+          details: {
+            idempotencyKey,
+            originalPath: record.path,
+            firstUsedAt: record.createdAt
+          }
+        });
+      }
+
+      if (record.status === IDEMPOTENCY_STATUS.PROCESSING) {
+        console.log(`[IDEMPOTENCY_${requestId}] ⏳ Original request still in progress: ${idempotencyKey}`);
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed',
+          code: 'IDEMPOTENCY_KEY_IN_PROGRESS',
+          retryAfter: 5
+        });
+      }
+
+      console.log(`[IDEMPOTENCY_${requestId}] 🔁 Replaying stored response for key: ${idempotencyKey}`);
+      res.set('Idempotent-Replayed', 'true');
+      res.status(record.responseStatusCode);
+      return typeof record.responseBody === 'string'
+        ? res.send(record.responseBody)
+        : res.json(record.responseBody);
+    }
+
+    console.log(`[IDEMPOTENCY_${requestId}] 🔑 Claimed key ${idempotencyKey} for business ${req.business.businessId}`);
+
+    // Keep the key ours while the request runs, so replays wait instead of taking it over
+    const heartbeat = setInterval(() => {
+      IdempotencyKey.heartbeat(record._id, ownerId)
+        .catch(error => console.error(`[IDEMPOTENCY_${requestId}] ❌ Failed to heartbeat key:`, error.message));
+    }, IDEMPOTENCY_HEARTBEAT_SECONDS * 1000);
+    heartbeat.unref();
+
+    // Capture the first response so replays return exactly the same thing
+    let settled = false;
+    const releaseKey = () => {
+      IdempotencyKey.deleteOne({ _id: record._id, ownerId, status: IDEMPOTENCY_STATUS.PROCESSING })
+        .catch(error => console.error(`[IDEMPOTENCY_${requestId}] ❌ Failed to release key:`, error.message));
+    };
+    const settle = (body) => {
+      if (settled) return;
+      settled = true;
+      clearInterval(heartbeat);
+
+      const statusCode = res.statusCode;
+      if (statusCode >= 500) {
+        // Server errors are not final - release the key so the client can retry
+        releaseKey();
+        return;
+      }
+
+      record.markCompleted(statusCode, body);
+      record.save()
+        .catch(error => console.error(`[IDEMPOTENCY_${requestId}] ❌ Failed to store response:`, error.message));
+    };
+
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      settle(JSON.parse(JSON.stringify(body ?? null)));
+      return originalJson(body);
+    };
+
+    const originalSend = res.send.bind(res);
+    res.send = (body) => {
+      if (Buffer.isBuffer(body)) {
+        body = body.toString('utf8');
+      }
+      if (typeof body === 'string') {
+        let parsed = body;
+        try {
+          parsed = JSON.parse(body);
+        } catch (error) {
+          // Not JSON - stored and replayed as text
+        }
+        settle(parsed);
+      } else if (body !== undefined) {
+        settle(JSON.parse(JSON.stringify(body)));
+      }
+      return originalSend(body);
+    };
+
+    // Responses written with res.end or streamed can't be replayed - free the key instead of
+    // leaving it processing
+    const releaseIfUnsettled = () => {
+      if (!settled) {
+        settled = true;
+        clearInterval(heartbeat);
+        releaseKey();
+      }
+    };
+    res.on('finish', releaseIfUnsettled);
+    res.on('close', releaseIfUnsettled);
+
+    next();
+
+  } catch (error) {
+    console.error(`[IDEMPOTENCY_${requestId}] 💥 Idempotency check failed:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Idempotency service error',
+      code: 'IDEMPOTENCY_SERVICE_ERROR'
+    });
+  }
+};
+
+module.exports = idempotency;
@@ -38,7 +38,8 @@ const adminSchema = new mongoose.Schema({
       'system_settings',
       'analytics_view',
       'bulk_operations',
-      'admin_management'
+      'admin_management',
+      'refund_management'
     ]
   }],
   isActive: {
@@ -109,7 +110,8 @@ adminSchema.pre('save', function(next) {
           'system_settings',
           'analytics_view',
           'bulk_operations',
-          'admin_management'
+          'admin_management',
+          'refund_management'
         ];
         break;
       case 'admin':
@@ -120,7 +122,8 @@ adminSchema.pre('save', function(next) {
           'business_management',
           'api_key_management',
           'analytics_view',
-          'bulk_operations'
+          'bulk_operations',
+          'refund_management'
         ];
         break;
       case 'moderator':
@@ -0,0 +1,274 @@
+/**
+ * Business Off-ramp Batch Model
+ * One token deposit paid out to many verified Nigerian bank accounts
+ */
+
+const mongoose = require('mongoose');
+const { DEPOSIT_SWEEP_STATUS, sweepTransactionSchema } = require('./BusinessOfframpOrder');
+
+// Batch statuses
+const OFFRAMP_BATCH_STATUS = {
+  PENDING_DEPOSIT: 'pending_deposit',         // Waiting for the single deposit
+  DEPOSIT_RECEIVED: 'deposit_received',       // Deposit confirmed, converting
+  REQUIRES_REVIEW: 'requires_review',         // Deposit short, or swap over slippage budget - no payouts sent
+  PAYING_OUT: 'paying_out',                   // Payouts being sent to recipients
+  COMPLETED: 'completed',                     // Every recipient paid
+  PARTIALLY_COMPLETED: 'partially_completed', // Finished with some payouts failed
+  FAILED: 'failed',                           // Conversion failed or every payout failed
+  EXPIRED: 'expired'                          // No deposit before expiry
+};
+
+// Per-recipient payout statuses
+const OFFRAMP_RECIPIENT_STATUS = {
+  PENDING: 'pending',       // Waiting for the deposit
+  PROCESSING: 'processing', // Sent to the payout provider, waiting for confirmation
+  COMPLETED: 'completed',   // Paid
+  FAILED: 'failed'          // Provider rejected the payout
+};
+
+const recipientSchema = new mongoose.Schema({
+  recipientNumber: Number,
+  accountNumber: String,
+  bankCode: String,
+  // Verified via Lenco when the batch was created
+  accountName: String,
+  bankName: String,
+  amount: Number,
+  reference: String,
+  narration: String,
+  status: {
+    type: String,
+    enum: Object.values(OFFRAMP_RECIPIENT_STATUS),
+    default: OFFRAMP_RECIPIENT_STATUS.PENDING
+  },
+  // Sent to the payout provider - one per recipient so webhooks can be matched back
+  payoutReference: String,
+  providerReference: String,
+  payoutTransactionId: String,
+  payoutProvider: String,
+  payoutFee: Number,
+  payoutSubmittedAt: Date,
+  payoutStatusCheckedAt: Date,
+  error: String,
+  paidAt: Date
+}, { _id: false });
+
+const BusinessOfframpBatchSchema = new mongoose.Schema({
+  batchId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: true,
+    index: true
+  },
+
+  // Token being deposited
+  targetToken: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  targetNetwork: {
+    type: String,
+    required: true,
+    lowercase: true,
+    enum: ['base', 'solana', 'ethereum']
+  },
+  tokenContractAddress: {
+    type: String,
+    required: true
+  },
+  tokenDecimals: Number,
+  tokenAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  // Pricing - recipients get exactly their amounts, the fee is added on top
+  exchangeRate: {
+    type: Number,
+    required: true
+  },
+  totalPayoutAmount: {
+    type: Number,
+    required: true
+  },
+  feePercentage: {
+    type: Number,
+    default: 0
+  },
+  feeAmount: {
+    type: Number,
+    default: 0
+  },
+  grossNgnAmount: {
+    type: Number,
+    required: true
+  },
+
+  recipients: [recipientSchema],
+  recipientCount: Number,
+  completedCount: {
+    type: Number,
+    default: 0
+  },
+  failedCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Single deposit wallet for the whole batch
+  depositWallet: {
+    address: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    network: {
+      type: String,
+      required: true,
+      lowercase: true
+    },
+    // Index into the network's HD seed (see walletGeneratorService) - the key is re-derived when needed
+    derivationIndex: Number,
+    // Encrypted private key - only for wallets from before HD derivation or made without a seed
+    privateKey: String,
+    // Stored key removed once the wallet was drained (scripts/retire-stored-deposit-keys.js)
+    keyRetiredAt: Date,
+    publicKey: String,
+    generatedAt: {
+      type: Date,
+      default: Date.now
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    tokensReceived: {
+      type: Boolean,
+      default: false
+    },
+    receivedAmount: {
+      type: Number,
+      default: 0
+    },
+    receivedAt: Date,
+    transactionHash: String
+  },
+
+  status: {
+    type: String,
+    enum: Object.values(OFFRAMP_BATCH_STATUS),
+    default: OFFRAMP_BATCH_STATUS.PENDING_DEPOSIT,
+    index: true
+  },
+
+  swapTransactionHash: String,
+  usdcReceived: Number,
+  failureReason: String,
+
+  // Deposit wallet sweeping (see depositSweeper)
+  sweepStatus: {
+    type: String,
+    enum: Object.values(DEPOSIT_SWEEP_STATUS),
+    index: true
+  },
+  sweepAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastSweepAttemptAt: Date,
+  sweptAt: Date,
+  sweepError: String,
+  sweepTransactions: [sweepTransactionSchema],
+
+  webhookUrl: String,
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  depositReceivedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true,
+  collection: 'business_offramp_batches'
+});
+
+BusinessOfframpBatchSchema.index({ 'depositWallet.address': 1 });
+BusinessOfframpBatchSchema.index({ 'recipients.payoutReference': 1 });
+BusinessOfframpBatchSchema.index({ 'recipients.providerReference': 1 });
+BusinessOfframpBatchSchema.index({ businessId: 1, createdAt: -1 });
+
+BusinessOfframpBatchSchema.virtual('isExpired').get(function() {
+  return new Date() > this.expiresAt;
+});
+
+// Instance methods
+
+// Recount recipients and settle the batch status once no payout is outstanding
+BusinessOfframpBatchSchema.methods.refreshPayoutTotals = function() {
+  this.completedCount = this.recipients.filter(r => r.status === OFFRAMP_RECIPIENT_STATUS.COMPLETED).length;
+  this.failedCount = this.recipients.filter(r => r.status === OFFRAMP_RECIPIENT_STATUS.FAILED).length;
+
+  if (this.status !== OFFRAMP_BATCH_STATUS.PAYING_OUT) return;
+  if (this.completedCount + this.failedCount < this.recipients.length) return;
+
+  if (this.failedCount === 0) {
+    this.status = OFFRAMP_BATCH_STATUS.COMPLETED;
+  } else if (this.completedCount === 0) {
+    this.status = OFFRAMP_BATCH_STATUS.FAILED;
+  } else {
+    this.status = OFFRAMP_BATCH_STATUS.PARTIALLY_COMPLETED;
+  }
+  this.completedAt = new Date();
+};
+
+BusinessOfframpBatchSchema.methods.toSafeJSON = function() {
+  const obj = this.toJSON();
+
+  if (obj.depositWallet && obj.depositWallet.privateKey) {
+    delete obj.depositWallet.privateKey;
+  }
+
+  return obj;
+};
+
+// Static methods
+BusinessOfframpBatchSchema.statics.generateBatchId = function() {
+  return `OFFB_${Date.now()}_${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
+};
+
+BusinessOfframpBatchSchema.statics.findByPayoutReference = function(reference) {
+  return this.findOne({
+    $or: [
+      { 'recipients.payoutReference': reference },
+      { 'recipients.providerReference': reference }
+    ]
+  });
+};
+
+BusinessOfframpBatchSchema.statics.findByDepositWallet = function(walletAddress) {
+  return this.findOne({
+    'depositWallet.address': walletAddress
+  });
+};
+
+const BusinessOfframpBatch = mongoose.model('BusinessOfframpBatch', BusinessOfframpBatchSchema);
+
+module.exports = {
+  BusinessOfframpBatch,
+  OFFRAMP_BATCH_STATUS,
+  OFFRAMP_RECIPIENT_STATUS
+};
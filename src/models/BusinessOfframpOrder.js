@@ -10,13 +10,74 @@ const BUSINESS_OFFRAMP_STATUS = {
   PENDING_DEPOSIT: 'pending_deposit',    // Waiting for customer to send tokens
   DEPOSIT_RECEIVED: 'deposit_received',  // Tokens received, processing swap
   PROCESSING: 'processing',              // Converting tokens and preparing payout
+  SWAP_RETRY: 'swap_retry',              // Swap would have lost more than the slippage budget - retried later
   PENDING_PAYOUT: 'pending_payout',      // Ready to send NGN to bank
   COMPLETED: 'completed',                // Successfully paid out
   FAILED: 'failed',                      // Order failed
   EXPIRED: 'expired',                    // Order expired before completion
-  CANCELLED: 'cancelled'                 // Order cancelled
+  CANCELLED: 'cancelled',                // Order cancelled
+  REFUNDED: 'refunded'                   // Deposit sent back on-chain instead of paid out
 };
 
+// Manual review of deposits outside the amount tolerance
+const DEPOSIT_REVIEW_STATUS = {
+  PENDING: 'pending',       // Waiting for an admin decision - the order is held in deposit_received
+  APPROVED: 'approved',     // Paid out at the received amount
+  REFUNDING: 'refunding',   // Refund transfer being sent
+  REFUNDED: 'refunded',     // Deposit returned to a sender address
+  REJECTED: 'rejected'      // Order cancelled, deposit kept for manual handling
+};
+
+// Returning deposits that arrive after an order expired or was cancelled
+const DEPOSIT_REFUND_STATUS = {
+  AWAITING_ADDRESS: 'awaiting_address', // Sender couldn't be determined - waiting for the business to give an address
+  SCHEDULED: 'scheduled',               // Will be sent to refundAddress once refundAfter passes
+  PROCESSING: 'processing',             // Refund transfer being sent
+  REFUNDED: 'refunded',                 // Deposit returned, net of gas
+  FAILED: 'failed'                      // Gave up after repeated failures - needs a new address or manual handling
+};
+
+// Deposit wallet sweep statuses (moving what's left in the wallet to the treasury)
+const DEPOSIT_SWEEP_STATUS = {
+  PENDING: 'pending',   // Holds funds that haven't been swept yet
+  SWEPT: 'swept',       // Everything moved to the treasury
+  EMPTY: 'empty',       // Nothing left worth sweeping
+  FAILED: 'failed'      // Last sweep attempt failed - retried on the next run
+};
+
+// On-chain transactions the sweeper sends for a deposit wallet
+const SWEEP_TRANSACTION_TYPES = {
+  GAS_TOPUP: 'gas_topup',     // Native gas sent from the gas funder to the deposit wallet
+  TOKEN_SWEEP: 'token_sweep', // Tokens moved from the deposit wallet to the treasury
+  REFUND: 'refund'            // Deposit sent back out of the deposit wallet
+};
+
+const sweepTransactionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: Object.values(SWEEP_TRANSACTION_TYPES),
+    required: true
+  },
+  purpose: String, // 'swap', 'sweep' or 'refund'
+  asset: String,
+  tokenAddress: String,
+  amount: Number,
+  gasWithheld: Number, // Refunds only: deposit kept back to cover the transfer's gas, in the asset
+  fromAddress: String,
+  toAddress: String,
+  transactionHash: String,
+  status: {
+    type: String,
+    enum: ['confirmed', 'failed'],
+    default: 'confirmed'
+  },
+  error: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const BusinessOfframpOrderSchema = new mongoose.Schema({
   // Order identification
   orderId: {
@@ -137,7 +198,21 @@ const BusinessOfframpOrderSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  accountVerificationData: {
+
+  // Orders opened by a deposit to a registered customer's permanent address (see OfframpCustomer).
+  // Several orders share that address, so depositReference - the deposit's transaction (and log) -
+  // keeps one order per deposit.
+  offrampCustomerId: {
+    type: String,
+    index: true,
+    sparse: true
+  },
+  depositReference: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+accountVerificationData: {
     verifiedName: String,
     verifiedBank: {
       code: String,
@@ -158,10 +233,12 @@ const BusinessOfframpOrderSchema = new mongoose.Schema({
       required: true,
       lowercase: true
     },
-    privateKey: {
-      type: String,
-      required: true // Encrypted private key
-    },
+    // Index into the network's HD seed (see walletGeneratorService) - the key is re-derived when needed
+    derivationIndex: Number,
+    // Encrypted private key - only for wallets from before HD derivation or made without a seed
+    privateKey: String,
+    // Stored key removed once the wallet was drained (scripts/retire-stored-deposit-keys.js)
+    keyRetiredAt: Date,
     publicKey: String,
     generatedAt: {
       type: Date,
@@ -192,11 +269,54 @@ const BusinessOfframpOrderSchema = new mongoose.Schema({
     index: true
   },
   
+  // Locked quote this order was created from (if any)
+  quoteId: {
+    type: String,
+    index: true,
+    sparse: true
+  },
+  
   // Transaction tracking
   transactionHash: String, // Deposit transaction hash
   swapTransactionHash: String, // Token swap transaction hash
+  
+  // Slippage protection for the swap to USDC (see offrampWebhookHandler.getSwapProtection)
+  swap: {
+    quotedOutput: Number,          // USDC the locked rate promised for the deposit
+    minimumOutput: Number,         // quotedOutput less the slippage budget - the swap reverts below this
+    slippageBudgetPercent: Number,
+    actualOutput: Number,          // USDC the swap returned
+    slippagePercent: Number,       // How far actualOutput fell short of quotedOutput (negative = better)
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    lastAttemptAt: Date,
+    lastError: String,
+    nextRetryAt: Date
+  },
   payoutReference: String, // Bank payout reference
+  payoutProviderReference: String, // The provider's own reference for the payout
   payoutTransactionId: String, // Payment processor transaction ID
+  payoutProvider: String, // Provider that took the payout (lenco, monnify, http)
+  payoutFee: Number, // What the provider charged us, NGN
+  payoutAmount: Number, // NGN sent to the recipient
+  payoutSubmittedAt: Date, // Accepted by the provider - waits in pending_payout until it settles
+  payoutStatusCheckedAt: Date, // Last status poll for a payout with no callback yet
+  payoutStatusChecks: {
+    type: Number,
+    default: 0
+  },
+  payoutReversedAt: Date,
+  payoutAttempts: [{
+    provider: String,
+    success: Boolean,
+    status: String,
+    reference: String,
+    error: String,
+    attemptedAt: Date,
+    _id: false
+  }],
   
   // Webhooks
   webhookUrl: String,
@@ -214,6 +334,72 @@ const BusinessOfframpOrderSchema = new mongoose.Schema({
     lastDeliveryAt: Date
   },
   
+  // Set when the deposit was outside the amount tolerance
+  depositReview: {
+    status: {
+      type: String,
+      enum: Object.values(DEPOSIT_REVIEW_STATUS)
+    },
+    expectedAmount: Number,
+    receivedAmount: Number,
+    flaggedAt: Date,
+    reviewedBy: String, // Admin email
+    reviewedAt: Date,
+    notes: String,
+    // Amounts the order was created with, before an approval re-priced it
+    originalTokenAmount: Number,
+    originalNetNgnAmount: Number,
+    refundAddress: String,
+    refundTransactionHash: String,
+    refundError: String
+  },
+  
+  // Set when a deposit arrives after the order expired or was cancelled (see lateDepositRefunder)
+  depositRefund: {
+    status: {
+      type: String,
+      enum: Object.values(DEPOSIT_REFUND_STATUS)
+    },
+    reason: {
+      type: String,
+      enum: ['order_expired', 'order_cancelled']
+    },
+    depositTransactionHash: String,
+    depositAmount: Number,
+    detectedAt: Date,
+    senderAddress: String,
+    refundAddress: String,
+    addressSource: {
+      type: String,
+      enum: ['sender', 'business']
+    },
+    refundAfter: Date, // Gives the business time to supply an address before we use the sender's
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    lastError: String,
+    amount: Number,      // What was sent back
+    gasWithheld: Number, // Deposit kept back for the transfer's gas
+    transactionHash: String,
+    refundedAt: Date
+  },
+  
+  // Deposit wallet sweeping
+  sweepStatus: {
+    type: String,
+    enum: Object.values(DEPOSIT_SWEEP_STATUS),
+    index: true
+  },
+  sweepAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastSweepAttemptAt: Date,
+  sweptAt: Date,
+  sweepError: String,
+  sweepTransactions: [sweepTransactionSchema],
+  
   // Metadata and additional information
   metadata: {
     type: mongoose.Schema.Types.Mixed,
@@ -265,6 +451,11 @@ BusinessOfframpOrderSchema.index({ targetNetwork: 1, targetToken: 1 });
 BusinessOfframpOrderSchema.index({ 'depositWallet.address': 1 });
 BusinessOfframpOrderSchema.index({ expiresAt: 1 }); // For cleanup
 BusinessOfframpOrderSchema.index({ recipientAccountNumber: 1 });
+BusinessOfframpOrderSchema.index({ payoutReference: 1 });
+BusinessOfframpOrderSchema.index({ status: 1, payoutSubmittedAt: 1 }); // Stuck payout polling
+BusinessOfframpOrderSchema.index({ status: 1, 'swap.nextRetryAt': 1 }); // Swap retries
+BusinessOfframpOrderSchema.index({ 'depositReview.status': 1, 'depositReview.flaggedAt': 1 }, { sparse: true });
+BusinessOfframpOrderSchema.index({ 'depositRefund.status': 1, 'depositRefund.refundAfter': 1 }, { sparse: true });
 
 // Compound indexes
 BusinessOfframpOrderSchema.index({ 
@@ -402,6 +593,8 @@ BusinessOfframpOrderSchema.statics.findExpiredOrders = function() {
         BUSINESS_OFFRAMP_STATUS.PROCESSING
       ]
     },
+    // Deposits held for review wait for an admin, however long that takes
+    'depositReview.status': { $nin: [DEPOSIT_REVIEW_STATUS.PENDING, DEPOSIT_REVIEW_STATUS.REFUNDING] },
     expiresAt: { $lt: new Date() }
   });
 };
@@ -476,5 +669,10 @@ const BusinessOfframpOrder = mongoose.model('BusinessOfframpOrder', BusinessOffr
 
 module.exports = {
   BusinessOfframpOrder,
-  BUSINESS_OFFRAMP_STATUS
+  BUSINESS_OFFRAMP_STATUS,
+  DEPOSIT_REVIEW_STATUS,
+  DEPOSIT_REFUND_STATUS,
+  DEPOSIT_SWEEP_STATUS,
+  SWEEP_TRANSACTION_TYPES,
+  sweepTransactionSchema
 };
\ No newline at end of file
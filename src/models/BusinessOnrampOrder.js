@@ -11,6 +11,158 @@ const BUSINESS_ORDER_STATUS = {
   EXPIRED: 'expired'          // Order expired without payment
 };
 
+// Allowed status transitions - anything not listed here is rejected
+const BUSINESS_ORDER_TRANSITIONS = {
+  [BUSINESS_ORDER_STATUS.INITIATED]: [
+    BUSINESS_ORDER_STATUS.PENDING,
+    BUSINESS_ORDER_STATUS.FAILED,
+    BUSINESS_ORDER_STATUS.CANCELLED,
+    BUSINESS_ORDER_STATUS.EXPIRED
+  ],
+  [BUSINESS_ORDER_STATUS.PENDING]: [
+    BUSINESS_ORDER_STATUS.PROCESSING,
+    BUSINESS_ORDER_STATUS.FAILED,
+    BUSINESS_ORDER_STATUS.CANCELLED
+  ],
+  [BUSINESS_ORDER_STATUS.PROCESSING]: [
+    BUSINESS_ORDER_STATUS.COMPLETED,
+    BUSINESS_ORDER_STATUS.FAILED
+  ],
+  [BUSINESS_ORDER_STATUS.COMPLETED]: [],
+  [BUSINESS_ORDER_STATUS.FAILED]: [],
+  [BUSINESS_ORDER_STATUS.CANCELLED]: [],
+  [BUSINESS_ORDER_STATUS.EXPIRED]: []
+};
+
+// Who triggered a status change
+const STATUS_CHANGE_ACTORS = ['webhook', 'admin', 'system', 'business'];
+
+// Append-only record of a single status change
+const statusHistorySchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: [...Object.values(BUSINESS_ORDER_STATUS), null],
+    default: null
+  },
+  to: {
+    type: String,
+    enum: Object.values(BUSINESS_ORDER_STATUS),
+    required: true
+  },
+  actor: {
+    type: String,
+    enum: STATUS_CHANGE_ACTORS,
+    default: 'system'
+  },
+  sourceEventId: {
+    type: String,
+    default: null
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// How a paid amount that differs from the order amount was handled
+const PAYMENT_MISMATCH_ACTIONS = {
+  SETTLED_PRO_RATA: 'settled_pro_rata',                 // Small underpayment, token amount scaled down
+  HELD_FOR_REVIEW: 'held_for_review',                   // Large underpayment, settlement not started
+  SETTLED_AT_PAID_AMOUNT: 'settled_at_paid_amount',     // Overpayment, token amount scaled up
+  EXCESS_FLAGGED_FOR_REFUND: 'excess_flagged_for_refund' // Overpayment, ordered amount settled and excess refunded
+};
+
+// Record of an underpayment or overpayment on the Monnify checkout
+const paymentMismatchSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['underpayment', 'overpayment'],
+    required: true
+  },
+  action: {
+    type: String,
+    enum: Object.values(PAYMENT_MISMATCH_ACTIONS),
+    required: true
+  },
+  expectedAmount: Number,
+  paidAmount: Number,
+  difference: Number,          // paidAmount - expectedAmount (negative for underpayments)
+  differencePercent: Number,
+  
+  // Pricing before and after the adjustment
+  originalTokenAmount: Number,
+  originalFeeAmount: Number,
+  originalNetAmount: Number,
+  adjustedTokenAmount: Number,
+  adjustedFeeAmount: Number,
+  adjustedNetAmount: Number,
+  settlementRatio: {
+    type: Number,
+    default: 1
+  },
+  
+  // Excess to return to the customer (overpayment in refund mode)
+  refundAmount: {
+    type: Number,
+    default: 0
+  },
+  refundStatus: {
+    type: String,
+    enum: ['not_required', 'pending', 'completed'],
+    default: 'not_required'
+  },
+  
+  requiresReview: {
+    type: Boolean,
+    default: false
+  },
+  reviewedBy: String,
+  reviewedAt: Date,
+  detectedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Outcome of checking a settlement transaction on-chain before the order is completed
+const SETTLEMENT_VERIFICATION_STATUS = {
+  PENDING: 'pending',       // Transaction not found or not confirmed yet - checked again later
+  VERIFIED: 'verified',     // Right token, right wallet, amount within tolerance
+  MISMATCH: 'mismatch',     // Transaction landed but doesn't match the order - held for review
+  UNVERIFIED: 'unverified'  // Still not confirmed after the maximum number of checks - held for review
+};
+
+const settlementVerificationSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: Object.values(SETTLEMENT_VERIFICATION_STATUS),
+    required: true
+  },
+  transactionHash: String,
+  expectedRecipient: String,
+  expectedToken: String,
+  expectedAmount: Number,
+  reportedAmount: Number,      // What the liquidity server said it sent
+  onChainAmount: Number,       // What actually reached customerWallet
+  confirmations: Number,
+  mismatches: [String],
+  detail: String,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextCheckAt: Date,
+  checkedAt: Date,
+  requiresReview: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
 // Business Onramp Order Schema
 const businessOnrampOrderSchema = new mongoose.Schema({
   // Order Identification
@@ -123,6 +275,46 @@ const businessOnrampOrderSchema = new mongoose.Schema({
     default: BUSINESS_ORDER_STATUS.INITIATED,
     index: true
   },
+  statusHistory: {
+    type: [statusHistorySchema],
+    default: []
+  },
+  
+  // Locked quote this order was created from (if any)
+  quoteId: {
+    type: String,
+    index: true,
+    sparse: true
+  },
+  
+  // Reserved-account funding: the customer account that received the transfer, and the
+  // Monnify transaction that funded this order (unique so a replayed webhook can't create a second order)
+  fundingAccountReference: {
+    type: String,
+    index: true,
+    sparse: true
+  },
+  fundingTransactionReference: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  
+  // Recurring schedule run that produced this order (if any)
+  scheduleId: {
+    type: String,
+    index: true,
+    sparse: true
+  },
+  scheduleRunId: String,
+  
+  // CSV batch this order was created from (if any)
+  batchId: {
+    type: String,
+    index: true,
+    sparse: true
+  },
+  batchRowNumber: Number,
   
   // Payment Information
   paymentReference: {
@@ -141,11 +333,21 @@ const businessOnrampOrderSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  paymentMismatch: {
+    type: paymentMismatchSchema,
+    default: null
+  },
+  // Set once reconciliation has confirmed a completed order against Monnify
+  reconciledAt: {
+    type: Date,
+    default: null
+  },
   
   // Settlement Information
+  // One on-chain transfer can only ever settle one order
   transactionHash: {
     type: String,
-    index: true
+    index: { unique: true, sparse: true }
   },
   liquidityServerOrderId: {
     type: String,
@@ -159,6 +361,10 @@ const businessOnrampOrderSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  settlementVerification: {
+    type: settlementVerificationSchema,
+    default: null
+  },
   
   // URLs and Webhooks (Optional)
   redirectUrl: {
@@ -230,6 +436,8 @@ businessOnrampOrderSchema.index({ customerEmail: 1, createdAt: -1 });
 businessOnrampOrderSchema.index({ status: 1, createdAt: -1 });
 businessOnrampOrderSchema.index({ expiresAt: 1, status: 1 });
 businessOnrampOrderSchema.index({ targetToken: 1, targetNetwork: 1 });
+businessOnrampOrderSchema.index({ 'settlementVerification.status': 1, 'settlementVerification.nextCheckAt': 1 });
+businessOnrampOrderSchema.index({ 'settlementVerification.transactionHash': 1 }, { sparse: true });
 
 // Virtual for formatted amount
 businessOnrampOrderSchema.virtual('formattedAmount').get(function() {
@@ -265,45 +473,130 @@ businessOnrampOrderSchema.methods.isPaymentCompleted = function() {
   ].includes(this.status);
 };
 
-businessOnrampOrderSchema.methods.markAsPaid = function(paidAmount, paymentRef) {
-  this.status = BUSINESS_ORDER_STATUS.PENDING;
+businessOnrampOrderSchema.methods.canTransitionTo = function(newStatus) {
+  return (BUSINESS_ORDER_TRANSITIONS[this.status] || []).includes(newStatus);
+};
+
+/**
+ * Move the order to a new status, enforcing the transition table and
+ * recording the change in statusHistory. Throws on an illegal transition.
+ * @param {string} newStatus - Target status from BUSINESS_ORDER_STATUS
+ * @param {Object} options - { actor: 'webhook'|'admin'|'system'|'business', eventId, reason }
+ */
+businessOnrampOrderSchema.methods.transitionTo = function(newStatus, options = {}) {
+  const { actor = 'system', eventId = null, reason } = options;
+
+  if (!this.canTransitionTo(newStatus)) {
+    const error = new Error(`Invalid status transition for order ${this.orderId}: ${this.status} -> ${newStatus}`);
+    error.code = 'INVALID_STATUS_TRANSITION';
+    error.from = this.status;
+    error.to = newStatus;
+    throw error;
+  }
+
+  this.statusHistory.push({
+    from: this.status,
+    to: newStatus,
+    actor,
+    sourceEventId: eventId,
+    reason,
+    timestamp: new Date()
+  });
+
+  this.status = newStatus;
+  this.updatedAt = new Date();
+  return this;
+};
+
+businessOnrampOrderSchema.methods.markAsPaid = function(paidAmount, paymentRef, options = {}) {
+  this.transitionTo(BUSINESS_ORDER_STATUS.PENDING, options);
   this.paidAmount = paidAmount;
   this.monnifyTransactionReference = paymentRef;
   this.paymentCompletedAt = new Date();
-  this.updatedAt = new Date();
 };
 
-businessOnrampOrderSchema.methods.markAsProcessing = function(liquidityOrderId) {
-  this.status = BUSINESS_ORDER_STATUS.PROCESSING;
+businessOnrampOrderSchema.methods.markAsProcessing = function(liquidityOrderId, options = {}) {
+  this.transitionTo(BUSINESS_ORDER_STATUS.PROCESSING, options);
   this.liquidityServerOrderId = liquidityOrderId;
   this.settlementInitiatedAt = new Date();
-  this.updatedAt = new Date();
 };
 
-businessOnrampOrderSchema.methods.markAsCompleted = function(transactionHash, actualTokenAmount) {
-  this.status = BUSINESS_ORDER_STATUS.COMPLETED;
+businessOnrampOrderSchema.methods.markAsCompleted = function(transactionHash, actualTokenAmount, options = {}) {
+  this.transitionTo(BUSINESS_ORDER_STATUS.COMPLETED, options);
   this.transactionHash = transactionHash;
   this.actualTokenAmount = actualTokenAmount || this.estimatedTokenAmount;
   this.settlementCompletedAt = new Date();
   this.completedAt = new Date();
-  this.updatedAt = new Date();
 };
 
-businessOnrampOrderSchema.methods.markAsFailed = function(errorMessage) {
-  this.status = BUSINESS_ORDER_STATUS.FAILED;
+businessOnrampOrderSchema.methods.markAsFailed = function(errorMessage, options = {}) {
+  this.transitionTo(BUSINESS_ORDER_STATUS.FAILED, { reason: errorMessage, ...options });
   this.errorMessage = errorMessage;
-  this.updatedAt = new Date();
 };
 
-businessOnrampOrderSchema.methods.markAsExpired = function() {
-  this.status = BUSINESS_ORDER_STATUS.EXPIRED;
-  this.updatedAt = new Date();
+businessOnrampOrderSchema.methods.markAsExpired = function(options = {}) {
+  this.transitionTo(BUSINESS_ORDER_STATUS.EXPIRED, options);
 };
 
-businessOnrampOrderSchema.methods.markAsCancelled = function(reason) {
-  this.status = BUSINESS_ORDER_STATUS.CANCELLED;
+businessOnrampOrderSchema.methods.markAsCancelled = function(reason, options = {}) {
+  this.transitionTo(BUSINESS_ORDER_STATUS.CANCELLED, { reason, ...options });
   this.notes = reason || 'Order cancelled';
-  this.updatedAt = new Date();
+};
+
+/**
+ * Cancel the order only if it is still unpaid and in the status it was read in. The write is
+ * conditional, so a payment that moved the order on in the meantime is never overwritten.
+ * @param {Object} set - extra fields to set alongside the cancellation
+ * @returns {Promise<Object|null>} the cancelled order, or null when the order changed underneath
+ */
+businessOnrampOrderSchema.methods.cancelIfUnpaid = function(reason, options = {}, set = {}) {
+  const { actor = 'system', eventId = null } = options;
+
+  if (!this.canTransitionTo(BUSINESS_ORDER_STATUS.CANCELLED)) {
+    const error = new Error(`Invalid status transition for order ${this.orderId}: ${this.status} -> ${BUSINESS_ORDER_STATUS.CANCELLED}`);
+    error.code = 'INVALID_STATUS_TRANSITION';
+    error.from = this.status;
+    error.to = BUSINESS_ORDER_STATUS.CANCELLED;
+    throw error;
+  }
+
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id, status: this.status, paidAmount: { $in: [null, 0] } },
+    {
+      $set: {
+        ...set,
+        status: BUSINESS_ORDER_STATUS.CANCELLED,
+        notes: reason || 'Order cancelled',
+        updatedAt: new Date()
+      },
+      $push: {
+        statusHistory: {
+          from: this.status,
+          to: BUSINESS_ORDER_STATUS.CANCELLED,
+          actor,
+          sourceEventId: eventId,
+          reason,
+          timestamp: new Date()
+        }
+      }
+    },
+    { new: true }
+  );
+};
+
+/**
+ * USDC value to request from the liquidity provider, scaled when a
+ * payment mismatch changed the amount being settled.
+ */
+businessOnrampOrderSchema.methods.getSettlementUsdcValue = function() {
+  const baseValue = this.metadata?.smartContractData?.actualUsdcValue || this.metadata?.jupiterData?.usdcValue;
+  const ratio = this.paymentMismatch?.settlementRatio || 1;
+  
+  if (!baseValue || ratio === 1) {
+    return baseValue;
+  }
+  
+  return parseFloat((baseValue * ratio).toFixed(6));
 };
 
 businessOnrampOrderSchema.methods.updateWebhookAttempt = function() {
@@ -389,6 +682,19 @@ businessOnrampOrderSchema.statics.findExpiredOrders = function() {
   });
 };
 
+businessOnrampOrderSchema.statics.findHeldForReview = function(businessId = null) {
+  const query = {
+    status: BUSINESS_ORDER_STATUS.PENDING,
+    'paymentMismatch.requiresReview': true
+  };
+  
+  if (businessId) {
+    query.businessId = businessId;
+  }
+  
+  return this.find(query).sort({ paymentCompletedAt: 1 });
+};
+
 businessOnrampOrderSchema.statics.findPendingWebhooks = function() {
   return this.find({
     webhookUrl: { $ne: null, $ne: '' },
@@ -398,14 +704,46 @@ businessOnrampOrderSchema.statics.findPendingWebhooks = function() {
   });
 };
 
+// Remember the persisted status so direct assignments can be validated on save
+businessOnrampOrderSchema.post('init', function(doc) {
+  doc.$locals.persistedStatus = doc.status;
+});
+
 // Pre-save middleware
 businessOnrampOrderSchema.pre('save', function(next) {
   this.updatedAt = new Date();
+
+  if (this.isNew) {
+    if (this.statusHistory.length === 0) {
+      this.statusHistory.push({ from: null, to: this.status, actor: 'system', reason: 'Order created' });
+    }
+    return next();
+  }
+
+  // Guard against `order.status = ...` assignments that bypass transitionTo()
+  const previousStatus = this.$locals.persistedStatus;
+  if (this.isModified('status') && previousStatus && previousStatus !== this.status) {
+    const lastEntry = this.statusHistory[this.statusHistory.length - 1];
+    const recorded = lastEntry && lastEntry.to === this.status;
+
+    if (!recorded) {
+      if (!(BUSINESS_ORDER_TRANSITIONS[previousStatus] || []).includes(this.status)) {
+        const error = new Error(`Invalid status transition for order ${this.orderId}: ${previousStatus} -> ${this.status}`);
+        error.code = 'INVALID_STATUS_TRANSITION';
+        error.from = previousStatus;
+        error.to = this.status;
+        return next(error);
+      }
+      this.statusHistory.push({ from: previousStatus, to: this.status, actor: 'system' });
+    }
+  }
+
   next();
 });
 
 // Post-save middleware for logging
 businessOnrampOrderSchema.post('save', function(doc) {
+  doc.$locals.persistedStatus = doc.status;
   console.log(`[BUSINESS_ONRAMP_ORDER] Order ${doc.orderId} status: ${doc.status}`);
 });
 
@@ -413,5 +751,8 @@ const BusinessOnrampOrder = mongoose.model('BusinessOnrampOrder', businessOnramp
 
 module.exports = {
   BusinessOnrampOrder,
-  BUSINESS_ORDER_STATUS
+  BUSINESS_ORDER_STATUS,
+  BUSINESS_ORDER_TRANSITIONS,
+  PAYMENT_MISMATCH_ACTIONS,
+  SETTLEMENT_VERIFICATION_STATUS
 };
\ No newline at end of file
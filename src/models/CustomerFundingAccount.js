@@ -0,0 +1,223 @@
+const mongoose = require('mongoose');
+
+// Funding Account Status Constants
+const FUNDING_ACCOUNT_STATUS = {
+  ACTIVE: 'active',         // Incoming transfers are converted automatically
+  SUSPENDED: 'suspended'    // Transfers are recorded but not converted
+};
+
+// What happens to money that lands in the account
+const FUNDING_ACCOUNT_MODES = {
+  AUTO_CONVERT: 'auto_convert', // Every transfer becomes an order straight away
+  BALANCE: 'balance'            // Transfers top up availableBalance, which recurring schedules draw from
+};
+
+// Transfers that could not be turned into an order and need manual follow-up
+const unprocessedTransferSchema = new mongoose.Schema({
+  transactionReference: String,
+  paymentReference: String,
+  amount: Number,
+  reason: String,
+  paidOn: Date,
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Transfers credited to the balance (kept so Monnify webhook retries aren't credited twice)
+const balanceCreditSchema = new mongoose.Schema({
+  transactionReference: String,
+  amount: Number,
+  creditedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Customer Funding Account Schema - a permanent Monnify reserved account per business customer
+const customerFundingAccountSchema = new mongoose.Schema({
+  // Monnify reserved-account reference (we generate it, Monnify echoes it in product.reference)
+  accountReference: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: true,
+    index: true
+  },
+
+  // Customer
+  customerEmail: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  customerName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  customerPhone: {
+    type: String,
+    trim: true
+  },
+
+  // Where every transfer is settled
+  targetToken: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  targetNetwork: {
+    type: String,
+    required: true,
+    lowercase: true,
+    enum: ['base', 'solana', 'ethereum'],
+    trim: true
+  },
+  customerWallet: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  webhookUrl: {
+    type: String,
+    trim: true
+  },
+
+  // Bank accounts Monnify reserved for the customer
+  accountName: String,
+  accounts: [{
+    bankCode: String,
+    bankName: String,
+    accountNumber: String,
+    accountName: String,
+    _id: false
+  }],
+  reservationReference: String,
+
+  status: {
+    type: String,
+    enum: Object.values(FUNDING_ACCOUNT_STATUS),
+    default: FUNDING_ACCOUNT_STATUS.ACTIVE,
+    index: true
+  },
+  mode: {
+    type: String,
+    enum: Object.values(FUNDING_ACCOUNT_MODES),
+    default: FUNDING_ACCOUNT_MODES.AUTO_CONVERT
+  },
+
+  // Naira held for recurring schedules (balance mode only)
+  availableBalance: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  balanceCredits: [balanceCreditSchema],
+
+  // Activity
+  totalReceived: {
+    type: Number,
+    default: 0
+  },
+  transferCount: {
+    type: Number,
+    default: 0
+  },
+  lastTransferAt: Date,
+  unprocessedTransfers: [unprocessedTransferSchema],
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One funding account per customer per business
+customerFundingAccountSchema.index({ businessId: 1, customerEmail: 1 }, { unique: true });
+
+customerFundingAccountSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Instance methods
+customerFundingAccountSchema.methods.isActive = function() {
+  return this.status === FUNDING_ACCOUNT_STATUS.ACTIVE;
+};
+
+customerFundingAccountSchema.methods.usesBalance = function() {
+  return this.mode === FUNDING_ACCOUNT_MODES.BALANCE;
+};
+
+customerFundingAccountSchema.methods.recordTransfer = function(amount) {
+  this.totalReceived += amount;
+  this.transferCount += 1;
+  this.lastTransferAt = new Date();
+};
+
+customerFundingAccountSchema.methods.recordUnprocessedTransfer = function(transfer) {
+  this.unprocessedTransfers.push(transfer);
+};
+
+// Static methods
+customerFundingAccountSchema.statics.generateAccountReference = function() {
+  return `FA_${Date.now()}_${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
+};
+
+customerFundingAccountSchema.statics.findForCustomer = function(businessId, customerEmail) {
+  return this.findOne({ businessId, customerEmail: customerEmail.toLowerCase().trim() });
+};
+
+// Credit a transfer to the balance once. Resolves to null if it was already credited.
+customerFundingAccountSchema.statics.creditTransfer = function(accountReference, transactionReference, amount) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { accountReference, 'balanceCredits.transactionReference': { $ne: transactionReference } },
+    {
+      $inc: { availableBalance: amount, totalReceived: amount, transferCount: 1 },
+      $push: { balanceCredits: { transactionReference, amount, creditedAt: now } },
+      $set: { lastTransferAt: now, updatedAt: now }
+    },
+    { new: true }
+  );
+};
+
+// Atomically take amount out of the balance. Resolves to null if there isn't enough.
+customerFundingAccountSchema.statics.debitBalance = function(accountReference, amount) {
+  return this.findOneAndUpdate(
+    { accountReference, availableBalance: { $gte: amount } },
+    { $inc: { availableBalance: -amount }, $set: { updatedAt: new Date() } },
+    { new: true }
+  );
+};
+
+// Put money back on the balance (failed run or failed settlement)
+customerFundingAccountSchema.statics.restoreBalance = function(accountReference, amount) {
+  return this.findOneAndUpdate(
+    { accountReference },
+    { $inc: { availableBalance: amount }, $set: { updatedAt: new Date() } },
+    { new: true }
+  );
+};
+
+const CustomerFundingAccount = mongoose.model('CustomerFundingAccount', customerFundingAccountSchema);
+
+module.exports = {
+  CustomerFundingAccount,
+  FUNDING_ACCOUNT_STATUS,
+  FUNDING_ACCOUNT_MODES
+};
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Deposit Watcher Cursor Schema - how far the built-in deposit watcher has scanned each network,
+// so a restart resumes where it left off instead of missing (or rescanning) deposits
+const depositWatcherCursorSchema = new mongoose.Schema({
+  network: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    enum: ['base', 'solana', 'ethereum']
+  },
+
+  // Highest block (EVM) or slot (Solana) that has been fully processed
+  lastScannedBlock: Number,
+  lastScannedSlot: Number,
+
+  depositsDetected: {
+    type: Number,
+    default: 0
+  },
+  lastDepositAt: Date,
+  lastError: String,
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'deposit_watcher_cursors'
+});
+
+depositWatcherCursorSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Static methods
+depositWatcherCursorSchema.statics.forNetwork = async function(network) {
+  return (await this.findOne({ network })) || new this({ network });
+};
+
+const DepositWatcherCursor = mongoose.model('DepositWatcherCursor', depositWatcherCursorSchema);
+
+module.exports = {
+  DepositWatcherCursor
+};
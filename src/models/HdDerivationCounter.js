@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// HD Derivation Counter Schema - the next unused derivation index per seed, so every deposit
+// wallet derived from it gets its own address. Base and Ethereum share the EVM seed and counter.
+const hdDerivationCounterSchema = new mongoose.Schema({
+  scheme: {
+    type: String,
+    required: true,
+    unique: true,
+    enum: ['evm', 'solana']
+  },
+
+  nextIndex: {
+    type: Number,
+    default: 0
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'hd_derivation_counters'
+});
+
+// Static methods
+// Reserve the next index - atomic, so concurrent orders never share an address
+hdDerivationCounterSchema.statics.allocate = async function(scheme) {
+  const counter = await this.findOneAndUpdate(
+    { scheme },
+    { $inc: { nextIndex: 1 }, $set: { updatedAt: new Date() } },
+    { upsert: true, new: true }
+  );
+  return counter.nextIndex - 1;
+};
+
+const HdDerivationCounter = mongoose.model('HdDerivationCounter', hdDerivationCounterSchema);
+
+module.exports = {
+  HdDerivationCounter
+};
@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+
+// Idempotency record lifecycle
+const IDEMPOTENCY_STATUS = {
+  PROCESSING: 'processing',   // First request still running
+  COMPLETED: 'completed'      // Response captured and replayable
+};
+
+// How long a key (and its stored response) stays replayable
+const IDEMPOTENCY_KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS || '24', 10);
+
+// The request holding a key refreshes heartbeatAt this often while it runs
+const IDEMPOTENCY_HEARTBEAT_SECONDS = parseInt(process.env.IDEMPOTENCY_HEARTBEAT_SECONDS || '30', 10);
+
+// A processing key whose holder has sent no heartbeat for this long belongs to a dead process
+// (crashed or restarted) and can be taken over. Slow requests keep heartbeating and are never taken over.
+const IDEMPOTENCY_LOCK_TTL_SECONDS = parseInt(process.env.IDEMPOTENCY_LOCK_TTL_SECONDS || '900', 10);
+
+// Idempotency Key Schema - one record per business + key, shared across app instances
+const idempotencyKeySchema = new mongoose.Schema({
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: true
+  },
+  key: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // Request identification
+  method: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  requestFingerprint: {
+    type: String,
+    required: true
+  },
+
+  // Captured first response
+  status: {
+    type: String,
+    enum: Object.values(IDEMPOTENCY_STATUS),
+    default: IDEMPOTENCY_STATUS.PROCESSING
+  },
+  responseStatusCode: {
+    type: Number,
+    default: null
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  // The request currently holding the key - replaced when an abandoned key is taken over
+  ownerId: {
+    type: String,
+    default: null
+  },
+  claimedAt: {
+    type: Date,
+    default: null
+  },
+  heartbeatAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    default: () => new Date(Date.now() + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000)
+  }
+});
+
+// A key is unique per business - the unique index is what makes this safe across instances
+idempotencyKeySchema.index({ businessId: 1, key: 1 }, { unique: true });
+
+// Let MongoDB drop expired keys automatically
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Instance methods
+idempotencyKeySchema.methods.isExpired = function() {
+  return new Date() > this.expiresAt;
+};
+
+idempotencyKeySchema.methods.isAbandoned = function() {
+  const lastSeenAt = this.heartbeatAt || this.claimedAt || this.createdAt;
+  return this.status === IDEMPOTENCY_STATUS.PROCESSING &&
+    Date.now() - lastSeenAt.getTime() > IDEMPOTENCY_LOCK_TTL_SECONDS * 1000;
+};
+
+idempotencyKeySchema.methods.markCompleted = function(statusCode, body) {
+  this.status = IDEMPOTENCY_STATUS.COMPLETED;
+  this.responseStatusCode = statusCode;
+  this.responseBody = body;
+  this.completedAt = new Date();
+};
+
+// Static methods
+
+/**
+ * Take over an abandoned processing record for a new attempt of the same request.
+ * Returns the record, or null if another attempt took it over, the holder heartbeated or it completed meanwhile.
+ */
+idempotencyKeySchema.statics.takeOver = function(record, ownerId) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    {
+      _id: record._id,
+      status: IDEMPOTENCY_STATUS.PROCESSING,
+      ownerId: record.ownerId || null,
+      heartbeatAt: record.heartbeatAt || null
+    },
+    { $set: { ownerId, claimedAt: now, heartbeatAt: now } },
+    { new: true }
+  );
+};
+
+/**
+ * Record that the holder of a processing key is still alive
+ */
+idempotencyKeySchema.statics.heartbeat = function(recordId, ownerId) {
+  return this.updateOne(
+    { _id: recordId, ownerId, status: IDEMPOTENCY_STATUS.PROCESSING },
+    { $set: { heartbeatAt: new Date() } }
+  );
+};
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+module.exports = {
+  IdempotencyKey,
+  IDEMPOTENCY_STATUS,
+  IDEMPOTENCY_KEY_TTL_HOURS,
+  IDEMPOTENCY_HEARTBEAT_SECONDS,
+  IDEMPOTENCY_LOCK_TTL_SECONDS
+};
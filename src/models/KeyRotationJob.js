@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+// Key Rotation Job Status Constants
+const KEY_ROTATION_STATUS = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+// Collections holding encrypted deposit wallet keys
+const KEY_ROTATION_COLLECTIONS = {
+  OFFRAMP_ORDERS: 'offramp_orders',
+  OFFRAMP_BATCHES: 'offramp_batches'
+};
+
+// Failures kept on the job - past this only the count goes up
+const MAX_RECORDED_FAILURES = 200;
+
+const collectionProgressSchema = new mongoose.Schema({
+  total: { type: Number, default: 0 },         // Records not yet on the target key when the job started
+  processed: { type: Number, default: 0 },
+  rewrapped: { type: Number, default: 0 },
+  skipped: { type: Number, default: 0 },        // Changed by something else mid-run - picked up by the next job
+  failed: { type: Number, default: 0 }
+}, { _id: false });
+
+const failureSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    enum: Object.values(KEY_ROTATION_COLLECTIONS)
+  },
+  reference: String,  // orderId or batchId
+  fromKeyId: String,
+  error: String
+}, { _id: false });
+
+// Key Rotation Job Schema - one per admin-triggered re-wrap of stored wallet keys
+const keyRotationJobSchema = new mongoose.Schema({
+  jobId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(KEY_ROTATION_STATUS),
+    default: KEY_ROTATION_STATUS.RUNNING,
+    index: true
+  },
+  targetKeyId: {
+    type: String,
+    required: true
+  },
+  triggeredBy: String,
+
+  progress: {
+    offramp_orders: { type: collectionProgressSchema, default: () => ({}) },
+    offramp_batches: { type: collectionProgressSchema, default: () => ({}) }
+  },
+  // Master key id -> records re-wrapped off it
+  rewrappedFrom: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  failures: [failureSchema],
+  error: String,
+
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Bumped as the job saves progress - a running job that stops heartbeating no longer blocks new ones
+  heartbeatAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date
+});
+
+keyRotationJobSchema.index({ startedAt: -1 });
+
+// Instance methods
+keyRotationJobSchema.methods.recordFailure = function(source, reference, fromKeyId, error) {
+  this.progress[source].failed += 1;
+  if (this.failures.length < MAX_RECORDED_FAILURES) {
+    this.failures.push({ source, reference, fromKeyId, error });
+  }
+};
+
+keyRotationJobSchema.methods.recordRewrap = function(source, fromKeyId) {
+  this.progress[source].rewrapped += 1;
+  this.rewrappedFrom.set(fromKeyId, (this.rewrappedFrom.get(fromKeyId) || 0) + 1);
+};
+
+// Virtual for overall progress percentage
+keyRotationJobSchema.virtual('percentComplete').get(function() {
+  const collections = Object.values(KEY_ROTATION_COLLECTIONS).map(name => this.progress[name]);
+  const total = collections.reduce((sum, progress) => sum + progress.total, 0);
+  const processed = collections.reduce((sum, progress) => sum + progress.processed, 0);
+  if (total === 0) return this.status === KEY_ROTATION_STATUS.RUNNING ? 0 : 100;
+  return Math.min(100, Math.round((processed / total) * 100));
+});
+
+keyRotationJobSchema.set('toJSON', { virtuals: true });
+
+// Static methods
+keyRotationJobSchema.statics.generateJobId = function() {
+  return `KEYROT_${Date.now()}_${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
+};
+
+const KeyRotationJob = mongoose.model('KeyRotationJob', keyRotationJobSchema);
+
+module.exports = {
+  KeyRotationJob,
+  KEY_ROTATION_STATUS,
+  KEY_ROTATION_COLLECTIONS
+};
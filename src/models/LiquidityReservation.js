@@ -0,0 +1,221 @@
+const mongoose = require('mongoose');
+const { LiquidityReservationTotal } = require('./LiquidityReservationTotal');
+
+const LIQUIDITY_RESERVATION_STATUS = {
+  ACTIVE: 'active',       // USDC held against the provider for an open order
+  CONSUMED: 'consumed',   // Order settled; the provider balance itself now reflects the spend
+  RELEASED: 'released',   // Order failed, was cancelled or expired before settlement
+  EXPIRED: 'expired'      // Hold lapsed without the order reaching a final state
+};
+
+// Liquidity Reservation Schema - one hold per onramp order against the provider chosen at creation
+const liquidityReservationSchema = new mongoose.Schema({
+  reservationId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  orderId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    default: null
+  },
+
+  // Provider and amount held
+  providerId: {
+    type: String,
+    required: true
+  },
+  providerName: {
+    type: String,
+    default: null
+  },
+  network: {
+    type: String,
+    required: true,
+    lowercase: true,
+    enum: ['base', 'solana']
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Provider balance the reservation was validated against
+  providerBalanceAtReservation: {
+    type: Number,
+    default: null
+  },
+
+  // Lifecycle
+  status: {
+    type: String,
+    enum: Object.values(LIQUIDITY_RESERVATION_STATUS),
+    default: LIQUIDITY_RESERVATION_STATUS.ACTIVE,
+    index: true
+  },
+  releaseReason: {
+    type: String,
+    default: null
+  },
+  releasedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'liquidity_reservations'
+});
+
+liquidityReservationSchema.index({ providerId: 1, network: 1, status: 1, expiresAt: 1 });
+
+// Drop settled reservation records a week after their hold window
+liquidityReservationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60, name: 'liquidity_reservation_cleanup_ttl' });
+
+liquidityReservationSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Static methods
+
+liquidityReservationSchema.statics.generateReservationId = function() {
+  return `LQR_${Date.now()}_${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
+};
+
+/**
+ * Filter for reservations that still hold provider liquidity
+ */
+liquidityReservationSchema.statics.outstandingFilter = function(extra = {}) {
+  return {
+    status: LIQUIDITY_RESERVATION_STATUS.ACTIVE,
+    expiresAt: { $gt: new Date() },
+    ...extra
+  };
+};
+
+/**
+ * Outstanding USDC per provider on a network, as a Map of providerId -> amount.
+ */
+liquidityReservationSchema.statics.outstandingByProvider = async function(network) {
+  const rows = await this.aggregate([
+    { $match: this.outstandingFilter({ network }) },
+    { $group: { _id: '$providerId', amount: { $sum: '$amount' }, count: { $sum: 1 } } }
+  ]);
+
+  return new Map(rows.map(row => [row._id, row.amount]));
+};
+
+/**
+ * Hold amount on a provider for an order. The amount is claimed on the provider's reserved total
+ * first (capped at limit), then recorded on the order's reservation - a new one, or the order's
+ * released/expired one reopened. Returns the reservation, or null when the provider has no room.
+ */
+liquidityReservationSchema.statics.reserve = async function(fields, limit) {
+  const { orderId, providerId, network, amount } = fields;
+
+  const claimed = await LiquidityReservationTotal.claim(providerId, network, amount, limit);
+  if (!claimed) return null;
+
+  try {
+    return await this.findOneAndUpdate(
+      { orderId, status: { $ne: LIQUIDITY_RESERVATION_STATUS.ACTIVE } },
+      {
+        $set: {
+          ...fields,
+          reservationId: this.generateReservationId(),
+          status: LIQUIDITY_RESERVATION_STATUS.ACTIVE,
+          releaseReason: null,
+          releasedAt: null,
+          createdAt: new Date(),
+          updatedAt: new Date()
+        }
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    await LiquidityReservationTotal.free(providerId, network, amount);
+    throw error;
+  }
+};
+
+/**
+ * Move an active reservation to a final status and take it off the provider's reserved total.
+ * Returns the reservation, or null if the order had no active hold.
+ */
+liquidityReservationSchema.statics.releaseForOrder = async function(orderId, status, reason) {
+  const reservation = await this.findOneAndUpdate(
+    { orderId, status: LIQUIDITY_RESERVATION_STATUS.ACTIVE },
+    {
+      $set: {
+        status,
+        releaseReason: reason || null,
+        releasedAt: new Date(),
+        updatedAt: new Date()
+      }
+    },
+    { new: true }
+  );
+
+  if (reservation) {
+    await LiquidityReservationTotal.free(reservation.providerId, reservation.network, reservation.amount);
+  }
+  return reservation;
+};
+
+/**
+ * Push back the hold window of an active, unexpired reservation (e.g. once the order is paid
+ * and waiting on settlement).
+ */
+liquidityReservationSchema.statics.extendForOrder = function(orderId, expiresAt) {
+  return this.findOneAndUpdate(
+    this.outstandingFilter({ orderId }),
+    { $set: { expiresAt, updatedAt: new Date() } },
+    { new: true }
+  );
+};
+
+/**
+ * Mark active reservations whose hold window has passed as expired, freeing what they held.
+ */
+liquidityReservationSchema.statics.expireStale = async function() {
+  const stale = await this.find({
+    status: LIQUIDITY_RESERVATION_STATUS.ACTIVE,
+    expiresAt: { $lte: new Date() }
+  }).select('orderId');
+
+  let expired = 0;
+  for (const { orderId } of stale) {
+    // Only the caller that moves the reservation out of active frees its amount
+    const reservation = await this.releaseForOrder(orderId, LIQUIDITY_RESERVATION_STATUS.EXPIRED, 'Reservation hold window elapsed');
+    if (reservation) expired++;
+  }
+
+  return expired;
+};
+
+const LiquidityReservation = mongoose.model('LiquidityReservation', liquidityReservationSchema);
+
+module.exports = {
+  LiquidityReservation,
+  LIQUIDITY_RESERVATION_STATUS
+};
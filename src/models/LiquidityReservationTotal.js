@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Liquidity Reservation Total Schema - USDC held by active reservations per provider and network.
+// Every reservation claims its amount here with one guarded $inc, so concurrent orders on the same
+// provider are serialised by MongoDB and can never hold more than the provider has.
+const liquidityReservationTotalSchema = new mongoose.Schema({
+  providerId: {
+    type: String,
+    required: true
+  },
+  network: {
+    type: String,
+    required: true,
+    lowercase: true,
+    enum: ['base', 'solana']
+  },
+  reservedAmount: {
+    type: Number,
+    default: 0
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'liquidity_reservation_totals'
+});
+
+liquidityReservationTotalSchema.index({ providerId: 1, network: 1 }, { unique: true });
+
+// Static methods
+
+/**
+ * Add amount to the provider's reserved total as long as the total stays within limit.
+ * Returns the updated total, or null when the provider has no room left.
+ */
+liquidityReservationTotalSchema.statics.claim = async function(providerId, network, amount, limit) {
+  if (amount > limit) return null;
+
+  try {
+    return await this.findOneAndUpdate(
+      { providerId, network, reservedAmount: { $lte: limit - amount + 1e-6 } },
+      { $inc: { reservedAmount: amount }, $set: { updatedAt: new Date() } },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // The total exists but is over the limit, so the upsert tried to insert a second one
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+/**
+ * Take a released reservation's amount back off the provider's reserved total
+ */
+liquidityReservationTotalSchema.statics.free = function(providerId, network, amount) {
+  return this.findOneAndUpdate(
+    { providerId, network },
+    { $inc: { reservedAmount: -amount }, $set: { updatedAt: new Date() } },
+    { new: true }
+  );
+};
+
+const LiquidityReservationTotal = mongoose.model('LiquidityReservationTotal', liquidityReservationTotalSchema);
+
+module.exports = {
+  LiquidityReservationTotal
+};
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const RATE_SIDES = ['onramp', 'offramp'];
+
+// Manual Rate Schema - NGN rates set by an admin, used by the rate engine's "manual" source.
+// Every change is a new document so the history stays; the newest active one for a side/token applies.
+const manualRateSchema = new mongoose.Schema({
+  side: {
+    type: String,
+    required: true,
+    enum: RATE_SIDES
+  },
+  token: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+
+  // NGN per token
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  active: {
+    type: Boolean,
+    default: true
+  },
+  setBy: String, // Admin email
+  notes: String,
+  clearedBy: String,
+  clearedAt: Date,
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'manual_rates'
+});
+
+manualRateSchema.index({ side: 1, token: 1, active: 1, createdAt: -1 });
+
+// Static methods
+manualRateSchema.statics.findCurrent = function(side, token) {
+  return this.findOne({ side, token: token.toUpperCase(), active: true }).sort({ createdAt: -1 });
+};
+
+const ManualRate = mongoose.model('ManualRate', manualRateSchema);
+
+module.exports = {
+  ManualRate,
+  RATE_SIDES
+};
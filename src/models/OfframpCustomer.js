@@ -0,0 +1,220 @@
+const mongoose = require('mongoose');
+
+// Offramp Customer Status Constants
+const OFFRAMP_CUSTOMER_STATUS = {
+  ACTIVE: 'active',         // Every deposit opens an order and is paid out
+  SUSPENDED: 'suspended'    // Deposits are recorded but not paid out
+};
+
+// Token accepted on a permanent deposit address
+const depositTokenSchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  contractAddress: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Newest Solana signature already scanned for this token account (see depositWatcher)
+  lastSignature: String
+}, { _id: false });
+
+// Permanent deposit address on one network - always HD-derived, so no key is stored
+const depositAddressSchema = new mongoose.Schema({
+  network: {
+    type: String,
+    required: true,
+    lowercase: true,
+    enum: ['base', 'solana', 'ethereum']
+  },
+  address: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  derivationIndex: {
+    type: Number,
+    required: true
+  },
+  tokens: [depositTokenSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Deposits that could not be turned into an order and need manual follow-up.
+// The funds stay on the address and leave with its next sweep.
+const unprocessedDepositSchema = new mongoose.Schema({
+  depositReference: String,
+  transactionHash: String,
+  network: String,
+  tokenAddress: String,
+  amount: Number,
+  reason: String,
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Offramp Customer Schema - a business customer with permanent deposit addresses and a saved bank account
+const offrampCustomerSchema = new mongoose.Schema({
+  customerId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: true,
+    index: true
+  },
+
+  // Customer
+  customerEmail: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  customerName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  customerPhone: {
+    type: String,
+    trim: true
+  },
+
+  // Where every deposit is paid out (verified via Lenco)
+  recipientAccountNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  recipientAccountName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  recipientBankCode: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  recipientBankName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  accountVerifiedAt: Date,
+  webhookUrl: {
+    type: String,
+    trim: true
+  },
+
+  depositAddresses: [depositAddressSchema],
+
+  status: {
+    type: String,
+    enum: Object.values(OFFRAMP_CUSTOMER_STATUS),
+    default: OFFRAMP_CUSTOMER_STATUS.ACTIVE,
+    index: true
+  },
+
+  // Activity
+  depositCount: {
+    type: Number,
+    default: 0
+  },
+  lastDepositAt: Date,
+  unprocessedDeposits: [unprocessedDepositSchema],
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'offramp_customers'
+});
+
+// One registration per customer per business, and an address belongs to one customer
+offrampCustomerSchema.index({ businessId: 1, customerEmail: 1 }, { unique: true });
+offrampCustomerSchema.index({ 'depositAddresses.address': 1 }, { unique: true, sparse: true });
+offrampCustomerSchema.index({ 'depositAddresses.network': 1 });
+
+offrampCustomerSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Instance methods
+offrampCustomerSchema.methods.isActive = function() {
+  return this.status === OFFRAMP_CUSTOMER_STATUS.ACTIVE;
+};
+
+offrampCustomerSchema.methods.getDepositAddress = function(network) {
+  return this.depositAddresses.find(entry => entry.network === network.toLowerCase());
+};
+
+// Static methods
+offrampCustomerSchema.statics.generateCustomerId = function() {
+  return `OFC_${Date.now()}_${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
+};
+
+offrampCustomerSchema.statics.findForCustomer = function(businessId, customerEmail) {
+  return this.findOne({ businessId, customerEmail: customerEmail.toLowerCase().trim() });
+};
+
+offrampCustomerSchema.statics.findByDepositAddress = function(address) {
+  return this.findOne({ 'depositAddresses.address': address });
+};
+
+offrampCustomerSchema.statics.recordDeposit = function(customerId) {
+  const now = new Date();
+  return this.updateOne(
+    { customerId },
+    { $inc: { depositCount: 1 }, $set: { lastDepositAt: now, updatedAt: now } }
+  );
+};
+
+// Record a deposit for manual follow-up once. Resolves to null if it was already recorded.
+offrampCustomerSchema.statics.recordUnprocessedDeposit = function(customerId, deposit) {
+  return this.findOneAndUpdate(
+    { customerId, 'unprocessedDeposits.depositReference': { $ne: deposit.depositReference } },
+    {
+      $push: { unprocessedDeposits: deposit },
+      $inc: { depositCount: 1 },
+      $set: { lastDepositAt: new Date(), updatedAt: new Date() }
+    },
+    { new: true }
+  );
+};
+
+offrampCustomerSchema.statics.setLastSignature = function(address, contractAddress, signature) {
+  return this.updateOne(
+    { 'depositAddresses.address': address },
+    { $set: { 'depositAddresses.$[entry].tokens.$[token].lastSignature': signature } },
+    { arrayFilters: [{ 'entry.address': address }, { 'token.contractAddress': contractAddress }] }
+  );
+};
+
+const OfframpCustomer = mongoose.model('OfframpCustomer', offrampCustomerSchema);
+
+module.exports = {
+  OfframpCustomer,
+  OFFRAMP_CUSTOMER_STATUS
+};
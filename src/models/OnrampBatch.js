@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+
+// Batch Status Constants
+const BATCH_STATUS = {
+  AWAITING_FUNDING: 'awaiting_funding',    // Rows validated, waiting for the total to be paid
+  UNDERPAID: 'underpaid',                  // Paid less than the total - held for review, nothing sent
+  PROCESSING: 'processing',                // Funded, child orders being created and settled
+  COMPLETED: 'completed',                  // Every valid row delivered
+  PARTIALLY_COMPLETED: 'partially_completed', // Finished with some rows failed
+  FAILED: 'failed'                         // Finished with no row delivered
+};
+
+// Row Status Constants
+const BATCH_ROW_STATUS = {
+  INVALID: 'invalid',             // Failed validation - not funded, never sent
+  PENDING: 'pending',             // Valid, waiting for the batch to be funded
+  ORDER_CREATED: 'order_created', // Child order created and settling
+  COMPLETED: 'completed',         // Tokens delivered
+  FAILED: 'failed'                // Child order (or its creation) failed
+};
+
+const batchRowSchema = new mongoose.Schema({
+  rowNumber: Number,
+  wallet: String,
+  token: String,
+  network: String,
+  amount: Number,
+  reference: String,
+  customerEmail: String,
+  customerName: String,
+  status: {
+    type: String,
+    enum: Object.values(BATCH_ROW_STATUS)
+  },
+  validationErrors: [String],
+  estimatedTokenAmount: Number,
+  orderId: String,
+  actualTokenAmount: Number,
+  transactionHash: String,
+  error: String
+}, { _id: false });
+
+// Onramp Batch Schema - one funding payment split into many child onramp orders
+const onrampBatchSchema = new mongoose.Schema({
+  batchId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: true,
+    index: true
+  },
+
+  fileName: String,
+  webhookUrl: {
+    type: String,
+    trim: true
+  },
+
+  status: {
+    type: String,
+    enum: Object.values(BATCH_STATUS),
+    default: BATCH_STATUS.AWAITING_FUNDING,
+    index: true
+  },
+
+  rows: [batchRowSchema],
+
+  // Totals
+  totalRows: {
+    type: Number,
+    default: 0
+  },
+  validRows: {
+    type: Number,
+    default: 0
+  },
+  invalidRows: {
+    type: Number,
+    default: 0
+  },
+  completedRows: {
+    type: Number,
+    default: 0
+  },
+  failedRows: {
+    type: Number,
+    default: 0
+  },
+  totalAmount: {
+    type: Number,
+    required: true
+  },
+  paidAmount: Number,
+  // Paid naira not turned into tokens (rows that failed before an order existed, or overpayment)
+  unsettledAmount: {
+    type: Number,
+    default: 0
+  },
+
+  // Funding checkout
+  fundingReference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  monnifyTransactionReference: String,
+  checkoutUrl: String,
+  fundingExpiresAt: Date,
+
+  fundedAt: Date,
+  completedAt: Date,
+  completionNotifiedAt: Date,
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+onrampBatchSchema.index({ businessId: 1, createdAt: -1 });
+
+onrampBatchSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Instance methods
+onrampBatchSchema.methods.isFinished = function() {
+  return [BATCH_STATUS.COMPLETED, BATCH_STATUS.PARTIALLY_COMPLETED, BATCH_STATUS.FAILED].includes(this.status);
+};
+
+// Recount rows and move a processing batch to its final status once every row has settled
+onrampBatchSchema.methods.refreshTotals = function() {
+  const funded = this.rows.filter(row => row.status !== BATCH_ROW_STATUS.INVALID);
+  this.completedRows = funded.filter(row => row.status === BATCH_ROW_STATUS.COMPLETED).length;
+  this.failedRows = funded.filter(row => row.status === BATCH_ROW_STATUS.FAILED).length;
+
+  const settled = this.completedRows + this.failedRows;
+  if (this.status === BATCH_STATUS.PROCESSING && settled === funded.length) {
+    if (this.failedRows === 0) {
+      this.status = BATCH_STATUS.COMPLETED;
+    } else if (this.completedRows === 0) {
+      this.status = BATCH_STATUS.FAILED;
+    } else {
+      this.status = BATCH_STATUS.PARTIALLY_COMPLETED;
+    }
+    this.completedAt = new Date();
+  }
+};
+
+// Static methods
+onrampBatchSchema.statics.generateBatchId = function() {
+  return `BATCH_${Date.now()}_${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
+};
+
+const OnrampBatch = mongoose.model('OnrampBatch', onrampBatchSchema);
+
+module.exports = {
+  OnrampBatch,
+  BATCH_STATUS,
+  BATCH_ROW_STATUS
+};
@@ -0,0 +1,202 @@
+const mongoose = require('mongoose');
+
+// Refund Status Constants
+const REFUND_STATUS = {
+  PENDING_APPROVAL: 'pending_approval', // Waiting for an admin to approve
+  APPROVED: 'approved',                 // Approved, payout not started yet
+  PROCESSING: 'processing',             // Sent to the disbursement provider
+  COMPLETED: 'completed',               // Money returned to the customer
+  FAILED: 'failed'                      // Provider rejected or errored - can be retried
+};
+
+// Why the refund exists - one refund per order per source
+const REFUND_SOURCES = {
+  SETTLEMENT_FAILURE: 'settlement_failure',                 // Order failed after payment
+  OVERPAYMENT: 'overpayment',                               // Excess over the order amount
+  PAYMENT_AFTER_CANCELLATION: 'payment_after_cancellation', // Paid a cancelled/expired checkout
+  MANUAL: 'manual'                                          // Triggered by an admin
+};
+
+// How the NGN is paid back
+const REFUND_PROVIDERS = {
+  MONNIFY_REFUND: 'monnify_refund',             // Monnify refund API, back to the original payment source
+  MONNIFY_DISBURSEMENT: 'monnify_disbursement', // Monnify wallet transfer to a bank account
+  PAYOUT_SERVICE: 'payout_service'              // External payout service (PAYOUT_SERVICE_URL)
+};
+
+const refundAttemptSchema = new mongoose.Schema({
+  attemptNumber: Number,
+  provider: {
+    type: String,
+    enum: Object.values(REFUND_PROVIDERS)
+  },
+  providerReference: String,
+  status: {
+    type: String,
+    enum: ['processing', 'completed', 'failed']
+  },
+  error: String,
+  triggeredBy: String,
+  attemptedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Onramp Refund Schema - NGN returned to a customer for an onramp order
+const onrampRefundSchema = new mongoose.Schema({
+  refundId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  // Reference sent to the provider - stays the same across retries so a payout can't be sent twice
+  refundReference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Linked order
+  orderId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BusinessOnrampOrder',
+    required: true
+  },
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: true,
+    index: true
+  },
+  source: {
+    type: String,
+    enum: Object.values(REFUND_SOURCES),
+    required: true
+  },
+
+  // Amount
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'NGN'
+  },
+  reason: {
+    type: String,
+    required: true
+  },
+
+  // Customer
+  customerEmail: String,
+  customerName: String,
+  monnifyTransactionReference: String,
+  destination: {
+    accountNumber: String,
+    accountName: String,
+    bankCode: String
+  },
+
+  // Status
+  status: {
+    type: String,
+    enum: Object.values(REFUND_STATUS),
+    default: REFUND_STATUS.PENDING_APPROVAL,
+    index: true
+  },
+  provider: {
+    type: String,
+    enum: Object.values(REFUND_PROVIDERS)
+  },
+  providerReference: String,
+  providerResponse: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  lastError: String,
+  attempts: [refundAttemptSchema],
+
+  // Approval
+  requestedBy: {
+    type: String,
+    default: 'system'
+  },
+  approvedBy: {
+    type: String,
+    default: null
+  },
+  approvedAt: Date,
+
+  // Notifications
+  customerNotifiedAt: Date,
+  businessNotifiedAt: Date,
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  processingStartedAt: Date,
+  completedAt: Date,
+  failedAt: Date
+});
+
+onrampRefundSchema.index({ orderId: 1, source: 1 }, { unique: true });
+onrampRefundSchema.index({ status: 1, createdAt: -1 });
+
+onrampRefundSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Instance methods
+onrampRefundSchema.methods.canBeApproved = function() {
+  return this.status === REFUND_STATUS.PENDING_APPROVAL;
+};
+
+onrampRefundSchema.methods.canBeRetried = function() {
+  return this.status === REFUND_STATUS.FAILED;
+};
+
+onrampRefundSchema.methods.approve = function(approvedBy) {
+  this.status = REFUND_STATUS.APPROVED;
+  this.approvedBy = approvedBy;
+  this.approvedAt = new Date();
+};
+
+// Static methods
+onrampRefundSchema.statics.generateRefundId = function() {
+  return `RF_${Date.now()}_${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
+};
+
+onrampRefundSchema.statics.findByOrder = function(orderId) {
+  return this.find({ orderId }).sort({ createdAt: 1 });
+};
+
+// Total already committed to refunds for an order (everything that can still pay out)
+onrampRefundSchema.statics.getRefundedTotal = async function(orderId) {
+  const refunds = await this.find({ orderId });
+  return refunds.reduce((sum, refund) => sum + refund.amount, 0);
+};
+
+const OnrampRefund = mongoose.model('OnrampRefund', onrampRefundSchema);
+
+module.exports = {
+  OnrampRefund,
+  REFUND_STATUS,
+  REFUND_SOURCES,
+  REFUND_PROVIDERS
+};
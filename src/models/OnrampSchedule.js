@@ -0,0 +1,245 @@
+const mongoose = require('mongoose');
+
+// Schedule Status Constants
+const SCHEDULE_STATUS = {
+  ACTIVE: 'active',       // Runs when nextRunAt is reached
+  PAUSED: 'paused',       // Paused by the business or after too many failed runs
+  CANCELLED: 'cancelled', // Stopped for good by the business
+  COMPLETED: 'completed'  // Reached maxRuns or endDate
+};
+
+const SCHEDULE_FREQUENCIES = {
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly'
+};
+
+// Where each run's naira comes from
+const SCHEDULE_FUNDING_METHODS = {
+  CARD_TOKEN: 'card_token',            // Monnify tokenized card charged on every run
+  RESERVED_ACCOUNT: 'reserved_account' // Debited from the customer's funding account balance
+};
+
+// Run Status Constants
+const SCHEDULE_RUN_STATUS = {
+  ORDER_CREATED: 'order_created', // Funded - the order is settling like any other order
+  FAILED: 'failed'                // Not funded or not priced - no tokens sent
+};
+
+const scheduleRunSchema = new mongoose.Schema({
+  runId: String,
+  runNumber: Number,
+  scheduledFor: Date,
+  status: {
+    type: String,
+    enum: Object.values(SCHEDULE_RUN_STATUS)
+  },
+  orderId: String,
+  amount: Number,
+  error: String,
+  errorCode: String,
+  startedAt: Date,
+  completedAt: Date
+}, { _id: false });
+
+const statusChangeSchema = new mongoose.Schema({
+  from: String,
+  to: String,
+  reason: String,
+  changedBy: String,
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Onramp Schedule Schema - buys a fixed naira amount of a token for a customer on a recurring basis
+const onrampScheduleSchema = new mongoose.Schema({
+  scheduleId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: true,
+    index: true
+  },
+
+  // Customer
+  customerEmail: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  customerName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  customerPhone: {
+    type: String,
+    trim: true
+  },
+
+  // What each run buys
+  amount: {
+    type: Number,
+    required: true,
+    min: 1000,
+    max: 10000000
+  },
+  targetToken: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  targetNetwork: {
+    type: String,
+    required: true,
+    lowercase: true,
+    enum: ['base', 'solana', 'ethereum'],
+    trim: true
+  },
+  customerWallet: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  webhookUrl: {
+    type: String,
+    trim: true
+  },
+
+  // Timing
+  frequency: {
+    type: String,
+    required: true,
+    enum: Object.values(SCHEDULE_FREQUENCIES)
+  },
+  startAt: {
+    type: Date,
+    required: true
+  },
+  endDate: Date,
+  maxRuns: Number,
+  nextRunAt: {
+    type: Date,
+    index: true
+  },
+  // Regular run time currently being attempted - nextRunAt moves ahead of it while a failed run is retried
+  currentPeriodAt: Date,
+  lastRunAt: Date,
+
+  // Funding
+  fundingMethod: {
+    type: String,
+    required: true,
+    enum: Object.values(SCHEDULE_FUNDING_METHODS)
+  },
+  cardToken: {
+    type: String,
+    select: false
+  },
+  fundingAccountReference: String,
+
+  status: {
+    type: String,
+    enum: Object.values(SCHEDULE_STATUS),
+    default: SCHEDULE_STATUS.ACTIVE,
+    index: true
+  },
+  statusHistory: [statusChangeSchema],
+  pausedReason: String,
+
+  // Runs
+  runCount: {
+    type: Number,
+    default: 0
+  },
+  successfulRuns: {
+    type: Number,
+    default: 0
+  },
+  consecutiveFailures: {
+    type: Number,
+    default: 0
+  },
+  runs: [scheduleRunSchema],
+
+  // Set while the scheduler is processing a run so two ticks can't run it twice
+  lockedUntil: Date,
+
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+onrampScheduleSchema.index({ businessId: 1, status: 1 });
+onrampScheduleSchema.index({ status: 1, nextRunAt: 1 });
+
+onrampScheduleSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Instance methods
+onrampScheduleSchema.methods.changeStatus = function(newStatus, reason, changedBy = 'business') {
+  this.statusHistory.push({ from: this.status, to: newStatus, reason, changedBy });
+  this.status = newStatus;
+};
+
+onrampScheduleSchema.methods.hasFinished = function() {
+  if (this.maxRuns && this.successfulRuns >= this.maxRuns) return true;
+  if (this.endDate && this.nextRunAt && this.nextRunAt > this.endDate) return true;
+  return false;
+};
+
+// Static methods
+onrampScheduleSchema.statics.generateScheduleId = function() {
+  return `SCH_${Date.now()}_${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
+};
+
+// Next run after `from`, keeping monthly runs on the start day (clamped to short months)
+onrampScheduleSchema.statics.computeNextRunAt = function(from, frequency, startAt) {
+  const next = new Date(from);
+
+  if (frequency === SCHEDULE_FREQUENCIES.DAILY) {
+    next.setUTCDate(next.getUTCDate() + 1);
+  } else if (frequency === SCHEDULE_FREQUENCIES.WEEKLY) {
+    next.setUTCDate(next.getUTCDate() + 7);
+  } else {
+    const anchorDay = new Date(startAt || from).getUTCDate();
+    next.setUTCDate(1);
+    next.setUTCMonth(next.getUTCMonth() + 1);
+    const daysInMonth = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+    next.setUTCDate(Math.min(anchorDay, daysInMonth));
+  }
+
+  return next;
+};
+
+const OnrampSchedule = mongoose.model('OnrampSchedule', onrampScheduleSchema);
+
+module.exports = {
+  OnrampSchedule,
+  SCHEDULE_STATUS,
+  SCHEDULE_FREQUENCIES,
+  SCHEDULE_FUNDING_METHODS,
+  SCHEDULE_RUN_STATUS
+};
@@ -0,0 +1,254 @@
+const mongoose = require('mongoose');
+const { BASE_CONFIG } = require('../config/baseConfig');
+
+// Quote Status Constants
+const QUOTE_STATUS = {
+  ACTIVE: 'active',     // Quote can be used to create an order
+  USED: 'used',         // Quote has been consumed by an order
+  EXPIRED: 'expired'    // Quote validity window has passed
+};
+
+const QUOTE_TYPES = {
+  ONRAMP: 'onramp',     // NGN -> token
+  OFFRAMP: 'offramp'    // token -> NGN
+};
+
+// How long a quote stays valid before /create rejects it
+const QUOTE_VALID_FOR_SECONDS = BASE_CONFIG.PRICE_SETTINGS.QUOTE_VALID_FOR_SECONDS;
+
+// Locked Quote Schema - captures the exact pricing returned by /quote so /create can honor it
+const quoteSchema = new mongoose.Schema({
+  quoteId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: Object.values(QUOTE_TYPES),
+    required: true
+  },
+
+  // What was quoted
+  targetToken: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  targetNetwork: {
+    type: String,
+    required: true,
+    lowercase: true,
+    enum: ['base', 'solana', 'ethereum'],
+    trim: true
+  },
+  tokenContractAddress: {
+    type: String,
+    trim: true
+  },
+
+  // Onramp: NGN amount the customer pays. Offramp: not used.
+  amount: {
+    type: Number,
+    default: null
+  },
+  // Onramp: tokens the customer receives. Offramp: tokens the customer sends.
+  tokenAmount: {
+    type: Number,
+    required: true
+  },
+
+  // Locked pricing
+  exchangeRate: {
+    type: Number,
+    required: true
+  },
+  usdcToNgnRate: {
+    type: Number,
+    default: null
+  },
+  usdcValue: {
+    type: Number,
+    default: null
+  },
+  feePercentage: {
+    type: Number,
+    default: 0
+  },
+  feeAmount: {
+    type: Number,
+    default: 0
+  },
+  // Onramp: NGN left for tokens after fee. Offramp: NGN paid out after fee.
+  netAmount: {
+    type: Number,
+    required: true
+  },
+  // Offramp only: NGN value before fee
+  grossNgnAmount: {
+    type: Number,
+    default: null
+  },
+
+  // Full pricing result used to build the order exactly as it was quoted
+  pricingSnapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Lifecycle
+  status: {
+    type: String,
+    enum: Object.values(QUOTE_STATUS),
+    default: QUOTE_STATUS.ACTIVE,
+    index: true
+  },
+  usedByOrderId: {
+    type: String,
+    default: null
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    default: () => new Date(Date.now() + QUOTE_VALID_FOR_SECONDS * 1000)
+  }
+});
+
+quoteSchema.index({ businessId: 1, createdAt: -1 });
+
+// Drop stale quote documents a day after they expire
+quoteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60, name: 'quote_cleanup_ttl' });
+
+// Instance methods
+quoteSchema.methods.isExpired = function() {
+  return this.status === QUOTE_STATUS.EXPIRED || new Date() > this.expiresAt;
+};
+
+/**
+ * Check whether the quote can back a new order for the given request.
+ * Returns null when usable, otherwise { status, code, message } for the API response.
+ */
+quoteSchema.methods.getUnusableReason = function(expected = {}) {
+  if (this.status === QUOTE_STATUS.USED) {
+    return {
+      status: 409,
+      code: 'QUOTE_ALREADY_USED',
+      message: `Quote ${this.quoteId} has already been used for order ${this.usedByOrderId}`
+    };
+  }
+
+  if (this.isExpired()) {
+    return {
+      status: 410,
+      code: 'QUOTE_EXPIRED',
+      message: `Quote ${this.quoteId} expired at ${this.expiresAt.toISOString()}. Request a new quote.`
+    };
+  }
+
+  const mismatches = [];
+  if (expected.targetToken && expected.targetToken.toUpperCase() !== this.targetToken) {
+    mismatches.push('targetToken');
+  }
+  if (expected.targetNetwork && expected.targetNetwork.toLowerCase() !== this.targetNetwork) {
+    mismatches.push('targetNetwork');
+  }
+  if (expected.amount !== undefined && expected.amount !== null && Number(expected.amount) !== this.amount) {
+    mismatches.push('amount');
+  }
+  if (expected.tokenAmount !== undefined && expected.tokenAmount !== null && Number(expected.tokenAmount) !== this.tokenAmount) {
+    mismatches.push('tokenAmount');
+  }
+
+  if (mismatches.length > 0) {
+    return {
+      status: 400,
+      code: 'QUOTE_MISMATCH',
+      message: `Request does not match quote ${this.quoteId}: ${mismatches.join(', ')} differ`,
+      mismatches
+    };
+  }
+
+  return null;
+};
+
+// Static methods
+
+/**
+ * Atomically mark an active, unexpired quote as used by an order.
+ * Returns the updated quote, or null if someone else used it first or it expired.
+ */
+quoteSchema.statics.claim = function(quoteId, businessId, orderId) {
+  return this.findOneAndUpdate(
+    {
+      quoteId,
+      businessId,
+      status: QUOTE_STATUS.ACTIVE,
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      $set: {
+        status: QUOTE_STATUS.USED,
+        usedByOrderId: orderId,
+        usedAt: new Date()
+      }
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Hand a claimed quote back when the order it was claimed for could not be created, so the
+ * client can retry with the same quote. Returns null if the quote is no longer held by that order.
+ */
+quoteSchema.statics.releaseClaim = function(quoteId, orderId) {
+  return this.findOneAndUpdate(
+    {
+      quoteId,
+      status: QUOTE_STATUS.USED,
+      usedByOrderId: orderId
+    },
+    {
+      $set: {
+        status: QUOTE_STATUS.ACTIVE,
+        usedByOrderId: null,
+        usedAt: null
+      }
+    },
+    { new: true }
+  );
+};
+
+quoteSchema.statics.findForBusiness = function(quoteId, businessId, type) {
+  return this.findOne({ quoteId, businessId, type });
+};
+
+quoteSchema.statics.generateQuoteId = function() {
+  return `QT_${Date.now()}_${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
+};
+
+const Quote = mongoose.model('Quote', quoteSchema);
+
+module.exports = {
+  Quote,
+  QUOTE_STATUS,
+  QUOTE_TYPES,
+  QUOTE_VALID_FOR_SECONDS
+};
@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+
+// Reconciliation Run Status Constants
+const RECONCILIATION_STATUS = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+// What reconciliation found when comparing an order with Monnify
+const DISCREPANCY_TYPES = {
+  MISSED_PAYMENT: 'missed_payment',         // Paid at Monnify but the order never heard about it (webhook lost)
+  PAID_NOT_SETTLED: 'paid_not_settled',     // Payment recorded but tokens not delivered within the settlement window
+  SETTLED_NOT_PAID: 'settled_not_paid',     // Order moved past payment but Monnify has no successful payment
+  AMOUNT_MISMATCH: 'amount_mismatch'        // Monnify amount differs from what the order recorded
+};
+
+// What reconciliation did about it
+const DISCREPANCY_ACTIONS = {
+  AUTO_HEALED: 'auto_healed',   // Order was advanced (payment applied or settlement started)
+  NEEDS_REVIEW: 'needs_review', // Reported for an admin - nothing changed automatically
+  HEAL_FAILED: 'heal_failed'    // Tried to heal but it errored - see detail
+};
+
+const discrepancySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: Object.values(DISCREPANCY_TYPES),
+    required: true
+  },
+  action: {
+    type: String,
+    enum: Object.values(DISCREPANCY_ACTIONS),
+    required: true
+  },
+  orderId: String,
+  businessId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Business'
+  },
+  businessOrderReference: String,
+  orderStatus: String,             // Status when reconciliation looked at it
+  orderAmount: Number,
+  recordedPaidAmount: Number,      // What the order says was paid
+  monnifyStatus: String,
+  monnifyAmountPaid: Number,
+  monnifyTransactionReference: String,
+  detail: String
+}, { _id: false });
+
+// Reconciliation Report Schema - one per reconciliation run
+const reconciliationReportSchema = new mongoose.Schema({
+  reportId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(RECONCILIATION_STATUS),
+    default: RECONCILIATION_STATUS.RUNNING,
+    index: true
+  },
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    default: 'scheduled'
+  },
+  triggeredBy: String,
+
+  // Orders created in this window were checked
+  windowStart: Date,
+  windowEnd: Date,
+
+  ordersChecked: {
+    type: Number,
+    default: 0
+  },
+  healedCount: {
+    type: Number,
+    default: 0
+  },
+  // Orders Monnify couldn't be asked about this run (they are picked up again next run)
+  providerErrors: {
+    type: Number,
+    default: 0
+  },
+  discrepancies: [discrepancySchema],
+  summary: {
+    missedPayments: { type: Number, default: 0 },
+    paidNotSettled: { type: Number, default: 0 },
+    settledNotPaid: { type: Number, default: 0 },
+    amountMismatches: { type: Number, default: 0 }
+  },
+  error: String,
+
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date
+});
+
+reconciliationReportSchema.index({ startedAt: -1 });
+
+// Instance methods
+reconciliationReportSchema.methods.addDiscrepancy = function(discrepancy) {
+  this.discrepancies.push(discrepancy);
+
+  const summaryKeys = {
+    [DISCREPANCY_TYPES.MISSED_PAYMENT]: 'missedPayments',
+    [DISCREPANCY_TYPES.PAID_NOT_SETTLED]: 'paidNotSettled',
+    [DISCREPANCY_TYPES.SETTLED_NOT_PAID]: 'settledNotPaid',
+    [DISCREPANCY_TYPES.AMOUNT_MISMATCH]: 'amountMismatches'
+  };
+  this.summary[summaryKeys[discrepancy.type]] += 1;
+
+  if (discrepancy.action === DISCREPANCY_ACTIONS.AUTO_HEALED) {
+    this.healedCount += 1;
+  }
+};
+
+// Static methods
+reconciliationReportSchema.statics.generateReportId = function() {
+  return `RECON_${Date.now()}_${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
+};
+
+const ReconciliationReport = mongoose.model('ReconciliationReport', reconciliationReportSchema);
+
+module.exports = {
+  ReconciliationReport,
+  RECONCILIATION_STATUS,
+  DISCREPANCY_TYPES,
+  DISCREPANCY_ACTIONS
+};
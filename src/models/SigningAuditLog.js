@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+// Why a key was asked to sign
+const SIGNING_PURPOSES = {
+  SWAP: 'swap',           // Converting a deposit to USDC
+  SWEEP: 'sweep',         // Moving a deposit wallet's funds to the treasury
+  REFUND: 'refund',       // Sending a deposit back to the customer
+  GAS_TOPUP: 'gas_topup'  // Gas funder paying for a deposit wallet's next transaction
+};
+
+const SIGNING_STATUS = {
+  REQUESTED: 'requested', // Logged before the signer was called - stays here if the process died mid-request
+  SIGNED: 'signed',
+  FAILED: 'failed'
+};
+
+// Signing Audit Log Schema - one entry per signature request, written before the key is touched
+const signingAuditLogSchema = new mongoose.Schema({
+  requestId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  signer: {
+    type: String,
+    enum: ['local', 'remote'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(SIGNING_STATUS),
+    default: SIGNING_STATUS.REQUESTED,
+    index: true
+  },
+  purpose: {
+    type: String,
+    enum: Object.values(SIGNING_PURPOSES),
+    required: true
+  },
+
+  // What was signed for - orderId or batchId
+  reference: {
+    type: String,
+    index: true
+  },
+
+  // Which key signed
+  keyType: {
+    type: String,
+    enum: ['deposit_wallet', 'gas_funder'],
+    required: true
+  },
+  network: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  address: String,
+  derivationIndex: Number,
+
+  // What was signed - the payload itself isn't kept, only its hash
+  payloadType: {
+    type: String,
+    enum: ['evm_transaction', 'solana_transaction']
+  },
+  payloadHash: String,
+  to: String,
+  value: String,
+
+  // EVM transaction hash or Solana signature
+  transactionHash: String,
+  error: String,
+
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: Date,
+  durationMs: Number
+}, {
+  collection: 'signing_audit_logs'
+});
+
+signingAuditLogSchema.index({ address: 1, requestedAt: -1 });
+signingAuditLogSchema.index({ requestedAt: -1 });
+
+// Static methods
+signingAuditLogSchema.statics.generateRequestId = function() {
+  return `SIGN_${Date.now()}_${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
+};
+
+const SigningAuditLog = mongoose.model('SigningAuditLog', signingAuditLogSchema);
+
+module.exports = {
+  SigningAuditLog,
+  SIGNING_PURPOSES,
+  SIGNING_STATUS
+};
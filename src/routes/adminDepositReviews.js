@@ -0,0 +1,279 @@
+// routes/adminDepositReviews.js
+const express = require('express');
+const router = express.Router();
+const adminDepositReviewController = require('../controllers/adminDepositReviewController');
+const { authenticateAdmin, requirePermission } = require('../middleware/adminAuth');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DepositReview:
+ *       type: object
+ *       properties:
+ *         orderId:
+ *           type: string
+ *         businessOrderReference:
+ *           type: string
+ *         businessId:
+ *           type: string
+ *         orderStatus:
+ *           type: string
+ *           example: deposit_received
+ *         network:
+ *           type: string
+ *           enum: [base, ethereum, solana]
+ *         token:
+ *           type: string
+ *         depositAddress:
+ *           type: string
+ *         depositTransactionHash:
+ *           type: string
+ *         expectedAmount:
+ *           type: number
+ *           example: 100
+ *         receivedAmount:
+ *           type: number
+ *           example: 87.5
+ *         difference:
+ *           type: number
+ *           example: -12.5
+ *         differencePercent:
+ *           type: number
+ *           example: -12.5
+ *         exchangeRate:
+ *           type: number
+ *           description: NGN per token, as quoted when the order was created
+ *         netNgnAmount:
+ *           type: number
+ *         netNgnAmountIfApproved:
+ *           type: number
+ *           description: What approving would pay out (pending reviews only)
+ *         review:
+ *           type: object
+ *           properties:
+ *             status:
+ *               type: string
+ *               enum: [pending, approved, refunding, refunded, rejected]
+ *             flaggedAt:
+ *               type: string
+ *               format: date-time
+ *             reviewedBy:
+ *               type: string
+ *             reviewedAt:
+ *               type: string
+ *               format: date-time
+ *             notes:
+ *               type: string
+ *             originalTokenAmount:
+ *               type: number
+ *             originalNetNgnAmount:
+ *               type: number
+ *             refundAddress:
+ *               type: string
+ *             refundTransactionHash:
+ *               type: string
+ *             refundError:
+ *               type: string
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin Deposit Reviews
+ *   description: Offramp deposits held because the amount was outside the 1% tolerance
+ */
+
+/**
+ * @swagger
+ * /api/v1/admin/deposit-reviews:
+ *   get:
+ *     summary: List offramp deposits by review status (pending by default), oldest first
+ *     tags: [Admin Deposit Reviews]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, refunding, refunded, rejected]
+ *           default: pending
+ *       - in: query
+ *         name: network
+ *         schema:
+ *           type: string
+ *           enum: [base, ethereum, solana]
+ *       - in: query
+ *         name: businessId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Deposit reviews with pagination
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     reviews:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/DepositReview'
+ *                     pagination:
+ *                       type: object
+ */
+router.get('/', authenticateAdmin, requirePermission(['analytics_view']), adminDepositReviewController.getReviews);
+
+/**
+ * @swagger
+ * /api/v1/admin/deposit-reviews/{orderId}:
+ *   get:
+ *     summary: Get the deposit review of one offramp order
+ *     tags: [Admin Deposit Reviews]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Deposit review
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DepositReview'
+ *       404:
+ *         description: Order was never held for review
+ */
+router.get('/:orderId', authenticateAdmin, requirePermission(['analytics_view']), adminDepositReviewController.getReview);
+
+/**
+ * @swagger
+ * /api/v1/admin/deposit-reviews/{orderId}/approve:
+ *   post:
+ *     summary: Approve a deposit at the received amount
+ *     description: Re-prices the order at the received amount using its original rate and fee percentage, then starts the swap and payout.
+ *     tags: [Admin Deposit Reviews]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Deposit approved and payout started
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: The deposit is not waiting for review
+ */
+router.post('/:orderId/approve', authenticateAdmin, requirePermission(['refund_management']), adminDepositReviewController.approveDeposit);
+
+/**
+ * @swagger
+ * /api/v1/admin/deposit-reviews/{orderId}/refund:
+ *   post:
+ *     summary: Refund a deposit on-chain from the deposit wallet
+ *     description: Sends the deposited token back to refundAddress (gas is paid by the sweeper's gas funder) and marks the order refunded.
+ *     tags: [Admin Deposit Reviews]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refundAddress
+ *             properties:
+ *               refundAddress:
+ *                 type: string
+ *                 description: Address on the order's network, usually the deposit's sender
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Deposit refunded (refundTransactionHash recorded)
+ *       400:
+ *         description: Missing or invalid refund address
+ *       409:
+ *         description: The deposit is not waiting for review, or the wallet holds nothing to refund
+ *       503:
+ *         description: Gas funder not configured
+ */
+router.post('/:orderId/refund', authenticateAdmin, requirePermission(['refund_management']), adminDepositReviewController.refundDeposit);
+
+/**
+ * @swagger
+ * /api/v1/admin/deposit-reviews/{orderId}/reject:
+ *   post:
+ *     summary: Reject a deposit and cancel the order
+ *     description: The deposit stays in the deposit wallet for manual handling.
+ *     tags: [Admin Deposit Reviews]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - notes
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Deposit rejected and order cancelled
+ *       400:
+ *         description: Notes missing
+ *       409:
+ *         description: The deposit is not waiting for review
+ */
+router.post('/:orderId/reject', authenticateAdmin, requirePermission(['refund_management']), adminDepositReviewController.rejectDeposit);
+
+module.exports = router;
@@ -0,0 +1,205 @@
+// routes/adminKeyRotations.js
+const express = require('express');
+const router = express.Router();
+const adminKeyRotationController = require('../controllers/adminKeyRotationController');
+const { authenticateAdmin, requirePermission } = require('../middleware/adminAuth');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     KeyRotationProgress:
+ *       type: object
+ *       properties:
+ *         total:
+ *           type: integer
+ *           description: Records not on the target key when the job reached this collection
+ *         processed:
+ *           type: integer
+ *         rewrapped:
+ *           type: integer
+ *         skipped:
+ *           type: integer
+ *           description: Changed by something else mid-run - picked up by the next job
+ *         failed:
+ *           type: integer
+ *     KeyRotationJob:
+ *       type: object
+ *       properties:
+ *         jobId:
+ *           type: string
+ *           example: KEYROT_1718000000000_AB12CD34E
+ *         status:
+ *           type: string
+ *           enum: [running, completed, failed]
+ *         targetKeyId:
+ *           type: string
+ *           example: v2
+ *         triggeredBy:
+ *           type: string
+ *         percentComplete:
+ *           type: integer
+ *         progress:
+ *           type: object
+ *           properties:
+ *             offramp_orders:
+ *               $ref: '#/components/schemas/KeyRotationProgress'
+ *             offramp_batches:
+ *               $ref: '#/components/schemas/KeyRotationProgress'
+ *         rewrappedFrom:
+ *           type: object
+ *           description: Master key id -> records re-wrapped off it
+ *           example:
+ *             v1: 120
+ *             legacy: 14
+ *         failureCount:
+ *           type: integer
+ *         error:
+ *           type: string
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         heartbeatAt:
+ *           type: string
+ *           format: date-time
+ *         finishedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin Key Rotation
+ *   description: Re-wrap stored deposit wallet keys onto a new master key version
+ */
+
+/**
+ * @swagger
+ * /api/v1/admin/key-rotations/status:
+ *   get:
+ *     summary: Master keys and how many stored wallet keys are wrapped with each
+ *     description: A master key can be removed from WALLET_MASTER_KEYS once no stored keys are left on it.
+ *     tags: [Admin Key Rotation]
+ *     security:
+ *       - adminAuth: []
+ *     responses:
+ *       200:
+ *         description: Key rotation status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     activeMasterKeyId:
+ *                       type: string
+ *                     masterKeyIds:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     running:
+ *                       type: boolean
+ *                     keyUsage:
+ *                       type: object
+ *                       example:
+ *                         offramp_orders: { v1: 120, v2: 3000 }
+ *                         offramp_batches: { v2: 40 }
+ *                     latestJob:
+ *                       $ref: '#/components/schemas/KeyRotationJob'
+ */
+router.get('/status', authenticateAdmin, requirePermission(['system_settings']), adminKeyRotationController.getStatus);
+
+/**
+ * @swagger
+ * /api/v1/admin/key-rotations:
+ *   get:
+ *     summary: List key rotation jobs
+ *     tags: [Admin Key Rotation]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [running, completed, failed]
+ *     responses:
+ *       200:
+ *         description: Jobs, newest first
+ */
+router.get('/', authenticateAdmin, requirePermission(['system_settings']), adminKeyRotationController.getJobs);
+
+/**
+ * @swagger
+ * /api/v1/admin/key-rotations:
+ *   post:
+ *     summary: Start re-wrapping every stored wallet key onto the active master key
+ *     description: |
+ *       Add the new key to WALLET_MASTER_KEYS and point WALLET_MASTER_KEY_ID at it, restart, then start a job.
+ *       The job runs in the background - poll GET /api/v1/admin/key-rotations/{jobId} for progress.
+ *       Re-running only touches keys still on an old master key.
+ *     tags: [Admin Key Rotation]
+ *     security:
+ *       - adminAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               targetKeyId:
+ *                 type: string
+ *                 description: Must be the active master key (default)
+ *                 example: v2
+ *     responses:
+ *       202:
+ *         description: Job started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/KeyRotationJob'
+ *       400:
+ *         description: Unknown master key, or not the active one
+ *       409:
+ *         description: A key rotation is already running
+ */
+router.post('/', authenticateAdmin, requirePermission(['system_settings']), adminKeyRotationController.startRotation);
+
+/**
+ * @swagger
+ * /api/v1/admin/key-rotations/{jobId}:
+ *   get:
+ *     summary: Key rotation job progress and failures
+ *     tags: [Admin Key Rotation]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job details
+ *       404:
+ *         description: Job not found
+ */
+router.get('/:jobId', authenticateAdmin, requirePermission(['system_settings']), adminKeyRotationController.getJob);
+
+module.exports = router;
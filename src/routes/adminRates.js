@@ -0,0 +1,223 @@
+// routes/adminRates.js
+const express = require('express');
+const router = express.Router();
+const adminRateController = require('../controllers/adminRateController');
+const { authenticateAdmin, requirePermission } = require('../middleware/adminAuth');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EngineRate:
+ *       type: object
+ *       properties:
+ *         side:
+ *           type: string
+ *           enum: [onramp, offramp]
+ *         token:
+ *           type: string
+ *           example: USDC
+ *         rate:
+ *           type: number
+ *           description: NGN per token
+ *           example: 1585.5
+ *         source:
+ *           type: string
+ *           enum: [cryptocompare, paycrest, manual]
+ *         fetchedAt:
+ *           type: string
+ *           format: date-time
+ *         ageSeconds:
+ *           type: number
+ *         stale:
+ *           type: boolean
+ *           description: True when every source failed and the last good rate is being served
+ *         details:
+ *           type: object
+ *     ManualRate:
+ *       type: object
+ *       properties:
+ *         side:
+ *           type: string
+ *           enum: [onramp, offramp]
+ *         token:
+ *           type: string
+ *         rate:
+ *           type: number
+ *         active:
+ *           type: boolean
+ *         setBy:
+ *           type: string
+ *         notes:
+ *           type: string
+ *         clearedBy:
+ *           type: string
+ *         clearedAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin Rates
+ *   description: NGN rate engine sources, cached rates and admin-set manual rates
+ */
+
+/**
+ * @swagger
+ * /api/v1/admin/rates:
+ *   get:
+ *     summary: Rate source health, cached rates and manual rates
+ *     tags: [Admin Rates]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include replaced and cleared manual rates
+ *     responses:
+ *       200:
+ *         description: Rate engine status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     cacheTtlSeconds:
+ *                       type: number
+ *                     maxAgeSeconds:
+ *                       type: number
+ *                     sources:
+ *                       type: object
+ *                     rates:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/EngineRate'
+ *                     manualRates:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ManualRate'
+ */
+router.get('/', authenticateAdmin, requirePermission(['analytics_view']), adminRateController.getRates);
+
+/**
+ * @swagger
+ * /api/v1/admin/rates/{side}:
+ *   get:
+ *     summary: The rate quotes and orders would use right now
+ *     tags: [Admin Rates]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: side
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [onramp, offramp]
+ *       - in: query
+ *         name: token
+ *         schema:
+ *           type: string
+ *           default: USDC
+ *     responses:
+ *       200:
+ *         description: Current rate
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EngineRate'
+ *       400:
+ *         description: Unknown side
+ *       503:
+ *         description: No source has a rate (RATE_UNAVAILABLE)
+ */
+router.get('/:side', authenticateAdmin, requirePermission(['analytics_view']), adminRateController.getCurrentRate);
+
+/**
+ * @swagger
+ * /api/v1/admin/rates/{side}/manual:
+ *   put:
+ *     summary: Set the manual rate for a side and token
+ *     description: Replaces any manual rate already set. Used whenever the manual source is reached in RATE_SOURCES_ONRAMP / RATE_SOURCES_OFFRAMP.
+ *     tags: [Admin Rates]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: side
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [onramp, offramp]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rate
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 default: USDC
+ *               rate:
+ *                 type: number
+ *                 description: NGN per token
+ *                 example: 1590
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Manual rate set
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ManualRate'
+ *       400:
+ *         description: Unknown side or invalid rate
+ */
+router.put('/:side/manual', authenticateAdmin, requirePermission(['system_settings']), adminRateController.setManualRate);
+
+/**
+ * @swagger
+ * /api/v1/admin/rates/{side}/manual:
+ *   delete:
+ *     summary: Clear the manual rate for a side and token
+ *     tags: [Admin Rates]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: side
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [onramp, offramp]
+ *       - in: query
+ *         name: token
+ *         schema:
+ *           type: string
+ *           default: USDC
+ *     responses:
+ *       200:
+ *         description: Manual rate cleared
+ *       404:
+ *         description: No manual rate is set
+ */
+router.delete('/:side/manual', authenticateAdmin, requirePermission(['system_settings']), adminRateController.clearManualRate);
+
+module.exports = router;
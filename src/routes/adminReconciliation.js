@@ -0,0 +1,195 @@
+// routes/adminReconciliation.js
+const express = require('express');
+const router = express.Router();
+const adminReconciliationController = require('../controllers/adminReconciliationController');
+const { authenticateAdmin, requirePermission } = require('../middleware/adminAuth');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReconciliationDiscrepancy:
+ *       type: object
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [missed_payment, paid_not_settled, settled_not_paid, amount_mismatch]
+ *         action:
+ *           type: string
+ *           enum: [auto_healed, needs_review, heal_failed]
+ *         orderId:
+ *           type: string
+ *         businessOrderReference:
+ *           type: string
+ *         orderStatus:
+ *           type: string
+ *         orderAmount:
+ *           type: number
+ *         recordedPaidAmount:
+ *           type: number
+ *         monnifyStatus:
+ *           type: string
+ *           example: PAID
+ *         monnifyAmountPaid:
+ *           type: number
+ *         monnifyTransactionReference:
+ *           type: string
+ *         detail:
+ *           type: string
+ *     ReconciliationReport:
+ *       type: object
+ *       properties:
+ *         reportId:
+ *           type: string
+ *           example: RECON_1718000000000_AB12CD34E
+ *         status:
+ *           type: string
+ *           enum: [running, completed, failed]
+ *         trigger:
+ *           type: string
+ *           enum: [scheduled, manual]
+ *         windowStart:
+ *           type: string
+ *           format: date-time
+ *         windowEnd:
+ *           type: string
+ *           format: date-time
+ *         ordersChecked:
+ *           type: integer
+ *         healedCount:
+ *           type: integer
+ *         providerErrors:
+ *           type: integer
+ *           description: Orders Monnify could not be asked about (retried next run)
+ *         summary:
+ *           type: object
+ *           properties:
+ *             missedPayments:
+ *               type: integer
+ *             paidNotSettled:
+ *               type: integer
+ *             settledNotPaid:
+ *               type: integer
+ *             amountMismatches:
+ *               type: integer
+ *         discrepancies:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ReconciliationDiscrepancy'
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin Reconciliation
+ *   description: Monnify reconciliation runs and discrepancy reports for onramp orders
+ */
+
+/**
+ * @swagger
+ * /api/v1/admin/reconciliation/reports:
+ *   get:
+ *     summary: List reconciliation reports
+ *     tags: [Admin Reconciliation]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [running, completed, failed]
+ *       - in: query
+ *         name: trigger
+ *         schema:
+ *           type: string
+ *           enum: [scheduled, manual]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Reports retrieved successfully (without discrepancy rows)
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/reports', authenticateAdmin, requirePermission(['analytics_view']), adminReconciliationController.getReports);
+
+/**
+ * @swagger
+ * /api/v1/admin/reconciliation/reports/{reportId}:
+ *   get:
+ *     summary: Get a reconciliation report with its discrepancies
+ *     tags: [Admin Reconciliation]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reportId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [missed_payment, paid_not_settled, settled_not_paid, amount_mismatch]
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [auto_healed, needs_review, heal_failed]
+ *     responses:
+ *       200:
+ *         description: Report retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ReconciliationReport'
+ *       404:
+ *         description: Report not found
+ */
+router.get('/reports/:reportId', authenticateAdmin, requirePermission(['analytics_view']), adminReconciliationController.getReportDetails);
+
+/**
+ * @swagger
+ * /api/v1/admin/reconciliation/run:
+ *   post:
+ *     summary: Start a reconciliation run now
+ *     description: Runs in the background - poll the returned report for results. Missed payments and unsettled paid orders are healed the same way a scheduled run would.
+ *     tags: [Admin Reconciliation]
+ *     security:
+ *       - adminAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               lookbackHours:
+ *                 type: integer
+ *                 description: How far back to check (defaults to ONRAMP_RECONCILIATION_LOOKBACK_HOURS, max 720)
+ *                 example: 72
+ *     responses:
+ *       202:
+ *         description: Reconciliation started
+ *       409:
+ *         description: A reconciliation is already running
+ *       503:
+ *         description: Reconciliation is not available on this instance
+ */
+router.post('/run', authenticateAdmin, requirePermission(['analytics_view']), adminReconciliationController.runReconciliation);
+
+module.exports = router;
@@ -0,0 +1,271 @@
+// routes/adminRefunds.js
+const express = require('express');
+const router = express.Router();
+const adminRefundController = require('../controllers/adminRefundController');
+const { authenticateAdmin, requirePermission } = require('../middleware/adminAuth');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     OnrampRefund:
+ *       type: object
+ *       properties:
+ *         refundId:
+ *           type: string
+ *           example: RF_1718000000000_AB12CD34E
+ *         orderId:
+ *           type: string
+ *         source:
+ *           type: string
+ *           enum: [settlement_failure, overpayment, payment_after_cancellation, manual]
+ *         amount:
+ *           type: number
+ *           example: 50000
+ *         currency:
+ *           type: string
+ *           example: NGN
+ *         reason:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending_approval, approved, processing, completed, failed]
+ *         provider:
+ *           type: string
+ *           enum: [monnify_refund, monnify_disbursement, payout_service]
+ *         providerReference:
+ *           type: string
+ *         lastError:
+ *           type: string
+ *         attempts:
+ *           type: array
+ *           items:
+ *             type: object
+ *         approvedBy:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *     RefundDestination:
+ *       type: object
+ *       description: Bank account to pay the refund into. Required for monnify_disbursement and payout_service.
+ *       properties:
+ *         accountNumber:
+ *           type: string
+ *           example: "0123456789"
+ *         accountName:
+ *           type: string
+ *         bankCode:
+ *           type: string
+ *           example: "058"
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin Refunds
+ *   description: Admin endpoints for NGN refunds on onramp orders
+ */
+
+/**
+ * @swagger
+ * /api/v1/admin/refunds:
+ *   get:
+ *     summary: List refunds
+ *     tags: [Admin Refunds]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending_approval, approved, processing, completed, failed]
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           enum: [settlement_failure, overpayment, payment_after_cancellation, manual]
+ *       - in: query
+ *         name: orderId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Refunds retrieved successfully
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/', authenticateAdmin, requirePermission(['refund_management']), adminRefundController.getRefunds);
+
+/**
+ * @swagger
+ * /api/v1/admin/refunds:
+ *   post:
+ *     summary: Trigger a refund for an onramp order
+ *     description: Refunds above REFUND_AUTO_APPROVE_MAX_NGN are created as pending_approval; smaller ones are sent straight away.
+ *     tags: [Admin Refunds]
+ *     security:
+ *       - adminAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - orderId
+ *               - reason
+ *             properties:
+ *               orderId:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *                 description: Defaults to everything paid that hasn't been refunded yet
+ *               reason:
+ *                 type: string
+ *                 example: Customer requested cancellation after payment
+ *               provider:
+ *                 type: string
+ *                 enum: [monnify_refund, monnify_disbursement, payout_service]
+ *               destination:
+ *                 $ref: '#/components/schemas/RefundDestination'
+ *     responses:
+ *       201:
+ *         description: Refund created
+ *       400:
+ *         description: Invalid request, nothing left to refund or amount above the refundable balance
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Order still settling or a manual refund already exists
+ */
+router.post('/', authenticateAdmin, requirePermission(['refund_management']), adminRefundController.triggerRefund);
+
+/**
+ * @swagger
+ * /api/v1/admin/refunds/{refundId}:
+ *   get:
+ *     summary: Get refund details
+ *     tags: [Admin Refunds]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: refundId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Refund retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/OnrampRefund'
+ *       404:
+ *         description: Refund not found
+ */
+router.get('/:refundId', authenticateAdmin, requirePermission(['refund_management']), adminRefundController.getRefundDetails);
+
+/**
+ * @swagger
+ * /api/v1/admin/refunds/{refundId}/approve:
+ *   post:
+ *     summary: Approve a pending refund and send it
+ *     tags: [Admin Refunds]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: refundId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Refund approved and sent to the provider
+ *       404:
+ *         description: Refund not found
+ *       409:
+ *         description: Refund is not pending approval
+ */
+router.post('/:refundId/approve', authenticateAdmin, requirePermission(['refund_management']), adminRefundController.approveRefund);
+
+/**
+ * @swagger
+ * /api/v1/admin/refunds/{refundId}/retry:
+ *   post:
+ *     summary: Retry a failed refund
+ *     description: The provider reference is reused so a refund that actually went through can't be paid twice.
+ *     tags: [Admin Refunds]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: refundId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               provider:
+ *                 type: string
+ *                 enum: [monnify_refund, monnify_disbursement, payout_service]
+ *               destination:
+ *                 $ref: '#/components/schemas/RefundDestination'
+ *     responses:
+ *       200:
+ *         description: Refund retried
+ *       404:
+ *         description: Refund not found
+ *       409:
+ *         description: Refund has not failed or is already being processed
+ */
+router.post('/:refundId/retry', authenticateAdmin, requirePermission(['refund_management']), adminRefundController.retryRefund);
+
+/**
+ * @swagger
+ * /api/v1/admin/refunds/{refundId}/sync:
+ *   post:
+ *     summary: Refresh a processing refund from the provider
+ *     tags: [Admin Refunds]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: refundId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Current refund status
+ *       404:
+ *         description: Refund not found
+ */
+router.post('/:refundId/sync', authenticateAdmin, requirePermission(['refund_management']), adminRefundController.syncRefundStatus);
+
+module.exports = router;
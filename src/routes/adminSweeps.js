@@ -0,0 +1,205 @@
+// routes/adminSweeps.js
+const express = require('express');
+const router = express.Router();
+const adminSweepController = require('../controllers/adminSweepController');
+const { authenticateAdmin, requirePermission } = require('../middleware/adminAuth');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SweepTransaction:
+ *       type: object
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [gas_topup, token_sweep, refund]
+ *         purpose:
+ *           type: string
+ *           enum: [swap, sweep, refund]
+ *         asset:
+ *           type: string
+ *           example: USDC
+ *         tokenAddress:
+ *           type: string
+ *         amount:
+ *           type: number
+ *         fromAddress:
+ *           type: string
+ *         toAddress:
+ *           type: string
+ *         transactionHash:
+ *           type: string
+ *     UnsweptWallet:
+ *       type: object
+ *       properties:
+ *         reference:
+ *           type: string
+ *           description: Offramp orderId or batchId
+ *         type:
+ *           type: string
+ *           enum: [order, batch]
+ *         status:
+ *           type: string
+ *         network:
+ *           type: string
+ *         token:
+ *           type: string
+ *         address:
+ *           type: string
+ *         depositedAmount:
+ *           type: number
+ *         liveBalance:
+ *           type: number
+ *           description: Current on-chain balance of the deposit token (only with live=true)
+ *         sweepStatus:
+ *           type: string
+ *           enum: [pending, failed]
+ *         sweepError:
+ *           type: string
+ *         autoSweepable:
+ *           type: boolean
+ *           description: Whether scheduled sweeps will pick the wallet up (finished orders only)
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin Sweeps
+ *   description: Offramp deposit wallet sweeping to the treasury
+ */
+
+/**
+ * @swagger
+ * /api/v1/admin/sweeps/unswept:
+ *   get:
+ *     summary: Report deposit wallets holding funds that haven't been swept
+ *     tags: [Admin Sweeps]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: network
+ *         schema:
+ *           type: string
+ *           enum: [base, ethereum, solana]
+ *       - in: query
+ *         name: live
+ *         description: Read current on-chain balances for the listed wallets (max 50)
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *     responses:
+ *       200:
+ *         description: Totals per network and token, and the wallets oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     walletCount:
+ *                       type: integer
+ *                     totals:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           network:
+ *                             type: string
+ *                           token:
+ *                             type: string
+ *                           walletCount:
+ *                             type: integer
+ *                           depositedAmount:
+ *                             type: number
+ *                     wallets:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/UnsweptWallet'
+ */
+router.get('/unswept', authenticateAdmin, requirePermission(['analytics_view']), adminSweepController.getUnsweptReport);
+
+/**
+ * @swagger
+ * /api/v1/admin/sweeps/run:
+ *   post:
+ *     summary: Sweep all finished deposit wallets now
+ *     description: Sweeps completed orders and completed or partially completed batches, topping up gas where needed.
+ *     tags: [Admin Sweeps]
+ *     security:
+ *       - adminAuth: []
+ *     responses:
+ *       200:
+ *         description: Sweep finished with counts of swept, empty and failed wallets
+ *       409:
+ *         description: A sweep is already running
+ */
+router.post('/run', authenticateAdmin, requirePermission(['system_settings']), adminSweepController.runSweep);
+
+/**
+ * @swagger
+ * /api/v1/admin/sweeps/wallets/{reference}:
+ *   post:
+ *     summary: Sweep one order or batch deposit wallet
+ *     tags: [Admin Sweeps]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reference
+ *         required: true
+ *         description: Offramp orderId, or batchId (OFFB_...)
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               force:
+ *                 type: boolean
+ *                 description: Also sweep wallets of failed, expired or cancelled orders
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Wallet swept (transactions listed) or nothing to sweep
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     reference:
+ *                       type: string
+ *                     sweepStatus:
+ *                       type: string
+ *                       enum: [swept, empty]
+ *                     transactions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/SweepTransaction'
+ *       404:
+ *         description: Order or batch not found
+ *       409:
+ *         description: The order still needs its deposit, or a sweep of it is in progress
+ *       503:
+ *         description: Treasury or gas funder not configured
+ */
+router.post('/wallets/:reference', authenticateAdmin, requirePermission(['system_settings']), adminSweepController.sweepWallet);
+
+module.exports = router;
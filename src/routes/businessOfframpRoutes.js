@@ -14,6 +14,8 @@
 const express = require('express');
 const businessOfframpController = require('../controllers/businessOfframpController');
 const offrampWebhookHandler = require('../services/offrampWebhookHandler');
+const payoutService = require('../services/payoutService');
+const idempotency = require('../middleware/idempotency');
 const { 
   authenticateApiKey,
   validateBusinessOnrampRequest, 
@@ -28,9 +30,6 @@ const router = express.Router();
 // Apply rate limiting to all routes
 router.use(apiRateLimit);
 
-// Apply webhook middleware for webhook endpoints
-router.use('/webhook', express.raw({ type: 'application/json' })); // Raw body for webhook verification
-
 // Apply business authentication to all routes except webhooks and internal endpoints
 router.use((req, res, next) => {
   // Skip authentication for webhook endpoints
@@ -104,6 +103,10 @@ router.use((req, res, next) => {
  *                 data:
  *                   type: object
  *                   properties:
+ *                     quoteId:
+ *                       type: string
+ *                       example: "QT_1703234567_K3J9X2LQA"
+ *                       description: Locked quote ID - pass to /create before expiresAt to get exactly this pricing
  *                     tokenAmount:
  *                       type: number
  *                       example: 100
@@ -174,6 +177,15 @@ router.post('/quote', businessOfframpController.getOfframpQuote);
  *     tags: [Business Off-ramp]
  *     security:
  *       - BusinessApiKey: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         description: "Unique key for safely retrying this request. A replay with the same body returns the original response (with `Idempotent-Replayed: true`); reusing the key with a different body returns 409 IDEMPOTENCY_KEY_REUSED."
+ *         example: "order-7f3c2a91-retry-safe"
  *     requestBody:
  *       required: true
  *       content:
@@ -239,6 +251,10 @@ router.post('/quote', businessOfframpController.getOfframpQuote);
  *                 format: uri
  *                 example: "https://your-api.com/webhooks/offramp"
  *                 description: URL to receive order status updates
+ *               quoteId:
+ *                 type: string
+ *                 example: "QT_1703234567_K3J9X2LQA"
+ *                 description: Optional locked quote from /quote. tokenAmount, targetToken and targetNetwork must match it; the quoted rate and fees are used exactly.
  *               metadata:
  *                 type: object
  *                 description: Additional data to store with the order
@@ -346,7 +362,7 @@ router.post('/quote', businessOfframpController.getOfframpQuote);
  *                           description: Account verification status
  *                     status:
  *                       type: string
- *                       enum: [pending_deposit, deposit_received, processing, pending_payout, completed, failed, expired, cancelled]
+ *                       enum: [pending_deposit, deposit_received, processing, swap_retry, pending_payout, completed, failed, expired, cancelled]
  *                       example: "pending_deposit"
  *                       description: Current order status
  *                     expiresAt:
@@ -359,12 +375,19 @@ router.post('/quote', businessOfframpController.getOfframpQuote);
  *                       description: Whether webhook URL was provided
  *       400:
  *         description: Invalid request or account verification failed
+ *       404:
+ *         description: quoteId not found for this business (QUOTE_NOT_FOUND)
+ *       409:
+ *         description: Idempotency-Key reused with a different request body (IDEMPOTENCY_KEY_REUSED), the original request is still in progress (IDEMPOTENCY_KEY_IN_PROGRESS), or the quote was already used (QUOTE_ALREADY_USED)
+ *       410:
+ *         description: Quote has expired (QUOTE_EXPIRED)
  *       503:
  *         description: Bank verification service unavailable
  *       500:
  *         description: Server error
  */
 router.post('/create', 
+  idempotency,                 // Replays stored response for a repeated Idempotency-Key
   validateOfframpRequestData,  // Validates request data without requiring secret key
   businessOfframpController.createOfframpOrder
 );
@@ -411,7 +434,7 @@ router.get('/orders/:orderId', businessOfframpController.getOrderById);
  *         description: Filter by order status
  *         schema:
  *           type: string
- *           enum: [pending_deposit, deposit_received, processing, pending_payout, completed, failed, expired, cancelled]
+ *           enum: [pending_deposit, deposit_received, processing, swap_retry, pending_payout, completed, failed, expired, cancelled]
  *       - in: query
  *         name: customerEmail
  *         description: Filter by customer email
@@ -465,6 +488,333 @@ router.get('/orders/:orderId', businessOfframpController.getOrderById);
  */
 router.get('/orders', businessOfframpController.getAllOrders);
 
+// ================================
+// BATCH OFF-RAMP ENDPOINTS
+// ================================
+
+/**
+ * @swagger
+ * /api/v1/business-offramp/batches:
+ *   post:
+ *     summary: Create a batch off-ramp (one deposit, many bank payouts)
+ *     description: |
+ *       Verifies every recipient account through Lenco up front, then generates a single deposit wallet
+ *       for the total. Once the deposit is confirmed the payouts are sent one by one and each recipient
+ *       gets its own status. Nothing is created if any account fails verification.
+ *     tags: [Business Off-ramp]
+ *     security:
+ *       - BusinessApiKey: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - targetToken
+ *               - targetNetwork
+ *               - recipients
+ *             properties:
+ *               targetToken:
+ *                 type: string
+ *                 example: "USDC"
+ *               targetNetwork:
+ *                 type: string
+ *                 enum: [base, solana]
+ *                 example: "base"
+ *               recipients:
+ *                 type: array
+ *                 maxItems: 200
+ *                 description: Up to OFFRAMP_BATCH_MAX_RECIPIENTS (default 200) recipients
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - accountNumber
+ *                     - bankCode
+ *                     - amount
+ *                   properties:
+ *                     accountNumber:
+ *                       type: string
+ *                       example: "0123456789"
+ *                     bankCode:
+ *                       type: string
+ *                       example: "000013"
+ *                     amount:
+ *                       type: number
+ *                       description: NGN amount the recipient receives (minimum 100)
+ *                       example: 250000
+ *                     reference:
+ *                       type: string
+ *                       description: Your own reference for this payout, must be unique within the batch
+ *                       example: "INV-2041"
+ *                     narration:
+ *                       type: string
+ *               webhookUrl:
+ *                 type: string
+ *                 example: "https://yourapp.com/webhooks/offramp"
+ *               metadata:
+ *                 type: object
+ *     responses:
+ *       201:
+ *         description: Batch created - send the token amount to depositInstructions.walletAddress
+ *       400:
+ *         description: Invalid recipients (INVALID_RECIPIENTS), accounts that failed verification (ACCOUNT_VERIFICATION_FAILED) or unsupported token
+ *       401:
+ *         description: Invalid API key
+ *       503:
+ *         description: Bank verification service unavailable
+ */
+router.post('/batches',
+  idempotency,                 // Replays stored response for a repeated Idempotency-Key
+  businessOfframpController.createOfframpBatch
+);
+
+/**
+ * @swagger
+ * /api/v1/business-offramp/batches:
+ *   get:
+ *     summary: List batch off-ramps
+ *     tags: [Business Off-ramp]
+ *     security:
+ *       - BusinessApiKey: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending_deposit, deposit_received, requires_review, paying_out, completed, partially_completed, failed, expired]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Batches retrieved successfully (without recipient rows)
+ *       401:
+ *         description: Invalid API key
+ */
+router.get('/batches', businessOfframpController.getOfframpBatches);
+
+/**
+ * @swagger
+ * /api/v1/business-offramp/batches/{batchId}:
+ *   get:
+ *     summary: Get a batch off-ramp with per-recipient payout status
+ *     tags: [Business Off-ramp]
+ *     security:
+ *       - BusinessApiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: batchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "OFFB_1703234567_ABC123DEF"
+ *     responses:
+ *       200:
+ *         description: Batch retrieved successfully
+ *       404:
+ *         description: Batch not found
+ *       401:
+ *         description: Invalid API key
+ */
+router.get('/batches/:batchId', businessOfframpController.getOfframpBatchById);
+
+// ================================
+// CUSTOMER DEPOSIT ADDRESSES
+// ================================
+
+/**
+ * @swagger
+ * /api/v1/business-offramp/customers:
+ *   post:
+ *     summary: Register a customer for permanent deposit addresses
+ *     description: |
+ *       Verifies the customer's bank account and gives them one permanent deposit address per network.
+ *       Every deposit detected on an address opens an off-ramp order, priced at detection time, that pays
+ *       out to the saved bank account. Registering an existing customer again adds any networks they
+ *       don't have yet and returns the registration (created false).
+ *     tags: [Business Off-ramp]
+ *     security:
+ *       - BusinessApiKey: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - customerEmail
+ *               - customerName
+ *               - recipientAccountNumber
+ *               - recipientBankCode
+ *               - networks
+ *             properties:
+ *               customerEmail:
+ *                 type: string
+ *                 example: "customer@example.com"
+ *               customerName:
+ *                 type: string
+ *                 example: "John Doe"
+ *               customerPhone:
+ *                 type: string
+ *               recipientAccountNumber:
+ *                 type: string
+ *                 example: "0123456789"
+ *               recipientBankCode:
+ *                 type: string
+ *                 example: "000013"
+ *               networks:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [base, solana]
+ *                 example: ["base", "solana"]
+ *               tokens:
+ *                 type: array
+ *                 description: Token symbols the addresses accept. Defaults to every token enabled for your business on each network.
+ *                 items:
+ *                   type: string
+ *                 example: ["USDC"]
+ *               webhookUrl:
+ *                 type: string
+ *                 example: "https://yourapp.com/webhooks/offramp"
+ *     responses:
+ *       201:
+ *         description: Customer registered - depositAddresses lists the permanent address per network
+ *       200:
+ *         description: Customer was already registered
+ *       400:
+ *         description: Missing fields, unsupported network or token (TOKEN_NOT_CONFIGURED), or the bank account failed verification
+ *       401:
+ *         description: Invalid API key
+ *       503:
+ *         description: Bank verification unavailable, or permanent addresses aren't available on a network (HD_DERIVATION_NOT_CONFIGURED)
+ */
+router.post('/customers', businessOfframpController.registerOfframpCustomer);
+
+/**
+ * @swagger
+ * /api/v1/business-offramp/customers:
+ *   get:
+ *     summary: List customers registered for permanent deposit addresses
+ *     tags: [Business Off-ramp]
+ *     security:
+ *       - BusinessApiKey: []
+ *     parameters:
+ *       - in: query
+ *         name: customerEmail
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, suspended]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Customers retrieved successfully
+ *       401:
+ *         description: Invalid API key
+ */
+router.get('/customers', businessOfframpController.getOfframpCustomers);
+
+/**
+ * @swagger
+ * /api/v1/business-offramp/customers/{customerId}:
+ *   get:
+ *     summary: Get a registered customer with its recent orders and unprocessed deposits
+ *     tags: [Business Off-ramp]
+ *     security:
+ *       - BusinessApiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: customerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "OFC_1703234567_ABC123DEF"
+ *     responses:
+ *       200:
+ *         description: Customer retrieved successfully
+ *       404:
+ *         description: Customer not found
+ *       401:
+ *         description: Invalid API key
+ */
+router.get('/customers/:customerId', businessOfframpController.getOfframpCustomer);
+
+/**
+ * @swagger
+ * /api/v1/business-offramp/customers/{customerId}:
+ *   patch:
+ *     summary: Update a registered customer
+ *     description: |
+ *       Change the payout bank account (verified again before it's saved), contact details, webhook or
+ *       status. Deposits to a suspended customer's addresses are recorded but not paid out.
+ *     tags: [Business Off-ramp]
+ *     security:
+ *       - BusinessApiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: customerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               recipientAccountNumber:
+ *                 type: string
+ *               recipientBankCode:
+ *                 type: string
+ *               customerName:
+ *                 type: string
+ *               customerPhone:
+ *                 type: string
+ *               webhookUrl:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [active, suspended]
+ *     responses:
+ *       200:
+ *         description: Customer updated
+ *       400:
+ *         description: Invalid status or the bank account failed verification
+ *       404:
+ *         description: Customer not found
+ *       503:
+ *         description: Bank verification service unavailable
+ */
+router.patch('/customers/:customerId', businessOfframpController.updateOfframpCustomer);
+
 /**
  * @swagger
  * /api/v1/business-offramp/stats:
@@ -1127,9 +1477,17 @@ router.get('/token-info/:network/:tokenAddress', async (req, res) => {
  *               confirmations:
  *                 type: integer
  *                 example: 12
+ *               senderAddress:
+ *                 type: string
+ *                 description: Address the deposit came from - looked up on-chain when missing. Used to refund deposits to expired or cancelled orders.
+ *                 example: "0x9f3B2a6E1c4D5e7F8a9B0c1D2e3F4a5B6c7D8e9F"
+ *               logIndex:
+ *                 type: integer
+ *                 description: Transfer log index (EVM). Used for customer deposit addresses, where every transfer opens its own order. When omitted it is read from the transaction receipt, and the request is rejected (LOG_INDEX_REQUIRED) if the receipt has more than one matching transfer.
+ *                 example: 42
  *     responses:
  *       200:
- *         description: Deposit processed successfully
+ *         description: Deposit processed successfully, or recorded for refund if the order had expired or was cancelled
  *       400:
  *         description: Invalid webhook data
  *       404:
@@ -1158,7 +1516,12 @@ router.post('/webhook/deposit-confirmation',
  * /api/v1/business-offramp/webhook/payout-status:
  *   post:
  *     summary: Handle payout status webhooks
- *     description: Internal webhook endpoint for payment processors to report payout status
+ *     description: |
+ *       Status callbacks from payout providers. Each request must be signed by the provider that took the payout:
+ *       Lenco (X-Lenco-Signature), Monnify (monnify-signature) or the HTTP payout service
+ *       (X-Webhook-Signature, HMAC-SHA256 of the body with PAYOUT_WEBHOOK_SECRET).
+ *       Orders move from pending_payout to completed or failed; a reversal fails the order even after it completed.
+ *       Repeated callbacks are acknowledged without changing anything.
  *     tags: [Webhooks]
  *     requestBody:
  *       required: true
@@ -1166,6 +1529,7 @@ router.post('/webhook/deposit-confirmation',
  *         application/json:
  *           schema:
  *             type: object
+ *             description: HTTP payout service format - Lenco and Monnify send their own event bodies
  *             required:
  *               - reference
  *               - status
@@ -1175,7 +1539,7 @@ router.post('/webhook/deposit-confirmation',
  *                 example: "OFFRAMP-USDC-A1B2C3D4"
  *               status:
  *                 type: string
- *                 enum: [successful, completed, failed, pending]
+ *                 enum: [successful, completed, failed, reversed, pending]
  *                 example: "successful"
  *               amount:
  *                 type: number
@@ -1188,7 +1552,11 @@ router.post('/webhook/deposit-confirmation',
  *                 example: "Insufficient account balance"
  *     responses:
  *       200:
- *         description: Payout status processed successfully
+ *         description: Payout status processed (data.changed is false when it was already applied)
+ *       400:
+ *         description: Missing reference or status
+ *       401:
+ *         description: Missing or invalid provider signature
  *       404:
  *         description: Order not found
  */
@@ -1196,29 +1564,30 @@ router.post('/webhook/payout-status',
   validateWebhookRequest,
   async (req, res) => {
     try {
-      const { 
-        reference, 
-        status, 
-        amount, 
-        transactionId,
-        failureReason 
-      } = req.body;
+      const payout = payoutService.parseWebhook(req.headers, req.body, req.rawBody);
+      
+      if (!payout) {
+        return res.status(401).json({
+          success: false,
+          message: 'Payout webhook signature is missing or invalid',
+          code: 'INVALID_WEBHOOK_SIGNATURE'
+        });
+      }
       
-      console.log(`[PAYOUT_WEBHOOK] Received payout status: ${status} for ${reference}`);
+      if (!payout.reference || !payout.status) {
+        return res.status(400).json({
+          success: false,
+          message: 'reference and status are required',
+          code: 'INVALID_PAYOUT_WEBHOOK'
+        });
+      }
       
-      // Find order by payout reference
-      const { BusinessOfframpOrder, BUSINESS_OFFRAMP_STATUS } = require('../models/BusinessOfframpOrder');
+      console.log(`[PAYOUT_WEBHOOK] Received payout status from ${payout.provider}: ${payout.status} for ${payout.reference}`);
       
-      const order = await BusinessOfframpOrder.findOne({
-        $or: [
-          { payoutReference: reference },
-          { businessOrderReference: reference },
-          { orderId: reference }
-        ]
-      });
+      const result = await offrampWebhookHandler.handlePayoutStatus(payout);
       
-      if (!order) {
-        console.warn(`[PAYOUT_WEBHOOK] No order found for reference: ${reference}`);
+      if (!result) {
+        console.warn(`[PAYOUT_WEBHOOK] No order found for reference: ${payout.reference}`);
         return res.status(404).json({
           success: false,
           message: 'Order not found for this reference',
@@ -1226,47 +1595,15 @@ router.post('/webhook/payout-status',
         });
       }
       
-      // Update order based on payout status
-      if (status === 'successful' || status === 'completed') {
-        await order.updateStatus(BUSINESS_OFFRAMP_STATUS.COMPLETED, {
-          payoutTransactionId: transactionId,
-          finalPayoutAmount: amount,
-          payoutCompletedAt: new Date()
-        });
-        
-        console.log(`[PAYOUT_WEBHOOK] ✅ Order ${order.orderId} marked as completed`);
-        
-      } else if (status === 'failed') {
-        await order.updateStatus(BUSINESS_OFFRAMP_STATUS.FAILED, {
-          failureReason: failureReason || 'Payout failed',
-          failureStage: 'bank_payout',
-          failedAt: new Date()
-        });
-        
-        console.log(`[PAYOUT_WEBHOOK] ❌ Order ${order.orderId} payout failed: ${failureReason}`);
-      }
-      
-      // Send business webhook if configured
-      if (order.webhookUrl) {
-        await offrampWebhookHandler.sendBusinessWebhook(order.webhookUrl, {
-          orderId: order.orderId,
-          businessOrderReference: order.businessOrderReference,
-          status: order.status,
-          event: status === 'successful' ? 'payout_completed' : 'payout_failed',
-          payoutReference: reference,
-          transactionId,
-          amount,
-          failureReason,
-          timestamp: new Date().toISOString()
-        }, `offramp_order.${status === 'successful' ? 'completed' : 'failed'}`);
-      }
-      
       res.json({
         success: true,
-        message: 'Payout status processed successfully',
+        message: result.changed ? 'Payout status processed successfully' : 'Payout status acknowledged',
         data: {
-          orderId: order.orderId,
-          status: order.status,
+          ...(result.order
+            ? { orderId: result.order.orderId, status: result.order.status }
+            : { batchId: result.batch.batchId, status: result.batch.status }),
+          changed: result.changed,
+          ...(result.reason && { reason: result.reason }),
           processedAt: new Date().toISOString()
         }
       });
@@ -1443,6 +1780,79 @@ router.get('/health', async (req, res) => {
       details: offrampWebhookHandler.getHealthStatus()
     };
     
+    // Check built-in deposit watcher
+    try {
+      const depositWatcher = require('../services/depositWatcher');
+      healthReport.services.depositWatcher = {
+        name: 'Deposit Watcher',
+        status: 'healthy',
+        details: await depositWatcher.getStatus()
+      };
+      
+      if (healthReport.services.depositWatcher.details.networks.some(n => n.lastError)) {
+        healthReport.services.depositWatcher.status = 'degraded';
+      }
+    } catch (error) {
+      healthReport.services.depositWatcher = {
+        name: 'Deposit Watcher',
+        status: 'unhealthy',
+        error: error.message
+      };
+    }
+    
+    // Check payout status poller
+    healthReport.services.payoutStatusPoller = {
+      name: 'Payout Status Poller',
+      status: 'healthy',
+      details: require('../services/payoutStatusPoller').getStatus()
+    };
+    
+    // Check late deposit refunder
+    healthReport.services.lateDepositRefunder = {
+      name: 'Late Deposit Refunder',
+      status: 'healthy',
+      details: require('../services/lateDepositRefunder').getStatus()
+    };
+
+    // Check swap retries
+    try {
+      const swapRetryScheduler = require('../services/swapRetryScheduler');
+      healthReport.services.swapRetryScheduler = {
+        name: 'Swap Retry Scheduler',
+        status: 'healthy',
+        details: await swapRetryScheduler.getStatus()
+      };
+    } catch (error) {
+      healthReport.services.swapRetryScheduler = {
+        name: 'Swap Retry Scheduler',
+        status: 'unhealthy',
+        error: error.message
+      };
+    }
+
+    // Transaction signer (local keys or remote signing service)
+    healthReport.services.transactionSigner = {
+      name: 'Transaction Signer',
+      status: 'healthy',
+      details: require('../services/transactionSigner').getStatus()
+    };
+
+    // Check the rate engine can price an offramp
+    try {
+      const rate = await require('../services/rateEngine').getRate('offramp', 'USDC');
+      healthReport.services.rateEngine = {
+        name: 'Rate Engine',
+        status: rate.stale ? 'degraded' : 'healthy',
+        details: rate
+      };
+    } catch (error) {
+      healthReport.services.rateEngine = {
+        name: 'Rate Engine',
+        status: 'unhealthy',
+        error: error.message
+      };
+    }
+
     // Check database connection
     healthReport.services.database = {
       name: 'MongoDB Database',
@@ -2208,6 +2618,54 @@ res.status(500).json({
 }
 });
 
+/**
+ * @swagger
+ * /api/v1/business-offramp/orders/{orderId}/refund-address:
+ *   post:
+ *     summary: Set where a late deposit is refunded
+ *     description: |
+ *       Deposits that arrive after an order expired or was cancelled are sent back on-chain, net of gas.
+ *       By default they go to the address the deposit came from, once the refund delay has passed
+ *       (you receive an offramp_order.late_deposit webhook first). Use this endpoint to send the refund
+ *       somewhere else - e.g. when the customer paid from an exchange - or when no sender could be found.
+ *       The refund is sent on the next run.
+ *     tags: [Order Management]
+ *     security:
+ *       - BusinessApiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         description: Order ID or business order reference
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refundAddress
+ *             properties:
+ *               refundAddress:
+ *                 type: string
+ *                 description: Address on the order's network
+ *                 example: "0x9f3B2a6E1c4D5e7F8a9B0c1D2e3F4a5B6c7D8e9F"
+ *     responses:
+ *       200:
+ *         description: Refund scheduled to the given address
+ *       400:
+ *         description: Missing or invalid refund address
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: The order has no late deposit, or its refund is already being sent or done
+ *       401:
+ *         description: Invalid API key
+ */
+router.post('/orders/:orderId/refund-address', businessOfframpController.setRefundAddress);
+
 /**
 * @swagger
 * /api/v1/business-offramp/orders/{orderId}/retry:
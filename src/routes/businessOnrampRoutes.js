@@ -8,6 +8,9 @@ const express = require('express');
 const router = express.Router();
 const { authenticateApiKey, validateBusinessOnrampRequest, apiRateLimit } = require('../middleware/apiAuth');
 const ensureDefaultTokens = require('../middleware/ensureDefaultTokens'); // ← ADD THIS LINE
+const idempotency = require('../middleware/idempotency');
+const { uploadCsv } = require('../middleware/csvUpload');
+const rateEngine = require('../services/rateEngine');
 // Enhanced controller toggle with universal token support
 const USE_ENHANCED = process.env.USE_ENHANCED_ONRAMP === 'true';
 const USE_UNIVERSAL = process.env.USE_UNIVERSAL_TOKENS === 'true';
@@ -345,6 +348,10 @@ router.get('/supported-tokens', readOnlyAuth, async (req, res) => {
  *                 data:
  *                   type: object
  *                   properties:
+ *                     quoteId:
+ *                       type: string
+ *                       example: "QT_1703234567_K3J9X2LQA"
+ *                       description: Locked quote ID - pass to /create before expiresAt to get exactly this pricing (not issued when the enhanced controller is enabled, which rejects quoteId with 400 QUOTE_LOCKING_NOT_SUPPORTED)
  *                     amount:
  *                       type: number
  *                       example: 50000
@@ -449,6 +456,15 @@ router.post('/quote', readOnlyAuth, ensureDefaultTokens, businessOnrampControlle
  *     security:
  *       - ApiKeyAuth: []
  *         SecretKeyAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         description: "Unique key for safely retrying this request. A replay with the same body returns the original response (with `Idempotent-Replayed: true`); reusing the key with a different body returns 409 IDEMPOTENCY_KEY_REUSED."
+ *         example: "order-7f3c2a91-retry-safe"
  *     requestBody:
  *       required: true
  *       content:
@@ -487,6 +503,17 @@ router.post('/quote', readOnlyAuth, ensureDefaultTokens, businessOnrampControlle
  *                 targetToken: "ETH"
  *                 targetNetwork: "base"
  *                 customerWallet: "0x742d35Cc6634C0532925a3b8D1D8ce28D2e67F5c"
+ *             lockedQuoteOrder:
+ *               summary: Create order from a locked quote (quoteId from /quote)
+ *               description: amount, targetToken and targetNetwork must match the quote. Expired or already used quotes are rejected with QUOTE_EXPIRED (410) or QUOTE_ALREADY_USED (409).
+ *               value:
+ *                 customerEmail: "customer@example.com"
+ *                 customerName: "John Doe"
+ *                 amount: 50000
+ *                 targetToken: "USDC"
+ *                 targetNetwork: "base"
+ *                 customerWallet: "0x742d35Cc6634C0532925a3b8D1D8ce28D2e67F5c"
+ *                 quoteId: "QT_1703234567_K3J9X2LQA"
  *     responses:
  *       201:
  *         description: Onramp order created successfully
@@ -587,8 +614,14 @@ router.post('/quote', readOnlyAuth, ensureDefaultTokens, businessOnrampControlle
  *                     network: "solana"
  *                     step: "token_validation_with_current_rates"
  *                   code: "TOKEN_VALIDATION_FAILED"
+ *       404:
+ *         description: quoteId not found for this business (QUOTE_NOT_FOUND)
+ *       409:
+ *         description: Idempotency-Key reused with a different request body (IDEMPOTENCY_KEY_REUSED), the original request is still in progress (IDEMPOTENCY_KEY_IN_PROGRESS), or the quote was already used (QUOTE_ALREADY_USED)
+ *       410:
+ *         description: Quote has expired (QUOTE_EXPIRED)
  */
-router.post('/create', fullAuth, ensureDefaultTokens, businessOnrampController.createOnrampOrder);
+router.post('/create', fullAuth, idempotency, ensureDefaultTokens, businessOnrampController.createOnrampOrder);
 
 // ================== UNIVERSAL TOKEN ROUTES (Enhanced for Multi-Network) ==================
 
@@ -1087,9 +1120,708 @@ if (USE_UNIVERSAL) {
  *                     jupiterData:
  *                       type: object
  *                       description: "Solana network orders only"
+ *                     paidAmount:
+ *                       type: number
+ *                       nullable: true
+ *                       description: NGN amount actually received by Monnify
+ *                     paymentMismatch:
+ *                       type: object
+ *                       nullable: true
+ *                       description: Set when the amount paid differs from the order amount. Also sent in the `order.payment_mismatch` / `order.payment_held` webhooks.
+ *                       properties:
+ *                         type:
+ *                           type: string
+ *                           enum: [underpayment, overpayment]
+ *                         action:
+ *                           type: string
+ *                           enum: [settled_pro_rata, held_for_review, settled_at_paid_amount, excess_flagged_for_refund]
+ *                         expectedAmount:
+ *                           type: number
+ *                         paidAmount:
+ *                           type: number
+ *                         difference:
+ *                           type: number
+ *                         originalTokenAmount:
+ *                           type: number
+ *                         adjustedTokenAmount:
+ *                           type: number
+ *                         refundAmount:
+ *                           type: number
+ *                         requiresReview:
+ *                           type: boolean
+ *                     refunds:
+ *                       type: array
+ *                       description: NGN refunds for this order (settlement failure, overpayment, late payment or manual). Progress is also sent as `order.refund_*` webhooks.
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           refundId:
+ *                             type: string
+ *                           source:
+ *                             type: string
+ *                             enum: [settlement_failure, overpayment, payment_after_cancellation, manual]
+ *                           amount:
+ *                             type: number
+ *                           status:
+ *                             type: string
+ *                             enum: [pending_approval, approved, processing, completed, failed]
+ *                     statusHistory:
+ *                       type: array
+ *                       description: Append-only log of every status transition, oldest first
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           from:
+ *                             type: string
+ *                             nullable: true
+ *                             example: "pending"
+ *                           to:
+ *                             type: string
+ *                             example: "processing"
+ *                           actor:
+ *                             type: string
+ *                             enum: [webhook, admin, system]
+ *                           sourceEventId:
+ *                             type: string
+ *                             nullable: true
+ *                           reason:
+ *                             type: string
+ *                           timestamp:
+ *                             type: string
+ *                             format: date-time
  */
 router.get('/orders/:orderId', fullAuth, businessOnrampController.getOrderById);
 
+/**
+ * @swagger
+ * /api/v1/business-onramp/orders/{orderId}/cancel:
+ *   post:
+ *     summary: Cancel an unpaid onramp order
+ *     description: Cancel an onramp order that has not been paid yet. The Monnify checkout status is checked first; once cancelled the checkout can no longer move the order forward and any late payment is flagged for refund. Sends an `order.cancelled` webhook if a webhook URL is configured.
+ *     tags: [Business Onramp API]
+ *     security:
+ *       - ApiKeyAuth: []
+ *         SecretKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Business onramp order ID or business order reference
+ *         example: "OR_1234567890_ABCDEF"
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "Customer abandoned checkout"
+ *     responses:
+ *       200:
+ *         description: Order cancelled successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     orderId:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                       example: "cancelled"
+ *                     previousStatus:
+ *                       type: string
+ *                       example: "initiated"
+ *                     reason:
+ *                       type: string
+ *                     cancelledAt:
+ *                       type: string
+ *                       format: date-time
+ *                     checkoutStatus:
+ *                       type: string
+ *                       nullable: true
+ *                       example: "PENDING"
+ *                     webhookSent:
+ *                       type: boolean
+ *                       nullable: true
+ *       400:
+ *         description: Order is not in a cancellable status (ORDER_NOT_CANCELLABLE)
+ *       404:
+ *         description: Order not found (ORDER_NOT_FOUND)
+ *       409:
+ *         description: Monnify already reports a payment for this checkout (ORDER_PAYMENT_RECEIVED), or the order was paid while it was being cancelled (ORDER_STATE_CHANGED)
+ */
+router.post('/orders/:orderId/cancel', fullAuth, businessOnrampController.cancelOrder);
+
+/**
+ * @swagger
+ * /api/v1/business-onramp/funding-accounts:
+ *   post:
+ *     summary: Create a permanent funding account for a customer
+ *     description: Reserves dedicated Monnify bank accounts for the customer. Every transfer into them is converted into the chosen token and sent to the saved wallet, creating an order per transfer (webhook `order.created` with `fundingAccountReference`). Returns the existing account if the customer already has one.
+ *     tags: [Business Onramp API]
+ *     security:
+ *       - ApiKeyAuth: []
+ *         SecretKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - customerEmail
+ *               - customerName
+ *               - targetToken
+ *               - targetNetwork
+ *               - customerWallet
+ *             properties:
+ *               customerEmail:
+ *                 type: string
+ *                 format: email
+ *               customerName:
+ *                 type: string
+ *               customerPhone:
+ *                 type: string
+ *               targetToken:
+ *                 type: string
+ *                 example: "USDC"
+ *               targetNetwork:
+ *                 type: string
+ *                 enum: [base, solana, ethereum]
+ *               customerWallet:
+ *                 type: string
+ *               bvn:
+ *                 type: string
+ *                 description: Customer BVN, required by Monnify to reserve an account. Not stored.
+ *               webhookUrl:
+ *                 type: string
+ *                 description: Receives order events for every transfer into this account
+ *     responses:
+ *       200:
+ *         description: Customer already had a funding account (created false)
+ *       201:
+ *         description: Funding account created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 created:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     accountReference:
+ *                       type: string
+ *                       example: "FA_1718000000000_AB12CD34E"
+ *                     accounts:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           bankName:
+ *                             type: string
+ *                           bankCode:
+ *                             type: string
+ *                           accountNumber:
+ *                             type: string
+ *                           accountName:
+ *                             type: string
+ *                     targetToken:
+ *                       type: string
+ *                     targetNetwork:
+ *                       type: string
+ *                     customerWallet:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                       enum: [active, suspended]
+ *       400:
+ *         description: Missing fields, unsupported network or token not configured
+ *       502:
+ *         description: Monnify could not reserve the account (FUNDING_ACCOUNT_RESERVATION_FAILED)
+ */
+router.post('/funding-accounts', fullAuth, businessOnrampController.createFundingAccount);
+
+/**
+ * @swagger
+ * /api/v1/business-onramp/funding-accounts:
+ *   get:
+ *     summary: List customer funding accounts
+ *     tags: [Business Onramp API]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: customerEmail
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Funding accounts retrieved successfully
+ */
+router.get('/funding-accounts', readOnlyAuth, businessOnrampController.getFundingAccounts);
+
+/**
+ * @swagger
+ * /api/v1/business-onramp/funding-accounts/{accountReference}:
+ *   get:
+ *     summary: Get a funding account with its recent orders
+ *     description: Includes transfers that could not be converted automatically (unprocessedTransfers), e.g. amounts outside ₦1,000 - ₦10,000,000.
+ *     tags: [Business Onramp API]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: accountReference
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Funding account retrieved successfully
+ *       404:
+ *         description: Funding account not found (FUNDING_ACCOUNT_NOT_FOUND)
+ */
+router.get('/funding-accounts/:accountReference', readOnlyAuth, businessOnrampController.getFundingAccount);
+
+/**
+ * @swagger
+ * /api/v1/business-onramp/schedules:
+ *   post:
+ *     summary: Create a recurring (DCA) onramp schedule
+ *     description: |
+ *       Buys a fixed naira amount of a token for a customer every day, week or month. Each run creates a normal
+ *       onramp order that settles to the customer wallet.
+ *
+ *       Funding methods:
+ *       - **card_token**: the stored Monnify card token is charged on every run.
+ *       - **reserved_account**: each run is paid from the customer's funding account balance. The customer's
+ *         funding account is switched to balance mode, so transfers into it top up the balance instead of
+ *         being converted straight away.
+ *
+ *       A failed run (card declined, insufficient balance, pricing error) is retried within the same period
+ *       every ONRAMP_SCHEDULE_RETRY_DELAY_MINUTES (default 60). After ONRAMP_SCHEDULE_MAX_CONSECUTIVE_FAILURES
+ *       (default 5) failures in a row the schedule is paused. Businesses receive schedule.run_failed,
+ *       schedule.paused and schedule.completed webhooks.
+ *     tags: [Business Onramp API]
+ *     security:
+ *       - ApiKeyAuth: []
+ *         SecretKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - customerEmail
+ *               - customerName
+ *               - amount
+ *               - targetToken
+ *               - targetNetwork
+ *               - customerWallet
+ *               - frequency
+ *               - fundingMethod
+ *             properties:
+ *               customerEmail:
+ *                 type: string
+ *                 format: email
+ *               customerName:
+ *                 type: string
+ *               customerPhone:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *                 minimum: 1000
+ *                 maximum: 10000000
+ *                 description: Naira spent on every run
+ *                 example: 5000
+ *               targetToken:
+ *                 type: string
+ *                 example: "USDC"
+ *               targetNetwork:
+ *                 type: string
+ *                 enum: [base, solana, ethereum]
+ *               customerWallet:
+ *                 type: string
+ *               frequency:
+ *                 type: string
+ *                 enum: [daily, weekly, monthly]
+ *               fundingMethod:
+ *                 type: string
+ *                 enum: [card_token, reserved_account]
+ *               cardToken:
+ *                 type: string
+ *                 description: Monnify card token from an earlier card payment by this customer (card_token only)
+ *               startAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: First run. Defaults to now. Monthly runs stay on this day of the month.
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *               maxRuns:
+ *                 type: integer
+ *                 description: Stop after this many successful runs
+ *               webhookUrl:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Schedule created
+ *       400:
+ *         description: Missing or invalid fields, token not configured or customer has no funding account
+ */
+router.post('/schedules', fullAuth, businessOnrampController.createSchedule);
+
+/**
+ * @swagger
+ * /api/v1/business-onramp/schedules:
+ *   get:
+ *     summary: List recurring schedules
+ *     tags: [Business Onramp API]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, paused, cancelled, completed]
+ *       - in: query
+ *         name: customerEmail
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Schedules retrieved successfully
+ */
+router.get('/schedules', readOnlyAuth, businessOnrampController.getSchedules);
+
+/**
+ * @swagger
+ * /api/v1/business-onramp/schedules/{scheduleId}:
+ *   get:
+ *     summary: Get a schedule with its run history
+ *     description: Each run shows its status (order_created or failed), the order it created and any error.
+ *     tags: [Business Onramp API]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: scheduleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Schedule retrieved successfully
+ *       404:
+ *         description: Schedule not found (SCHEDULE_NOT_FOUND)
+ */
+router.get('/schedules/:scheduleId', readOnlyAuth, businessOnrampController.getSchedule);
+
+/**
+ * @swagger
+ * /api/v1/business-onramp/schedules/{scheduleId}/pause:
+ *   post:
+ *     summary: Pause an active schedule
+ *     tags: [Business Onramp API]
+ *     security:
+ *       - ApiKeyAuth: []
+ *         SecretKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: scheduleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Schedule paused
+ *       404:
+ *         description: Schedule not found
+ *       409:
+ *         description: Schedule is not active (INVALID_SCHEDULE_STATUS)
+ */
+router.post('/schedules/:scheduleId/pause', fullAuth, businessOnrampController.pauseSchedule);
+
+/**
+ * @swagger
+ * /api/v1/business-onramp/schedules/{scheduleId}/resume:
+ *   post:
+ *     summary: Resume a paused schedule
+ *     description: Missed runs are not made up. If the next run time has passed, the schedule runs on the next scheduler tick.
+ *     tags: [Business Onramp API]
+ *     security:
+ *       - ApiKeyAuth: []
+ *         SecretKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: scheduleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Schedule resumed
+ *       404:
+ *         description: Schedule not found
+ *       409:
+ *         description: Schedule is not paused (INVALID_SCHEDULE_STATUS)
+ */
+router.post('/schedules/:scheduleId/resume', fullAuth, businessOnrampController.resumeSchedule);
+
+/**
+ * @swagger
+ * /api/v1/business-onramp/schedules/{scheduleId}/cancel:
+ *   post:
+ *     summary: Cancel a schedule
+ *     description: Orders already created by earlier runs are not affected. Any funding account balance stays with the customer's account.
+ *     tags: [Business Onramp API]
+ *     security:
+ *       - ApiKeyAuth: []
+ *         SecretKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: scheduleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Schedule cancelled
+ *       404:
+ *         description: Schedule not found
+ *       409:
+ *         description: Schedule is already cancelled or completed (INVALID_SCHEDULE_STATUS)
+ */
+router.post('/schedules/:scheduleId/cancel', fullAuth, businessOnrampController.cancelSchedule);
+
+/**
+ * @swagger
+ * /api/v1/business-onramp/batches:
+ *   post:
+ *     summary: Create a bulk onramp batch from a CSV
+ *     description: |
+ *       Upload a CSV with the columns `wallet`, `token`, `network` and `amount` (naira per row). Optional columns:
+ *       `reference`, `email` and `name`. Every row is checked with the same wallet, token, network and amount
+ *       rules as single orders, and each token is priced to estimate what each row receives.
+ *
+ *       Invalid rows are left out. The response gives one total for the valid rows and a Monnify checkout to
+ *       pay it. Once the payment is confirmed, every valid row becomes its own onramp order and is settled.
+ *       Payments below the total are held (status underpaid) and no orders are created.
+ *
+ *       Webhooks: batch.funded, batch.underpaid and batch.completed, plus the usual order events for each
+ *       child order.
+ *     tags: [Business Onramp API]
+ *     security:
+ *       - ApiKeyAuth: []
+ *         SecretKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: CSV file (max ONRAMP_BATCH_MAX_ROWS rows, default 500)
+ *               customerEmail:
+ *                 type: string
+ *                 description: Email used for rows without an email column
+ *               customerName:
+ *                 type: string
+ *                 description: Name used for rows without a name column (defaults to the business name)
+ *               webhookUrl:
+ *                 type: string
+ *               redirectUrl:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Batch created and awaiting funding
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     batchId:
+ *                       type: string
+ *                       example: "BATCH_1718000000000_AB12CD34E"
+ *                     status:
+ *                       type: string
+ *                       example: awaiting_funding
+ *                     validRows:
+ *                       type: integer
+ *                     invalidRows:
+ *                       type: integer
+ *                     funding:
+ *                       type: object
+ *                       properties:
+ *                         totalAmount:
+ *                           type: number
+ *                         checkoutUrl:
+ *                           type: string
+ *                         reference:
+ *                           type: string
+ *                     invalidRowDetails:
+ *                       type: array
+ *                       description: Rows left out of the batch, with their validation errors
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           rowNumber:
+ *                             type: integer
+ *                           wallet:
+ *                             type: string
+ *                           errors:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *       400:
+ *         description: Missing file, missing columns, too many rows or no valid rows
+ *       502:
+ *         description: Monnify checkout could not be created (BATCH_FUNDING_LINK_FAILED)
+ */
+router.post('/batches', fullAuth, uploadCsv('file'), businessOnrampController.createBatch);
+
+/**
+ * @swagger
+ * /api/v1/business-onramp/batches:
+ *   get:
+ *     summary: List bulk onramp batches
+ *     tags: [Business Onramp API]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [awaiting_funding, underpaid, processing, completed, partially_completed, failed]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Batches retrieved successfully
+ */
+router.get('/batches', readOnlyAuth, businessOnrampController.getBatches);
+
+/**
+ * @swagger
+ * /api/v1/business-onramp/batches/{batchId}:
+ *   get:
+ *     summary: Get a batch with per-row status
+ *     description: Row status is invalid, pending, order_created, completed or failed, with the child orderId, transaction hash and any error.
+ *     tags: [Business Onramp API]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: batchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Batch retrieved successfully
+ *       404:
+ *         description: Batch not found (BATCH_NOT_FOUND)
+ */
+router.get('/batches/:batchId', readOnlyAuth, businessOnrampController.getBatch);
+
+/**
+ * @swagger
+ * /api/v1/business-onramp/batches/{batchId}/results.csv:
+ *   get:
+ *     summary: Download batch results as CSV
+ *     tags: [Business Onramp API]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: batchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: One line per CSV row with its status, orderId, token amounts, transaction hash and error
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Batch not found (BATCH_NOT_FOUND)
+ */
+router.get('/batches/:batchId/results.csv', readOnlyAuth, businessOnrampController.getBatchResults);
+
 /**
  * @swagger
  * /api/v1/business-onramp/orders:
@@ -1526,10 +2258,10 @@ router.get('/health', async (req, res) => {
  *                         ethereum:
  *                           type: object
  *                           properties:
- *                             internalApiEnabled:
- *                               type: boolean
- *                             apiBaseUrl:
- *                               type: string
+ *                             rateSources:
+ *                               type: array
+ *                               items:
+ *                                 type: string
  *                     recommendations:
  *                       type: array
  *                       items:
@@ -1596,8 +2328,7 @@ router.get('/config', readOnlyAuth, (req, res) => {
                 solanaRpcUrl: process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com (default)'
             },
             ethereum: {
-                internalApiEnabled: !!(process.env.INTERNAL_API_BASE_URL),
-                apiBaseUrl: process.env.INTERNAL_API_BASE_URL ? 'Set' : 'Not set'
+                rateSources: rateEngine.getStatus().sources.onramp.map(source => source.name)
             }
         };
 
@@ -1608,7 +2339,7 @@ router.get('/config', readOnlyAuth, (req, res) => {
             BASE_RPC_URL: process.env.BASE_RPC_URL ? 'Set' : 'Not set',
             SOLANA_RPC_URL: process.env.SOLANA_RPC_URL ? 'Set' : 'Not set',
             JUPITER_API_URL: process.env.JUPITER_API_URL ? 'Set' : 'Not set',
-            INTERNAL_API_BASE_URL: process.env.INTERNAL_API_BASE_URL ? 'Set' : 'Not set'
+            RATE_SOURCES_ONRAMP: process.env.RATE_SOURCES_ONRAMP || 'cryptocompare,manual (default)'
         };
 
         config.recommendations = [];
@@ -1639,8 +2370,8 @@ router.get('/config', readOnlyAuth, (req, res) => {
             config.recommendations.push('Set JUPITER_API_URL for custom Jupiter endpoint (optional)');
         }
 
-        if (!process.env.INTERNAL_API_BASE_URL) {
-            config.recommendations.push('Set INTERNAL_API_BASE_URL for Ethereum network support');
+        if (!rateEngine.getStatus().sources.onramp.some(source => source.configured)) {
+            config.recommendations.push('Configure an onramp rate source (RATE_SOURCES_ONRAMP) for Ethereum network support');
         }
     }
 
@@ -1850,23 +2581,44 @@ res.status(statusCode).json(errorResponse);
  *                           type: number
  *                         maxSingleTransactionCapacity:
  *                           type: number
+ *                 reservations:
+ *                   type: object
+ *                   description: USDC held against providers by open orders. Liquidity checks subtract these holds from provider balances.
+ *                   properties:
+ *                     totalReserved:
+ *                       type: number
+ *                       example: 1250.5
+ *                     activeReservations:
+ *                       type: number
+ *                       example: 4
+ *                     byNetwork:
+ *                       type: object
+ *                       description: Per network, the reserved total and a per-provider breakdown
+ *                     last24Hours:
+ *                       type: object
+ *                       description: Reservation count and amount by status (active, consumed, released, expired)
  *       500:
  *         description: Failed to retrieve liquidity dashboard
  */
 router.get('/liquidity/dashboard', authenticateApiKey, async (req, res) => {
   try {
     const { liquidityService } = require('../services/liquidityService');
-    const result = await liquidityService.getLiquidityDashboard();
+    const [result, reservations] = await Promise.all([
+      liquidityService.getLiquidityDashboard(),
+      liquidityService.getReservationSummary()
+    ]);
 
     if (result.success) {
       res.json({
         success: true,
-        dashboard: result.dashboard
+        dashboard: result.dashboard,
+        reservations
       });
     } else {
       res.status(500).json({
         success: false,
-        error: result.error
+        error: result.error,
+        reservations
       });
     }
   } catch (error) {
@@ -2017,7 +2769,7 @@ router.get('/settlement-status/:orderId', readOnlyAuth, businessOnrampController
  * /api/v1/business-onramp/webhook/monnify:
  *   post:
  *     summary: Receive payment confirmation from Monnify
- *     description: Webhook endpoint called by Monnify when customer completes payment. Updates order status and initiates token settlement.
+ *     description: Webhook endpoint called by Monnify when customer completes payment. Updates order status and initiates token settlement. Also handles `SUCCESSFUL_TRANSACTION` events for reserved funding accounts (eventData.product.type RESERVED_ACCOUNT), which are verified with Monnify and turned into a paid order, and `SUCCESSFUL_REFUND` / `FAILED_REFUND` refund updates.
  *     tags: [Business Onramp API]
  *     requestBody:
  *       required: true
@@ -2109,13 +2861,13 @@ try {
         statusResponse.networkStatus = {
             base: process.env.ABOKI_V2_CONTRACT && process.env.BASE_RPC_URL ? 'operational' : 'degraded',
             solana: 'operational', // Jupiter is public API
-            ethereum: process.env.INTERNAL_API_BASE_URL ? 'operational' : 'degraded'
+            ethereum: rateEngine.getStatus().sources.onramp.some(source => source.configured) ? 'operational' : 'degraded'
         };
     } else {
         statusResponse.supportedNetworks = ['base', 'ethereum'];
         statusResponse.networkStatus = {
             base: process.env.ABOKI_V2_CONTRACT ? 'operational' : 'degraded',
-            ethereum: process.env.INTERNAL_API_BASE_URL ? 'operational' : 'degraded'
+            ethereum: rateEngine.getStatus().sources.onramp.some(source => source.configured) ? 'operational' : 'degraded'
         };
     }
 
@@ -2206,23 +2958,23 @@ router.get('/health/detailed', async (req, res) => {
             }
         }
 
-        // Test internal API
+        // Test the rate engine, which prices Ethereum tokens
         try {
-            const axios = require('axios');
-            const baseUrl = process.env.INTERNAL_API_BASE_URL || 'http://localhost:5002';
-            const response = await axios.get(`${baseUrl}/api/v1/health`, { timeout: 5000 });
+            const rate = await rateEngine.getRate('onramp', 'USDC');
 
-            healthReport.services.internalApi = {
-                status: response.status === 200 ? 'healthy' : 'unhealthy',
+            healthReport.services.rateEngine = {
+                status: 'healthy',
                 details: {
-                    baseUrl: baseUrl,
-                    responseStatus: response.status
+                    source: rate.source,
+                    rate: rate.rate,
+                    stale: rate.stale,
+                    ageSeconds: rate.ageSeconds
                 }
             };
 
-            healthReport.networkHealth.ethereum = response.status === 200 ? 'operational' : 'degraded';
+            healthReport.networkHealth.ethereum = rate.stale ? 'degraded' : 'operational';
         } catch (error) {
-            healthReport.services.internalApi = {
+            healthReport.services.rateEngine = {
                 status: 'unhealthy',
                 error: error.message
             };
@@ -2239,7 +2991,7 @@ router.get('/health/detailed', async (req, res) => {
         healthReport.capabilities = {
             baseTokenSupport: healthReport.services.baseSmartContract?.status === 'healthy',
             solanaTokenSupport: healthReport.services.solanaJupiter?.status === 'healthy',
-            ethereumTokenSupport: healthReport.services.internalApi?.status === 'healthy',
+            ethereumTokenSupport: healthReport.services.rateEngine?.status === 'healthy',
             multiNetworkSupport: USE_UNIVERSAL,
             smartContractValidation: healthReport.services.baseSmartContract?.status === 'healthy',
             jupiterIntegration: healthReport.services.solanaJupiter?.status === 'healthy'
@@ -2394,7 +3146,7 @@ module.exports = router;
 *    BASE_RPC_URL=https://mainnet.base.org
 *    SOLANA_RPC_URL=https://api.mainnet-beta.solana.com            # Solana
 *    JUPITER_API_URL=https://quote-api.jup.ag                      # Optional
-*    INTERNAL_API_BASE_URL=http://localhost:5002                   # Ethereum
+*    RATE_SOURCES_ONRAMP=cryptocompare,manual                      # Ethereum
 *
 * 2. Create the updated genericTokenOnrampController.js file
 *
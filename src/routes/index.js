@@ -17,6 +17,12 @@ const liquidityWebhookRoutes = require('./liquidityWebhookRoutes');
 // Import admin routes
 const adminAuthRoutes = require('./adminAuth');
 const adminUserRoutes = require('./adminUsers'); // NEW: Admin user management routes
+const adminRefundRoutes = require('./adminRefunds');
+const adminReconciliationRoutes = require('./adminReconciliation');
+const adminSweepRoutes = require('./adminSweeps');
+const adminDepositReviewRoutes = require('./adminDepositReviews');
+const adminRateRoutes = require('./adminRates');
+const adminKeyRotationRoutes = require('./adminKeyRotations');
 
 // Import new business off-ramp routes with error handling
 let businessOfframpRoutes;
@@ -63,6 +69,9 @@ console.log('- liquidityWebhookRoutes type:', typeof liquidityWebhookRoutes);
 console.log('- businessOfframpRoutes type:', typeof businessOfframpRoutes);
 console.log('- adminAuthRoutes type:', typeof adminAuthRoutes);
 console.log('- adminUserRoutes type:', typeof adminUserRoutes);
+console.log('- adminRefundRoutes type:', typeof adminRefundRoutes);
+console.log('- adminReconciliationRoutes type:', typeof adminReconciliationRoutes);
+console.log('- adminSweepRoutes type:', typeof adminSweepRoutes);
 console.log('- pricingRoutes type:', typeof pricingRoutes);
 
 // Mount route modules with error handling
@@ -144,6 +153,48 @@ try {
   console.error('❌ Failed to mount admin user routes:', error.message);
 }
 
+try {
+  router.use('/admin/refunds', adminRefundRoutes);
+  console.log('✅ Admin refund routes mounted');
+} catch (error) {
+  console.error('❌ Failed to mount admin refund routes:', error.message);
+}
+
+try {
+  router.use('/admin/reconciliation', adminReconciliationRoutes);
+  console.log('✅ Admin reconciliation routes mounted');
+} catch (error) {
+  console.error('❌ Failed to mount admin reconciliation routes:', error.message);
+}
+
+try {
+  router.use('/admin/sweeps', adminSweepRoutes);
+  console.log('✅ Admin sweep routes mounted');
+} catch (error) {
+  console.error('❌ Failed to mount admin sweep routes:', error.message);
+}
+
+try {
+  router.use('/admin/deposit-reviews', adminDepositReviewRoutes);
+  console.log('✅ Admin deposit review routes mounted');
+} catch (error) {
+  console.error('❌ Failed to mount admin deposit review routes:', error.message);
+}
+
+try {
+  router.use('/admin/rates', adminRateRoutes);
+  console.log('✅ Admin rate routes mounted');
+} catch (error) {
+  console.error('❌ Failed to mount admin rate routes:', error.message);
+}
+
+try {
+  router.use('/admin/key-rotations', adminKeyRotationRoutes);
+  console.log('✅ Admin key rotation routes mounted');
+} catch (error) {
+  console.error('❌ Failed to mount admin key rotation routes:', error.message);
+}
+
 // Use the combined pricing routes (contains both onramp-price and offramp-price)
 try {
   router.use('/', pricingRoutes);
@@ -170,7 +221,13 @@ router.get('/health', (req, res) => {
       liquidityWebhooks: 'active',
       admin: 'active',
       adminAuth: 'active',
-      adminUserManagement: 'active'
+      adminUserManagement: 'active',
+      adminRefunds: 'active',
+      adminReconciliation: 'active',
+      adminSweeps: 'active',
+      adminDepositReviews: 'active',
+      adminRates: 'active',
+      adminKeyRotations: 'active'
     },
     routeStatus: {
       businessOfframpLoaded: typeof businessOfframpRoutes === 'function',
@@ -229,6 +286,55 @@ router.get('/', (req, res) => {
         bulkUserActions: 'POST /api/v1/admin/users/bulk-actions',
         getUserHistory: 'GET /api/v1/admin/users/{userId}/history'
       },
+
+      // Admin Refunds (onramp NGN refunds)
+      adminRefunds: {
+        getRefunds: 'GET /api/v1/admin/refunds',
+        triggerRefund: 'POST /api/v1/admin/refunds',
+        getRefundDetails: 'GET /api/v1/admin/refunds/{refundId}',
+        approveRefund: 'POST /api/v1/admin/refunds/{refundId}/approve',
+        retryRefund: 'POST /api/v1/admin/refunds/{refundId}/retry',
+        syncRefundStatus: 'POST /api/v1/admin/refunds/{refundId}/sync'
+      },
+
+      // Admin Reconciliation (Monnify vs onramp orders)
+      adminReconciliation: {
+        getReports: 'GET /api/v1/admin/reconciliation/reports',
+        getReportDetails: 'GET /api/v1/admin/reconciliation/reports/{reportId}',
+        runReconciliation: 'POST /api/v1/admin/reconciliation/run'
+      },
+
+      // Admin Sweeps (offramp deposit wallets to treasury)
+      adminSweeps: {
+        getUnsweptReport: 'GET /api/v1/admin/sweeps/unswept',
+        runSweep: 'POST /api/v1/admin/sweeps/run',
+        sweepWallet: 'POST /api/v1/admin/sweeps/wallets/{reference}'
+      },
+
+      // Admin Deposit Reviews (offramp deposits outside the amount tolerance)
+      adminDepositReviews: {
+        getReviews: 'GET /api/v1/admin/deposit-reviews',
+        getReview: 'GET /api/v1/admin/deposit-reviews/{orderId}',
+        approveDeposit: 'POST /api/v1/admin/deposit-reviews/{orderId}/approve',
+        refundDeposit: 'POST /api/v1/admin/deposit-reviews/{orderId}/refund',
+        rejectDeposit: 'POST /api/v1/admin/deposit-reviews/{orderId}/reject'
+      },
+
+      // Admin Rates (NGN rate engine sources and manual rates)
+      adminRates: {
+        getRates: 'GET /api/v1/admin/rates',
+        getCurrentRate: 'GET /api/v1/admin/rates/{side}',
+        setManualRate: 'PUT /api/v1/admin/rates/{side}/manual',
+        clearManualRate: 'DELETE /api/v1/admin/rates/{side}/manual'
+      },
+
+      // Admin Key Rotation (re-wrap deposit wallet keys onto a new master key)
+      adminKeyRotations: {
+        getStatus: 'GET /api/v1/admin/key-rotations/status',
+        getJobs: 'GET /api/v1/admin/key-rotations',
+        startRotation: 'POST /api/v1/admin/key-rotations',
+        getJob: 'GET /api/v1/admin/key-rotations/{jobId}'
+      },
       
       // Business Management (available)
       business: {
@@ -272,6 +378,11 @@ router.get('/', (req, res) => {
         getOrder: 'GET /api/v1/business-offramp/orders/{orderId}',
         getAllOrders: 'GET /api/v1/business-offramp/orders',
         cancelOrder: 'POST /api/v1/business-offramp/orders/{orderId}/cancel',
+        setRefundAddress: 'POST /api/v1/business-offramp/orders/{orderId}/refund-address',
+        registerCustomer: 'POST /api/v1/business-offramp/customers',
+        getCustomers: 'GET /api/v1/business-offramp/customers',
+        getCustomer: 'GET /api/v1/business-offramp/customers/{customerId}',
+        updateCustomer: 'PATCH /api/v1/business-offramp/customers/{customerId}',
         stats: 'GET /api/v1/business-offramp/stats',
         supportedTokens: 'GET /api/v1/business-offramp/supported-tokens',
         banks: 'GET /api/v1/business-offramp/banks',
@@ -441,7 +552,8 @@ router.get('/', (req, res) => {
       adminPermissions: [
         'user_verification', 'user_management', 'business_verification',
         'business_management', 'api_key_management', 'system_settings',
-        'analytics_view', 'bulk_operations', 'admin_management'
+        'analytics_view', 'bulk_operations', 'admin_management',
+        'refund_management'
       ],
       security: [
         'Account lockout after 5 failed login attempts (2 hour lock)',
@@ -618,6 +730,7 @@ router.get('/', (req, res) => {
         'pending_deposit',
         'deposit_received',
         'processing',
+        'swap_retry',
         'pending_payout',
         'completed',
         'failed',
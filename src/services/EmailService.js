@@ -841,6 +841,53 @@ class GmailEmailService {
       html
     });
   }
+
+  // ============= REFUND NOTIFICATION EMAILS =============
+
+  async sendRefundNotification(customerData, refundData) {
+    const isCompleted = refundData.status === 'completed';
+    const isFailed = refundData.status === 'failed';
+    const statusColor = isCompleted ? '#10B981' : isFailed ? '#ef4444' : '#f59e0b';
+    const headline = isCompleted ? 'Your refund has been sent' :
+                     isFailed ? 'Your refund is delayed' : 'Your refund is on its way';
+
+    const html = `
+      <div style="max-width: 600px; margin: 0 auto; padding: 20px; font-family: Arial, sans-serif;">
+        <div style="background: linear-gradient(135deg, ${statusColor} 0%, ${statusColor}dd 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+          <h1 style="margin: 0;">${headline}</h1>
+          <p style="margin: 10px 0 0 0; font-size: 16px;">Hi ${customerData.name || 'there'}</p>
+        </div>
+
+        <div style="background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+          <p style="color: #374151;">${refundData.reason}</p>
+
+          <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid ${statusColor};">
+            <p style="margin: 5px 0; color: #374151;"><strong>Refund ID:</strong> ${refundData.refundId}</p>
+            <p style="margin: 5px 0; color: #374151;"><strong>Order ID:</strong> ${refundData.orderId}</p>
+            <p style="margin: 5px 0; color: #374151;"><strong>Amount:</strong> ₦${Number(refundData.amount).toLocaleString()}</p>
+            <p style="margin: 5px 0; color: #374151;"><strong>Status:</strong> ${refundData.status}</p>
+          </div>
+
+          ${isCompleted ? `
+            <p style="color: #374151;">Depending on your bank, it may take up to 24 hours for the money to show in your account.</p>
+          ` : isFailed ? `
+            <p style="color: #374151;">We could not complete the refund on the first try. Our team has been notified and will retry it shortly - no action is needed from you.</p>
+          ` : ''}
+        </div>
+
+        <div style="text-align: center; margin-top: 30px; color: #6B7280; font-size: 14px;">
+          <p>This is an automated notification from ABOKI</p>
+        </div>
+      </div>
+    `;
+
+    return this.sendEmail({
+      to: customerData.email,
+      name: customerData.name,
+      subject: `ABOKI Refund ${refundData.status.charAt(0).toUpperCase() + refundData.status.slice(1)} - ${refundData.orderId}`,
+      html
+    });
+  }
 }
 
 module.exports = new GmailEmailService();
\ No newline at end of file
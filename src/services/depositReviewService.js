@@ -0,0 +1,279 @@
+// src/services/depositReviewService.js
+const {
+  BusinessOfframpOrder,
+  BUSINESS_OFFRAMP_STATUS,
+  DEPOSIT_REVIEW_STATUS
+} = require('../models/BusinessOfframpOrder');
+const depositSweeper = require('./depositSweeper');
+const offrampWebhookHandler = require('./offrampWebhookHandler');
+
+function reviewError(message, code, status = 400) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+/**
+ * Admin decisions on offramp deposits held because the amount was outside the 1% tolerance.
+ *  - approve: re-price the order at the received amount (same rate and fee percentage) and carry on to the swap
+ *  - refund: send the deposit from the deposit wallet back to a sender address
+ *  - reject: cancel the order and keep the deposit for manual handling
+ * Each decision is taken atomically off the pending queue and recorded in order.depositReview.
+ */
+class DepositReviewService {
+  /**
+   * @param {Object} filters { status, network, businessId, page, limit }
+   */
+  async listReviews({ status = DEPOSIT_REVIEW_STATUS.PENDING, network, businessId, page = 1, limit = 20 } = {}) {
+    if (!Object.values(DEPOSIT_REVIEW_STATUS).includes(status)) {
+      throw reviewError(`Unknown review status. Use one of: ${Object.values(DEPOSIT_REVIEW_STATUS).join(', ')}`, 'INVALID_REVIEW_STATUS');
+    }
+
+    const filter = { 'depositReview.status': status };
+    if (network) filter.targetNetwork = network.toLowerCase();
+    if (businessId) filter.businessId = businessId;
+
+    const [orders, total] = await Promise.all([
+      BusinessOfframpOrder.find(filter)
+        .sort({ 'depositReview.flaggedAt': 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      BusinessOfframpOrder.countDocuments(filter)
+    ]);
+
+    return {
+      reviews: orders.map(order => this.formatReview(order)),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  async getReview(orderId) {
+    const order = await BusinessOfframpOrder.findOne({ orderId, 'depositReview.status': { $exists: true } });
+    if (!order) {
+      throw reviewError('No deposit review found for this order', 'REVIEW_NOT_FOUND', 404);
+    }
+    return this.formatReview(order);
+  }
+
+  /**
+   * Pay out at the received amount. The NGN amounts are recomputed with the order's rate and fee percentage.
+   */
+  async approve(orderId, reviewer, { notes } = {}) {
+    const order = await this.claim(orderId, DEPOSIT_REVIEW_STATUS.APPROVED, reviewer, { notes });
+    const receivedAmount = order.depositReview.receivedAmount;
+    const pricing = this.priceAtAmount(order, receivedAmount);
+
+    order.depositReview.originalTokenAmount = order.tokenAmount;
+    order.depositReview.originalNetNgnAmount = order.netNgnAmount;
+    order.tokenAmount = receivedAmount;
+    order.grossNgnAmount = pricing.grossNgnAmount;
+    order.feeAmount = pricing.feeAmount;
+    order.netNgnAmount = pricing.netNgnAmount;
+    order.metadata = { ...order.metadata, requiresReview: false };
+    await order.save();
+
+    console.log(`[DEPOSIT_REVIEW] ✅ ${order.orderId} approved by ${reviewer} at ${receivedAmount} ${order.targetToken} (₦${order.netNgnAmount})`);
+
+    await this.notifyBusiness(order, 'deposit_approved', 'offramp_order.deposit_approved');
+
+    await offrampWebhookHandler.initiateTokenSwap(order);
+
+    return this.formatReview(await BusinessOfframpOrder.findById(order._id));
+  }
+
+  /**
+   * Send the deposit back on-chain. A failed transfer puts the review back in the queue.
+   */
+  async refund(orderId, reviewer, { refundAddress, notes } = {}) {
+    if (!refundAddress) {
+      throw reviewError('refundAddress is required', 'REFUND_ADDRESS_REQUIRED');
+    }
+
+    const existing = await this.findPending(orderId);
+    if (!depositSweeper.isValidAddress(existing.targetNetwork, refundAddress)) {
+      throw reviewError(`${refundAddress} is not a valid ${existing.targetNetwork} address`, 'INVALID_REFUND_ADDRESS');
+    }
+
+    const order = await this.claim(orderId, DEPOSIT_REVIEW_STATUS.REFUNDING, reviewer, {
+      notes,
+      refundAddress,
+      refundError: null
+    });
+
+    let transfer;
+    try {
+      transfer = await depositSweeper.refundDeposit(order, refundAddress);
+      if (!transfer) {
+        throw reviewError(`The deposit wallet holds no ${order.targetToken} to refund`, 'NOTHING_TO_REFUND', 409);
+      }
+    } catch (error) {
+      console.error(`[DEPOSIT_REVIEW] ❌ Refund of ${order.orderId} failed: ${error.message}`);
+      await BusinessOfframpOrder.updateOne(
+        { _id: order._id },
+        { $set: { 'depositReview.status': DEPOSIT_REVIEW_STATUS.PENDING, 'depositReview.refundError': error.message } }
+      );
+      throw error;
+    }
+
+    const refunded = await BusinessOfframpOrder.findOneAndUpdate(
+      { _id: order._id },
+      {
+        $set: {
+          status: BUSINESS_OFFRAMP_STATUS.REFUNDED,
+          'depositReview.status': DEPOSIT_REVIEW_STATUS.REFUNDED,
+          'depositReview.refundTransactionHash': transfer.transactionHash,
+          'metadata.requiresReview': false
+        }
+      },
+      { new: true }
+    );
+
+    console.log(`[DEPOSIT_REVIEW] ↩️ ${order.orderId} refunded by ${reviewer}: ${transfer.amount} ${transfer.asset} to ${refundAddress} (${transfer.transactionHash})`);
+
+    await this.notifyBusiness(refunded, 'deposit_refunded', 'offramp_order.refunded');
+
+    return this.formatReview(refunded);
+  }
+
+  /**
+   * Cancel the order. The deposit stays in the wallet until someone refunds or sweeps it by hand.
+   */
+  async reject(orderId, reviewer, { notes } = {}) {
+    if (!notes) {
+      throw reviewError('notes explaining the rejection are required', 'NOTES_REQUIRED');
+    }
+
+    const order = await this.claim(orderId, DEPOSIT_REVIEW_STATUS.REJECTED, reviewer, { notes });
+
+    order.failureReason = `Deposit rejected in review: ${notes}`;
+    order.metadata = { ...order.metadata, requiresReview: false };
+    await order.updateStatus(BUSINESS_OFFRAMP_STATUS.CANCELLED);
+
+    console.log(`[DEPOSIT_REVIEW] 🚫 ${order.orderId} rejected by ${reviewer}: ${notes}`);
+
+    await this.notifyBusiness(order, 'deposit_rejected', 'offramp_order.cancelled');
+
+    return this.formatReview(order);
+  }
+
+  async findPending(orderId) {
+    const order = await BusinessOfframpOrder.findOne({ orderId });
+    if (!order) {
+      throw reviewError('Offramp order not found', 'ORDER_NOT_FOUND', 404);
+    }
+    if (order.depositReview?.status !== DEPOSIT_REVIEW_STATUS.PENDING) {
+      throw reviewError(
+        order.depositReview?.status
+          ? `Deposit review is already ${order.depositReview.status}`
+          : 'Order has no deposit waiting for review',
+        'REVIEW_NOT_PENDING',
+        409
+      );
+    }
+    return order;
+  }
+
+  // Take the review off the queue so two admins can't act on the same deposit
+  async claim(orderId, nextStatus, reviewer, fields = {}) {
+    const update = {
+      'depositReview.status': nextStatus,
+      'depositReview.reviewedBy': reviewer,
+      'depositReview.reviewedAt': new Date()
+    };
+    for (const [field, value] of Object.entries(fields)) {
+      if (value !== undefined) update[`depositReview.${field}`] = value;
+    }
+
+    const order = await BusinessOfframpOrder.findOneAndUpdate(
+      {
+        orderId,
+        status: BUSINESS_OFFRAMP_STATUS.DEPOSIT_RECEIVED,
+        'depositReview.status': DEPOSIT_REVIEW_STATUS.PENDING
+      },
+      { $set: update },
+      { new: true }
+    );
+
+    if (!order) {
+      // Explains why with the right error
+      await this.findPending(orderId);
+      throw reviewError('Order is no longer waiting for its deposit to be reviewed', 'REVIEW_NOT_PENDING', 409);
+    }
+
+    return order;
+  }
+
+  async notifyBusiness(order, event, eventType) {
+    if (!order.webhookUrl) return;
+
+    await offrampWebhookHandler.sendBusinessWebhook(order.webhookUrl, {
+      orderId: order.orderId,
+      businessOrderReference: order.businessOrderReference,
+      status: order.status,
+      event,
+      expectedAmount: order.depositReview.expectedAmount,
+      receivedAmount: order.depositReview.receivedAmount,
+      netNgnAmount: order.netNgnAmount,
+      ...(order.depositReview.refundTransactionHash && {
+        refundAddress: order.depositReview.refundAddress,
+        refundTransactionHash: order.depositReview.refundTransactionHash
+      }),
+      timestamp: new Date().toISOString()
+    }, eventType);
+  }
+
+  formatReview(order) {
+    const review = order.depositReview || {};
+    const difference = review.receivedAmount - review.expectedAmount;
+
+    return {
+      orderId: order.orderId,
+      businessOrderReference: order.businessOrderReference,
+      businessId: order.businessId,
+      orderStatus: order.status,
+      network: order.targetNetwork,
+      token: order.targetToken,
+      depositAddress: order.depositWallet?.address,
+      depositTransactionHash: order.transactionHash,
+      expectedAmount: review.expectedAmount,
+      receivedAmount: review.receivedAmount,
+      difference,
+      differencePercent: review.expectedAmount ? Math.round((difference / review.expectedAmount) * 10000) / 100 : null,
+      exchangeRate: order.exchangeRate,
+      netNgnAmount: order.netNgnAmount,
+      // What approving would pay out, for pending reviews
+      ...(review.status === DEPOSIT_REVIEW_STATUS.PENDING && {
+        netNgnAmountIfApproved: this.priceAtAmount(order, review.receivedAmount).netNgnAmount
+      }),
+      review: {
+        status: review.status,
+        flaggedAt: review.flaggedAt,
+        reviewedBy: review.reviewedBy,
+        reviewedAt: review.reviewedAt,
+        notes: review.notes,
+        originalTokenAmount: review.originalTokenAmount,
+        originalNetNgnAmount: review.originalNetNgnAmount,
+        refundAddress: review.refundAddress,
+        refundTransactionHash: review.refundTransactionHash,
+        refundError: review.refundError
+      },
+      customerEmail: order.customerEmail,
+      createdAt: order.createdAt
+    };
+  }
+
+  // Same rate and fee percentage the order was created with
+  priceAtAmount(order, tokenAmount) {
+    const grossNgnAmount = Math.round(tokenAmount * order.exchangeRate * 100) / 100;
+    const feeAmount = Math.round(grossNgnAmount * (order.feePercentage / 100));
+    return { grossNgnAmount, feeAmount, netNgnAmount: grossNgnAmount - feeAmount };
+  }
+}
+
+module.exports = new DepositReviewService();
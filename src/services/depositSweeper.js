@@ -0,0 +1,714 @@
+// src/services/depositSweeper.js
+const { ethers } = require('ethers');
+const {
+  Connection,
+  PublicKey,
+  SystemProgram,
+  Transaction,
+  LAMPORTS_PER_SOL
+} = require('@solana/web3.js');
+const {
+  getAssociatedTokenAddressSync,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createTransferCheckedInstruction
+} = require('@solana/spl-token');
+const {
+  BusinessOfframpOrder,
+  BUSINESS_OFFRAMP_STATUS,
+  DEPOSIT_REFUND_STATUS,
+  DEPOSIT_SWEEP_STATUS,
+  SWEEP_TRANSACTION_TYPES
+} = require('../models/BusinessOfframpOrder');
+const { BusinessOfframpBatch, OFFRAMP_BATCH_STATUS } = require('../models/BusinessOfframpBatch');
+const { BASE_CONFIG } = require('../config/baseConfig');
+const { SOLANA_CONFIG } = require('../config/solanaConfig');
+const transactionSigner = require('./transactionSigner');
+const { SIGNING_PURPOSES } = require('../models/SigningAuditLog');
+const { OnrampPriceChecker } = require('./onrampPriceChecker');
+const { SolanaTokenPriceChecker } = require('./solanaOnrampPriceChecker');
+
+const NATIVE_EVM_TOKEN = '0x0000000000000000000000000000000000000000';
+const WRAPPED_SOL_MINT = 'So11111111111111111111111111111111111111112';
+const SOLANA_SIGNATURE_FEE_LAMPORTS = 5000;
+const SPL_TOKEN_ACCOUNT_SIZE = 165;
+const ERC20_ABI = [
+  'function balanceOf(address) view returns (uint256)',
+  'function decimals() view returns (uint8)',
+  'function symbol() view returns (string)',
+  'function transfer(address to, uint256 amount) returns (bool)'
+];
+
+// USDC is swept alongside the deposit token - swaps leave it in the deposit wallet
+const USDC_ADDRESSES = {
+  base: BASE_CONFIG.USDC,
+  ethereum: process.env.ETHEREUM_USDC_ADDRESS || '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
+  solana: SOLANA_CONFIG.TOKENS.USDC
+};
+
+// Deposit wallets whose funds belong to us and can be swept automatically
+// (a refunded wallet only holds what was kept back for the refund's gas)
+const SWEEPABLE_ORDER_STATUSES = [BUSINESS_OFFRAMP_STATUS.COMPLETED, BUSINESS_OFFRAMP_STATUS.REFUNDED];
+const SWEEPABLE_BATCH_STATUSES = [OFFRAMP_BATCH_STATUS.COMPLETED, OFFRAMP_BATCH_STATUS.PARTIALLY_COMPLETED];
+
+// Orders that still need the funds in their wallet - never swept, even on request
+const IN_FLIGHT_ORDER_STATUSES = [
+  BUSINESS_OFFRAMP_STATUS.PENDING_DEPOSIT,
+  BUSINESS_OFFRAMP_STATUS.DEPOSIT_RECEIVED,
+  BUSINESS_OFFRAMP_STATUS.PROCESSING,
+  BUSINESS_OFFRAMP_STATUS.SWAP_RETRY,
+  BUSINESS_OFFRAMP_STATUS.PENDING_PAYOUT
+];
+const IN_FLIGHT_BATCH_STATUSES = [
+  OFFRAMP_BATCH_STATUS.PENDING_DEPOSIT,
+  OFFRAMP_BATCH_STATUS.DEPOSIT_RECEIVED,
+  OFFRAMP_BATCH_STATUS.PAYING_OUT
+];
+
+// Late deposits that still belong to the customer
+const OPEN_REFUND_STATUSES = [
+  DEPOSIT_REFUND_STATUS.AWAITING_ADDRESS,
+  DEPOSIT_REFUND_STATUS.SCHEDULED,
+  DEPOSIT_REFUND_STATUS.PROCESSING,
+  DEPOSIT_REFUND_STATUS.FAILED
+];
+
+function sweepError(message, code, status = 400) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+/**
+ * Moves what's left in offramp deposit wallets to a treasury address per network, and tops wallets up
+ * with just enough native gas to send their transactions (ERC-20 swaps and sweeps).
+ *  - Gas comes from a funder wallet (see signers/localSigner for its keys, or the signing service in
+ *    remote mode). On Solana the funder pays sweep fees directly.
+ *  - Deposit wallet and funder transactions are signed through transactionSigner.
+ *  - Treasuries: TREASURY_ADDRESS_BASE, TREASURY_ADDRESS_ETHEREUM, TREASURY_ADDRESS_SOLANA
+ * Every gas top-up and sweep transaction is recorded on the order (or batch) in sweepTransactions.
+ */
+class DepositSweeper {
+  constructor() {
+    this.intervalMs = parseInt(process.env.SWEEPER_INTERVAL_MS || String(15 * 60 * 1000));
+    this.maxWalletsPerRun = parseInt(process.env.SWEEPER_MAX_WALLETS || '50');
+    this.lockMinutes = parseInt(process.env.SWEEPER_LOCK_MINUTES || '10');
+    this.gasBufferPercent = parseFloat(process.env.SWEEPER_GAS_BUFFER_PERCENT || '20');
+    this.swapGasLimit = parseInt(process.env.SWEEPER_SWAP_GAS_LIMIT || '300000');
+    this.tokenTransferGasLimit = parseInt(process.env.SWEEPER_TOKEN_TRANSFER_GAS_LIMIT || '80000');
+    this.solanaSwapLamports = parseInt(process.env.SWEEPER_SOLANA_SWAP_LAMPORTS || '5000000');
+
+    this.treasury = {
+      base: process.env.TREASURY_ADDRESS_BASE,
+      ethereum: process.env.TREASURY_ADDRESS_ETHEREUM,
+      solana: process.env.TREASURY_ADDRESS_SOLANA
+    };
+
+    this.evmProviders = {
+      base: new ethers.providers.JsonRpcProvider(process.env.BASE_RPC_URL || 'https://mainnet.base.org'),
+      ethereum: new ethers.providers.JsonRpcProvider(process.env.ETHEREUM_RPC_URL || 'https://cloudflare-eth.com')
+    };
+    this.solanaConnection = new Connection(
+      process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com',
+      'confirmed'
+    );
+
+    this.priceCheckers = null;
+
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer || process.env.NODE_ENV === 'test' || process.env.SWEEPER_ENABLED === 'false') {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.runSweep().catch(error => console.error('[SWEEPER] ❌ Run failed:', error.message));
+    }, this.intervalMs);
+
+    console.log(`[SWEEPER] ⏰ Started (every ${this.intervalMs / 60000} min)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Sweep every finished order/batch wallet that hasn't been swept yet
+   * @returns {Promise<Object>} { checked, swept, empty, failed }
+   */
+  async runSweep() {
+    if (this.running) {
+      throw sweepError('A sweep is already running', 'SWEEP_IN_PROGRESS', 409);
+    }
+    this.running = true;
+
+    const summary = { checked: 0, swept: 0, empty: 0, failed: 0 };
+
+    try {
+      const unswept = { $nin: [DEPOSIT_SWEEP_STATUS.SWEPT, DEPOSIT_SWEEP_STATUS.EMPTY] };
+      const [orders, batches] = await Promise.all([
+        BusinessOfframpOrder.find({
+          status: { $in: SWEEPABLE_ORDER_STATUSES },
+          'depositWallet.tokensReceived': true,
+          sweepStatus: unswept
+        }).limit(this.maxWalletsPerRun),
+        BusinessOfframpBatch.find({
+          status: { $in: SWEEPABLE_BATCH_STATUSES },
+          'depositWallet.tokensReceived': true,
+          sweepStatus: unswept
+        }).limit(this.maxWalletsPerRun)
+      ]);
+
+      for (const owner of [...orders, ...batches]) {
+        summary.checked++;
+        try {
+          const result = await this.sweepWallet(owner);
+          summary[result.sweepStatus === DEPOSIT_SWEEP_STATUS.SWEPT ? 'swept' : 'empty']++;
+        } catch (error) {
+          // Locked by a manual sweep - not a failure
+          if (error.code === 'SWEEP_IN_PROGRESS') continue;
+          summary.failed++;
+          console.error(`[SWEEPER] ❌ ${this.referenceOf(owner)}: ${error.message}`);
+        }
+      }
+
+      if (summary.checked > 0) {
+        console.log(`[SWEEPER] ✅ Run finished: ${summary.swept} swept, ${summary.empty} empty, ${summary.failed} failed`);
+      }
+      return summary;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Sweep one order or batch deposit wallet to the network treasury
+   * @param {Object} owner BusinessOfframpOrder or BusinessOfframpBatch
+   * @param {Object} options { force } - force allows wallets whose order failed or expired
+   */
+  async sweepWallet(owner, options = {}) {
+    const reference = this.referenceOf(owner);
+    const network = owner.targetNetwork;
+    const treasury = this.treasury[network];
+
+    if (!treasury) {
+      throw sweepError(`No treasury address configured for ${network}`, 'TREASURY_NOT_CONFIGURED', 503);
+    }
+
+    const inFlight = owner instanceof BusinessOfframpBatch ? IN_FLIGHT_BATCH_STATUSES : IN_FLIGHT_ORDER_STATUSES;
+    if (inFlight.includes(owner.status)) {
+      throw sweepError(`${reference} is ${owner.status} - its deposit is still needed`, 'SWEEP_NOT_ALLOWED', 409);
+    }
+    if (OPEN_REFUND_STATUSES.includes(owner.depositRefund?.status)) {
+      throw sweepError(`${reference} has a late deposit waiting to be refunded`, 'SWEEP_NOT_ALLOWED', 409);
+    }
+    // A customer's permanent address is shared by all their orders - sweeping it takes every deposit
+    if (owner.offrampCustomerId) {
+      const busy = await BusinessOfframpOrder.exists({
+        _id: { $ne: owner._id },
+        'depositWallet.address': owner.depositWallet.address,
+        status: { $in: IN_FLIGHT_ORDER_STATUSES }
+      });
+      if (busy) {
+        throw sweepError(`${reference} shares its deposit address with an order still in progress`, 'SWEEP_NOT_ALLOWED', 409);
+      }
+    }
+    if (!options.force) {
+      const sweepable = owner instanceof BusinessOfframpBatch ? SWEEPABLE_BATCH_STATUSES : SWEEPABLE_ORDER_STATUSES;
+      if (!sweepable.includes(owner.status)) {
+        throw sweepError(`${reference} is ${owner.status} - pass force to sweep it anyway`, 'SWEEP_NOT_ALLOWED', 409);
+      }
+    }
+
+    await this.claim(owner);
+
+    try {
+      const assets = [...new Set([owner.tokenContractAddress, USDC_ADDRESSES[network]].filter(Boolean))];
+      const moved = [];
+
+      for (const asset of assets) {
+        const tx = network === 'solana'
+          ? await this.sweepSolanaAsset(owner, asset, treasury)
+          : await this.sweepEvmAsset(owner, asset, treasury);
+        if (tx) moved.push(tx);
+      }
+
+      const sweepStatus = moved.length > 0 ? DEPOSIT_SWEEP_STATUS.SWEPT : DEPOSIT_SWEEP_STATUS.EMPTY;
+      await owner.constructor.updateOne(
+        { _id: owner._id },
+        {
+          $set: {
+            sweepStatus,
+            sweptAt: new Date(),
+            sweepError: null
+          }
+        }
+      );
+
+      console.log(`[SWEEPER] ${moved.length > 0 ? '🧹' : '⚪'} ${reference}: ${sweepStatus} (${moved.length} transfer(s) to ${treasury})`);
+      return { reference, sweepStatus, transactions: moved };
+
+    } catch (error) {
+      await owner.constructor.updateOne(
+        { _id: owner._id },
+        { $set: { sweepStatus: DEPOSIT_SWEEP_STATUS.FAILED, sweepError: error.message } }
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Send the deposited token back out of a deposit wallet, e.g. to the customer who sent it.
+   * Gas comes from the funder, as for sweeps, and the transfer is recorded in sweepTransactions.
+   * With netOfGas the customer bears the transfer's cost: native deposits pay their own fee and token
+   * deposits keep back the funder's gas valued in the token (in full if there's no price for it).
+   * @param {Object} owner BusinessOfframpOrder
+   * @param {string} toAddress address on the order's network
+   * @param {Object} [options] { netOfGas }
+   * @returns {Promise<Object|null>} the recorded transfer, or null if the wallet holds none of the token
+   */
+  async refundDeposit(owner, toAddress, options = {}) {
+    const network = owner.targetNetwork;
+
+    if (!this.isValidAddress(network, toAddress)) {
+      throw sweepError(`${toAddress} is not a valid ${network} address`, 'INVALID_REFUND_ADDRESS');
+    }
+
+    await this.claim(owner);
+
+    const tx = network === 'solana'
+      ? await this.sweepSolanaAsset(owner, owner.tokenContractAddress, toAddress, SWEEP_TRANSACTION_TYPES.REFUND, options)
+      : await this.sweepEvmAsset(owner, owner.tokenContractAddress, toAddress, SWEEP_TRANSACTION_TYPES.REFUND, options);
+
+    console.log(`[SWEEPER] ↩️ ${this.referenceOf(owner)}: ${tx ? `refunded ${tx.amount} ${tx.asset} to ${toAddress}` : 'nothing to refund'}`);
+    return tx;
+  }
+
+  isValidAddress(network, address) {
+    if (!address) return false;
+    if (network !== 'solana') return ethers.utils.isAddress(address);
+
+    try {
+      return PublicKey.isOnCurve(new PublicKey(address).toBytes());
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Take the wallet for this attempt so a scheduled run and a manual sweep can't both send transactions
+  async claim(owner) {
+    const lockCutoff = new Date(Date.now() - this.lockMinutes * 60 * 1000);
+    const claimed = await owner.constructor.findOneAndUpdate(
+      {
+        _id: owner._id,
+        $or: [{ lastSweepAttemptAt: null }, { lastSweepAttemptAt: { $lt: lockCutoff } }]
+      },
+      { $set: { lastSweepAttemptAt: new Date() }, $inc: { sweepAttempts: 1 } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      throw sweepError(`${this.referenceOf(owner)} was swept in the last ${this.lockMinutes} minutes`, 'SWEEP_IN_PROGRESS', 409);
+    }
+  }
+
+  async sweepEvmAsset(owner, asset, destination, type = SWEEP_TRANSACTION_TYPES.TOKEN_SWEEP, { netOfGas = false } = {}) {
+    const network = owner.targetNetwork;
+    const provider = this.evmProviders[network];
+    const wallet = await transactionSigner.evmSigner(transactionSigner.depositKey(owner), provider, {
+      reference: this.referenceOf(owner),
+      purpose: this.purposeOf(type)
+    });
+
+    if (asset.toLowerCase() === NATIVE_EVM_TOKEN) {
+      // Keep back enough for the transfer's own gas (with room for the L1 data fee on Base)
+      const [balance, gasPrice] = await Promise.all([wallet.getBalance(), this.getEvmGasPrice(provider)]);
+      const reserve = gasPrice.mul(21000).mul(2);
+      if (balance.lte(reserve)) return null;
+
+      const amount = balance.sub(reserve);
+      const tx = await wallet.sendTransaction({ to: destination, value: amount, gasLimit: 21000 });
+      await tx.wait(1);
+
+      return this.record(owner, {
+        type,
+        purpose: this.purposeOf(type),
+        asset: 'ETH',
+        tokenAddress: NATIVE_EVM_TOKEN,
+        amount: parseFloat(ethers.utils.formatEther(amount)),
+        ...(netOfGas && { gasWithheld: parseFloat(ethers.utils.formatEther(reserve)) }),
+        fromAddress: wallet.address,
+        toAddress: destination,
+        transactionHash: tx.hash
+      });
+    }
+
+    const token = new ethers.Contract(asset, ERC20_ABI, wallet);
+    const balance = await token.balanceOf(wallet.address);
+    if (balance.isZero()) return null;
+
+    const [decimals, symbol] = await Promise.all([token.decimals(), token.symbol().catch(() => owner.targetToken)]);
+
+    let gasLimit;
+    try {
+      gasLimit = (await token.estimateGas.transfer(destination, balance)).mul(100 + this.gasBufferPercent).div(100);
+    } catch (error) {
+      gasLimit = ethers.BigNumber.from(this.tokenTransferGasLimit);
+    }
+
+    let amount = balance;
+    let withheld;
+    if (netOfGas) {
+      const gasPrice = await this.getEvmGasPrice(provider);
+      const gasCost = gasLimit.mul(gasPrice).mul(100 + this.gasBufferPercent).div(100);
+      withheld = await this.withholdForGas(owner, asset, parseFloat(ethers.utils.formatEther(gasCost)), balance, decimals);
+      amount = balance.sub(withheld);
+    }
+
+    await this.ensureGas(owner, this.purposeOf(type), gasLimit);
+
+    const tx = await token.transfer(destination, amount, { gasLimit });
+    await tx.wait(1);
+
+    return this.record(owner, {
+      type,
+      purpose: this.purposeOf(type),
+      asset: symbol,
+      tokenAddress: asset,
+      amount: parseFloat(ethers.utils.formatUnits(amount, decimals)),
+      ...(netOfGas && { gasWithheld: parseFloat(ethers.utils.formatUnits(withheld, decimals)) }),
+      fromAddress: wallet.address,
+      toAddress: destination,
+      transactionHash: tx.hash
+    });
+  }
+
+  async sweepSolanaAsset(owner, asset, destination, type = SWEEP_TRANSACTION_TYPES.TOKEN_SWEEP, { netOfGas = false } = {}) {
+    const connection = this.solanaConnection;
+    const depositKey = transactionSigner.depositKey(owner);
+    const depositPublicKey = new PublicKey(owner.depositWallet.address);
+    const funderKey = transactionSigner.funderKey('solana');
+    const funderPublicKey = new PublicKey(await transactionSigner.getAddress(funderKey));
+    const destinationKey = new PublicKey(destination);
+    const context = { reference: this.referenceOf(owner), purpose: this.purposeOf(type) };
+
+    if (asset === WRAPPED_SOL_MINT) {
+      // The funder pays the fee, so the whole balance can move - unless the deposit is to pay its own
+      const balance = await connection.getBalance(depositPublicKey);
+      const fee = netOfGas ? SOLANA_SIGNATURE_FEE_LAMPORTS : 0;
+      if (balance <= fee) return null;
+
+      const lamports = balance - fee;
+      const transaction = new Transaction().add(SystemProgram.transfer({
+        fromPubkey: depositPublicKey,
+        toPubkey: destinationKey,
+        lamports
+      }));
+      transaction.feePayer = netOfGas ? depositPublicKey : funderPublicKey;
+      const signature = await transactionSigner.sendSolanaTransaction(
+        connection,
+        transaction,
+        netOfGas ? [depositKey] : [funderKey, depositKey],
+        context
+      );
+
+      return this.record(owner, {
+        type,
+        purpose: this.purposeOf(type),
+        asset: 'SOL',
+        tokenAddress: WRAPPED_SOL_MINT,
+        amount: lamports / LAMPORTS_PER_SOL,
+        ...(netOfGas && { gasWithheld: fee / LAMPORTS_PER_SOL }),
+        fromAddress: owner.depositWallet.address,
+        toAddress: destination,
+        transactionHash: signature
+      });
+    }
+
+    const mint = new PublicKey(asset);
+    const sourceAccount = getAssociatedTokenAddressSync(mint, depositPublicKey);
+
+    const accountInfo = await connection.getAccountInfo(sourceAccount);
+    if (!accountInfo) return null;
+
+    const balance = await connection.getTokenAccountBalance(sourceAccount);
+    if (balance.value.amount === '0') return null;
+
+    const destinationAccount = getAssociatedTokenAddressSync(mint, destinationKey, true);
+
+    let amount = BigInt(balance.value.amount);
+    let withheld;
+    if (netOfGas) {
+      // Both signatures, plus the rent for the customer's token account if we have to open it
+      let lamports = 2 * SOLANA_SIGNATURE_FEE_LAMPORTS;
+      if (!(await connection.getAccountInfo(destinationAccount))) {
+        lamports += await connection.getMinimumBalanceForRentExemption(SPL_TOKEN_ACCOUNT_SIZE);
+      }
+      const units = await this.withholdForGas(
+        owner,
+        asset,
+        lamports / LAMPORTS_PER_SOL,
+        ethers.BigNumber.from(balance.value.amount),
+        balance.value.decimals
+      );
+      withheld = BigInt(units.toString());
+      amount -= withheld;
+    }
+
+    const transaction = new Transaction().add(
+      createAssociatedTokenAccountIdempotentInstruction(funderPublicKey, destinationAccount, destinationKey, mint),
+      createTransferCheckedInstruction(
+        sourceAccount,
+        mint,
+        destinationAccount,
+        depositPublicKey,
+        amount,
+        balance.value.decimals
+      )
+    );
+    transaction.feePayer = funderPublicKey;
+    const signature = await transactionSigner.sendSolanaTransaction(connection, transaction, [funderKey, depositKey], context);
+
+    return this.record(owner, {
+      type,
+      purpose: this.purposeOf(type),
+      asset: asset === USDC_ADDRESSES.solana ? 'USDC' : owner.targetToken,
+      tokenAddress: asset,
+      amount: parseFloat(ethers.utils.formatUnits(amount.toString(), balance.value.decimals)),
+      ...(netOfGas && { gasWithheld: parseFloat(ethers.utils.formatUnits(withheld.toString(), balance.value.decimals)) }),
+      fromAddress: owner.depositWallet.address,
+      toAddress: destination,
+      transactionHash: signature
+    });
+  }
+
+  /**
+   * Make sure a deposit wallet can pay for its next transaction(s). Sends only the shortfall.
+   * @param {Object} owner BusinessOfframpOrder or BusinessOfframpBatch
+   * @param {string} purpose 'swap' or 'sweep'
+   * @param {BigNumber} [gasLimit] EVM gas the wallet is about to spend (defaults to a swap's)
+   * @returns {Promise<Object|null>} the recorded top-up, or null if the wallet already had enough
+   */
+  async ensureGas(owner, purpose, gasLimit) {
+    const network = owner.targetNetwork;
+    const address = owner.depositWallet.address;
+    const funderKey = transactionSigner.funderKey(network);
+    const context = { reference: this.referenceOf(owner), purpose: SIGNING_PURPOSES.GAS_TOPUP };
+
+    if (network === 'solana') {
+      const funderPublicKey = new PublicKey(await transactionSigner.getAddress(funderKey));
+      const balance = await this.solanaConnection.getBalance(new PublicKey(address));
+      if (balance >= this.solanaSwapLamports) return null;
+
+      const lamports = this.solanaSwapLamports - balance;
+      const transaction = new Transaction().add(SystemProgram.transfer({
+        fromPubkey: funderPublicKey,
+        toPubkey: new PublicKey(address),
+        lamports
+      }));
+      transaction.feePayer = funderPublicKey;
+      const signature = await transactionSigner.sendSolanaTransaction(this.solanaConnection, transaction, [funderKey], context);
+
+      return this.record(owner, {
+        type: SWEEP_TRANSACTION_TYPES.GAS_TOPUP,
+        purpose,
+        asset: 'SOL',
+        amount: lamports / LAMPORTS_PER_SOL,
+        fromAddress: funderPublicKey.toBase58(),
+        toAddress: address,
+        transactionHash: signature
+      });
+    }
+
+    const provider = this.evmProviders[network];
+    if (!provider) {
+      throw sweepError(`Unsupported network: ${network}`, 'UNSUPPORTED_NETWORK');
+    }
+
+    const limit = ethers.BigNumber.from(gasLimit || this.swapGasLimit);
+    const gasPrice = await this.getEvmGasPrice(provider);
+    const required = limit.mul(gasPrice).mul(100 + this.gasBufferPercent).div(100);
+    const balance = await provider.getBalance(address);
+    if (balance.gte(required)) return null;
+
+    const funder = await transactionSigner.evmSigner(funderKey, provider, context);
+    const shortfall = required.sub(balance);
+    const tx = await funder.sendTransaction({ to: address, value: shortfall });
+    await tx.wait(1);
+
+    console.log(`[SWEEPER] ⛽ Topped up ${address} with ${ethers.utils.formatEther(shortfall)} ETH for ${purpose} (${this.referenceOf(owner)})`);
+
+    return this.record(owner, {
+      type: SWEEP_TRANSACTION_TYPES.GAS_TOPUP,
+      purpose,
+      asset: 'ETH',
+      tokenAddress: NATIVE_EVM_TOKEN,
+      amount: parseFloat(ethers.utils.formatEther(shortfall)),
+      fromAddress: funder.address,
+      toAddress: address,
+      transactionHash: tx.hash
+    });
+  }
+
+  /**
+   * How much of a token balance to keep back for gas that costs nativeAmount (ETH or SOL)
+   * @returns {Promise<BigNumber>} token units - zero when the token can't be priced
+   */
+  async withholdForGas(owner, asset, nativeAmount, balance, decimals) {
+    const tokens = await this.gasInToken(owner.targetNetwork, asset, nativeAmount);
+    if (!tokens) {
+      console.warn(`[SWEEPER] No price to value gas in ${owner.targetToken} on ${owner.targetNetwork} - ${this.referenceOf(owner)} is refunded in full`);
+      return ethers.BigNumber.from(0);
+    }
+
+    const withheld = ethers.utils.parseUnits(tokens.toFixed(decimals), decimals);
+    if (withheld.gte(balance)) {
+      throw sweepError(`The deposit is worth less than the gas needed to return it (${tokens} ${owner.targetToken})`, 'REFUND_BELOW_GAS_COST', 409);
+    }
+    return withheld;
+  }
+
+  // Native gas valued in a token, through USDC. ETH is priced on Base for both EVM networks.
+  async gasInToken(network, asset, nativeAmount) {
+    try {
+      const { base, solana } = this.getPriceCheckers();
+
+      const nativeUsdc = network === 'solana'
+        ? (await solana.getTokenToUSDCPrice(WRAPPED_SOL_MINT, 1, { verbose: false })).pricePerToken
+        : parseFloat(await base.getUSDCPrice(1));
+      if (!nativeUsdc) return null;
+
+      const gasUsdc = nativeAmount * nativeUsdc;
+      if (asset.toLowerCase() === USDC_ADDRESSES[network].toLowerCase()) return gasUsdc;
+      if (network === 'ethereum') return null;
+
+      const quote = network === 'solana'
+        ? await solana.getTokenToUSDCPrice(asset, 1, { verbose: false })
+        : await base.getTokenToUSDCPrice(asset, 1, { verbose: false, checkReserveSupport: false });
+      return quote.success && quote.pricePerToken > 0 ? gasUsdc / quote.pricePerToken : null;
+    } catch (error) {
+      console.warn(`[SWEEPER] Gas pricing failed on ${network}: ${error.message}`);
+      return null;
+    }
+  }
+
+  getPriceCheckers() {
+    if (!this.priceCheckers) {
+      this.priceCheckers = { base: new OnrampPriceChecker(), solana: new SolanaTokenPriceChecker() };
+    }
+    return this.priceCheckers;
+  }
+
+  async record(owner, transaction) {
+    const entry = { ...transaction, createdAt: new Date() };
+    await owner.constructor.updateOne({ _id: owner._id }, { $push: { sweepTransactions: entry } });
+    return entry;
+  }
+
+  async getEvmGasPrice(provider) {
+    const feeData = await provider.getFeeData();
+    return feeData.maxFeePerGas || feeData.gasPrice;
+  }
+
+  purposeOf(type) {
+    return type === SWEEP_TRANSACTION_TYPES.REFUND ? 'refund' : 'sweep';
+  }
+
+  referenceOf(owner) {
+    return owner.orderId || owner.batchId;
+  }
+
+  /**
+   * Deposit wallets that received funds but haven't been swept, totalled per network and token.
+   * Amounts are what was deposited; pass live to read current on-chain balances for the listed wallets.
+   */
+  async getUnsweptReport({ network, live = false, limit = 100 } = {}) {
+    const match = {
+      'depositWallet.tokensReceived': true,
+      sweepStatus: { $nin: [DEPOSIT_SWEEP_STATUS.SWEPT, DEPOSIT_SWEEP_STATUS.EMPTY] }
+    };
+    if (network) match.targetNetwork = network;
+
+    const select = 'orderId batchId status targetNetwork targetToken tokenContractAddress depositWallet.address depositWallet.receivedAmount depositWallet.receivedAt sweepStatus sweepError sweepAttempts lastSweepAttemptAt';
+    const [orders, batches] = await Promise.all([
+      BusinessOfframpOrder.find(match).select(select).sort({ 'depositWallet.receivedAt': 1 }).lean(),
+      BusinessOfframpBatch.find(match).select(select).sort({ 'depositWallet.receivedAt': 1 }).lean()
+    ]);
+
+    const wallets = [...orders, ...batches].map(owner => ({
+      reference: owner.orderId || owner.batchId,
+      type: owner.orderId ? 'order' : 'batch',
+      status: owner.status,
+      network: owner.targetNetwork,
+      token: owner.targetToken,
+      tokenAddress: owner.tokenContractAddress,
+      address: owner.depositWallet.address,
+      depositedAmount: owner.depositWallet.receivedAmount || 0,
+      depositedAt: owner.depositWallet.receivedAt,
+      sweepStatus: owner.sweepStatus || DEPOSIT_SWEEP_STATUS.PENDING,
+      sweepError: owner.sweepError,
+      sweepAttempts: owner.sweepAttempts || 0,
+      autoSweepable: owner.orderId
+        ? SWEEPABLE_ORDER_STATUSES.includes(owner.status)
+        : SWEEPABLE_BATCH_STATUSES.includes(owner.status)
+    }));
+
+    const totals = {};
+    for (const wallet of wallets) {
+      const key = `${wallet.network}:${wallet.token}`;
+      if (!totals[key]) {
+        totals[key] = { network: wallet.network, token: wallet.token, walletCount: 0, depositedAmount: 0 };
+      }
+      totals[key].walletCount++;
+      totals[key].depositedAmount += wallet.depositedAmount;
+    }
+
+    const listed = wallets.slice(0, limit);
+    if (live) {
+      for (const wallet of listed) {
+        try {
+          wallet.liveBalance = await this.getLiveBalance(wallet);
+        } catch (error) {
+          wallet.liveBalanceError = error.message;
+        }
+      }
+    }
+
+    return {
+      walletCount: wallets.length,
+      totals: Object.values(totals),
+      wallets: listed,
+      treasuries: this.treasury,
+      generatedAt: new Date()
+    };
+  }
+
+  async getLiveBalance(wallet) {
+    if (wallet.network === 'solana') {
+      const owner = new PublicKey(wallet.address);
+      if (wallet.tokenAddress === WRAPPED_SOL_MINT) {
+        return (await this.solanaConnection.getBalance(owner)) / LAMPORTS_PER_SOL;
+      }
+      const account = getAssociatedTokenAddressSync(new PublicKey(wallet.tokenAddress), owner);
+      if (!(await this.solanaConnection.getAccountInfo(account))) return 0;
+      const balance = await this.solanaConnection.getTokenAccountBalance(account);
+      return parseFloat(balance.value.uiAmountString || '0');
+    }
+
+    const provider = this.evmProviders[wallet.network];
+    if (wallet.tokenAddress.toLowerCase() === NATIVE_EVM_TOKEN) {
+      return parseFloat(ethers.utils.formatEther(await provider.getBalance(wallet.address)));
+    }
+    const token = new ethers.Contract(wallet.tokenAddress, ERC20_ABI, provider);
+    const [balance, decimals] = await Promise.all([token.balanceOf(wallet.address), token.decimals()]);
+    return parseFloat(ethers.utils.formatUnits(balance, decimals));
+  }
+}
+
+module.exports = new DepositSweeper();
@@ -0,0 +1,423 @@
+// src/services/depositWatcher.js
+const { ethers } = require('ethers');
+const { Connection, PublicKey, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const { getAssociatedTokenAddressSync } = require('@solana/spl-token');
+const { BusinessOfframpOrder, BUSINESS_OFFRAMP_STATUS } = require('../models/BusinessOfframpOrder');
+const { BusinessOfframpBatch, OFFRAMP_BATCH_STATUS } = require('../models/BusinessOfframpBatch');
+const { DepositWatcherCursor } = require('../models/DepositWatcherCursor');
+const { OfframpCustomer } = require('../models/OfframpCustomer');
+const offrampWebhookHandler = require('./offrampWebhookHandler');
+
+const TRANSFER_TOPIC = ethers.utils.id('Transfer(address,address,uint256)');
+const NATIVE_EVM_TOKEN = '0x0000000000000000000000000000000000000000';
+const WRAPPED_SOL_MINT = 'So11111111111111111111111111111111111111112';
+const WATCHED_ORDER_STATUSES = [
+  BUSINESS_OFFRAMP_STATUS.PENDING_DEPOSIT,
+  BUSINESS_OFFRAMP_STATUS.EXPIRED,
+  BUSINESS_OFFRAMP_STATUS.CANCELLED
+];
+const ERC20_ABI = [
+  'function balanceOf(address) view returns (uint256)',
+  'function decimals() view returns (uint8)'
+];
+
+/**
+ * Built-in deposit detection for offramp orders and batches, so deposits are picked up even when no
+ * external monitor calls POST /webhook/deposit-confirmation.
+ *  - Base/Ethereum: scans ERC-20 Transfer logs into pending deposit wallets, block range by block range
+ *  - Solana: polls each pending wallet's associated token account
+ * A deposit is only reported once it is the per-network confirmation depth deep, and is then handed to
+ * offrampWebhookHandler.confirmDeposit - the same code the webhook runs. Scan progress is stored in
+ * DepositWatcherCursor so restarts resume from the last scanned block/slot.
+ * Wallets of expired or cancelled orders stay watched for LATE_DEPOSIT_WATCH_HOURS, so deposits that
+ * arrive late are picked up and refunded (see lateDepositRefunder).
+ * Registered customers' permanent addresses (see OfframpCustomer) are always watched. Each transfer to one
+ * is reported on its own, with its own amount, since every deposit opens a separate order; transfers in
+ * transactions the address signed itself (its swaps) are not deposits and are skipped.
+ */
+class DepositWatcher {
+  constructor() {
+    this.intervalMs = parseInt(process.env.OFFRAMP_DEPOSIT_WATCHER_INTERVAL_MS || '30000');
+    this.blockRange = parseInt(process.env.OFFRAMP_DEPOSIT_WATCHER_BLOCK_RANGE || '2000');
+    this.maxRangesPerTick = parseInt(process.env.OFFRAMP_DEPOSIT_WATCHER_MAX_RANGES || '10');
+    this.initialLookbackBlocks = parseInt(process.env.OFFRAMP_DEPOSIT_WATCHER_LOOKBACK_BLOCKS || '1000');
+    this.lateDepositWatchMs = parseFloat(process.env.LATE_DEPOSIT_WATCH_HOURS || '72') * 60 * 60 * 1000;
+    this.confirmations = {
+      base: parseInt(process.env.BASE_DEPOSIT_CONFIRMATIONS || '5'),
+      ethereum: parseInt(process.env.ETHEREUM_DEPOSIT_CONFIRMATIONS || '12'),
+      solana: parseInt(process.env.SOLANA_DEPOSIT_CONFIRMATIONS || '32') // slots
+    };
+
+    this.evmProviders = {
+      base: new ethers.providers.JsonRpcProvider(process.env.BASE_RPC_URL || 'https://mainnet.base.org'),
+      ethereum: new ethers.providers.JsonRpcProvider(process.env.ETHEREUM_RPC_URL || 'https://cloudflare-eth.com')
+    };
+    this.solanaConnection = new Connection(
+      process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com',
+      'confirmed'
+    );
+    this.decimalsCache = new Map();
+    this.solanaSignatureLimit = parseInt(process.env.OFFRAMP_DEPOSIT_WATCHER_SOLANA_SIGNATURES || '100');
+
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  start() {
+    if (this.timer || process.env.NODE_ENV === 'test' || process.env.OFFRAMP_DEPOSIT_WATCHER_ENABLED === 'false') {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.tick().catch(error => console.error('[DEPOSIT_WATCHER] ❌ Tick failed:', error.message));
+    }, this.intervalMs);
+
+    console.log(`[DEPOSIT_WATCHER] ⏰ Started (every ${this.intervalMs / 1000}s)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      // One network failing (RPC outage) shouldn't hold up the others
+      for (const network of Object.keys(this.evmProviders)) {
+        await this.runNetwork(network, () => this.scanEvm(network));
+      }
+      await this.runNetwork('solana', () => this.scanSolana());
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  async runNetwork(network, scan) {
+    try {
+      await scan();
+    } catch (error) {
+      console.error(`[DEPOSIT_WATCHER] ❌ ${network} scan failed:`, error.message);
+      await DepositWatcherCursor.updateOne(
+        { network },
+        { $set: { lastError: error.message, updatedAt: new Date() } },
+        { upsert: true }
+      );
+    }
+  }
+
+  /**
+   * Deposit wallets still waiting for funds on a network (single orders and batches), plus wallets of
+   * orders that expired or were cancelled recently and haven't had a late deposit yet, plus customers'
+   * permanent addresses (one entry per accepted token)
+   */
+  async getPendingWallets(network) {
+    const [orders, batches, customers] = await Promise.all([
+      BusinessOfframpOrder.find({
+        status: { $in: WATCHED_ORDER_STATUSES },
+        targetNetwork: network,
+        expiresAt: { $gt: new Date(Date.now() - this.lateDepositWatchMs) },
+        'depositRefund.status': { $exists: false },
+        offrampCustomerId: { $exists: false } // their permanent address is watched below
+      }).select('orderId depositWallet.address tokenContractAddress'),
+      BusinessOfframpBatch.find({
+        status: OFFRAMP_BATCH_STATUS.PENDING_DEPOSIT,
+        targetNetwork: network,
+        expiresAt: { $gt: new Date() }
+      }).select('batchId depositWallet.address tokenContractAddress'),
+      OfframpCustomer.find({ 'depositAddresses.network': network }).select('customerId depositAddresses')
+    ]);
+
+    const permanent = customers.flatMap(customer => {
+      const entry = customer.getDepositAddress(network);
+      return entry.tokens.map(token => ({
+        reference: customer.customerId,
+        address: entry.address,
+        tokenAddress: token.contractAddress,
+        lastSignature: token.lastSignature,
+        permanent: true
+      }));
+    });
+
+    return [...orders, ...batches]
+      .filter(owner => owner.depositWallet?.address)
+      .map(owner => ({
+        reference: owner.orderId || owner.batchId,
+        address: owner.depositWallet.address,
+        tokenAddress: owner.tokenContractAddress
+      }))
+      .concat(permanent);
+  }
+
+  async scanEvm(network) {
+    const provider = this.evmProviders[network];
+    const cursor = await DepositWatcherCursor.forNetwork(network);
+
+    for (let i = 0; i < this.maxRangesPerTick; i++) {
+      const latestBlock = await provider.getBlockNumber();
+      const safeBlock = latestBlock - this.confirmations[network];
+
+      const fromBlock = cursor.lastScannedBlock != null
+        ? cursor.lastScannedBlock + 1
+        : Math.max(0, safeBlock - this.initialLookbackBlocks);
+      if (fromBlock > safeBlock) return;
+
+      const toBlock = Math.min(safeBlock, fromBlock + this.blockRange - 1);
+      const wallets = await this.getPendingWallets(network);
+
+      // Native ETH deposits don't emit Transfer logs - those still rely on the external monitor
+      const byToken = new Map();
+      for (const wallet of wallets) {
+        if (!wallet.tokenAddress || wallet.tokenAddress.toLowerCase() === NATIVE_EVM_TOKEN) continue;
+        const token = wallet.tokenAddress.toLowerCase();
+        if (!byToken.has(token)) byToken.set(token, []);
+        byToken.get(token).push(wallet);
+      }
+
+      for (const [token, tokenWallets] of byToken) {
+        await this.scanTokenTransfers(network, token, tokenWallets, fromBlock, toBlock, latestBlock, cursor);
+      }
+
+      // Only move the cursor once every deposit in the range has been handed over
+      cursor.lastScannedBlock = toBlock;
+      cursor.lastError = null;
+      await cursor.save();
+
+      if (toBlock === safeBlock) return;
+    }
+  }
+
+  async scanTokenTransfers(network, token, wallets, fromBlock, toBlock, latestBlock, cursor) {
+    const provider = this.evmProviders[network];
+    const byAddress = new Map(wallets.map(w => [w.address.toLowerCase(), w]));
+
+    // Latest transfer per order/batch wallet in the range, every transfer for permanent addresses
+    const deposits = new Map();
+    const permanentTransfers = [];
+    const addresses = [...byAddress.keys()];
+    for (let i = 0; i < addresses.length; i += 50) {
+      const logs = await provider.getLogs({
+        address: token,
+        fromBlock,
+        toBlock,
+        topics: [TRANSFER_TOPIC, null, addresses.slice(i, i + 50).map(a => ethers.utils.hexZeroPad(a, 32))]
+      });
+
+      for (const log of logs) {
+        const to = ethers.utils.hexDataSlice(log.topics[2], 12).toLowerCase();
+        if (byAddress.get(to).permanent) {
+          permanentTransfers.push(log);
+        } else {
+          deposits.set(to, log);
+        }
+      }
+    }
+
+    for (const log of permanentTransfers) {
+      await this.reportPermanentEvmTransfer(network, token, byAddress, log, latestBlock, cursor);
+    }
+
+    for (const [address, log] of deposits) {
+      const wallet = byAddress.get(address);
+
+      // Report the wallet's whole balance so split deposits add up
+      const contract = new ethers.Contract(token, ERC20_ABI, provider);
+      const [balance, decimals] = await Promise.all([
+        contract.balanceOf(wallet.address, { blockTag: toBlock }),
+        this.getTokenDecimals(network, token, contract)
+      ]);
+      const amount = parseFloat(ethers.utils.formatUnits(balance, decimals));
+      if (amount <= 0) continue;
+
+      await this.reportDeposit(cursor, wallet, {
+        transactionHash: log.transactionHash,
+        senderAddress: ethers.utils.getAddress(ethers.utils.hexDataSlice(log.topics[1], 12)),
+        amount,
+        network,
+        blockNumber: log.blockNumber,
+        confirmations: latestBlock - log.blockNumber + 1
+      });
+    }
+  }
+
+  async reportPermanentEvmTransfer(network, token, byAddress, log, latestBlock, cursor) {
+    const provider = this.evmProviders[network];
+    const wallet = byAddress.get(ethers.utils.hexDataSlice(log.topics[2], 12).toLowerCase());
+
+    // Swap output landing in the address comes from a transaction it sent itself
+    const transaction = await provider.getTransaction(log.transactionHash);
+    if (transaction?.from?.toLowerCase() === wallet.address.toLowerCase()) return;
+
+    const decimals = await this.getTokenDecimals(network, token, new ethers.Contract(token, ERC20_ABI, provider));
+    const amount = parseFloat(ethers.utils.formatUnits(ethers.BigNumber.from(log.data), decimals));
+    if (amount <= 0) return;
+
+    await this.reportDeposit(cursor, wallet, {
+      transactionHash: log.transactionHash,
+      logIndex: log.logIndex,
+      senderAddress: ethers.utils.getAddress(ethers.utils.hexDataSlice(log.topics[1], 12)),
+      amount,
+      network,
+      blockNumber: log.blockNumber,
+      confirmations: latestBlock - log.blockNumber + 1
+    });
+  }
+
+  async scanSolana() {
+    const cursor = await DepositWatcherCursor.forNetwork('solana');
+    const currentSlot = await this.solanaConnection.getSlot('confirmed');
+    const safeSlot = currentSlot - this.confirmations.solana;
+
+    const wallets = await this.getPendingWallets('solana');
+
+    for (const wallet of wallets) {
+      if (!wallet.tokenAddress) continue;
+
+      if (wallet.permanent) {
+        await this.scanSolanaPermanentWallet(wallet, currentSlot, safeSlot, cursor);
+        continue;
+      }
+
+      const owner = new PublicKey(wallet.address);
+      const isNativeSol = wallet.tokenAddress === WRAPPED_SOL_MINT;
+      const account = isNativeSol
+        ? owner
+        : getAssociatedTokenAddressSync(new PublicKey(wallet.tokenAddress), owner);
+
+      const signatures = (await this.solanaConnection.getSignaturesForAddress(account, { limit: 10 }))
+        .filter(sig => !sig.err);
+      if (signatures.length === 0) continue;
+
+      // Wait until the newest transfer is deep enough, so the balance only reflects confirmed deposits
+      const latest = signatures[0];
+      if (latest.slot > safeSlot) continue;
+
+      // Nothing new since a scan that already covered this slot - resume from the stored slot
+      if (cursor.lastScannedSlot && latest.slot <= cursor.lastScannedSlot) continue;
+
+      let amount;
+      if (isNativeSol) {
+        amount = (await this.solanaConnection.getBalance(owner)) / LAMPORTS_PER_SOL;
+      } else {
+        const balance = await this.solanaConnection.getTokenAccountBalance(account);
+        amount = parseFloat(balance.value.uiAmountString || '0');
+      }
+      if (amount <= 0) continue;
+
+      await this.reportDeposit(cursor, wallet, {
+        transactionHash: latest.signature,
+        amount,
+        network: 'solana',
+        blockNumber: latest.slot,
+        confirmations: currentSlot - latest.slot
+      });
+    }
+
+    cursor.lastScannedSlot = safeSlot;
+    cursor.lastError = null;
+    await cursor.save();
+  }
+
+  /**
+   * Report each new transfer to a permanent address's token account, oldest first, and remember the
+   * newest one reported so the next tick starts after it
+   */
+  async scanSolanaPermanentWallet(wallet, currentSlot, safeSlot, cursor) {
+    const account = getAssociatedTokenAddressSync(new PublicKey(wallet.tokenAddress), new PublicKey(wallet.address));
+
+    const signatures = (await this.solanaConnection.getSignaturesForAddress(account, {
+      until: wallet.lastSignature,
+      limit: this.solanaSignatureLimit
+    })).reverse();
+
+    for (const sig of signatures) {
+      // Later transfers wait until this one is deep enough
+      if (sig.slot > safeSlot) break;
+
+      if (!sig.err) {
+        const transaction = await this.solanaConnection.getParsedTransaction(sig.signature, {
+          commitment: 'confirmed',
+          maxSupportedTransactionVersion: 0
+        });
+        const received = transaction && this.solanaAmountReceived(transaction, wallet);
+
+        if (received > 0) {
+          await this.reportDeposit(cursor, wallet, {
+            transactionHash: sig.signature,
+            amount: received,
+            network: 'solana',
+            blockNumber: sig.slot,
+            confirmations: currentSlot - sig.slot
+          });
+        }
+      }
+
+      await OfframpCustomer.setLastSignature(wallet.address, wallet.tokenAddress, sig.signature);
+    }
+  }
+
+  // What a parsed transaction added to the wallet's balance of the token - 0 for its own transactions
+  solanaAmountReceived(transaction, wallet) {
+    const ownKey = transaction.transaction.message.accountKeys.find(key => key.pubkey.toBase58() === wallet.address);
+    if (ownKey?.signer) return 0;
+
+    let decimals = 0;
+    const balanceOf = balances => (balances || [])
+      .filter(b => b.owner === wallet.address && b.mint === wallet.tokenAddress)
+      .reduce((total, b) => {
+        decimals = b.uiTokenAmount.decimals;
+        return total.add(b.uiTokenAmount.amount);
+      }, ethers.BigNumber.from(0));
+
+    const received = balanceOf(transaction.meta.postTokenBalances).sub(balanceOf(transaction.meta.preTokenBalances));
+    return parseFloat(ethers.utils.formatUnits(received, decimals));
+  }
+
+  async reportDeposit(cursor, wallet, deposit) {
+    console.log(`[DEPOSIT_WATCHER] 💰 ${deposit.amount} deposited to ${wallet.address} (${wallet.reference}) on ${deposit.network}: ${deposit.transactionHash}`);
+
+    // Throws if the deposit can't be applied, which keeps the cursor where it is for a retry
+    const result = await offrampWebhookHandler.confirmDeposit({
+      walletAddress: wallet.address,
+      tokenAddress: wallet.tokenAddress,
+      ...deposit
+    });
+
+    console.log(`[DEPOSIT_WATCHER] ${wallet.reference}: ${result.body.message}`);
+
+    cursor.depositsDetected += 1;
+    cursor.lastDepositAt = new Date();
+  }
+
+  async getTokenDecimals(network, token, contract) {
+    const key = `${network}:${token}`;
+    if (!this.decimalsCache.has(key)) {
+      this.decimalsCache.set(key, await contract.decimals());
+    }
+    return this.decimalsCache.get(key);
+  }
+
+  async getStatus() {
+    const cursors = await DepositWatcherCursor.find().lean();
+    return {
+      running: !!this.timer,
+      intervalMs: this.intervalMs,
+      confirmations: this.confirmations,
+      networks: cursors.map(cursor => ({
+        network: cursor.network,
+        lastScannedBlock: cursor.lastScannedBlock,
+        lastScannedSlot: cursor.lastScannedSlot,
+        depositsDetected: cursor.depositsDetected,
+        lastDepositAt: cursor.lastDepositAt,
+        lastError: cursor.lastError,
+        updatedAt: cursor.updatedAt
+      }))
+    };
+  }
+}
+
+module.exports = new DepositWatcher();
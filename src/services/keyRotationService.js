@@ -0,0 +1,233 @@
+// src/services/keyRotationService.js
+const { BusinessOfframpOrder } = require('../models/BusinessOfframpOrder');
+const { BusinessOfframpBatch } = require('../models/BusinessOfframpBatch');
+const {
+  KeyRotationJob,
+  KEY_ROTATION_STATUS,
+  KEY_ROTATION_COLLECTIONS
+} = require('../models/KeyRotationJob');
+const walletGeneratorService = require('./walletGeneratorService');
+
+// Where encrypted deposit wallet keys are stored
+const SOURCES = [
+  { name: KEY_ROTATION_COLLECTIONS.OFFRAMP_ORDERS, model: BusinessOfframpOrder, referenceField: 'orderId' },
+  { name: KEY_ROTATION_COLLECTIONS.OFFRAMP_BATCHES, model: BusinessOfframpBatch, referenceField: 'batchId' }
+];
+
+// Errors carry a code and HTTP status so controllers can map them directly
+function keyRotationError(message, code, status = 400) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+/**
+ * Re-wraps every stored deposit wallet key onto one master key version, so an old master key can be
+ * retired. Only the per-wallet data key is re-wrapped; records from before envelope encryption are
+ * re-encrypted. Each record is written with a compare-and-set on its old value, so a record changed
+ * mid-run is skipped rather than overwritten, and re-running a job only touches what is still off target.
+ *  - KEY_ROTATION_BATCH_SIZE: records between progress saves
+ */
+class KeyRotationService {
+  constructor() {
+    this.batchSize = parseInt(process.env.KEY_ROTATION_BATCH_SIZE || '50');
+    // A running job whose heartbeat is older than this is assumed dead and stops blocking new ones
+    this.staleMs = 10 * 60 * 1000;
+
+    this.running = false;
+  }
+
+  /**
+   * Start re-wrapping in the background
+   * @param {Object} options
+   * @param {string} options.triggeredBy admin email
+   * @param {string} [options.targetKeyId] master key id to move to (default: the active key)
+   * @returns {Promise<Object>} the job document, status running
+   */
+  async startRotation({ triggeredBy, targetKeyId }) {
+    if (walletGeneratorService.usesRemoteSigner()) {
+      throw keyRotationError(
+        'Master keys are held by the signing service (SIGNER_MODE=remote) - rotate them there',
+        'REMOTE_SIGNER_KEYS',
+        409
+      );
+    }
+
+    const target = targetKeyId || walletGeneratorService.activeKeyId;
+
+    try {
+      walletGeneratorService.getMasterKey(target);
+    } catch (error) {
+      throw keyRotationError(error.message, 'UNKNOWN_MASTER_KEY');
+    }
+    if (target !== walletGeneratorService.activeKeyId) {
+      // New wallets would keep landing on the active key, so the rotation would never finish
+      throw keyRotationError(
+        `Target key "${target}" is not the active master key (${walletGeneratorService.activeKeyId}) - set WALLET_MASTER_KEY_ID first`,
+        'TARGET_KEY_NOT_ACTIVE'
+      );
+    }
+
+    const active = await KeyRotationJob.findOne({
+      status: KEY_ROTATION_STATUS.RUNNING,
+      heartbeatAt: { $gt: new Date(Date.now() - this.staleMs) }
+    });
+    if (this.running || active) {
+      throw keyRotationError(
+        active ? `Key rotation ${active.jobId} is already running` : 'A key rotation is already running',
+        'KEY_ROTATION_IN_PROGRESS',
+        409
+      );
+    }
+
+    const job = await KeyRotationJob.create({
+      jobId: KeyRotationJob.generateJobId(),
+      targetKeyId: target,
+      triggeredBy
+    });
+
+    this.execute(job)
+      .catch(error => console.error(`[KEY_ROTATION_${job.jobId}] ❌ Job failed:`, error.message));
+
+    return job;
+  }
+
+  async execute(job) {
+    const tag = `KEY_ROTATION_${job.jobId}`;
+    this.running = true;
+
+    try {
+      console.log(`[${tag}] 🔐 Re-wrapping wallet keys onto master key ${job.targetKeyId}`);
+
+      for (const source of SOURCES) {
+        await this.rotateSource(job, source, tag);
+      }
+
+      job.status = KEY_ROTATION_STATUS.COMPLETED;
+      job.finishedAt = new Date();
+      await job.save();
+
+      const totals = SOURCES.map(({ name }) => `${name}: ${job.progress[name].rewrapped} re-wrapped, ${job.progress[name].failed} failed`);
+      console.log(`[${tag}] ✅ Done - ${totals.join('; ')}`);
+
+    } catch (error) {
+      job.status = KEY_ROTATION_STATUS.FAILED;
+      job.error = error.message;
+      job.finishedAt = new Date();
+      await job.save().catch(saveError => console.error(`[${tag}] ❌ Could not save job:`, saveError.message));
+      throw error;
+
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async rotateSource(job, { name, model, referenceField }, tag) {
+    const query = this.offTargetQuery(job.targetKeyId);
+    const progress = job.progress[name];
+
+    progress.total = await model.countDocuments(query);
+    job.heartbeatAt = new Date();
+    await job.save();
+
+    if (progress.total === 0) return;
+    console.log(`[${tag}] ${name}: ${progress.total} records to re-wrap`);
+
+    const cursor = model.find(query).select(`${referenceField} depositWallet.privateKey`).lean().cursor();
+
+    for await (const record of cursor) {
+      const current = record.depositWallet.privateKey;
+      const fromKeyId = walletGeneratorService.keyIdOf(current);
+
+      try {
+        const { encrypted } = walletGeneratorService.rewrapPrivateKey(current, job.targetKeyId);
+
+        // Never write a value that doesn't decrypt to the same key
+        if (walletGeneratorService.decryptPrivateKey(encrypted) !== walletGeneratorService.decryptPrivateKey(current)) {
+          throw new Error('Re-wrapped key did not decrypt to the original');
+        }
+
+        const result = await model.updateOne(
+          { _id: record._id, 'depositWallet.privateKey': current },
+          { $set: { 'depositWallet.privateKey': encrypted } }
+        );
+
+        if (result.modifiedCount === 1) {
+          job.recordRewrap(name, fromKeyId);
+        } else {
+          progress.skipped += 1;
+        }
+      } catch (error) {
+        console.error(`[${tag}] ❌ ${name} ${record[referenceField]} (key ${fromKeyId}): ${error.message}`);
+        job.recordFailure(name, record[referenceField], fromKeyId, error.message);
+      }
+
+      progress.processed += 1;
+      if (progress.processed % this.batchSize === 0) {
+        job.heartbeatAt = new Date();
+        await job.save();
+        console.log(`[${tag}] ${name}: ${progress.processed}/${progress.total}`);
+      }
+    }
+  }
+
+  // Stored keys not yet wrapped with the target master key
+  offTargetQuery(targetKeyId) {
+    return {
+      'depositWallet.privateKey': {
+        $exists: true,
+        $nin: [null, ''],
+        $not: new RegExp(`^env1:${targetKeyId}:`)
+      }
+    };
+  }
+
+  /**
+   * How many stored keys are wrapped with each master key - a key is safe to remove from
+   * WALLET_MASTER_KEYS once nothing is left on it
+   */
+  async getKeyUsage() {
+    const usage = {};
+
+    for (const { name, model } of SOURCES) {
+      const counts = await model.aggregate([
+        { $match: { 'depositWallet.privateKey': { $exists: true, $nin: [null, ''] } } },
+        { $project: { parts: { $split: ['$depositWallet.privateKey', ':'] } } },
+        {
+          $group: {
+            _id: {
+              $cond: [
+                { $eq: [{ $arrayElemAt: ['$parts', 0] }, 'env1'] },
+                { $arrayElemAt: ['$parts', 1] },
+                'legacy'
+              ]
+            },
+            count: { $sum: 1 }
+          }
+        }
+      ]);
+
+      usage[name] = Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
+    }
+
+    return usage;
+  }
+
+  async getStatus() {
+    const [usage, latest] = await Promise.all([
+      this.getKeyUsage(),
+      KeyRotationJob.findOne().sort({ startedAt: -1 })
+    ]);
+
+    return {
+      activeMasterKeyId: walletGeneratorService.activeKeyId,
+      masterKeyIds: [...walletGeneratorService.masterKeys.keys()],
+      running: this.running,
+      keyUsage: usage,
+      latestJob: latest
+    };
+  }
+}
+
+module.exports = new KeyRotationService();
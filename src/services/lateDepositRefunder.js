@@ -0,0 +1,391 @@
+// src/services/lateDepositRefunder.js
+const { ethers } = require('ethers');
+const { PublicKey } = require('@solana/web3.js');
+const { getAssociatedTokenAddressSync } = require('@solana/spl-token');
+const {
+  BusinessOfframpOrder,
+  BUSINESS_OFFRAMP_STATUS,
+  DEPOSIT_REFUND_STATUS
+} = require('../models/BusinessOfframpOrder');
+const depositSweeper = require('./depositSweeper');
+
+const TRANSFER_TOPIC = ethers.utils.id('Transfer(address,address,uint256)');
+const NATIVE_EVM_TOKEN = '0x0000000000000000000000000000000000000000';
+const WRAPPED_SOL_MINT = 'So11111111111111111111111111111111111111112';
+
+// Orders a deposit can arrive "late" to
+const LATE_DEPOSIT_ORDER_STATUSES = [
+  BUSINESS_OFFRAMP_STATUS.PENDING_DEPOSIT, // past expiresAt
+  BUSINESS_OFFRAMP_STATUS.EXPIRED,
+  BUSINESS_OFFRAMP_STATUS.CANCELLED
+];
+
+// Refunds the business can still point at a different address
+const ADDRESS_CHANGEABLE_STATUSES = [
+  DEPOSIT_REFUND_STATUS.AWAITING_ADDRESS,
+  DEPOSIT_REFUND_STATUS.SCHEDULED,
+  DEPOSIT_REFUND_STATUS.FAILED
+];
+
+function refundError(message, code, status = 400) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+/**
+ * Sends back deposits that arrive after an offramp order expired or was cancelled.
+ *  - offrampWebhookHandler.confirmDeposit records the late deposit and the address it came from
+ *  - the business can give a different refund address (POST /business-offramp/orders/:orderId/refund-address)
+ *    until LATE_DEPOSIT_REFUND_DELAY_MINUTES have passed; after that the sender's address is used
+ *  - refunds are sent from the deposit wallet net of gas (depositSweeper.refundDeposit) and retried every
+ *    LATE_DEPOSIT_REFUND_RETRY_MINUTES, up to LATE_DEPOSIT_REFUND_MAX_ATTEMPTS times
+ * Everything is recorded in order.depositRefund; the order ends up refunded.
+ */
+class LateDepositRefunder {
+  constructor() {
+    this.intervalMs = parseInt(process.env.LATE_DEPOSIT_REFUND_INTERVAL_MS || '60000');
+    this.delayMs = parseInt(process.env.LATE_DEPOSIT_REFUND_DELAY_MINUTES || '60') * 60 * 1000;
+    this.retryMs = parseInt(process.env.LATE_DEPOSIT_REFUND_RETRY_MINUTES || '15') * 60 * 1000;
+    this.maxAttempts = parseInt(process.env.LATE_DEPOSIT_REFUND_MAX_ATTEMPTS || '5');
+
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  start() {
+    if (this.timer || process.env.NODE_ENV === 'test' || process.env.LATE_DEPOSIT_REFUNDER_ENABLED === 'false') {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.tick().catch(error => console.error('[LATE_DEPOSIT] ❌ Tick failed:', error.message));
+    }, this.intervalMs);
+
+    console.log(`[LATE_DEPOSIT] ⏰ Started (every ${this.intervalMs / 1000}s)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      for (;;) {
+        const order = await this.claimNext();
+        if (!order) break;
+        await this.processRefund(order);
+      }
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  isLateDeposit(order) {
+    return LATE_DEPOSIT_ORDER_STATUSES.includes(order.status) &&
+      (order.status !== BUSINESS_OFFRAMP_STATUS.PENDING_DEPOSIT || order.isExpired);
+  }
+
+  /**
+   * Record a deposit to an expired or cancelled order and schedule its refund.
+   * Repeat reports of the same deposit leave the existing refund alone.
+   * @param {Object} order BusinessOfframpOrder
+   * @param {Object} deposit { transactionHash, amount, senderAddress }
+   * @returns {Promise<Object>} the order as recorded
+   */
+  async recordLateDeposit(order, deposit) {
+    if (order.depositRefund?.status) return order;
+
+    const network = order.targetNetwork;
+    let senderAddress = deposit.senderAddress;
+    if (!senderAddress) {
+      try {
+        senderAddress = await this.findSender(order, deposit.transactionHash);
+      } catch (error) {
+        console.warn(`[LATE_DEPOSIT] Couldn't work out who sent ${deposit.transactionHash}: ${error.message}`);
+      }
+    }
+    if (senderAddress && !depositSweeper.isValidAddress(network, senderAddress)) {
+      senderAddress = null;
+    }
+
+    const now = new Date();
+    const recorded = await BusinessOfframpOrder.findOneAndUpdate(
+      {
+        _id: order._id,
+        status: { $in: LATE_DEPOSIT_ORDER_STATUSES },
+        'depositRefund.status': { $exists: false }
+      },
+      {
+        $set: {
+          // An expired order nobody had marked yet
+          ...(order.status === BUSINESS_OFFRAMP_STATUS.PENDING_DEPOSIT && { status: BUSINESS_OFFRAMP_STATUS.EXPIRED }),
+          'depositWallet.tokensReceived': true,
+          depositRefund: {
+            status: senderAddress ? DEPOSIT_REFUND_STATUS.SCHEDULED : DEPOSIT_REFUND_STATUS.AWAITING_ADDRESS,
+            reason: order.status === BUSINESS_OFFRAMP_STATUS.CANCELLED ? 'order_cancelled' : 'order_expired',
+            depositTransactionHash: deposit.transactionHash,
+            depositAmount: parseFloat(deposit.amount),
+            detectedAt: now,
+            senderAddress,
+            ...(senderAddress && {
+              refundAddress: senderAddress,
+              addressSource: 'sender',
+              refundAfter: new Date(now.getTime() + this.delayMs)
+            }),
+            attempts: 0
+          }
+        }
+      },
+      { new: true }
+    );
+
+    // Reported twice at once - the other report recorded it
+    if (!recorded) return BusinessOfframpOrder.findById(order._id);
+
+    console.log(`[LATE_DEPOSIT] ↩️ ${recorded.orderId} (${order.status}) received ${deposit.amount} ${recorded.targetToken} - ` +
+      (senderAddress ? `refunding to ${senderAddress} after ${recorded.depositRefund.refundAfter.toISOString()}` : 'waiting for a refund address'));
+
+    await this.notifyBusiness(recorded, 'late_deposit', 'offramp_order.late_deposit');
+
+    return recorded;
+  }
+
+  /**
+   * Let the business say where the refund should go. Sent on the next run.
+   */
+  async setRefundAddress(orderId, businessId, refundAddress) {
+    if (!refundAddress) {
+      throw refundError('refundAddress is required', 'REFUND_ADDRESS_REQUIRED');
+    }
+
+    const order = await BusinessOfframpOrder.findOne({
+      $or: [{ orderId }, { businessOrderReference: orderId }],
+      businessId
+    });
+    if (!order) {
+      throw refundError('Off-ramp order not found', 'ORDER_NOT_FOUND', 404);
+    }
+    if (!ADDRESS_CHANGEABLE_STATUSES.includes(order.depositRefund?.status)) {
+      throw refundError(
+        order.depositRefund?.status
+          ? `Refund is already ${order.depositRefund.status}`
+          : 'Order has no late deposit to refund',
+        'REFUND_NOT_OPEN',
+        409
+      );
+    }
+    if (!depositSweeper.isValidAddress(order.targetNetwork, refundAddress)) {
+      throw refundError(`${refundAddress} is not a valid ${order.targetNetwork} address`, 'INVALID_REFUND_ADDRESS');
+    }
+
+    const updated = await BusinessOfframpOrder.findOneAndUpdate(
+      { _id: order._id, 'depositRefund.status': { $in: ADDRESS_CHANGEABLE_STATUSES } },
+      {
+        $set: {
+          'depositRefund.status': DEPOSIT_REFUND_STATUS.SCHEDULED,
+          'depositRefund.refundAddress': refundAddress,
+          'depositRefund.addressSource': 'business',
+          'depositRefund.refundAfter': new Date(),
+          'depositRefund.attempts': 0,
+          'depositRefund.lastError': null
+        }
+      },
+      { new: true }
+    );
+    if (!updated) {
+      throw refundError('The refund is already being sent', 'REFUND_NOT_OPEN', 409);
+    }
+
+    console.log(`[LATE_DEPOSIT] 📬 ${updated.orderId}: business set refund address ${refundAddress}`);
+    return this.formatRefund(updated);
+  }
+
+  // Due refunds are claimed by moving them to processing, so two instances never send the same one
+  claimNext() {
+    return BusinessOfframpOrder.findOneAndUpdate(
+      {
+        'depositRefund.status': DEPOSIT_REFUND_STATUS.SCHEDULED,
+        'depositRefund.refundAfter': { $lte: new Date() }
+      },
+      {
+        $set: { 'depositRefund.status': DEPOSIT_REFUND_STATUS.PROCESSING },
+        $inc: { 'depositRefund.attempts': 1 }
+      },
+      { new: true, sort: { 'depositRefund.refundAfter': 1 } }
+    );
+  }
+
+  async processRefund(order) {
+    const refund = order.depositRefund;
+
+    let transfer;
+    try {
+      transfer = await depositSweeper.refundDeposit(order, refund.refundAddress, { netOfGas: true });
+      if (!transfer) {
+        throw refundError(`The deposit wallet holds no ${order.targetToken} to refund`, 'NOTHING_TO_REFUND', 409);
+      }
+    } catch (error) {
+      return this.handleFailure(order, error);
+    }
+
+    const refunded = await BusinessOfframpOrder.findOneAndUpdate(
+      { _id: order._id },
+      {
+        $set: {
+          status: BUSINESS_OFFRAMP_STATUS.REFUNDED,
+          'depositRefund.status': DEPOSIT_REFUND_STATUS.REFUNDED,
+          'depositRefund.amount': transfer.amount,
+          'depositRefund.gasWithheld': transfer.gasWithheld || 0,
+          'depositRefund.transactionHash': transfer.transactionHash,
+          'depositRefund.refundedAt': new Date(),
+          'depositRefund.lastError': null
+        }
+      },
+      { new: true }
+    );
+
+    console.log(`[LATE_DEPOSIT] ✅ ${order.orderId} refunded ${transfer.amount} ${transfer.asset} to ${refund.refundAddress} (${transfer.transactionHash})`);
+
+    await this.notifyBusiness(refunded, 'deposit_refunded', 'offramp_order.refunded');
+  }
+
+  // Retry later, unless retrying can't help or we've tried enough
+  async handleFailure(order, error) {
+    const refund = order.depositRefund;
+    const hopeless = ['NOTHING_TO_REFUND', 'REFUND_BELOW_GAS_COST', 'INVALID_REFUND_ADDRESS'].includes(error.code);
+    const giveUp = hopeless || refund.attempts >= this.maxAttempts;
+
+    console.error(`[LATE_DEPOSIT] ❌ Refund of ${order.orderId} failed (attempt ${refund.attempts}): ${error.message}`);
+
+    const failed = await BusinessOfframpOrder.findOneAndUpdate(
+      { _id: order._id },
+      {
+        $set: {
+          'depositRefund.status': giveUp ? DEPOSIT_REFUND_STATUS.FAILED : DEPOSIT_REFUND_STATUS.SCHEDULED,
+          'depositRefund.lastError': error.message,
+          ...(giveUp
+            ? { 'metadata.requiresReview': true }
+            : { 'depositRefund.refundAfter': new Date(Date.now() + this.retryMs) })
+        }
+      },
+      { new: true }
+    );
+
+    if (giveUp) {
+      await this.notifyBusiness(failed, 'refund_failed', 'offramp_order.refund_failed');
+    }
+  }
+
+  /**
+   * The address a deposit came from - the ERC-20/SPL token owner, or the native coin's sender
+   * @returns {Promise<string|null>}
+   */
+  async findSender(order, transactionHash) {
+    const network = order.targetNetwork;
+    const depositAddress = order.depositWallet.address;
+    const tokenAddress = order.tokenContractAddress;
+
+    if (network === 'solana') {
+      return this.findSolanaSender(transactionHash, depositAddress, tokenAddress);
+    }
+
+    const provider = depositSweeper.evmProviders[network];
+    if (!provider) return null;
+
+    if (!tokenAddress || tokenAddress.toLowerCase() === NATIVE_EVM_TOKEN) {
+      const tx = await provider.getTransaction(transactionHash);
+      return tx?.to?.toLowerCase() === depositAddress.toLowerCase() ? tx.from : null;
+    }
+
+    const receipt = await provider.getTransactionReceipt(transactionHash);
+    const log = (receipt?.logs || []).find(entry =>
+      entry.address.toLowerCase() === tokenAddress.toLowerCase() &&
+      entry.topics[0] === TRANSFER_TOPIC &&
+      ethers.utils.hexDataSlice(entry.topics[2], 12).toLowerCase() === depositAddress.toLowerCase()
+    );
+    return log ? ethers.utils.getAddress(ethers.utils.hexDataSlice(log.topics[1], 12)) : null;
+  }
+
+  async findSolanaSender(signature, depositAddress, tokenAddress) {
+    const tx = await depositSweeper.solanaConnection.getParsedTransaction(signature, {
+      maxSupportedTransactionVersion: 0
+    });
+    if (!tx) return null;
+
+    const isNativeSol = !tokenAddress || tokenAddress === WRAPPED_SOL_MINT;
+    const destination = isNativeSol
+      ? depositAddress
+      : getAssociatedTokenAddressSync(new PublicKey(tokenAddress), new PublicKey(depositAddress)).toBase58();
+
+    const instructions = [
+      ...tx.transaction.message.instructions,
+      ...(tx.meta?.innerInstructions || []).flatMap(inner => inner.instructions)
+    ];
+
+    for (const instruction of instructions) {
+      const { type, info } = instruction.parsed || {};
+      if (!['transfer', 'transferChecked'].includes(type) || info?.destination !== destination) continue;
+      // SPL transfers are signed by the token account's owner
+      return isNativeSol ? info.source : (info.authority || info.multisigAuthority || null);
+    }
+    return null;
+  }
+
+  async notifyBusiness(order, event, eventType) {
+    if (!order?.webhookUrl) return;
+
+    // Required lazily - offrampWebhookHandler records late deposits through this service
+    const offrampWebhookHandler = require('./offrampWebhookHandler');
+    await offrampWebhookHandler.sendBusinessWebhook(order.webhookUrl, {
+      orderId: order.orderId,
+      businessOrderReference: order.businessOrderReference,
+      status: order.status,
+      event,
+      refund: this.formatRefund(order),
+      timestamp: new Date().toISOString()
+    }, eventType);
+  }
+
+  formatRefund(order) {
+    const refund = order.depositRefund;
+    if (!refund?.status) return null;
+
+    return {
+      status: refund.status,
+      reason: refund.reason,
+      depositTransactionHash: refund.depositTransactionHash,
+      depositAmount: refund.depositAmount,
+      detectedAt: refund.detectedAt,
+      senderAddress: refund.senderAddress,
+      refundAddress: refund.refundAddress,
+      addressSource: refund.addressSource,
+      refundAfter: refund.refundAfter,
+      attempts: refund.attempts,
+      lastError: refund.lastError,
+      amount: refund.amount,
+      gasWithheld: refund.gasWithheld,
+      transactionHash: refund.transactionHash,
+      refundedAt: refund.refundedAt
+    };
+  }
+
+  getStatus() {
+    return {
+      running: !!this.timer,
+      intervalMs: this.intervalMs,
+      delayMinutes: this.delayMs / 60000,
+      retryMinutes: this.retryMs / 60000,
+      maxAttempts: this.maxAttempts
+    };
+  }
+}
+
+module.exports = new LateDepositRefunder();
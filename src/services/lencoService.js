@@ -141,6 +141,50 @@ class LencoService {
     }
   }
 
+  // Send a bank transfer from our Lenco account (LENCO_ACCOUNT_ID)
+  async initiateTransfer({ accountNumber, bankCode, amount, reference, narration, senderName }) {
+    const accountId = process.env.LENCO_ACCOUNT_ID;
+    if (!accountId) {
+      throw new Error('LENCO_ACCOUNT_ID is not configured');
+    }
+
+    console.log(`💸 Sending Lenco transfer ${reference}: ₦${amount} to ${accountNumber} (${bankCode})`);
+
+    const response = await this.apiClient.post('/transactions', {
+      accountId,
+      accountNumber,
+      bankCode,
+      amount: String(amount),
+      narration,
+      reference,
+      senderName
+    }, { timeout: 30000 });
+
+    if (!response.data.status) {
+      throw new Error(`Lenco API error: ${response.data.message}`);
+    }
+
+    return response.data.data;
+  }
+
+  // Look up a transfer by the reference we sent it with. Resolves to null if Lenco has no such transfer.
+  async getTransferByReference(reference) {
+    try {
+      const response = await this.apiClient.get(`/transaction-by-reference/${encodeURIComponent(reference)}`);
+
+      if (!response.data.status) {
+        throw new Error(`Lenco API error: ${response.data.message}`);
+      }
+
+      return response.data.data;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
   // Check if service is properly configured
   isServiceConfigured() {
     return this.isConfigured;
@@ -8,12 +8,16 @@
  */
 
 const axios = require('axios');
+const { LiquidityReservation, LIQUIDITY_RESERVATION_STATUS } = require('../models/LiquidityReservation');
+const { BUSINESS_ORDER_STATUS } = require('../models/BusinessOnrampOrder');
 
 class LiquidityService {
   constructor(adminApiUrl = null, adminToken = null) {
     this.adminApiUrl = adminApiUrl || process.env.ADMIN_API_BASE_URL || 'http://localhost:5001';
     this.adminToken = adminToken || process.env.ADMIN_API_TOKEN;
     this.bufferPercentage = parseFloat(process.env.LIQUIDITY_BUFFER_PERCENTAGE || '5') / 100; // 5% safety buffer
+    // How long a reservation keeps holding liquidity once its order is paid and waiting on settlement
+    this.settlementHoldMinutes = parseInt(process.env.LIQUIDITY_RESERVATION_SETTLEMENT_HOLD_MINUTES || '120', 10);
     this._authDebugRun = false; // Track if we've run debug
     this._lastAuthError = null; // Track last auth error
 
@@ -291,10 +295,14 @@ class LiquidityService {
         solanaBalance: data.summary?.totalSolanaBalance || 0
       });
 
+      // Liquidity already promised to open orders is not available to this one
+      const reservedByProvider = await this.getOutstandingReservations(network, checkId);
+
       // CRITICAL: Find providers that can handle the FULL transaction amount
       const capableProviders = [];
       let maxSingleProviderBalance = 0;
       let totalNetworkLiquidity = 0;
+      let totalReserved = 0;
       let activeProvidersOnNetwork = 0;
 
       console.log(`[LIQUIDITY_CHECK_${checkId}] 🔍 Analyzing providers for ${network} network:`);
@@ -303,9 +311,12 @@ class LiquidityService {
         const provider = allProviders[i];
 
         // Get the specific network balance
-        const networkBalance = network === 'base' ? provider.balances.base :
-                              network === 'solana' ? provider.balances.solana :
-                              provider.balances.total;
+        const rawNetworkBalance = network === 'base' ? provider.balances.base :
+                                 network === 'solana' ? provider.balances.solana :
+                                 provider.balances.total;
+        const reservedAmount = reservedByProvider.get(String(provider.id)) || 0;
+        const networkBalance = Math.max(rawNetworkBalance - reservedAmount, 0);
+        totalReserved += reservedAmount;
 
         // Count active providers and total liquidity on this network
         if (networkBalance > 0) {
@@ -315,7 +326,7 @@ class LiquidityService {
         }
 
         console.log(`[LIQUIDITY_CHECK_${checkId}] 👤 Provider ${i + 1}: ${provider.user.name}`);
-        console.log(`[LIQUIDITY_CHECK_${checkId}]   - ${network} Balance: $${networkBalance} USDC`);
+        console.log(`[LIQUIDITY_CHECK_${checkId}]   - ${network} Balance: $${rawNetworkBalance} USDC (reserved $${reservedAmount}, available $${networkBalance})`);
         console.log(`[LIQUIDITY_CHECK_${checkId}]   - Active: ${provider.status.isActive ? '✅' : '❌'}`);
         console.log(`[LIQUIDITY_CHECK_${checkId}]   - Verified: ${provider.status.isVerified ? '✅' : '❌'}`);
 
@@ -332,6 +343,8 @@ class LiquidityService {
             name: provider.user.name,
             email: provider.user.email,
             balance: networkBalance,
+            totalBalance: rawNetworkBalance,
+            reserved: reservedAmount,
             remainingAfterTx: remainingBalance,
             utilizationRate: parseFloat(utilizationRate.toFixed(2)),
             walletAddress: network === 'base' ? provider.wallets.baseAddress : provider.wallets.solanaAddress,
@@ -359,7 +372,7 @@ class LiquidityService {
       console.log(`[LIQUIDITY_CHECK_${checkId}]   - Network: ${network}`);
       console.log(`[LIQUIDITY_CHECK_${checkId}]   - Total Providers: ${allProviders.length}`);
       console.log(`[LIQUIDITY_CHECK_${checkId}]   - Active on ${network}: ${activeProvidersOnNetwork}`);
-      console.log(`[LIQUIDITY_CHECK_${checkId}]   - Total ${network} Liquidity: $${totalNetworkLiquidity} USDC`);
+      console.log(`[LIQUIDITY_CHECK_${checkId}]   - Total ${network} Liquidity: $${totalNetworkLiquidity} USDC (after $${totalReserved} reserved)`);
       console.log(`[LIQUIDITY_CHECK_${checkId}]   - Max Single Provider: $${maxSingleProviderBalance} USDC`);
       console.log(`[LIQUIDITY_CHECK_${checkId}]   - Providers That Can Handle Full Amount: ${capableProviders.length}`);
       console.log(`[LIQUIDITY_CHECK_${checkId}]   - ⭐ CAN FULFILL: ${hasLiquidity ? '✅ YES' : '❌ NO'}`);
@@ -393,6 +406,7 @@ class LiquidityService {
           network,
           requiredAmount: requiredUsdcAmount,
           totalNetworkLiquidity,
+          totalReserved,
           maxSingleProviderAmount: maxSingleProviderBalance,
           liquidityRatio: maxSingleProviderBalance / requiredUsdcAmount,
           suitableProvidersCount: capableProviders.length,
@@ -515,6 +529,205 @@ class LiquidityService {
     return parseFloat(score.toFixed(1));
   }
 
+  /**
+   * Outstanding reservations per provider on a network. A failed lookup is logged and treated
+   * as no reservations so the check still reflects live provider balances.
+   */
+  async getOutstandingReservations(network, checkId = 'RESERVE') {
+    try {
+      return await LiquidityReservation.outstandingByProvider(network);
+    } catch (error) {
+      console.error(`[LIQUIDITY_CHECK_${checkId}] ⚠️  Could not load liquidity reservations:`, error.message);
+      return new Map();
+    }
+  }
+
+  /**
+   * Reserve the order's USDC against the provider picked by the liquidity check, falling back
+   * to the other suitable providers when a concurrent order claimed the balance first.
+   * A provider can hold at most its balance less the safety buffer across all reservations.
+   * Returns the reservation, or null when no candidate provider still has room.
+   * @param {Object} order - { orderId, businessId, expiresAt }
+   * @param {string} network - base | solana
+   * @param {number} requiredUsdcAmount - USDC to hold
+   * @param {Object} liquidityAnalysis - liquidityAnalysis from checkAvailability
+   */
+  async reserveForOrder(order, network, requiredUsdcAmount, liquidityAnalysis) {
+    const candidates = [];
+    for (const provider of [liquidityAnalysis?.recommendedProvider, ...(liquidityAnalysis?.allSuitableProviders || [])]) {
+      if (provider?.id && !candidates.some(c => String(c.id) === String(provider.id))) {
+        candidates.push(provider);
+      }
+    }
+
+    // Lapsed holds still count against their provider until they are expired
+    await this.expireLapsedReservations();
+
+    for (const provider of candidates) {
+      const providerBalance = provider.totalBalance ?? provider.balance;
+      const limit = providerBalance * (1 - this.bufferPercentage);
+
+      const reservation = await LiquidityReservation.reserve({
+        orderId: order.orderId,
+        businessId: order.businessId,
+        providerId: String(provider.id),
+        providerName: provider.name,
+        network,
+        amount: requiredUsdcAmount,
+        providerBalanceAtReservation: providerBalance,
+        expiresAt: order.expiresAt
+      }, limit);
+
+      if (reservation) {
+        console.log(`[LIQUIDITY_SERVICE] 🔒 Reserved $${requiredUsdcAmount} USDC on ${provider.name} (${network}) for order ${order.orderId} - limit $${limit.toFixed(2)} of $${providerBalance}`);
+        return reservation;
+      }
+
+      console.warn(`[LIQUIDITY_SERVICE] ⚠️  ${provider.name} no longer has $${requiredUsdcAmount} USDC free on ${network} (limit $${limit.toFixed(2)} of $${providerBalance}), trying next provider`);
+    }
+
+    console.error(`[LIQUIDITY_SERVICE] ❌ Could not reserve $${requiredUsdcAmount} USDC on ${network} for order ${order.orderId} (${candidates.length} candidate(s))`);
+    return null;
+  }
+
+  /**
+   * Release an order's reservation. Completed orders consume it; anything else frees it.
+   */
+  async releaseReservation(orderId, status = LIQUIDITY_RESERVATION_STATUS.RELEASED, reason = null) {
+    const reservation = await LiquidityReservation.releaseForOrder(orderId, status, reason);
+    if (reservation) {
+      console.log(`[LIQUIDITY_SERVICE] 🔓 Reservation ${reservation.reservationId} for order ${orderId} ${status} ($${reservation.amount} USDC on ${reservation.providerName || reservation.providerId})`);
+    }
+    return reservation;
+  }
+
+  /**
+   * Consume or free an order's reservation once the order has reached a final status. Called by
+   * every site that moves an onramp order to completed, failed, cancelled or expired. Errors are
+   * logged rather than thrown so they never undo the status change itself.
+   */
+  async finalizeReservation(order) {
+    let status = null;
+    if (order.status === BUSINESS_ORDER_STATUS.COMPLETED) {
+      status = LIQUIDITY_RESERVATION_STATUS.CONSUMED;
+    } else if ([BUSINESS_ORDER_STATUS.FAILED, BUSINESS_ORDER_STATUS.CANCELLED, BUSINESS_ORDER_STATUS.EXPIRED].includes(order.status)) {
+      status = LIQUIDITY_RESERVATION_STATUS.RELEASED;
+    }
+    if (!status) return null;
+
+    try {
+      return await this.releaseReservation(order.orderId, status, `Order ${order.status}`);
+    } catch (error) {
+      console.error(`[LIQUIDITY_SERVICE] ⚠️ Failed to update liquidity reservation for ${order.orderId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Networks settled from liquidity provider balances, where orders must hold a reservation
+   */
+  reservesLiquidity(network) {
+    return ['base', 'solana'].includes(network);
+  }
+
+  /**
+   * Keep holding a paid order's reservation while settlement runs. When the hold already lapsed
+   * (payment arrived after the order's 30 minutes) or the order never had one, liquidity is
+   * reserved again against current balances. Returns the reservation, or null when no provider
+   * has room for the order any more.
+   */
+  async holdReservationForSettlement(order) {
+    const expiresAt = new Date(Date.now() + this.settlementHoldMinutes * 60 * 1000);
+
+    const reservation = await LiquidityReservation.extendForOrder(order.orderId, expiresAt);
+    if (reservation) {
+      console.log(`[LIQUIDITY_SERVICE] ⏳ Reservation ${reservation.reservationId} for order ${order.orderId} held until ${expiresAt.toISOString()}`);
+      return reservation;
+    }
+
+    const requiredUsdcAmount = order.getSettlementUsdcValue() || order.metadata?.liquidityReservation?.amount;
+    if (!requiredUsdcAmount) {
+      console.error(`[LIQUIDITY_SERVICE] ❌ Order ${order.orderId} has no USDC value to reserve against`);
+      return null;
+    }
+
+    console.warn(`[LIQUIDITY_SERVICE] ⌛ Order ${order.orderId} has no live reservation - reserving $${requiredUsdcAmount} USDC again`);
+    const liquidityCheck = await this.checkAvailability(order.targetNetwork, requiredUsdcAmount);
+    if (!liquidityCheck.hasLiquidity) {
+      return null;
+    }
+
+    return this.reserveForOrder(
+      { orderId: order.orderId, businessId: order.businessId, expiresAt },
+      order.targetNetwork,
+      requiredUsdcAmount,
+      liquidityCheck.liquidityAnalysis
+    );
+  }
+
+  /**
+   * Expire reservations whose hold window has passed so their liquidity is free again
+   */
+  async expireLapsedReservations() {
+    const expired = await LiquidityReservation.expireStale();
+    if (expired > 0) {
+      console.log(`[LIQUIDITY_SERVICE] ⌛ Marked ${expired} lapsed liquidity reservation(s) as expired`);
+    }
+    return expired;
+  }
+
+  /**
+   * Reservation state for the liquidity dashboard: outstanding holds per network and provider,
+   * plus reservation outcomes over the last 24 hours. Lapsed holds are marked expired first.
+   */
+  async getReservationSummary() {
+    await this.expireLapsedReservations();
+
+    const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const [outstanding, outcomes] = await Promise.all([
+      LiquidityReservation.aggregate([
+        { $match: LiquidityReservation.outstandingFilter() },
+        {
+          $group: {
+            _id: { network: '$network', providerId: '$providerId' },
+            providerName: { $first: '$providerName' },
+            reservedAmount: { $sum: '$amount' },
+            reservations: { $sum: 1 },
+            oldestReservationAt: { $min: '$createdAt' }
+          }
+        },
+        { $sort: { reservedAmount: -1 } }
+      ]),
+      LiquidityReservation.aggregate([
+        { $match: { createdAt: { $gte: since } } },
+        { $group: { _id: '$status', count: { $sum: 1 }, amount: { $sum: '$amount' } } }
+      ])
+    ]);
+
+    const byNetwork = {};
+    for (const row of outstanding) {
+      const entry = byNetwork[row._id.network] || (byNetwork[row._id.network] = { reservedAmount: 0, reservations: 0, providers: [] });
+      entry.reservedAmount += row.reservedAmount;
+      entry.reservations += row.reservations;
+      entry.providers.push({
+        providerId: row._id.providerId,
+        providerName: row.providerName,
+        reservedAmount: row.reservedAmount,
+        reservations: row.reservations,
+        oldestReservationAt: row.oldestReservationAt
+      });
+    }
+
+    return {
+      totalReserved: outstanding.reduce((sum, row) => sum + row.reservedAmount, 0),
+      activeReservations: outstanding.reduce((sum, row) => sum + row.reservations, 0),
+      byNetwork,
+      last24Hours: Object.fromEntries(outcomes.map(row => [row._id, { count: row.count, amount: row.amount }])),
+      expiredJustNow: expired,
+      timestamp: new Date().toISOString()
+    };
+  }
+
   /**
    * Get comprehensive liquidity dashboard
    */
@@ -1049,7 +1262,8 @@ class LiquidityService {
         token: settlementData.token,
         network: settlementData.network,
         businessId: settlementData.businessId,
-        customerEmail: settlementData.customerEmail
+        customerEmail: settlementData.customerEmail,
+        ...(settlementData.liquidityProviderId && { liquidityProviderId: settlementData.liquidityProviderId })
       }, {
         headers: {
           'x-api-key': this.adminToken,
@@ -155,6 +155,155 @@ class MonnifyService {
     }
   }
 
+  /**
+   * Get the current Monnify status of a checkout transaction
+   * @param {string} transactionReference Monnify transaction reference returned by init-transaction
+   * @returns {Promise<Object>} { success, paymentStatus, amountPaid, data } or { success: false, error }
+   */
+  async getTransactionStatus(transactionReference) {
+    try {
+      if (!transactionReference) {
+        throw new Error('Transaction reference is required');
+      }
+
+      const token = await this.getAccessToken();
+
+      const response = await axios.get(
+        `${this.baseUrl}/api/v2/transactions/${encodeURIComponent(transactionReference)}`,
+        {
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+
+      const body = response.data.responseBody || {};
+
+      return {
+        success: true,
+        paymentStatus: body.paymentStatus,
+        amountPaid: body.amountPaid,
+        data: body
+      };
+    } catch (error) {
+      console.error('Transaction status error:', error.response?.data || error.message);
+      return {
+        success: false,
+        message: 'Transaction status fetch failed',
+        error: error.response?.data?.responseMessage || error.message
+      };
+    }
+  }
+
+  /**
+   * Look up a transaction by our own payment reference (for checkouts whose Monnify reference we never stored).
+   * Unlike verifyPayment this never bypasses the check in development.
+   * @param {string} paymentReference Reference we passed to init-transaction
+   * @returns {Promise<Object>} { success, found, paymentStatus, amountPaid, data } or { success: false, error }
+   */
+  async getTransactionByPaymentReference(paymentReference) {
+    try {
+      if (!paymentReference) {
+        throw new Error('Payment reference is required');
+      }
+
+      const token = await this.getAccessToken();
+
+      const response = await axios.get(
+        `${this.baseUrl}/api/v1/merchant/transactions/query`,
+        {
+          params: { paymentReference },
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+
+      const body = response.data.responseBody || {};
+
+      return {
+        success: true,
+        found: !!body.transactionReference,
+        paymentStatus: body.paymentStatus,
+        amountPaid: body.amountPaid,
+        data: body
+      };
+    } catch (error) {
+      // Monnify answers 404 for references it has never seen (customer never opened the checkout)
+      if (error.response?.status === 404) {
+        return { success: true, found: false };
+      }
+
+      console.error('Transaction query error:', error.response?.data || error.message);
+      return {
+        success: false,
+        message: 'Transaction query failed',
+        error: error.response?.data?.responseMessage || error.message
+      };
+    }
+  }
+
+  /**
+   * Charge a tokenized card (recurring payments)
+   * @param {Object} options
+   * @param {string} options.cardToken Card token Monnify returned for an earlier card payment by this customer
+   * @param {number} options.amount Amount in naira
+   * @param {string} options.customerEmail Must be the email the card was tokenized with
+   * @param {string} options.customerName Customer name
+   * @param {string} options.paymentReference Our unique reference for this charge
+   * @param {string} options.paymentDescription Description shown to the customer
+   * @param {Object} options.metaData Extra data echoed back by Monnify
+   * @returns {Promise<Object>} { success, paymentStatus, transactionReference, amountPaid, data } or { success: false, error }
+   */
+  async chargeCardToken(options) {
+    try {
+      const { cardToken, amount, customerEmail, customerName, paymentReference, paymentDescription, metaData } = options;
+
+      if (!cardToken || !amount || !customerEmail || !paymentReference) {
+        throw new Error('Card token, amount, customer email and payment reference are required');
+      }
+
+      const token = await this.getAccessToken();
+
+      const res = await axios.post(`${this.baseUrl}/api/v1/merchant/cards/charge-card-token`, {
+        cardToken,
+        amount,
+        customerName,
+        customerEmail,
+        paymentReference,
+        paymentDescription: paymentDescription || 'Recurring purchase',
+        currencyCode: 'NGN',
+        contractCode: this.contractCode,
+        apiKey: this.apiKey,
+        metaData: metaData || {}
+      }, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      const body = res.data.responseBody || {};
+
+      return {
+        success: true,
+        paymentStatus: body.paymentStatus,
+        transactionReference: body.transactionReference,
+        amountPaid: body.amountPaid,
+        data: body
+      };
+    } catch (err) {
+      console.error('Card token charge error:', err.response?.data || err.message);
+      return {
+        success: false,
+        message: 'Card token charge failed',
+        error: err.response?.data?.responseMessage || err.message
+      };
+    }
+  }
+
   /**
    * Verify a payment status by reference
    * @param {string} paymentReference The payment reference to verify
@@ -218,14 +367,181 @@ class MonnifyService {
     }
   }
 
-  async createVirtualAccount(customerName, customerEmail, bvn) {
+  /**
+   * Refund a collected transaction back to its payment source
+   * @param {Object} options Refund options
+   * @param {string} options.transactionReference Monnify transaction reference of the original payment
+   * @param {string} options.refundReference Unique refund reference
+   * @param {number} options.refundAmount Amount to refund in NGN
+   * @param {string} options.refundReason Reason shown on the Monnify dashboard
+   * @param {string} options.customerNote Note sent to the customer
+   * @returns {Promise<Object>} { success, refundStatus, data } or { success: false, error }
+   */
+  async initiateRefund(options) {
+    try {
+      const { transactionReference, refundReference, refundAmount, refundReason, customerNote } = options;
+
+      if (!transactionReference || !refundReference || !refundAmount) {
+        throw new Error('Transaction reference, refund reference and amount are required');
+      }
+
+      const token = await this.getAccessToken();
+
+      const res = await axios.post(`${this.baseUrl}/api/v1/refunds/initiate-refund`, {
+        transactionReference,
+        refundReference,
+        refundAmount,
+        refundReason: refundReason || 'Order refund',
+        customerNote: customerNote || refundReason || 'Order refund'
+      }, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      const body = res.data.responseBody || {};
+
+      return {
+        success: true,
+        refundStatus: body.refundStatus,
+        data: body
+      };
+    } catch (err) {
+      console.error('Refund initiation error:', err.response?.data || err.message);
+      return {
+        success: false,
+        message: 'Refund initiation failed',
+        error: err.response?.data?.responseMessage || err.message
+      };
+    }
+  }
+
+  async getRefundStatus(refundReference) {
+    try {
+      const token = await this.getAccessToken();
+      const res = await axios.get(`${this.baseUrl}/api/v1/refunds/${encodeURIComponent(refundReference)}`, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      const body = res.data.responseBody || {};
+
+      return {
+        success: true,
+        refundStatus: body.refundStatus,
+        data: body
+      };
+    } catch (err) {
+      return {
+        success: false,
+        message: 'Refund status fetch failed',
+        error: err.response?.data?.responseMessage || err.message
+      };
+    }
+  }
+
+  /**
+   * Send NGN from the Monnify wallet to a bank account
+   * @param {Object} options Disbursement options
+   * @param {number} options.amount Amount in NGN
+   * @param {string} options.reference Unique disbursement reference
+   * @param {string} options.narration Narration shown to the recipient
+   * @param {string} options.bankCode Destination bank code
+   * @param {string} options.accountNumber Destination account number
+   * @returns {Promise<Object>} { success, status, data } or { success: false, error }
+   */
+  async initiateDisbursement(options) {
+    try {
+      const { amount, reference, narration, bankCode, accountNumber } = options;
+
+      if (!amount || !reference || !bankCode || !accountNumber) {
+        throw new Error('Amount, reference, bank code and account number are required');
+      }
+
+      const token = await this.getAccessToken();
+
+      const res = await axios.post(`${this.baseUrl}/api/v2/disbursements/single`, {
+        amount,
+        reference,
+        narration: narration || 'Refund',
+        destinationBankCode: bankCode,
+        destinationAccountNumber: accountNumber,
+        currency: 'NGN',
+        sourceAccountNumber: process.env.MONNIFY_WALLET_ACCOUNT_NUMBER
+      }, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      const body = res.data.responseBody || {};
+
+      return {
+        success: true,
+        status: body.status,
+        data: body
+      };
+    } catch (err) {
+      console.error('Disbursement error:', err.response?.data || err.message);
+      return {
+        success: false,
+        message: 'Disbursement failed',
+        error: err.response?.data?.responseMessage || err.message,
+        // Lets callers tell a rejected request from one whose outcome is unknown (timeout)
+        httpStatus: err.response?.status,
+        errorCode: err.code
+      };
+    }
+  }
+
+  async getDisbursementStatus(reference) {
+    try {
+      const token = await this.getAccessToken();
+      const res = await axios.get(`${this.baseUrl}/api/v2/disbursements/single/summary`, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        params: { reference }
+      });
+
+      const body = res.data.responseBody || {};
+
+      return {
+        success: true,
+        status: body.status,
+        data: body
+      };
+    } catch (err) {
+      return {
+        success: false,
+        message: 'Disbursement status fetch failed',
+        error: err.response?.data?.responseMessage || err.message
+      };
+    }
+  }
+
+  /**
+   * Reserve a permanent bank account for a customer
+   * @param {string} customerName Customer's name
+   * @param {string} customerEmail Customer's email
+   * @param {string} bvn Customer's BVN (required by Monnify for new reservations)
+   * @param {Object} options Optional overrides
+   * @param {string} options.accountReference Our reference for the account (random if omitted)
+   * @param {string} options.accountName Display name on the account
+   */
+  async createVirtualAccount(customerName, customerEmail, bvn, options = {}) {
     try {
       const token = await this.getAccessToken();
-      const accountReference = crypto.randomBytes(16).toString('hex');
+      const accountReference = options.accountReference || crypto.randomBytes(16).toString('hex');
 
       const payload = {
         accountReference,
-        accountName: `${customerName} - Liquidity`,
+        accountName: options.accountName || `${customerName} - Liquidity`,
         currencyCode: 'NGN',
         contractCode: this.contractCode,
         customerEmail,
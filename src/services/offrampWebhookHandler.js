@@ -4,14 +4,65 @@
  * Compatible with ethers v5.7
  */
 
-const { BusinessOfframpOrder, BUSINESS_OFFRAMP_STATUS } = require('../models/BusinessOfframpOrder');
+const { BusinessOfframpOrder, BUSINESS_OFFRAMP_STATUS, DEPOSIT_REVIEW_STATUS } = require('../models/BusinessOfframpOrder');
+const { BusinessOfframpBatch, OFFRAMP_BATCH_STATUS, OFFRAMP_RECIPIENT_STATUS } = require('../models/BusinessOfframpBatch');
+const { OfframpCustomer } = require('../models/OfframpCustomer');
 const { ethers } = require('ethers');
-const { Connection, PublicKey } = require('@solana/web3.js');
+const { Connection, PublicKey, VersionedTransaction } = require('@solana/web3.js');
 const { getAccount } = require('@solana/spl-token');
-const walletGeneratorService = require('../services/walletGeneratorService');
+const transactionSigner = require('./transactionSigner');
+const { SIGNING_PURPOSES } = require('../models/SigningAuditLog');
+const depositSweeper = require('./depositSweeper');
+const payoutService = require('./payoutService');
+const lateDepositRefunder = require('./lateDepositRefunder');
+const rateEngine = require('./rateEngine');
+const { BASE_CONFIG } = require('../config/baseConfig');
+const { SOLANA_CONFIG } = require('../config/solanaConfig');
 const axios = require('axios');
 const crypto = require('crypto');
 
+const TRANSFER_TOPIC = ethers.utils.id('Transfer(address,address,uint256)');
+
+// Deposit token swaps go through the Uniswap V2 router on Base
+const SWAP_ROUTER_V2_ABI = [
+  'function getAmountsOut(uint amountIn, address[] path) view returns (uint[] amounts)',
+  'function swapExactTokensForTokens(uint amountIn, uint amountOutMin, address[] path, address to, uint deadline) returns (uint[] amounts)'
+];
+const SWAP_ERC20_ABI = [
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)'
+];
+
+// Payout outcomes reported by providers -> order transitions. Pending/processing reports change nothing.
+const PAYOUT_TRANSITIONS = {
+  successful: {
+    from: [BUSINESS_OFFRAMP_STATUS.PENDING_PAYOUT],
+    to: BUSINESS_OFFRAMP_STATUS.COMPLETED,
+    event: 'payout_completed',
+    webhookEvent: 'offramp_order.completed'
+  },
+  failed: {
+    from: [BUSINESS_OFFRAMP_STATUS.PENDING_PAYOUT],
+    to: BUSINESS_OFFRAMP_STATUS.FAILED,
+    event: 'payout_failed',
+    webhookEvent: 'offramp_order.failed'
+  },
+  // Banks can return a payout after it was reported successful
+  reversed: {
+    from: [BUSINESS_OFFRAMP_STATUS.PENDING_PAYOUT, BUSINESS_OFFRAMP_STATUS.COMPLETED],
+    to: BUSINESS_OFFRAMP_STATUS.FAILED,
+    event: 'payout_reversed',
+    webhookEvent: 'offramp_order.payout_reversed'
+  }
+};
+
+// Same for batch recipients
+const RECIPIENT_PAYOUT_TRANSITIONS = {
+  successful: [OFFRAMP_RECIPIENT_STATUS.PROCESSING],
+  failed: [OFFRAMP_RECIPIENT_STATUS.PROCESSING],
+  reversed: [OFFRAMP_RECIPIENT_STATUS.PROCESSING, OFFRAMP_RECIPIENT_STATUS.COMPLETED]
+};
+
 class OfframpWebhookHandler {
   constructor() {
     // Initialize blockchain connections (ethers v5.7 syntax)
@@ -24,6 +75,14 @@ class OfframpWebhookHandler {
       'confirmed'
     );
     
+    // Slippage protection for deposit swaps
+    //  - OFFRAMP_SWAP_SLIPPAGE_PERCENT: how far below the locked rate's USDC output a swap may land
+    //  - OFFRAMP_SWAP_RETRY_MINUTES / OFFRAMP_SWAP_MAX_ATTEMPTS: swaps that would exceed it wait in
+    //    swap_retry and are tried again (by swapRetryScheduler) until the attempts run out
+    this.swapSlippagePercent = parseFloat(process.env.OFFRAMP_SWAP_SLIPPAGE_PERCENT || '1');
+    this.swapRetryMs = parseInt(process.env.OFFRAMP_SWAP_RETRY_MINUTES || '5') * 60 * 1000;
+    this.swapMaxAttempts = parseInt(process.env.OFFRAMP_SWAP_MAX_ATTEMPTS || '6');
+    
     console.log('🚀 Off-ramp webhook handler initialized');
   }
 
@@ -41,7 +100,9 @@ class OfframpWebhookHandler {
         amount, 
         network,
         blockNumber,
-        confirmations 
+        confirmations,
+        senderAddress,
+        logIndex
       } = req.body;
       
       // Validate required fields
@@ -52,105 +113,655 @@ class OfframpWebhookHandler {
         });
       }
       
-      console.log(`[DEPOSIT_WEBHOOK] Deposit: ${amount} tokens to ${walletAddress} on ${network}`);
-      console.log(`[DEPOSIT_WEBHOOK] Transaction: ${transactionHash}`);
+      const result = await this.confirmDeposit({
+        walletAddress,
+        transactionHash,
+        tokenAddress,
+        amount,
+        network,
+        blockNumber,
+        confirmations,
+        senderAddress,
+        logIndex
+      });
       
-      // Find the corresponding order
-      const order = await BusinessOfframpOrder.findByDepositWallet(walletAddress);
+      res.status(result.statusCode).json(result.body);
       
-      if (!order) {
-        console.warn(`[DEPOSIT_WEBHOOK] No order found for wallet: ${walletAddress}`);
-        return res.status(404).json({
-          success: false,
-          message: 'No order found for this wallet address'
-        });
+    } catch (error) {
+      console.error('[DEPOSIT_WEBHOOK] Error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to process deposit confirmation',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Apply a confirmed deposit to the order (or batch) that owns the wallet.
+   * Shared by the deposit-confirmation webhook and the built-in deposit watcher.
+   * @returns {Promise<{statusCode: number, body: Object}>}
+   */
+  async confirmDeposit(deposit) {
+    const { walletAddress, transactionHash, amount, network } = deposit;
+    
+    console.log(`[DEPOSIT_WEBHOOK] Deposit: ${amount} tokens to ${walletAddress} on ${network}`);
+    console.log(`[DEPOSIT_WEBHOOK] Transaction: ${transactionHash}`);
+    
+    // A registered customer's permanent address - every deposit opens its own order
+    const customer = await OfframpCustomer.findByDepositAddress(walletAddress);
+    if (customer) {
+      // Every EVM transfer needs its log index so the watcher and external monitors agree on
+      // the deposit reference; derive it from the receipt when the caller left it out
+      if (network !== 'solana' && deposit.logIndex == null) {
+        const logIndex = await this.resolveTransferLogIndex(deposit);
+        if (logIndex == null) {
+          return {
+            statusCode: 400,
+            body: {
+              success: false,
+              message: 'logIndex is required for deposits to permanent customer addresses: the transaction has no single matching token transfer',
+              code: 'LOG_INDEX_REQUIRED'
+            }
+          };
+        }
+        deposit = { ...deposit, logIndex };
+      }
+
+      // Required here rather than at the top: the controller depends on this handler
+      const businessOfframpController = require('../controllers/businessOfframpController');
+      return businessOfframpController.processCustomerDeposit(customer, deposit);
+    }
+    
+    // Find the corresponding order
+    const order = await BusinessOfframpOrder.findByDepositWallet(walletAddress);
+    
+    if (!order) {
+      // Batch off-ramps take a single deposit for many payouts
+      const batch = await BusinessOfframpBatch.findByDepositWallet(walletAddress);
+      if (batch) {
+        return this.handleBatchDeposit(batch, { transactionHash, amount, network });
       }
       
-      // Check if order is still valid
-      if (order.isExpired) {
-        console.warn(`[DEPOSIT_WEBHOOK] Order ${order.orderId} has expired`);
-        await order.updateStatus(BUSINESS_OFFRAMP_STATUS.EXPIRED);
-        
-        return res.status(400).json({
+      console.warn(`[DEPOSIT_WEBHOOK] No order found for wallet: ${walletAddress}`);
+      return {
+        statusCode: 404,
+        body: {
           success: false,
-          message: 'Order has expired',
+          message: 'No order found for this wallet address'
+        }
+      };
+    }
+    
+    return this.applyOrderDeposit(order, deposit);
+  }
+
+  /**
+   * Log index of the token transfer to the deposit address in an EVM transaction.
+   * Returns null when the receipt is missing or holds no single matching transfer.
+   */
+  async resolveTransferLogIndex({ transactionHash, walletAddress, tokenAddress, network }) {
+    // Same per-network providers as the sweeper and deposit watcher (base, ethereum)
+    const provider = depositSweeper.evmProviders[String(network).toLowerCase()];
+    if (!tokenAddress || !provider) return null;
+
+    const receipt = await provider.getTransactionReceipt(transactionHash);
+    const transfers = (receipt?.logs || []).filter(entry =>
+      entry.address.toLowerCase() === tokenAddress.toLowerCase() &&
+      entry.topics[0] === TRANSFER_TOPIC &&
+      entry.topics.length >= 3 &&
+      ethers.utils.hexDataSlice(entry.topics[2], 12).toLowerCase() === walletAddress.toLowerCase()
+    );
+
+    return transfers.length === 1 ? transfers[0].logIndex : null;
+  }
+
+  /**
+   * Check a deposit against its order and start the swap
+   * @returns {Promise<{statusCode: number, body: Object}>}
+   */
+  async applyOrderDeposit(order, deposit) {
+    const { transactionHash, amount, network } = deposit;
+    
+    // Deposits to expired or cancelled orders go back to whoever sent them (see lateDepositRefunder)
+    if (lateDepositRefunder.isLateDeposit(order)) {
+      console.warn(`[DEPOSIT_WEBHOOK] Order ${order.orderId} is ${order.status === BUSINESS_OFFRAMP_STATUS.PENDING_DEPOSIT ? 'expired' : order.status} - deposit will be refunded`);
+      const recorded = await lateDepositRefunder.recordLateDeposit(order, deposit);
+      
+      return {
+        statusCode: 200,
+        body: {
+          success: true,
+          message: `Order is ${recorded.status} - deposit will be refunded`,
+          orderId: recorded.orderId,
+          status: recorded.status,
+          refund: lateDepositRefunder.formatRefund(recorded)
+        }
+      };
+    }
+    
+    // The watcher and an external monitor can both report the same deposit
+    if (order.status !== BUSINESS_OFFRAMP_STATUS.PENDING_DEPOSIT) {
+      console.log(`[DEPOSIT_WEBHOOK] Order ${order.orderId} already ${order.status} - ignoring repeat deposit`);
+      return {
+        statusCode: 200,
+        body: {
+          success: true,
+          message: `Deposit already processed (${order.status})`,
+          orderId: order.orderId,
+          status: order.status
+        }
+      };
+    }
+    
+    // Verify the deposit amount matches expected amount (with some tolerance)
+    const expectedAmount = parseFloat(order.tokenAmount);
+    const receivedAmount = parseFloat(amount);
+    const tolerance = 0.01; // 1% tolerance
+    const amountDifference = Math.abs(expectedAmount - receivedAmount);
+    const isAmountValid = amountDifference <= (expectedAmount * tolerance);
+    const receivedAt = new Date();
+    
+    // Claim the order so only one of two racing reports (watcher, webhook, another instance) swaps and pays out
+    const claimedOrder = await BusinessOfframpOrder.findOneAndUpdate(
+      { _id: order._id, status: BUSINESS_OFFRAMP_STATUS.PENDING_DEPOSIT },
+      {
+        $set: {
+          status: BUSINESS_OFFRAMP_STATUS.DEPOSIT_RECEIVED,
+          depositReceivedAt: receivedAt,
+          transactionHash,
+          'depositWallet.tokensReceived': true,
+          'depositWallet.receivedAt': receivedAt,
+          'depositWallet.receivedAmount': receivedAmount,
+          updatedAt: receivedAt,
+          // Held in deposit_received until an admin approves, refunds or rejects it (see depositReviewService)
+          ...(!isAmountValid && {
+            depositReview: {
+              status: DEPOSIT_REVIEW_STATUS.PENDING,
+              expectedAmount,
+              receivedAmount,
+              flaggedAt: receivedAt
+            },
+            'metadata.requiresReview': true
+          })
+        }
+      },
+      { new: true }
+    );
+    
+    if (!claimedOrder) {
+      console.log(`[DEPOSIT_WEBHOOK] Order ${order.orderId} was claimed by another deposit report - ignoring`);
+      return {
+        statusCode: 200,
+        body: {
+          success: true,
+          message: 'Deposit already processed',
           orderId: order.orderId
-        });
-      }
+        }
+      };
+    }
+    order = claimedOrder;
+    
+    if (!isAmountValid) {
+      console.warn(`[DEPOSIT_WEBHOOK] Amount mismatch for order ${order.orderId}`);
+      console.warn(`  Expected: ${expectedAmount}, Received: ${receivedAmount}`);
       
-      // Verify the deposit amount matches expected amount (with some tolerance)
-      const expectedAmount = parseFloat(order.tokenAmount);
-      const receivedAmount = parseFloat(amount);
-      const tolerance = 0.01; // 1% tolerance
-      const amountDifference = Math.abs(expectedAmount - receivedAmount);
-      const isAmountValid = amountDifference <= (expectedAmount * tolerance);
+      // Send notification for manual review
+      await this.sendAmountMismatchNotification(order, expectedAmount, receivedAmount);
       
-      if (!isAmountValid) {
-        console.warn(`[DEPOSIT_WEBHOOK] Amount mismatch for order ${order.orderId}`);
-        console.warn(`  Expected: ${expectedAmount}, Received: ${receivedAmount}`);
-        
-        // Still process but flag for manual review
-        await order.updateStatus(BUSINESS_OFFRAMP_STATUS.DEPOSIT_RECEIVED, {
-          transactionHash,
-          receivedAmount,
-          amountMismatch: true,
-          expectedAmount,
-          requiresReview: true
-        });
-        
-        // Send notification for manual review
-        await this.sendAmountMismatchNotification(order, expectedAmount, receivedAmount);
-        
-        return res.json({
+      return {
+        statusCode: 200,
+        body: {
           success: true,
           message: 'Deposit received but amount mismatch detected - requires manual review',
           orderId: order.orderId,
           requiresReview: true
-        });
-      }
-      
-      // Update order status to deposit received
-      await order.updateStatus(BUSINESS_OFFRAMP_STATUS.DEPOSIT_RECEIVED, {
+        }
+      };
+    }
+    
+    console.log(`[DEPOSIT_WEBHOOK] ✅ Order ${order.orderId} deposit confirmed`);
+    
+    // Send business webhook
+    if (order.webhookUrl) {
+      await this.sendBusinessWebhook(order.webhookUrl, {
+        orderId: order.orderId,
+        businessOrderReference: order.businessOrderReference,
+        status: order.status,
+        event: 'deposit_received',
         transactionHash,
         receivedAmount,
-        blockNumber,
-        confirmations
-      });
-      
-      console.log(`[DEPOSIT_WEBHOOK] ✅ Order ${order.orderId} deposit confirmed`);
-      
-      // Send business webhook
-      if (order.webhookUrl) {
-        await this.sendBusinessWebhook(order.webhookUrl, {
-          orderId: order.orderId,
-          businessOrderReference: order.businessOrderReference,
-          status: order.status,
-          event: 'deposit_received',
-          transactionHash,
-          receivedAmount,
-          network,
-          timestamp: new Date().toISOString()
-        }, 'offramp_order.deposit_received');
-      }
-      
-      // Initiate token swap processing
-      await this.initiateTokenSwap(order);
-      
-      res.json({
+        network,
+        timestamp: new Date().toISOString()
+      }, 'offramp_order.deposit_received');
+    }
+    
+    // Initiate token swap processing
+    await this.initiateTokenSwap(order);
+    
+    return {
+      statusCode: 200,
+      body: {
         success: true,
         message: 'Deposit confirmed and processing initiated',
         orderId: order.orderId,
         status: order.status
-      });
-      
+      }
+    };
+  }
+
+  /**
+   * Handle the single deposit for a batch off-ramp
+   */
+  async handleBatchDeposit(batch, deposit) {
+    const { transactionHash, amount, network } = deposit;
+
+    if (batch.status !== OFFRAMP_BATCH_STATUS.PENDING_DEPOSIT) {
+      console.log(`[DEPOSIT_WEBHOOK] Batch ${batch.batchId} already ${batch.status} - ignoring repeat deposit webhook`);
+      return {
+        statusCode: 200,
+        body: {
+          success: true,
+          message: `Batch deposit already processed (${batch.status})`,
+          batchId: batch.batchId,
+          status: batch.status
+        }
+      };
+    }
+
+    if (batch.isExpired) {
+      console.warn(`[DEPOSIT_WEBHOOK] Batch ${batch.batchId} has expired`);
+      await BusinessOfframpBatch.updateOne(
+        { batchId: batch.batchId, status: OFFRAMP_BATCH_STATUS.PENDING_DEPOSIT },
+        { $set: { status: OFFRAMP_BATCH_STATUS.EXPIRED } }
+      );
+
+      return {
+        statusCode: 400,
+        body: {
+          success: false,
+          message: 'Batch has expired',
+          batchId: batch.batchId
+        }
+      };
+    }
+
+    // Recipients are paid fixed amounts, so a short deposit can't be fanned out
+    const expectedAmount = parseFloat(batch.tokenAmount);
+    const receivedAmount = parseFloat(amount);
+    const tolerance = 0.01; // 1% tolerance
+    const isUnderpaid = receivedAmount < expectedAmount * (1 - tolerance);
+    const nextStatus = isUnderpaid ? OFFRAMP_BATCH_STATUS.REQUIRES_REVIEW : OFFRAMP_BATCH_STATUS.DEPOSIT_RECEIVED;
+
+    // Claim the batch so a retried webhook can't start a second round of payouts
+    const claimedBatch = await BusinessOfframpBatch.findOneAndUpdate(
+      { batchId: batch.batchId, status: OFFRAMP_BATCH_STATUS.PENDING_DEPOSIT },
+      {
+        $set: {
+          status: nextStatus,
+          depositReceivedAt: new Date(),
+          'depositWallet.tokensReceived': true,
+          'depositWallet.receivedAmount': receivedAmount,
+          'depositWallet.receivedAt': new Date(),
+          'depositWallet.transactionHash': transactionHash,
+          ...(isUnderpaid && {
+            failureReason: `Deposit of ${receivedAmount} ${batch.targetToken} is below the ${expectedAmount} required`
+          })
+        }
+      },
+      { new: true }
+    );
+
+    if (!claimedBatch) {
+      return {
+        statusCode: 200,
+        body: {
+          success: true,
+          message: 'Batch deposit already processed',
+          batchId: batch.batchId
+        }
+      };
+    }
+
+    if (isUnderpaid) {
+      console.warn(`[DEPOSIT_WEBHOOK] Batch ${batch.batchId} underpaid - expected ${expectedAmount}, received ${receivedAmount}`);
+
+      await this.sendAmountMismatchNotification(claimedBatch, expectedAmount, receivedAmount);
+
+      if (claimedBatch.webhookUrl) {
+        await this.sendBusinessWebhook(claimedBatch.webhookUrl, {
+          batchId: claimedBatch.batchId,
+          status: claimedBatch.status,
+          expectedAmount,
+          receivedAmount,
+          transactionHash,
+          network
+        }, 'offramp_batch.requires_review');
+      }
+
+      return {
+        statusCode: 200,
+        body: {
+          success: true,
+          message: 'Deposit received but below the batch total - requires manual review',
+          batchId: claimedBatch.batchId,
+          requiresReview: true
+        }
+      };
+    }
+
+    console.log(`[DEPOSIT_WEBHOOK] ✅ Batch ${claimedBatch.batchId} deposit confirmed`);
+
+    if (claimedBatch.webhookUrl) {
+      await this.sendBusinessWebhook(claimedBatch.webhookUrl, {
+        batchId: claimedBatch.batchId,
+        status: claimedBatch.status,
+        transactionHash,
+        receivedAmount,
+        network
+      }, 'offramp_batch.deposit_received');
+    }
+
+    // Payouts can take a while for large batches - don't hold the caller up
+    this.processBatchDeposit(claimedBatch)
+      .catch(error => console.error(`[BATCH_PAYOUT] Batch ${claimedBatch.batchId} processing error:`, error));
+
+    return {
+      statusCode: 200,
+      body: {
+        success: true,
+        message: 'Batch deposit confirmed and payouts initiated',
+        batchId: claimedBatch.batchId,
+        status: claimedBatch.status
+      }
+    };
+  }
+
+  /**
+   * Convert a batch deposit and fan out the payouts
+   */
+  async processBatchDeposit(batch) {
+    try {
+      console.log(`[BATCH_PAYOUT] Converting deposit for batch ${batch.batchId}`);
+
+      let swapResult;
+      const protection = await this.getSwapProtection(batch);
+
+      if (batch.targetNetwork === 'base') {
+        swapResult = await this.executeBaseTokenSwap(batch, protection.minimumOutput);
+      } else if (batch.targetNetwork === 'solana') {
+        swapResult = await this.executeSolanaTokenSwap(batch, protection.minimumOutput);
+      } else {
+        throw new Error(`Unsupported network for swap: ${batch.targetNetwork}`);
+      }
+
+      // Nothing was swapped, so the deposit is still whole - hold it for review rather than failing
+      if (!swapResult.success && swapResult.slippageExceeded) {
+        console.warn(`[BATCH_PAYOUT] ⏳ Batch ${batch.batchId} over the ${protection.slippageBudgetPercent}% slippage budget - requires review`);
+
+        batch.status = OFFRAMP_BATCH_STATUS.REQUIRES_REVIEW;
+        batch.failureReason = `Token swap exceeded the ${protection.slippageBudgetPercent}% slippage budget: ${swapResult.error || `output below the minimum of ${protection.minimumOutput} USDC`}`;
+        await batch.save();
+
+        if (batch.webhookUrl) {
+          await this.sendBusinessWebhook(batch.webhookUrl, this.formatBatchWebhook(batch), 'offramp_batch.requires_review');
+        }
+        return;
+      }
+
+      if (!swapResult.success) {
+        return this.failBatch(batch, `Token swap failed: ${swapResult.error}`);
+      }
+
+      // Make sure the converted amount covers every recipient before paying anyone
+      const usdcToNgnRate = await this.getCurrentOfframpRate(batch.metadata?.currentOfframpRate);
+      const availableNgn = swapResult.usdcAmount * usdcToNgnRate;
+      const tolerance = 0.05; // 5% tolerance for slippage
+
+      batch.swapTransactionHash = swapResult.transactionHash;
+      batch.usdcReceived = swapResult.usdcAmount;
+
+      if (availableNgn < batch.totalPayoutAmount * (1 - tolerance)) {
+        console.warn(`[BATCH_PAYOUT] Batch ${batch.batchId} converted to ₦${availableNgn.toLocaleString()}, needs ₦${batch.totalPayoutAmount.toLocaleString()}`);
+
+        batch.status = OFFRAMP_BATCH_STATUS.REQUIRES_REVIEW;
+        batch.failureReason = `Converted amount ₦${Math.floor(availableNgn).toLocaleString()} does not cover payouts of ₦${batch.totalPayoutAmount.toLocaleString()}`;
+        await batch.save();
+
+        await this.sendAmountMismatchNotification(batch, batch.totalPayoutAmount, availableNgn);
+        return;
+      }
+
+      batch.status = OFFRAMP_BATCH_STATUS.PAYING_OUT;
+      await batch.save();
+
+      await this.processBatchPayouts(batch);
+
     } catch (error) {
-      console.error('[DEPOSIT_WEBHOOK] Error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to process deposit confirmation',
-        error: error.message
+      console.error(`[BATCH_PAYOUT] Error converting batch ${batch.batchId}:`, error);
+      await this.failBatch(batch, `Swap processing error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Pay every pending recipient in a batch, one at a time
+   */
+  async processBatchPayouts(batch) {
+    for (let i = 0; i < batch.recipients.length; i++) {
+      const recipient = batch.recipients[i];
+      if (recipient.status !== OFFRAMP_RECIPIENT_STATUS.PENDING) continue;
+
+      const payoutReference = `OFFRAMP-BATCH-${batch.batchId}-${recipient.recipientNumber}`;
+
+      // Marked processing before the call so a crash mid-payout can't lead to paying twice
+      await this.setBatchRecipient(batch, i, {
+        status: OFFRAMP_RECIPIENT_STATUS.PROCESSING,
+        payoutReference
       });
+
+      const payoutResult = await this.executeBankPayout({
+        accountNumber: recipient.accountNumber,
+        accountName: recipient.accountName,
+        bankCode: recipient.bankCode,
+        amount: recipient.amount,
+        reference: payoutReference,
+        narration: recipient.narration || `Crypto offramp payment for ${batch.targetToken}`
+      });
+
+      if (!payoutResult.success && payoutResult.outcomeUnknown) {
+        // Leave it processing - it may have been paid, so it mustn't be retried or marked failed
+        console.error(`[BATCH_PAYOUT] ⚠️ Recipient ${recipient.recipientNumber} of ${batch.batchId} outcome unknown: ${payoutResult.error}`);
+        await this.setBatchRecipient(batch, i, {
+          payoutProvider: payoutResult.provider,
+          payoutSubmittedAt: new Date(),
+          error: `Outcome unknown: ${payoutResult.error}`
+        });
+        continue;
+      }
+
+      if (!payoutResult.success) {
+        console.error(`[BATCH_PAYOUT] ❌ Recipient ${recipient.recipientNumber} of ${batch.batchId} failed: ${payoutResult.error}`);
+        await this.setBatchRecipient(batch, i, {
+          status: OFFRAMP_RECIPIENT_STATUS.FAILED,
+          error: payoutResult.error
+        });
+        continue;
+      }
+
+      // Providers that queue payouts confirm later through the payout-status webhook or poller
+      const confirmed = payoutResult.status === 'completed';
+
+      await this.setBatchRecipient(batch, i, {
+        providerReference: payoutResult.reference,
+        payoutTransactionId: payoutResult.transactionId,
+        payoutProvider: payoutResult.provider,
+        payoutFee: payoutResult.fee,
+        payoutSubmittedAt: new Date(),
+        ...(confirmed && {
+          status: OFFRAMP_RECIPIENT_STATUS.COMPLETED,
+          paidAt: new Date()
+        })
+      });
+
+      console.log(`[BATCH_PAYOUT] ✅ Recipient ${recipient.recipientNumber} of ${batch.batchId} ${confirmed ? 'paid' : 'submitted'}`);
     }
+
+    await this.refreshBatchStatus(batch.batchId);
+  }
+
+  /**
+   * Apply a payout outcome to a batch recipient. Resolves to null if no batch uses the reference,
+   * otherwise to { changed, batch, reason }.
+   */
+  async handleBatchPayoutStatus({ reference, status, transactionId, failureReason, provider }) {
+    const batch = await BusinessOfframpBatch.findByPayoutReference(reference);
+    if (!batch) return null;
+
+    const index = batch.recipients.findIndex(
+      r => r.payoutReference === reference || r.providerReference === reference
+    );
+    const recipient = batch.recipients[index];
+    const outcome = status === 'completed' ? 'successful' : status;
+
+    if (!RECIPIENT_PAYOUT_TRANSITIONS[outcome]) {
+      return { changed: false, batch, reason: `Payout is still ${status}` };
+    }
+
+    if (provider && recipient.payoutProvider && provider !== recipient.payoutProvider) {
+      console.warn(`[PAYOUT_WEBHOOK] ⚠️ ${provider} reported on ${reference}, which was sent through ${recipient.payoutProvider} - ignored`);
+      return { changed: false, batch, reason: `Payout was sent through ${recipient.payoutProvider}` };
+    }
+
+    const fields = outcome === 'successful'
+      ? {
+          status: OFFRAMP_RECIPIENT_STATUS.COMPLETED,
+          paidAt: new Date(),
+          ...(transactionId && { payoutTransactionId: transactionId })
+        }
+      : {
+          status: OFFRAMP_RECIPIENT_STATUS.FAILED,
+          error: outcome === 'reversed'
+            ? `Payout reversed: ${failureReason || 'returned by the recipient bank'}`
+            : failureReason || 'Payout failed'
+        };
+
+    const changed = await this.setBatchRecipient(batch, index, fields, RECIPIENT_PAYOUT_TRANSITIONS[outcome]);
+    if (!changed) {
+      return { changed: false, batch, reason: 'Payout status already applied' };
+    }
+
+    console.log(`[PAYOUT_WEBHOOK] Batch ${batch.batchId} recipient ${recipient.recipientNumber} is ${outcome}`);
+
+    const refreshed = await this.refreshBatchStatus(batch.batchId);
+
+    // A finished batch has already sent its completion webhook - tell the business about the reversal separately
+    if (outcome === 'reversed' && refreshed.status !== OFFRAMP_BATCH_STATUS.PAYING_OUT && refreshed.webhookUrl) {
+      await this.sendBusinessWebhook(refreshed.webhookUrl, {
+        ...this.formatBatchWebhook(refreshed),
+        event: 'payout_reversed',
+        recipientNumber: recipient.recipientNumber,
+        payoutReference: recipient.payoutReference,
+        failureReason: fields.error
+      }, 'offramp_batch.payout_reversed');
+    }
+
+    return { changed: true, batch: refreshed };
+  }
+
+  /**
+   * Update one recipient in place so concurrent payout webhooks don't overwrite each other.
+   * With fromStatuses the update only applies while the recipient is still in one of them;
+   * resolves to whether it applied.
+   */
+  async setBatchRecipient(batch, index, fields, fromStatuses) {
+    const filter = { _id: batch._id };
+    if (fromStatuses) {
+      filter[`recipients.${index}.status`] = { $in: fromStatuses };
+    }
+
+    const update = {};
+    for (const [field, value] of Object.entries(fields)) {
+      update[`recipients.${index}.${field}`] = value;
+    }
+
+    const result = await BusinessOfframpBatch.updateOne(filter, { $set: update });
+    if (result.matchedCount === 0) return false;
+
+    Object.assign(batch.recipients[index], fields);
+    return true;
+  }
+
+  /**
+   * Recount recipients and send the completion webhook once the last payout settles
+   */
+  async refreshBatchStatus(batchId) {
+    const batch = await BusinessOfframpBatch.findOne({ batchId });
+    const previousStatus = batch.status;
+
+    batch.refreshPayoutTotals();
+
+    // Only the update that moves the batch out of paying_out sends the completion webhook
+    const finalized = await BusinessOfframpBatch.findOneAndUpdate(
+      { _id: batch._id, status: previousStatus },
+      {
+        $set: {
+          status: batch.status,
+          completedCount: batch.completedCount,
+          failedCount: batch.failedCount,
+          ...(batch.completedAt && { completedAt: batch.completedAt })
+        }
+      },
+      { new: true }
+    );
+
+    if (finalized && previousStatus === OFFRAMP_BATCH_STATUS.PAYING_OUT && finalized.status !== previousStatus) {
+      console.log(`[BATCH_PAYOUT] 🏁 Batch ${batchId} ${finalized.status}: ${finalized.completedCount} paid, ${finalized.failedCount} failed`);
+
+      if (finalized.webhookUrl) {
+        await this.sendBusinessWebhook(finalized.webhookUrl, this.formatBatchWebhook(finalized), 'offramp_batch.completed');
+      }
+    }
+
+    return finalized || batch;
+  }
+
+  /**
+   * Mark a batch as failed before any payout was sent
+   */
+  async failBatch(batch, reason) {
+    console.error(`[BATCH_PAYOUT] ❌ Batch ${batch.batchId} failed: ${reason}`);
+
+    batch.status = OFFRAMP_BATCH_STATUS.FAILED;
+    batch.failureReason = reason;
+    await batch.save();
+
+    if (batch.webhookUrl) {
+      await this.sendBusinessWebhook(batch.webhookUrl, this.formatBatchWebhook(batch), 'offramp_batch.failed');
+    }
+  }
+
+  formatBatchWebhook(batch) {
+    return {
+      batchId: batch.batchId,
+      status: batch.status,
+      totalPayoutAmount: batch.totalPayoutAmount,
+      recipientCount: batch.recipientCount,
+      completedCount: batch.completedCount,
+      failedCount: batch.failedCount,
+      failureReason: batch.failureReason,
+      recipients: batch.recipients.map(recipient => ({
+        recipientNumber: recipient.recipientNumber,
+        accountNumber: recipient.accountNumber,
+        accountName: recipient.accountName,
+        bankCode: recipient.bankCode,
+        amount: recipient.amount,
+        reference: recipient.reference,
+        status: recipient.status,
+        payoutReference: recipient.payoutReference,
+        error: recipient.error
+      })),
+      completedAt: batch.completedAt
+    };
   }
 
   /**
@@ -165,21 +776,19 @@ class OfframpWebhookHandler {
         swapInitiatedAt: new Date()
       });
       
-      // Get wallet private key for swap execution
-      const walletKeys = await walletGeneratorService.getWalletPrivateKey(
-        order.depositWallet.privateKey
-      );
-      
-      if (!walletKeys.success) {
-        throw new Error(`Failed to decrypt wallet keys: ${walletKeys.error}`);
-      }
+      const protection = await this.getSwapProtection(order);
+      order.swap = {
+        ...protection,
+        attempts: (order.swap?.attempts || 0) + 1,
+        lastAttemptAt: new Date()
+      };
       
       let swapResult;
       
       if (order.targetNetwork === 'base') {
-        swapResult = await this.executeBaseTokenSwap(order, walletKeys.privateKey);
+        swapResult = await this.executeBaseTokenSwap(order, protection.minimumOutput);
       } else if (order.targetNetwork === 'solana') {
-        swapResult = await this.executeSolanaTokenSwap(order, walletKeys.privateKey);
+        swapResult = await this.executeSolanaTokenSwap(order, protection.minimumOutput);
       } else {
         throw new Error(`Unsupported network for swap: ${order.targetNetwork}`);
       }
@@ -187,19 +796,25 @@ class OfframpWebhookHandler {
       if (swapResult.success) {
         console.log(`[TOKEN_SWAP] ✅ Swap completed for order ${order.orderId}`);
         
-        // Update order with swap results
-        await order.updateStatus(BUSINESS_OFFRAMP_STATUS.PENDING_PAYOUT, {
-          swapTransactionHash: swapResult.transactionHash,
-          swapCompletedAt: new Date(),
-          usdcReceived: swapResult.usdcAmount
-        });
+        order.swap.actualOutput = swapResult.usdcAmount;
+        order.swap.slippagePercent = protection.quotedOutput > 0
+          ? parseFloat(((protection.quotedOutput - swapResult.usdcAmount) / protection.quotedOutput * 100).toFixed(4))
+          : 0;
+        order.swap.lastError = null;
+        order.swapTransactionHash = swapResult.transactionHash;
+        
+        await order.updateStatus(BUSINESS_OFFRAMP_STATUS.PENDING_PAYOUT);
         
         // Initiate bank payout
         await this.initiateBankPayout(order, swapResult.usdcAmount);
         
+      } else if (swapResult.slippageExceeded) {
+        await this.scheduleSwapRetry(order, swapResult);
+        
       } else {
         console.error(`[TOKEN_SWAP] ❌ Swap failed for order ${order.orderId}:`, swapResult.error);
         
+        order.swap.lastError = swapResult.error;
         await order.updateStatus(BUSINESS_OFFRAMP_STATUS.FAILED, {
           failureReason: `Token swap failed: ${swapResult.error}`,
           failureStage: 'token_swap'
@@ -217,14 +832,103 @@ class OfframpWebhookHandler {
   }
 
   /**
-   * Execute token swap on Base network
+   * The least USDC a deposit's swap may return. quotedOutput is what the deposit is worth at the
+   * order's locked rate (NGN per token over the locked USDC rate), so a swap at or above
+   * minimumOutput still funds the NGN amount promised to the business, within the slippage budget.
+   * Works for orders and batches alike.
    */
-  async executeBaseTokenSwap(order, privateKey) {
+  async getSwapProtection(order) {
+    const tokenAmount = parseFloat(order.depositWallet?.receivedAmount || order.tokenAmount);
+    const usdcRate = order.metadata?.currentOfframpRate || await this.getCurrentOfframpRate();
+    
+    const quotedOutput = order.targetToken.toUpperCase() === 'USDC'
+      ? tokenAmount
+      : tokenAmount * order.exchangeRate / usdcRate;
+    const minimumOutput = quotedOutput * (1 - this.swapSlippagePercent / 100);
+    
+    return {
+      quotedOutput: parseFloat(quotedOutput.toFixed(6)),
+      minimumOutput: parseFloat(minimumOutput.toFixed(6)),
+      slippageBudgetPercent: this.swapSlippagePercent
+    };
+  }
+
+  /**
+   * Park an order whose swap couldn't meet its minimum output. The deposit is untouched (the swap
+   * never ran or reverted), so it is simply tried again later; once the attempts run out the order
+   * fails with the deposit still in its wallet.
+   */
+  async scheduleSwapRetry(order, swapResult) {
+    const reason = swapResult.error || `Swap output below the minimum of ${order.swap.minimumOutput} USDC`;
+    order.swap.lastError = reason;
+    
+    if (order.swap.attempts >= this.swapMaxAttempts) {
+      console.error(`[TOKEN_SWAP] ❌ Order ${order.orderId} still over the slippage budget after ${order.swap.attempts} attempts - failing`);
+      
+      await order.updateStatus(BUSINESS_OFFRAMP_STATUS.FAILED, {
+        failureReason: `Token swap exceeded the ${order.swap.slippageBudgetPercent}% slippage budget after ${order.swap.attempts} attempts: ${reason}`,
+        failureStage: 'token_swap_slippage'
+      });
+      
+      if (order.webhookUrl) {
+        await this.sendBusinessWebhook(order.webhookUrl, {
+          orderId: order.orderId,
+          businessOrderReference: order.businessOrderReference,
+          status: order.status,
+          event: 'swap_failed',
+          swap: this.formatSwap(order),
+          timestamp: new Date().toISOString()
+        }, 'offramp_order.failed');
+      }
+      return;
+    }
+    
+    order.swap.nextRetryAt = new Date(Date.now() + this.swapRetryMs);
+    await order.updateStatus(BUSINESS_OFFRAMP_STATUS.SWAP_RETRY);
+    
+    console.warn(`[TOKEN_SWAP] ⏳ Order ${order.orderId} over the slippage budget (attempt ${order.swap.attempts}/${this.swapMaxAttempts}) - retrying at ${order.swap.nextRetryAt.toISOString()}`);
+    
+    if (order.webhookUrl && order.swap.attempts === 1) {
+      await this.sendBusinessWebhook(order.webhookUrl, {
+        orderId: order.orderId,
+        businessOrderReference: order.businessOrderReference,
+        status: order.status,
+        event: 'swap_retry',
+        swap: this.formatSwap(order),
+        timestamp: new Date().toISOString()
+      }, 'offramp_order.swap_retry');
+    }
+  }
+
+  formatSwap(order) {
+    if (!order.swap?.quotedOutput) return null;
+    
+    return {
+      quotedOutput: order.swap.quotedOutput,
+      minimumOutput: order.swap.minimumOutput,
+      actualOutput: order.swap.actualOutput,
+      slippagePercent: order.swap.slippagePercent,
+      slippageBudgetPercent: order.swap.slippageBudgetPercent,
+      attempts: order.swap.attempts,
+      nextRetryAt: order.swap.nextRetryAt,
+      lastError: order.swap.lastError
+    };
+  }
+
+  /**
+   * Execute token swap on Base network. Reports slippageExceeded (with nothing swapped) when the
+   * quote or the swap itself falls below minimumOutput USDC. The deposit wallet signs through
+   * transactionSigner, so its key never has to be in this process.
+   */
+  async executeBaseTokenSwap(order, minimumOutput = 0) {
     try {
       console.log(`[BASE_SWAP] Executing Base token swap for ${order.targetToken}`);
       
-      // Create wallet instance (ethers v5.7 syntax)
-      const wallet = new ethers.Wallet(privateKey, this.baseProvider);
+      // ethers Signer backed by transactionSigner - used like an ethers.Wallet
+      const wallet = await transactionSigner.evmSigner(transactionSigner.depositKey(order), this.baseProvider, {
+        reference: order.orderId || order.batchId,
+        purpose: SIGNING_PURPOSES.SWAP
+      });
       
       // If token is USDC, no swap needed
       if (order.targetToken.toUpperCase() === 'USDC') {
@@ -238,8 +942,13 @@ class OfframpWebhookHandler {
         
         const balance = await usdcContract.balanceOf(wallet.address);
         // ethers v5.7 syntax for formatting units
-        const usdcAmount = parseFloat(ethers.utils.formatUnits(balance, 6));
-        
+        let usdcAmount = parseFloat(ethers.utils.formatUnits(balance, 6));
+
+        // A customer's permanent address can hold other deposits too - only this one is the order's
+        if (order.offrampCustomerId) {
+          usdcAmount = Math.min(usdcAmount, parseFloat(order.depositWallet.receivedAmount || order.tokenAmount));
+        }
+
         return {
           success: true,
           usdcAmount,
@@ -248,6 +957,9 @@ class OfframpWebhookHandler {
         };
       }
       
+      // The deposit wallet pays the swap's gas - fund it from the gas wallet if it's short
+      await depositSweeper.ensureGas(order, 'swap');
+      
       // For other tokens, execute swap via DEX
       const swapData = await this.getBaseSwapQuote(
         order.tokenContractAddress,
@@ -258,13 +970,32 @@ class OfframpWebhookHandler {
         throw new Error(`Failed to get swap quote: ${swapData.error}`);
       }
       
-      // Execute the swap transaction
-      const swapTx = await this.executeBaseSwapTransaction(wallet, swapData);
+      if (swapData.expectedUsdcOut < minimumOutput) {
+        return {
+          success: false,
+          slippageExceeded: true,
+          error: `Quoted ${swapData.expectedUsdcOut} USDC, below the minimum of ${minimumOutput} USDC`
+        };
+      }
+      
+      // The router is given the minimum so a price move between quote and execution reverts the swap
+      const swapTx = await this.executeBaseSwapTransaction(wallet, {
+        ...swapData,
+        amountOutMinimum: minimumOutput
+      });
+      
+      if (swapTx.status === 0) {
+        return {
+          success: false,
+          slippageExceeded: true,
+          error: `Swap ${swapTx.hash} reverted - output would have been below ${minimumOutput} USDC`
+        };
+      }
       
       return {
         success: true,
         transactionHash: swapTx.hash,
-        usdcAmount: swapData.expectedUsdcOut,
+        usdcAmount: swapTx.usdcReceived,
         gasUsed: swapTx.gasUsed?.toString(),
         swapRoute: swapData.route
       };
@@ -279,9 +1010,9 @@ class OfframpWebhookHandler {
   }
 
   /**
-   * Execute token swap on Solana network
+   * Execute token swap on Solana network, with the same minimumOutput guarantee as Base
    */
-  async executeSolanaTokenSwap(order, privateKeyBase64) {
+  async executeSolanaTokenSwap(order, minimumOutput = 0) {
     try {
       console.log(`[SOLANA_SWAP] Executing Solana token swap for ${order.targetToken}`);
       
@@ -299,11 +1030,15 @@ class OfframpWebhookHandler {
         };
       }
       
+      // The deposit wallet pays the swap's fees - fund it from the gas wallet if it's short
+      await depositSweeper.ensureGas(order, 'swap');
+      
       // For other tokens, use Jupiter for swap
       const jupiterSwap = await this.executeSolanaJupiterSwap(
-        privateKeyBase64,
+        order,
         order.tokenContractAddress,
-        order.depositWallet.receivedAmount || order.tokenAmount
+        order.depositWallet.receivedAmount || order.tokenAmount,
+        minimumOutput
       );
       
       return jupiterSwap;
@@ -318,26 +1053,43 @@ class OfframpWebhookHandler {
   }
 
   /**
-   * Get Base network swap quote (placeholder - implement with your DEX)
+   * Get Base network swap quote from the Uniswap V2 router, direct to USDC or through WETH
    */
   async getBaseSwapQuote(tokenAddress, amount) {
     try {
-      // This is a placeholder - implement with your preferred DEX
-      // Example: Uniswap V3, 1inch, etc.
-      
       console.log(`[BASE_QUOTE] Getting swap quote for ${amount} tokens at ${tokenAddress}`);
       
-      // Mock implementation - replace with actual DEX integration
-      const mockQuote = {
+      const token = new ethers.Contract(tokenAddress, ['function decimals() view returns (uint8)'], this.baseProvider);
+      const router = new ethers.Contract(BASE_CONFIG.V2_ROUTER, SWAP_ROUTER_V2_ABI, this.baseProvider);
+      
+      const decimals = await token.decimals();
+      const amountIn = ethers.utils.parseUnits(Number(amount).toFixed(decimals), decimals);
+      
+      // Take whichever route gives the most USDC
+      const paths = [[tokenAddress, BASE_CONFIG.USDC], [tokenAddress, BASE_CONFIG.WETH, BASE_CONFIG.USDC]];
+      let best = null;
+      for (const path of paths) {
+        try {
+          const amounts = await router.getAmountsOut(amountIn, path);
+          const amountOut = amounts[amounts.length - 1];
+          if (!best || amountOut.gt(best.amountOut)) best = { path, amountOut };
+        } catch (error) {
+          // No pool for this route
+        }
+      }
+      
+      if (!best) {
+        throw new Error(`No Uniswap V2 route from ${tokenAddress} to USDC`);
+      }
+      
+      return {
         success: true,
-        expectedUsdcOut: amount * 0.98, // Mock 2% slippage
-        route: 'MockDEX',
-        priceImpact: 0.02,
-        estimatedGas: '150000'
+        expectedUsdcOut: parseFloat(ethers.utils.formatUnits(best.amountOut, 6)),
+        amountIn,
+        path: best.path,
+        route: best.path.length === 2 ? 'UniswapV2' : 'UniswapV2 via WETH'
       };
       
-      return mockQuote;
-      
     } catch (error) {
       return {
         success: false,
@@ -347,25 +1099,62 @@ class OfframpWebhookHandler {
   }
 
   /**
-   * Execute Base swap transaction (placeholder)
+   * Execute Base swap transaction on the Uniswap V2 router. swapData.amountOutMinimum is passed as
+   * the router's amountOutMin, so the transaction reverts (status 0) rather than filling below it.
+   * usdcReceived is read from the receipt's USDC Transfer logs to the wallet, not from the quote.
    */
   async executeBaseSwapTransaction(wallet, swapData) {
     try {
-      console.log(`[BASE_SWAP_TX] Executing swap transaction`);
+      console.log(`[BASE_SWAP_TX] Executing swap transaction via ${swapData.route}`);
       
-      // This is a placeholder - implement with your DEX contract calls
-      // Example: Uniswap router interaction
+      const tokenIn = new ethers.Contract(swapData.path[0], SWAP_ERC20_ABI, wallet);
+      const router = new ethers.Contract(BASE_CONFIG.V2_ROUTER, SWAP_ROUTER_V2_ABI, wallet);
       
-      // Mock transaction for now
-      const mockTx = {
-        hash: '0x' + crypto.randomBytes(32).toString('hex'),
-        gasUsed: ethers.BigNumber.from('150000'),
-        status: 1
-      };
+      const allowance = await tokenIn.allowance(wallet.address, BASE_CONFIG.V2_ROUTER);
+      if (allowance.lt(swapData.amountIn)) {
+        const approveTx = await tokenIn.approve(BASE_CONFIG.V2_ROUTER, swapData.amountIn);
+        await approveTx.wait(1);
+      }
+      
+      const amountOutMin = ethers.utils.parseUnits(Number(swapData.amountOutMinimum || 0).toFixed(6), 6);
+      const deadline = Math.floor(Date.now() / 1000) + 600;
+      
+      const tx = await router.swapExactTokensForTokens(
+        swapData.amountIn,
+        amountOutMin,
+        swapData.path,
+        wallet.address,
+        deadline
+      );
+      
+      let receipt;
+      try {
+        receipt = await tx.wait(1);
+      } catch (error) {
+        // ethers rejects on a reverted transaction - the receipt is on the error
+        if (!error.receipt) throw error;
+        receipt = error.receipt;
+      }
       
-      console.log(`[BASE_SWAP_TX] Mock transaction: ${mockTx.hash}`);
+      const recipientTopic = ethers.utils.hexZeroPad(wallet.address, 32).toLowerCase();
+      const usdcReceived = receipt.status === 1
+        ? receipt.logs
+          .filter(entry =>
+            entry.address.toLowerCase() === BASE_CONFIG.USDC.toLowerCase() &&
+            entry.topics[0] === TRANSFER_TOPIC &&
+            entry.topics[2]?.toLowerCase() === recipientTopic
+          )
+          .reduce((total, entry) => total.add(ethers.BigNumber.from(entry.data)), ethers.BigNumber.from(0))
+        : ethers.BigNumber.from(0);
       
-      return mockTx;
+      console.log(`[BASE_SWAP_TX] Transaction ${tx.hash} ${receipt.status === 1 ? 'confirmed' : 'reverted'}`);
+      
+      return {
+        hash: tx.hash,
+        gasUsed: receipt.gasUsed,
+        status: receipt.status,
+        usdcReceived: parseFloat(ethers.utils.formatUnits(usdcReceived, 6))
+      };
       
     } catch (error) {
       throw new Error(`Swap transaction failed: ${error.message}`);
@@ -373,27 +1162,99 @@ class OfframpWebhookHandler {
   }
 
   /**
-   * Execute Solana Jupiter swap (placeholder)
+   * Execute Solana Jupiter swap. The swap is built with minimumOutput as its otherAmountThreshold, so
+   * Jupiter fails the transaction rather than filling below it, and the deposit wallet signs through
+   * transactionSigner. usdcAmount is the wallet's USDC balance change in the confirmed transaction.
    */
-  async executeSolanaJupiterSwap(privateKey, tokenMint, amount) {
+  async executeSolanaJupiterSwap(order, tokenMint, amount, minimumOutput = 0) {
     try {
       console.log(`[JUPITER_SWAP] Executing Jupiter swap for ${amount} tokens`);
       
-      // This is a placeholder - implement with Jupiter API
-      // https://station.jup.ag/docs/apis/swap-api
+      const key = transactionSigner.depositKey(order);
+      const walletAddress = await transactionSigner.getAddress(key);
+      
+      const mintInfo = await this.solanaConnection.getParsedAccountInfo(new PublicKey(tokenMint));
+      const decimals = mintInfo.value?.data?.parsed?.info?.decimals;
+      if (decimals === undefined) {
+        throw new Error(`Could not read decimals for mint ${tokenMint}`);
+      }
+      
+      const amountIn = ethers.utils.parseUnits(Number(amount).toFixed(decimals), decimals).toString();
+      const quoteResponse = await axios.get(`${SOLANA_CONFIG.jupiterApi}/quote`, {
+        params: {
+          inputMint: tokenMint,
+          outputMint: SOLANA_CONFIG.TOKENS.USDC,
+          amount: amountIn,
+          slippageBps: 0
+        },
+        timeout: 15000
+      });
+      const quote = quoteResponse.data;
+      
+      const quotedOut = ethers.BigNumber.from(quote.outAmount);
+      const minimumOut = ethers.utils.parseUnits(Number(minimumOutput).toFixed(6), 6);
+      const quotedUsdcOut = parseFloat(ethers.utils.formatUnits(quotedOut, 6));
+      
+      if (quotedOut.lt(minimumOut)) {
+        return {
+          success: false,
+          slippageExceeded: true,
+          error: `Jupiter quoted ${quotedUsdcOut} USDC, below the minimum of ${minimumOutput} USDC`
+        };
+      }
       
-      const mockSwap = {
+      // Allow the swap to move down to minimumOutput and no further
+      const slippageBps = quotedOut.sub(minimumOut).mul(10000).div(quotedOut).toNumber();
+      const { data: swapResponse } = await axios.post(`${SOLANA_CONFIG.jupiterApi}/swap`, {
+        quoteResponse: {
+          ...quote,
+          slippageBps,
+          otherAmountThreshold: minimumOut.toString()
+        },
+        userPublicKey: walletAddress,
+        wrapAndUnwrapSol: true
+      }, { timeout: 15000 });
+      
+      const transaction = VersionedTransaction.deserialize(Buffer.from(swapResponse.swapTransaction, 'base64'));
+      await transactionSigner.signSolanaTransaction(transaction, [key], {
+        reference: order.orderId || order.batchId,
+        purpose: SIGNING_PURPOSES.SWAP
+      });
+      
+      const signature = await this.solanaConnection.sendRawTransaction(transaction.serialize());
+      const confirmation = await this.solanaConnection.confirmTransaction({
+        signature,
+        blockhash: transaction.message.recentBlockhash,
+        lastValidBlockHeight: swapResponse.lastValidBlockHeight
+      }, 'confirmed');
+      
+      if (confirmation.value.err) {
+        return {
+          success: false,
+          slippageExceeded: true,
+          error: `Jupiter swap ${signature} failed - output would have been below ${minimumOutput} USDC`
+        };
+      }
+      
+      const parsed = await this.solanaConnection.getParsedTransaction(signature, {
+        commitment: 'confirmed',
+        maxSupportedTransactionVersion: 0
+      });
+      const usdcBalance = balances => (balances || [])
+        .filter(balance => balance.mint === SOLANA_CONFIG.TOKENS.USDC && balance.owner === walletAddress)
+        .reduce((total, balance) => total.add(balance.uiTokenAmount.amount), ethers.BigNumber.from(0));
+      const received = usdcBalance(parsed?.meta?.postTokenBalances).sub(usdcBalance(parsed?.meta?.preTokenBalances));
+      
+      console.log(`[JUPITER_SWAP] Swap confirmed: ${signature}`);
+      
+      return {
         success: true,
-        usdcAmount: amount * 0.97, // Mock 3% slippage
-        transactionHash: crypto.randomBytes(32).toString('hex'),
+        usdcAmount: parseFloat(ethers.utils.formatUnits(received, 6)),
+        transactionHash: signature,
         route: 'Jupiter',
-        priceImpact: 0.03
+        priceImpact: parseFloat(quote.priceImpactPct || 0)
       };
       
-      console.log(`[JUPITER_SWAP] Mock swap completed: ${mockSwap.transactionHash}`);
-      
-      return mockSwap;
-      
     } catch (error) {
       return {
         success: false,
@@ -410,7 +1271,7 @@ class OfframpWebhookHandler {
       console.log(`[BANK_PAYOUT] Initiating payout for order ${order.orderId}`);
       
       // Convert USDC to NGN at current rate
-      const usdcToNgnRate = await this.getCurrentOfframpRate();
+      const usdcToNgnRate = await this.getCurrentOfframpRate(order.metadata?.currentOfframpRate);
       const ngnAmount = usdcAmount * usdcToNgnRate;
       
       // Verify amount matches expected (accounting for slippage)
@@ -427,39 +1288,66 @@ class OfframpWebhookHandler {
       // Use the lower amount to be safe
       const finalPayoutAmount = Math.min(ngnAmount, expectedNgn);
       
+      // Saved before the call so a callback that beats our response can still find the order
+      const payoutReference = `OFFRAMP-${order.businessOrderReference}`;
+      order.payoutReference = payoutReference;
+      await order.save();
+      
       // Call bank payout service
       const payoutResult = await this.executeBankPayout({
         accountNumber: order.recipientAccountNumber,
         accountName: order.recipientAccountName,
         bankCode: order.recipientBankCode,
         amount: finalPayoutAmount,
-        reference: `OFFRAMP-${order.businessOrderReference}`,
+        reference: payoutReference,
         narration: `Crypto offramp payment for ${order.targetToken}`
       });
       
+      order.payoutProvider = payoutResult.provider;
+      order.payoutFee = payoutResult.fee;
+      order.payoutAttempts.push(...(payoutResult.attempts || []));
+      
       if (payoutResult.success) {
-        await order.updateStatus(BUSINESS_OFFRAMP_STATUS.COMPLETED, {
-          payoutReference: payoutResult.reference,
-          payoutTransactionId: payoutResult.transactionId,
-          finalPayoutAmount: finalPayoutAmount,
-          payoutCompletedAt: new Date()
-        });
+        // Accepted isn't settled - the order waits in pending_payout until the provider confirms
+        order.payoutProviderReference = payoutResult.reference;
+        order.payoutTransactionId = payoutResult.transactionId;
+        order.payoutAmount = finalPayoutAmount;
+        order.payoutSubmittedAt = new Date();
+        await order.save();
         
-        console.log(`[BANK_PAYOUT] ✅ Payout completed for order ${order.orderId}`);
+        console.log(`[BANK_PAYOUT] ⏳ Payout for order ${order.orderId} submitted via ${payoutResult.provider}`);
         
-        // Send completion webhook
         if (order.webhookUrl) {
-          await this.sendBusinessWebhook(order.webhookUrl, {
-            orderId: order.orderId,
-            businessOrderReference: order.businessOrderReference,
-            status: BUSINESS_OFFRAMP_STATUS.COMPLETED,
-            event: 'payout_completed',
-            payoutAmount: finalPayoutAmount,
-            payoutReference: payoutResult.reference,
-            timestamp: new Date().toISOString()
-          }, 'offramp_order.completed');
+          await this.sendBusinessWebhook(
+            order.webhookUrl,
+            this.formatPayoutWebhook(order, 'payout_submitted'),
+            'offramp_order.payout_pending'
+          );
         }
         
+        // Some providers settle synchronously
+        if (payoutResult.status === 'completed') {
+          await this.applyPayoutStatus(order, {
+            status: 'successful',
+            transactionId: payoutResult.transactionId,
+            provider: payoutResult.provider
+          });
+        }
+        
+      } else if (payoutResult.outcomeUnknown) {
+        // The transfer may have gone out - failing the order could lead to paying twice.
+        // The payout status poller asks the provider what happened.
+        order.payoutAmount = finalPayoutAmount;
+        order.payoutSubmittedAt = new Date();
+        order.metadata = {
+          ...order.metadata,
+          payoutOutcomeUnknown: true,
+          requiresReview: true
+        };
+        await order.save();
+        
+        console.error(`[BANK_PAYOUT] ⚠️ Payout for order ${order.orderId} has an unknown outcome at ${payoutResult.provider} - left pending for review`);
+        
       } else {
         await order.updateStatus(BUSINESS_OFFRAMP_STATUS.FAILED, {
           failureReason: `Bank payout failed: ${payoutResult.error}`,
@@ -478,47 +1366,11 @@ class OfframpWebhookHandler {
   }
 
   /**
-   * Execute bank payout via payment service
+   * Execute bank payout through the configured payout providers (see payoutService)
    */
   async executeBankPayout(payoutData) {
     try {
-      const payoutServiceUrl = process.env.PAYOUT_SERVICE_URL || 'https://api.paymentservice.com/payouts';
-      const payoutApiKey = process.env.PAYOUT_API_KEY;
-      
-      if (!payoutApiKey) {
-        throw new Error('Payout service not configured');
-      }
-      
-      const response = await axios.post(payoutServiceUrl, {
-        accountNumber: payoutData.accountNumber,
-        accountName: payoutData.accountName,
-        bankCode: payoutData.bankCode,
-        amount: payoutData.amount,
-        reference: payoutData.reference,
-        narration: payoutData.narration,
-        currency: 'NGN'
-      }, {
-        headers: {
-          'Authorization': `Bearer ${payoutApiKey}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 30000
-      });
-      
-      if (response.data.success) {
-        return {
-          success: true,
-          reference: response.data.data.reference,
-          transactionId: response.data.data.transactionId,
-          status: response.data.data.status
-        };
-      } else {
-        return {
-          success: false,
-          error: response.data.message || 'Payout failed'
-        };
-      }
-      
+      return await payoutService.sendPayout(payoutData);
     } catch (error) {
       console.error('[BANK_PAYOUT] Service error:', error);
       return {
@@ -529,27 +1381,135 @@ class OfframpWebhookHandler {
   }
 
   /**
-   * Get current offramp rate
+   * Apply a verified payout-status callback (or poll result) to the order or batch recipient
+   * it belongs to. Resolves to null if nothing uses the reference.
+   * @param {Object} payout { reference, status, transactionId, amount, failureReason, provider }
    */
-  async getCurrentOfframpRate() {
-    try {
-      const baseUrl = process.env.INTERNAL_API_BASE_URL || 'http://localhost:5002';
-      
-      const response = await axios.get(`${baseUrl}/api/v1/offramp-price`, {
-        params: { token: 'USDC', amount: 1 },
-        timeout: 5000
+  async handlePayoutStatus(payout) {
+    const order = await BusinessOfframpOrder.findOne({
+      $or: [
+        { payoutReference: payout.reference },
+        { payoutProviderReference: payout.reference },
+        { businessOrderReference: payout.reference },
+        { orderId: payout.reference }
+      ]
+    });
+
+    if (order) {
+      return this.applyPayoutStatus(order, payout);
+    }
+
+    // Payouts sent for batch off-ramps are tracked per recipient
+    return this.handleBatchPayoutStatus(payout);
+  }
+
+  /**
+   * Move an order out of pending_payout once its provider reports how the payout ended. The status
+   * check is part of the update, so repeated callbacks and a racing poll apply - and notify - once.
+   * @param {Object} order BusinessOfframpOrder
+   * @param {Object} payout { status: successful|failed|reversed|pending, transactionId, amount, failureReason, provider }
+   * @returns {Promise<Object>} { changed, order, reason }
+   */
+  async applyPayoutStatus(order, payout) {
+    const outcome = payout.status === 'completed' ? 'successful' : payout.status;
+    const transition = PAYOUT_TRANSITIONS[outcome];
+
+    if (!transition) {
+      return { changed: false, order, reason: `Payout is still ${payout.status}` };
+    }
+
+    if (payout.provider && order.payoutProvider && payout.provider !== order.payoutProvider) {
+      console.warn(`[PAYOUT_WEBHOOK] ⚠️ ${payout.provider} reported on order ${order.orderId}, which was paid through ${order.payoutProvider} - ignored`);
+      return { changed: false, order, reason: `Payout was sent through ${order.payoutProvider}` };
+    }
+
+    const reportedAmount = payout.amount !== undefined && payout.amount !== null ? parseFloat(payout.amount) : null;
+    if (outcome === 'successful' && reportedAmount !== null && order.payoutAmount &&
+        Math.abs(reportedAmount - order.payoutAmount) > 1) {
+      console.error(`[PAYOUT_WEBHOOK] ⚠️ Order ${order.orderId} reported paid ₦${reportedAmount}, we sent ₦${order.payoutAmount} - held for review`);
+      await BusinessOfframpOrder.updateOne({ _id: order._id }, {
+        $set: {
+          'metadata.requiresReview': true,
+          'metadata.payoutAmountMismatch': { reported: reportedAmount, sent: order.payoutAmount }
+        }
       });
-      
-      if (response.data?.success) {
-        return response.data.data.rate;
+      return { changed: false, order, reason: 'Reported amount does not match the payout' };
+    }
+
+    const now = new Date();
+    const update = { status: transition.to };
+
+    if (outcome === 'successful') {
+      update.completedAt = now;
+      if (payout.transactionId) update.payoutTransactionId = payout.transactionId;
+    } else {
+      update.failedAt = now;
+      update.failureReason = outcome === 'reversed'
+        ? `Bank payout reversed: ${payout.failureReason || 'returned by the recipient bank'}`
+        : `Bank payout failed: ${payout.failureReason || 'rejected by the provider'}`;
+    }
+
+    if (outcome === 'reversed') {
+      update.payoutReversedAt = now;
+      update['metadata.requiresReview'] = true;
+    }
+
+    const updated = await BusinessOfframpOrder.findOneAndUpdate(
+      { _id: order._id, status: { $in: transition.from } },
+      { $set: update },
+      { new: true }
+    );
+
+    if (!updated) {
+      const current = await BusinessOfframpOrder.findById(order._id);
+
+      // Money went out on an order we already failed - a retry could pay the customer twice
+      if (outcome === 'successful' && current.status === BUSINESS_OFFRAMP_STATUS.FAILED) {
+        console.error(`[PAYOUT_STATUS] ⚠️ Order ${current.orderId} reported paid after it was marked failed - held for review`);
+        await BusinessOfframpOrder.updateOne({ _id: current._id }, {
+          $set: { 'metadata.requiresReview': true, 'metadata.paidAfterFailure': true }
+        });
       }
-      
-      // Fallback rate
-      return parseFloat(process.env.CURRENT_USDC_NGN_OFFRAMP_RATE || 1650);
-      
+
+      return { changed: false, order: current, reason: `Order is already ${current.status}` };
+    }
+
+    console.log(`[PAYOUT_STATUS] ${outcome === 'successful' ? '✅' : '❌'} Order ${updated.orderId} payout ${outcome} - now ${updated.status}`);
+
+    if (updated.webhookUrl) {
+      await this.sendBusinessWebhook(updated.webhookUrl, this.formatPayoutWebhook(updated, transition.event), transition.webhookEvent);
+    }
+
+    return { changed: true, order: updated };
+  }
+
+  formatPayoutWebhook(order, event) {
+    return {
+      orderId: order.orderId,
+      businessOrderReference: order.businessOrderReference,
+      status: order.status,
+      event,
+      payoutAmount: order.payoutAmount,
+      payoutReference: order.payoutReference,
+      transactionId: order.payoutTransactionId,
+      ...(order.failureReason && order.status === BUSINESS_OFFRAMP_STATUS.FAILED && { failureReason: order.failureReason }),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Current USDC offramp rate from the rate engine. The deposit has already been swapped by the time
+   * this runs, so if no rate is available the payout is checked against the USDC rate the order was quoted
+   * at rather than failed.
+   */
+  async getCurrentOfframpRate(quotedRate) {
+    try {
+      const { rate } = await rateEngine.getRate('offramp', 'USDC');
+      return rate;
     } catch (error) {
-      console.warn('[OFFRAMP_RATE] API failed, using fallback:', error.message);
-      return parseFloat(process.env.CURRENT_USDC_NGN_OFFRAMP_RATE || 1650);
+      if (error.code !== 'RATE_UNAVAILABLE' || !quotedRate) throw error;
+      console.warn(`[OFFRAMP_RATE] ${error.message} - checking against the quoted rate ₦${quotedRate}`);
+      return quotedRate;
     }
   }
 
@@ -597,6 +1557,7 @@ class OfframpWebhookHandler {
         await axios.post(notificationUrl, {
           type: 'AMOUNT_MISMATCH_ALERT',
           orderId: order.orderId,
+          batchId: order.batchId,
           businessOrderReference: order.businessOrderReference,
           expectedAmount: expected,
           receivedAmount: received,
@@ -658,7 +1619,7 @@ class OfframpWebhookHandler {
       solanaConnection: !!this.solanaConnection,
       services: {
         walletGenerator: 'available',
-        payoutService: !!process.env.PAYOUT_API_KEY,
+        payoutProviders: payoutService.getStatus(),
         webhookSecret: !!process.env.WEBHOOK_SECRET
       },
       timestamp: new Date().toISOString()
@@ -0,0 +1,240 @@
+// src/services/onrampScheduler.js
+const axios = require('axios');
+const crypto = require('crypto');
+const { OnrampSchedule, SCHEDULE_STATUS, SCHEDULE_RUN_STATUS } = require('../models/OnrampSchedule');
+
+/**
+ * Runs recurring (DCA) onramp schedules.
+ * Every tick claims due schedules one at a time, hands each run to the registered run handler
+ * (which funds and creates the order) and then moves the schedule to its next run.
+ * Failed runs are retried within the same period; too many failures in a row pause the schedule.
+ */
+class OnrampScheduler {
+  constructor() {
+    this.intervalMs = parseInt(process.env.ONRAMP_SCHEDULER_INTERVAL_MS || '60000');
+    this.batchSize = parseInt(process.env.ONRAMP_SCHEDULER_BATCH_SIZE || '20');
+    this.retryDelayMs = parseInt(process.env.ONRAMP_SCHEDULE_RETRY_DELAY_MINUTES || '60') * 60 * 1000;
+    this.maxConsecutiveFailures = parseInt(process.env.ONRAMP_SCHEDULE_MAX_CONSECUTIVE_FAILURES || '5');
+    this.lockMs = 5 * 60 * 1000;
+    this.runHistoryLimit = 100;
+
+    this.runHandler = null;
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  /**
+   * @param {Function} runHandler async (schedule, run) => { success, orderId } | { success: false, error, errorCode }
+   */
+  start(runHandler) {
+    this.runHandler = runHandler;
+
+    if (this.timer || process.env.NODE_ENV === 'test' || process.env.ONRAMP_SCHEDULER_ENABLED === 'false') {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.tick().catch(error => console.error('[ONRAMP_SCHEDULER] ❌ Tick failed:', error.message));
+    }, this.intervalMs);
+
+    console.log(`[ONRAMP_SCHEDULER] ⏰ Started (every ${this.intervalMs / 1000}s)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async tick() {
+    if (this.ticking || !this.runHandler) return;
+    this.ticking = true;
+
+    try {
+      for (let i = 0; i < this.batchSize; i++) {
+        const schedule = await this.claimNextDue();
+        if (!schedule) break;
+        await this.executeRun(schedule);
+      }
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  // Lock one due schedule so another instance (or a slow previous tick) can't run it as well
+  claimNextDue() {
+    const now = new Date();
+    return OnrampSchedule.findOneAndUpdate(
+      {
+        status: SCHEDULE_STATUS.ACTIVE,
+        nextRunAt: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+      },
+      { $set: { lockedUntil: new Date(now.getTime() + this.lockMs) } },
+      { new: true, sort: { nextRunAt: 1 } }
+    ).select('+cardToken');
+  }
+
+  async executeRun(schedule) {
+    const run = {
+      runId: `RUN_${Date.now()}_${Math.random().toString(36).substr(2, 6).toUpperCase()}`,
+      runNumber: schedule.runCount + 1,
+      scheduledFor: schedule.currentPeriodAt || schedule.nextRunAt,
+      amount: schedule.amount,
+      startedAt: new Date()
+    };
+
+    console.log(`[SCHEDULE_${schedule.scheduleId}] ▶️ Run #${run.runNumber} (₦${schedule.amount.toLocaleString()} of ${schedule.targetToken})`);
+
+    let result;
+    try {
+      result = await this.runHandler(schedule, run);
+    } catch (error) {
+      result = { success: false, error: error.message, errorCode: 'RUN_ERROR' };
+    }
+
+    run.completedAt = new Date();
+    if (result.success) {
+      run.status = SCHEDULE_RUN_STATUS.ORDER_CREATED;
+      run.orderId = result.orderId;
+      console.log(`[SCHEDULE_${schedule.scheduleId}] ✅ Run #${run.runNumber} created order ${result.orderId}`);
+    } else {
+      run.status = SCHEDULE_RUN_STATUS.FAILED;
+      run.error = result.error;
+      run.errorCode = result.errorCode;
+      console.warn(`[SCHEDULE_${schedule.scheduleId}] ⚠️ Run #${run.runNumber} failed: ${result.error}`);
+    }
+
+    return this.recordRun(schedule, run);
+  }
+
+  async recordRun(schedule, run) {
+    const now = new Date();
+    const succeeded = run.status === SCHEDULE_RUN_STATUS.ORDER_CREATED;
+    const consecutiveFailures = succeeded ? 0 : schedule.consecutiveFailures + 1;
+    const periodAt = schedule.currentPeriodAt || schedule.nextRunAt;
+    const nextPeriodAt = this.nextPeriodAfter(schedule, periodAt, now);
+
+    // Retry a failed run later in the same period, unless that would run into the next period
+    const retryAt = new Date(now.getTime() + this.retryDelayMs);
+    const retrying = !succeeded && retryAt < nextPeriodAt;
+
+    const updated = await OnrampSchedule.findOneAndUpdate(
+      { _id: schedule._id },
+      {
+        $push: { runs: { $each: [run], $slice: -this.runHistoryLimit } },
+        $inc: { runCount: 1, successfulRuns: succeeded ? 1 : 0 },
+        $set: {
+          lastRunAt: now,
+          consecutiveFailures,
+          currentPeriodAt: retrying ? periodAt : nextPeriodAt,
+          nextRunAt: retrying ? retryAt : nextPeriodAt,
+          lockedUntil: null,
+          updatedAt: now
+        }
+      },
+      { new: true }
+    );
+
+    if (!succeeded) {
+      this.notifyBusiness(updated, 'schedule.run_failed', { run });
+    }
+
+    if (consecutiveFailures >= this.maxConsecutiveFailures) {
+      return this.finish(updated, SCHEDULE_STATUS.PAUSED,
+        `Paused after ${consecutiveFailures} failed runs in a row: ${run.error}`, 'schedule.paused');
+    }
+
+    if (updated.hasFinished()) {
+      return this.finish(updated, SCHEDULE_STATUS.COMPLETED, 'Schedule reached its end', 'schedule.completed');
+    }
+
+    return updated;
+  }
+
+  // First regular run time after the period just attempted that is still in the future
+  nextPeriodAfter(schedule, periodAt, now) {
+    let next = OnrampSchedule.computeNextRunAt(periodAt, schedule.frequency, schedule.startAt);
+    // A long outage shouldn't fire every missed run back to back
+    for (let i = 0; next <= now && i < 1000; i++) {
+      next = OnrampSchedule.computeNextRunAt(next, schedule.frequency, schedule.startAt);
+    }
+    return next;
+  }
+
+  // Only moves an active schedule, so a pause/cancel that landed during the run wins
+  async finish(schedule, status, reason, eventType) {
+    const changes = { status, updatedAt: new Date() };
+    if (status === SCHEDULE_STATUS.PAUSED) {
+      changes.pausedReason = reason;
+    } else {
+      changes.nextRunAt = null;
+    }
+
+    const updated = await OnrampSchedule.findOneAndUpdate(
+      { _id: schedule._id, status: SCHEDULE_STATUS.ACTIVE },
+      {
+        $set: changes,
+        $push: {
+          statusHistory: { from: SCHEDULE_STATUS.ACTIVE, to: status, reason, changedBy: 'system', changedAt: new Date() }
+        }
+      },
+      { new: true }
+    );
+
+    if (!updated) return schedule;
+
+    console.log(`[SCHEDULE_${schedule.scheduleId}] ${status === SCHEDULE_STATUS.PAUSED ? '⏸️' : '🏁'} ${reason}`);
+    this.notifyBusiness(updated, eventType, { reason });
+    return updated;
+  }
+
+  async notifyBusiness(schedule, eventType, extra = {}) {
+    try {
+      if (!schedule?.webhookUrl) {
+        return { sent: false, reason: 'no_url' };
+      }
+
+      const webhookPayload = {
+        event: eventType,
+        timestamp: new Date().toISOString(),
+        data: {
+          scheduleId: schedule.scheduleId,
+          customerEmail: schedule.customerEmail,
+          status: schedule.status,
+          amount: schedule.amount,
+          targetToken: schedule.targetToken,
+          targetNetwork: schedule.targetNetwork,
+          frequency: schedule.frequency,
+          nextRunAt: schedule.nextRunAt,
+          consecutiveFailures: schedule.consecutiveFailures,
+          ...extra
+        }
+      };
+
+      const signature = crypto
+        .createHmac('sha256', process.env.WEBHOOK_SECRET || 'default-secret')
+        .update(JSON.stringify(webhookPayload))
+        .digest('hex');
+
+      await axios.post(schedule.webhookUrl, webhookPayload, {
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Webhook-Signature': `sha256=${signature}`,
+          'User-Agent': 'OnrampService/4.0'
+        },
+        timeout: 10000
+      });
+
+      console.log(`[SCHEDULE_${schedule.scheduleId}] 📡 Business notified: ${eventType}`);
+      return { sent: true };
+    } catch (error) {
+      console.error(`[SCHEDULE_${schedule.scheduleId}] ❌ Business webhook failed:`, error.message);
+      return { sent: false, error: error.message };
+    }
+  }
+}
+
+// Export a singleton
+module.exports = new OnrampScheduler();
@@ -0,0 +1,125 @@
+// src/services/payoutProviders/basePayoutProvider.js
+const crypto = require('crypto');
+
+// Network errors where the request never reached the provider - safe to try another one
+const UNREACHED_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+// HTTP statuses where the provider may have accepted the payout before failing
+const AMBIGUOUS_HTTP_STATUSES = [500, 504];
+
+/**
+ * Common behaviour for bank payout providers. Each adapter implements:
+ *  - isConfigured()
+ *  - sendPayout({ accountNumber, accountName, bankCode, amount, reference, narration })
+ *  - getPayoutStatus(reference)
+ * and returns results through completed() / pending() / reversed() / failed() / failedFromError().
+ *
+ * Adapters that push status callbacks also set webhookSignatureHeader and implement
+ *  - verifyWebhook(signature, rawBody)
+ *  - parseWebhook(body) -> { reference, status, transactionId, amount, failureReason }
+ * with status one of successful, failed, reversed or pending.
+ *
+ * Fees and limits come from PAYOUT_<NAME>_FEE_FLAT, PAYOUT_<NAME>_FEE_PERCENT,
+ * PAYOUT_<NAME>_MIN_AMOUNT and PAYOUT_<NAME>_MAX_AMOUNT (NGN).
+ */
+class BasePayoutProvider {
+  constructor(name) {
+    this.name = name;
+
+    const prefix = `PAYOUT_${name.toUpperCase()}`;
+    this.settings = {
+      feeFlat: parseFloat(process.env[`${prefix}_FEE_FLAT`] || '0'),
+      feePercent: parseFloat(process.env[`${prefix}_FEE_PERCENT`] || '0'),
+      minAmount: parseFloat(process.env[`${prefix}_MIN_AMOUNT`] || '0'),
+      maxAmount: process.env[`${prefix}_MAX_AMOUNT`] ? parseFloat(process.env[`${prefix}_MAX_AMOUNT`]) : null
+    };
+  }
+
+  isConfigured() {
+    return false;
+  }
+
+  supportsAmount(amount) {
+    return amount >= this.settings.minAmount &&
+      (this.settings.maxAmount === null || amount <= this.settings.maxAmount);
+  }
+
+  // What the provider charges us for a payout of this amount
+  quoteFee(amount) {
+    return Math.round((this.settings.feeFlat + amount * this.settings.feePercent / 100) * 100) / 100;
+  }
+
+  completed(reference, transactionId, raw) {
+    return { success: true, status: 'completed', reference, transactionId, raw };
+  }
+
+  pending(reference, transactionId, raw) {
+    return { success: true, status: 'pending', reference, transactionId, raw };
+  }
+
+  // Paid out, then returned to us by the recipient's bank
+  reversed(reference, transactionId, error, raw) {
+    return { success: false, status: 'reversed', reference, transactionId, error, raw };
+  }
+
+  /**
+   * @param {string} error
+   * @param {Object} flags
+   * @param {boolean} flags.retryable The provider definitely didn't send the money - another one may be tried
+   * @param {boolean} flags.providerFault Counts against the provider's health (outage, auth, rate limit)
+   * @param {boolean} flags.outcomeUnknown The payout may have gone through - never retried elsewhere
+   */
+  failed(error, { retryable = false, providerFault = false, outcomeUnknown = false } = {}) {
+    return { success: false, status: 'failed', error, retryable, providerFault, outcomeUnknown };
+  }
+
+  // Classify an axios (or configuration) error
+  failedFromError(error) {
+    const message = error.response?.data?.message || error.response?.data?.responseMessage || error.message;
+    const httpStatus = error.response?.status;
+
+    if (!httpStatus) {
+      if (UNREACHED_ERROR_CODES.includes(error.code) || !error.code) {
+        return this.failed(message, { retryable: true, providerFault: !!error.code });
+      }
+      // Timeout or connection dropped mid-request
+      return this.failed(message, { outcomeUnknown: true, providerFault: true });
+    }
+
+    if (AMBIGUOUS_HTTP_STATUSES.includes(httpStatus)) {
+      return this.failed(message, { outcomeUnknown: true, providerFault: true });
+    }
+
+    // Anything else was rejected before a transfer was made
+    return this.failed(message, {
+      retryable: true,
+      providerFault: httpStatus >= 500 || [401, 403, 429].includes(httpStatus)
+    });
+  }
+
+  verifyWebhook() {
+    return false;
+  }
+
+  parseWebhook() {
+    return null;
+  }
+
+  // Constant-time check of a hex HMAC of the raw request body against the signature header.
+  // Re-serialising the parsed body would change key order and spacing, so only the raw bytes are used.
+  signatureMatches(algorithm, secret, rawBody, signature) {
+    if (!secret || !signature || !rawBody) return false;
+
+    const expected = crypto.createHmac(algorithm, secret).update(rawBody).digest('hex');
+    const received = String(signature).replace(/^sha(256|512)=/, '');
+
+    return expected.length === received.length &&
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+  }
+
+  getSettings() {
+    return { ...this.settings };
+  }
+}
+
+module.exports = BasePayoutProvider;
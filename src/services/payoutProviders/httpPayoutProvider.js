@@ -0,0 +1,74 @@
+// src/services/payoutProviders/httpPayoutProvider.js
+const axios = require('axios');
+const BasePayoutProvider = require('./basePayoutProvider');
+
+/**
+ * Generic payout service over HTTP (PAYOUT_SERVICE_URL + PAYOUT_API_KEY).
+ * Status updates come back through POST /business-offramp/webhook/payout-status, signed with
+ * PAYOUT_WEBHOOK_SECRET (falls back to WEBHOOK_SECRET) in X-Webhook-Signature.
+ */
+class HttpPayoutProvider extends BasePayoutProvider {
+  constructor() {
+    super('http');
+    this.url = process.env.PAYOUT_SERVICE_URL || 'https://api.paymentservice.com/payouts';
+    this.webhookSignatureHeader = 'x-webhook-signature';
+  }
+
+  isConfigured() {
+    return !!process.env.PAYOUT_API_KEY;
+  }
+
+  async sendPayout(payout) {
+    try {
+      const response = await axios.post(this.url, {
+        accountNumber: payout.accountNumber,
+        accountName: payout.accountName,
+        bankCode: payout.bankCode,
+        amount: payout.amount,
+        reference: payout.reference,
+        narration: payout.narration,
+        currency: 'NGN'
+      }, {
+        headers: {
+          'Authorization': `Bearer ${process.env.PAYOUT_API_KEY}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: 30000
+      });
+
+      if (!response.data.success) {
+        return this.failed(response.data.message || 'Payout failed', { retryable: true });
+      }
+
+      // Accepted isn't paid - anything short of an explicit success waits for the webhook
+      const { reference, transactionId, status } = response.data.data;
+      return ['successful', 'completed'].includes(status)
+        ? this.completed(reference, transactionId, response.data.data)
+        : this.pending(reference, transactionId, response.data.data);
+    } catch (error) {
+      return this.failedFromError(error);
+    }
+  }
+
+  async getPayoutStatus() {
+    // Pushed to us through the payout-status webhook - there's no lookup endpoint
+    return this.failed('Status lookups are not supported by the HTTP payout service', { outcomeUnknown: true });
+  }
+
+  verifyWebhook(signature, rawBody) {
+    return this.signatureMatches('sha256', process.env.PAYOUT_WEBHOOK_SECRET || process.env.WEBHOOK_SECRET, rawBody, signature);
+  }
+
+  parseWebhook(body) {
+    const { reference, status, amount, transactionId, failureReason } = body;
+    return {
+      reference,
+      status: status === 'completed' ? 'successful' : status,
+      amount,
+      transactionId,
+      failureReason
+    };
+  }
+}
+
+module.exports = HttpPayoutProvider;
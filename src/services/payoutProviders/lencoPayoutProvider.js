@@ -0,0 +1,95 @@
+// src/services/payoutProviders/lencoPayoutProvider.js
+const crypto = require('crypto');
+const BasePayoutProvider = require('./basePayoutProvider');
+
+// Lenco transfer statuses -> payout webhook statuses
+const WEBHOOK_STATUSES = {
+  successful: 'successful',
+  failed: 'failed',
+  declined: 'failed',
+  reversed: 'reversed'
+};
+
+/**
+ * Bank transfers from our Lenco account. Needs LENCO_API_KEY and LENCO_ACCOUNT_ID.
+ * Transfer webhooks are signed in X-Lenco-Signature: HMAC-SHA512 of the body, keyed with SHA-256(LENCO_API_KEY).
+ */
+class LencoPayoutProvider extends BasePayoutProvider {
+  constructor() {
+    super('lenco');
+    this.webhookSignatureHeader = 'x-lenco-signature';
+  }
+
+  isConfigured() {
+    return !!(process.env.LENCO_API_KEY && process.env.LENCO_ACCOUNT_ID);
+  }
+
+  // lencoService throws at load time without LENCO_API_KEY, so only require it once we know it's set
+  get client() {
+    return require('../lencoService');
+  }
+
+  async sendPayout(payout) {
+    try {
+      const transfer = await this.client.initiateTransfer({
+        accountNumber: payout.accountNumber,
+        bankCode: payout.bankCode,
+        amount: payout.amount,
+        reference: payout.reference,
+        narration: payout.narration,
+        senderName: process.env.LENCO_SENDER_NAME
+      });
+
+      return this.mapTransfer(transfer, payout.reference);
+    } catch (error) {
+      return this.failedFromError(error);
+    }
+  }
+
+  async getPayoutStatus(reference) {
+    try {
+      const transfer = await this.client.getTransferByReference(reference);
+      if (!transfer) {
+        return this.failed('Transfer not found at Lenco', { retryable: true });
+      }
+      return this.mapTransfer(transfer, reference);
+    } catch (error) {
+      return this.failedFromError(error);
+    }
+  }
+
+  mapTransfer(transfer, reference) {
+    const providerReference = transfer.lencoReference || transfer.reference || reference;
+
+    switch (transfer.status) {
+      case 'successful':
+        return this.completed(providerReference, transfer.id, transfer);
+      case 'failed':
+      case 'declined':
+        return this.failed(transfer.failureReason || `Lenco transfer ${transfer.status}`);
+      case 'reversed':
+        return this.reversed(providerReference, transfer.id, transfer.failureReason || 'Lenco transfer reversed', transfer);
+      default:
+        return this.pending(providerReference, transfer.id, transfer);
+    }
+  }
+
+  verifyWebhook(signature, rawBody) {
+    if (!process.env.LENCO_API_KEY) return false;
+    const hashKey = crypto.createHash('sha256').update(process.env.LENCO_API_KEY).digest('hex');
+    return this.signatureMatches('sha512', hashKey, rawBody, signature);
+  }
+
+  parseWebhook(body) {
+    const transfer = body.data || {};
+    return {
+      reference: transfer.clientReference || transfer.reference,
+      status: WEBHOOK_STATUSES[transfer.status] || 'pending',
+      amount: transfer.amount !== undefined ? parseFloat(transfer.amount) : undefined,
+      transactionId: transfer.id,
+      failureReason: transfer.failureReason || transfer.reasonForFailure
+    };
+  }
+}
+
+module.exports = LencoPayoutProvider;
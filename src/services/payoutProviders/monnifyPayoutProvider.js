@@ -0,0 +1,86 @@
+// src/services/payoutProviders/monnifyPayoutProvider.js
+const BasePayoutProvider = require('./basePayoutProvider');
+const monnifyService = require('../monnifyService');
+
+// Disbursement webhook event types -> payout webhook statuses
+const WEBHOOK_STATUSES = {
+  SUCCESSFUL_DISBURSEMENT: 'successful',
+  FAILED_DISBURSEMENT: 'failed',
+  REVERSED_DISBURSEMENT: 'reversed'
+};
+
+/**
+ * Monnify single disbursements from MONNIFY_WALLET_ACCOUNT_NUMBER.
+ * Disbursement webhooks are signed in monnify-signature: HMAC-SHA512 of the body with MONNIFY_SECRET_KEY.
+ */
+class MonnifyPayoutProvider extends BasePayoutProvider {
+  constructor() {
+    super('monnify');
+    this.webhookSignatureHeader = 'monnify-signature';
+  }
+
+  isConfigured() {
+    return !!(process.env.MONNIFY_API_KEY && process.env.MONNIFY_SECRET_KEY && process.env.MONNIFY_WALLET_ACCOUNT_NUMBER);
+  }
+
+  async sendPayout(payout) {
+    const result = await monnifyService.initiateDisbursement({
+      amount: payout.amount,
+      reference: payout.reference,
+      narration: payout.narration,
+      bankCode: payout.bankCode,
+      accountNumber: payout.accountNumber
+    });
+
+    if (!result.success) {
+      return this.failedFromError({
+        message: result.error,
+        code: result.errorCode,
+        response: result.httpStatus && { status: result.httpStatus }
+      });
+    }
+
+    return this.mapDisbursement(result, payout.reference);
+  }
+
+  async getPayoutStatus(reference) {
+    const result = await monnifyService.getDisbursementStatus(reference);
+    if (!result.success) {
+      return this.failed(result.error, { outcomeUnknown: true });
+    }
+    return this.mapDisbursement(result, reference);
+  }
+
+  mapDisbursement(result, reference) {
+    const transactionId = result.data?.transactionReference;
+
+    switch (result.status) {
+      case 'SUCCESS':
+        return this.completed(reference, transactionId, result.data);
+      case 'FAILED':
+        return this.failed(result.data?.description || 'Monnify disbursement failed');
+      case 'REVERSED':
+        return this.reversed(reference, transactionId, result.data?.description || 'Monnify disbursement reversed', result.data);
+      default:
+        // PENDING, OTP-authorisation and in-flight states
+        return this.pending(reference, transactionId, result.data);
+    }
+  }
+
+  verifyWebhook(signature, rawBody) {
+    return this.signatureMatches('sha512', process.env.MONNIFY_SECRET_KEY, rawBody, signature);
+  }
+
+  parseWebhook(body) {
+    const data = body.eventData || {};
+    return {
+      reference: data.reference,
+      status: WEBHOOK_STATUSES[body.eventType] || 'pending',
+      amount: data.amount,
+      transactionId: data.transactionReference,
+      failureReason: data.transactionDescription
+    };
+  }
+}
+
+module.exports = MonnifyPayoutProvider;
@@ -0,0 +1,202 @@
+// src/services/payoutService.js
+const LencoPayoutProvider = require('./payoutProviders/lencoPayoutProvider');
+const MonnifyPayoutProvider = require('./payoutProviders/monnifyPayoutProvider');
+const HttpPayoutProvider = require('./payoutProviders/httpPayoutProvider');
+
+const PROVIDER_CLASSES = {
+  lenco: LencoPayoutProvider,
+  monnify: MonnifyPayoutProvider,
+  http: HttpPayoutProvider
+};
+
+/**
+ * Sends offramp bank payouts through the configured providers, failing over when one is down.
+ *  - PAYOUT_PROVIDERS: comma-separated preference order (default "http", the original payout service)
+ *  - PAYOUT_PROVIDER_STRATEGY: "priority" (configured order) or "cheapest" (lowest quoted fee first)
+ * A provider that fails PAYOUT_PROVIDER_FAILURE_THRESHOLD times in a row is skipped for
+ * PAYOUT_PROVIDER_COOLDOWN_MS, unless every other provider is unavailable too.
+ * Failover only happens when the failed provider definitely didn't send the money.
+ */
+class PayoutService {
+  constructor() {
+    this.strategy = process.env.PAYOUT_PROVIDER_STRATEGY || 'priority';
+    this.failureThreshold = parseInt(process.env.PAYOUT_PROVIDER_FAILURE_THRESHOLD || '3');
+    this.cooldownMs = parseInt(process.env.PAYOUT_PROVIDER_COOLDOWN_MS || String(5 * 60 * 1000));
+
+    this.providers = (process.env.PAYOUT_PROVIDERS || 'http')
+      .split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter(Boolean)
+      .map(name => {
+        if (!PROVIDER_CLASSES[name]) {
+          console.error(`[PAYOUT] ⚠️ Unknown payout provider "${name}" in PAYOUT_PROVIDERS - ignoring`);
+          return null;
+        }
+        return new PROVIDER_CLASSES[name]();
+      })
+      .filter(Boolean);
+
+    this.health = {};
+    for (const provider of this.providers) {
+      this.health[provider.name] = {
+        consecutiveFailures: 0,
+        unhealthyUntil: null,
+        lastError: null,
+        lastFailureAt: null,
+        lastSuccessAt: null
+      };
+    }
+  }
+
+  getProvider(name) {
+    return this.providers.find(provider => provider.name === name) || null;
+  }
+
+  isHealthy(name) {
+    const health = this.health[name];
+    return !health.unhealthyUntil || health.unhealthyUntil <= new Date();
+  }
+
+  // Providers that can take this amount, healthy ones first, in strategy order
+  selectProviders(amount) {
+    const eligible = this.providers.filter(provider => provider.isConfigured() && provider.supportsAmount(amount));
+
+    if (this.strategy === 'cheapest') {
+      eligible.sort((a, b) => a.quoteFee(amount) - b.quoteFee(amount));
+    }
+
+    return [
+      ...eligible.filter(provider => this.isHealthy(provider.name)),
+      ...eligible.filter(provider => !this.isHealthy(provider.name))
+    ];
+  }
+
+  /**
+   * Send a payout, failing over between providers
+   * @param {Object} payout { accountNumber, accountName, bankCode, amount, reference, narration }
+   * @returns {Promise<Object>} { success, status, provider, fee, reference, transactionId, error, outcomeUnknown, attempts }
+   */
+  async sendPayout(payout) {
+    const candidates = this.selectProviders(payout.amount);
+    const attempts = [];
+
+    if (candidates.length === 0) {
+      return {
+        success: false,
+        status: 'failed',
+        error: `No payout provider is configured for ₦${payout.amount}`,
+        attempts
+      };
+    }
+
+    let lastResult;
+
+    for (const provider of candidates) {
+      console.log(`[PAYOUT] Sending ${payout.reference} (₦${payout.amount}) via ${provider.name}`);
+
+      const result = await provider.sendPayout(payout);
+      attempts.push({
+        provider: provider.name,
+        success: result.success,
+        status: result.status,
+        reference: result.reference,
+        error: result.error,
+        attemptedAt: new Date()
+      });
+
+      if (result.success) {
+        this.recordSuccess(provider.name);
+        return {
+          ...result,
+          provider: provider.name,
+          fee: provider.quoteFee(payout.amount),
+          attempts
+        };
+      }
+
+      if (result.providerFault) {
+        this.recordFailure(provider.name, result.error);
+      }
+
+      lastResult = { ...result, provider: provider.name };
+
+      // The money may already be on its way - sending it again elsewhere could pay twice
+      if (result.outcomeUnknown) {
+        console.error(`[PAYOUT] ⚠️ ${payout.reference} outcome unknown at ${provider.name}: ${result.error}`);
+        break;
+      }
+
+      if (!result.retryable) break;
+
+      console.warn(`[PAYOUT] ${provider.name} rejected ${payout.reference}: ${result.error}`);
+    }
+
+    return { ...lastResult, success: false, attempts };
+  }
+
+  // Ask the provider that took a payout how it ended up
+  async getPayoutStatus(providerName, reference) {
+    const provider = this.getProvider(providerName);
+    if (!provider) {
+      return { success: false, status: 'failed', error: `Payout provider ${providerName} is not configured`, outcomeUnknown: true };
+    }
+    return provider.getPayoutStatus(reference);
+  }
+
+  /**
+   * Work out which provider sent a payout-status callback from its signature header and verify it
+   * against the raw request body
+   * @returns {Object|null} { provider, reference, status, transactionId, amount, failureReason },
+   *   or null when no configured provider signed the request
+   */
+  parseWebhook(headers, body, rawBody) {
+    for (const provider of this.providers) {
+      const signature = provider.webhookSignatureHeader && headers[provider.webhookSignatureHeader];
+      if (!signature) continue;
+
+      if (!provider.verifyWebhook(signature, rawBody)) {
+        console.warn(`[PAYOUT] ⚠️ Rejected payout callback with an invalid ${provider.name} signature`);
+        return null;
+      }
+
+      return { ...provider.parseWebhook(body), provider: provider.name };
+    }
+
+    return null;
+  }
+
+  recordSuccess(name) {
+    Object.assign(this.health[name], {
+      consecutiveFailures: 0,
+      unhealthyUntil: null,
+      lastSuccessAt: new Date()
+    });
+  }
+
+  recordFailure(name, error) {
+    const health = this.health[name];
+    health.consecutiveFailures += 1;
+    health.lastError = error;
+    health.lastFailureAt = new Date();
+
+    if (health.consecutiveFailures >= this.failureThreshold) {
+      health.unhealthyUntil = new Date(Date.now() + this.cooldownMs);
+      console.error(`[PAYOUT] 🔴 ${name} marked unhealthy after ${health.consecutiveFailures} failures (until ${health.unhealthyUntil.toISOString()})`);
+    }
+  }
+
+  getStatus() {
+    return {
+      strategy: this.strategy,
+      providers: this.providers.map(provider => ({
+        name: provider.name,
+        configured: provider.isConfigured(),
+        healthy: this.isHealthy(provider.name),
+        ...provider.getSettings(),
+        ...this.health[provider.name]
+      }))
+    };
+  }
+}
+
+module.exports = new PayoutService();
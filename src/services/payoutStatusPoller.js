@@ -0,0 +1,210 @@
+// src/services/payoutStatusPoller.js
+const axios = require('axios');
+const { BusinessOfframpOrder, BUSINESS_OFFRAMP_STATUS } = require('../models/BusinessOfframpOrder');
+const { BusinessOfframpBatch, OFFRAMP_BATCH_STATUS, OFFRAMP_RECIPIENT_STATUS } = require('../models/BusinessOfframpBatch');
+const payoutService = require('./payoutService');
+const offrampWebhookHandler = require('./offrampWebhookHandler');
+
+/**
+ * Asks payout providers about payouts whose status webhook hasn't arrived.
+ *  - PAYOUT_STATUS_CHECK_AFTER_MINUTES: how long a payout may sit in pending_payout before it is polled
+ *  - PAYOUT_STATUS_RECHECK_MINUTES: gap between polls of the same payout
+ *  - PAYOUT_STUCK_ALERT_HOURS: payouts still unresolved after this are flagged for review, once
+ * Results go through the same path as the payout-status webhook, so a poll racing a callback is harmless.
+ */
+class PayoutStatusPoller {
+  constructor() {
+    this.intervalMs = parseInt(process.env.PAYOUT_STATUS_POLL_INTERVAL_MS || '60000');
+    this.checkAfterMs = parseInt(process.env.PAYOUT_STATUS_CHECK_AFTER_MINUTES || '10') * 60 * 1000;
+    this.recheckMs = parseInt(process.env.PAYOUT_STATUS_RECHECK_MINUTES || '10') * 60 * 1000;
+    this.stuckAlertMs = parseFloat(process.env.PAYOUT_STUCK_ALERT_HOURS || '24') * 60 * 60 * 1000;
+    this.batchLimit = parseInt(process.env.PAYOUT_STATUS_BATCH_LIMIT || '20');
+
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  start() {
+    if (this.timer || process.env.NODE_ENV === 'test' || process.env.PAYOUT_STATUS_POLLER_ENABLED === 'false') {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.tick().catch(error => console.error('[PAYOUT_POLLER] ❌ Tick failed:', error.message));
+    }, this.intervalMs);
+
+    console.log(`[PAYOUT_POLLER] ⏰ Started (every ${this.intervalMs / 1000}s)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      for (;;) {
+        const order = await this.claimNextOrder();
+        if (!order) break;
+        await this.checkOrder(order);
+      }
+
+      await this.checkBatchRecipients();
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  // Due payouts are claimed by bumping payoutStatusCheckedAt, so two instances never poll the same one
+  claimNextOrder() {
+    const now = Date.now();
+    return BusinessOfframpOrder.findOneAndUpdate(
+      {
+        status: BUSINESS_OFFRAMP_STATUS.PENDING_PAYOUT,
+        payoutProvider: { $exists: true, $ne: null },
+        payoutSubmittedAt: { $lte: new Date(now - this.checkAfterMs) },
+        $or: [
+          { payoutStatusCheckedAt: null },
+          { payoutStatusCheckedAt: { $lte: new Date(now - this.recheckMs) } }
+        ]
+      },
+      {
+        $set: { payoutStatusCheckedAt: new Date(now) },
+        $inc: { payoutStatusChecks: 1 }
+      },
+      { new: true, sort: { payoutStatusCheckedAt: 1 } }
+    );
+  }
+
+  async checkOrder(order) {
+    const outcome = await this.lookup(order.payoutProvider, order.payoutReference);
+
+    if (outcome) {
+      const result = await offrampWebhookHandler.applyPayoutStatus(order, { ...outcome, provider: order.payoutProvider });
+      if (result.changed) return;
+    }
+
+    if (Date.now() - order.payoutSubmittedAt.getTime() >= this.stuckAlertMs && !order.metadata?.payoutStuckAt) {
+      await this.flagStuck(order);
+    }
+  }
+
+  async checkBatchRecipients() {
+    const now = Date.now();
+    const due = {
+      status: OFFRAMP_RECIPIENT_STATUS.PROCESSING,
+      payoutProvider: { $exists: true, $ne: null },
+      payoutSubmittedAt: { $lte: new Date(now - this.checkAfterMs) },
+      $or: [
+        { payoutStatusCheckedAt: null },
+        { payoutStatusCheckedAt: { $lte: new Date(now - this.recheckMs) } }
+      ]
+    };
+
+    const batches = await BusinessOfframpBatch.find({
+      status: OFFRAMP_BATCH_STATUS.PAYING_OUT,
+      recipients: { $elemMatch: due }
+    }).limit(this.batchLimit);
+
+    for (const batch of batches) {
+      for (let i = 0; i < batch.recipients.length; i++) {
+        const recipient = batch.recipients[i];
+        if (!this.isDue(recipient, now)) continue;
+
+        // Claim the recipient so another instance doesn't poll it too
+        const claimed = await BusinessOfframpBatch.updateOne(
+          { _id: batch._id, [`recipients.${i}.payoutStatusCheckedAt`]: recipient.payoutStatusCheckedAt || null },
+          { $set: { [`recipients.${i}.payoutStatusCheckedAt`]: new Date(now) } }
+        );
+        if (claimed.modifiedCount === 0) continue;
+
+        const outcome = await this.lookup(recipient.payoutProvider, recipient.payoutReference);
+        if (!outcome) continue;
+
+        await offrampWebhookHandler.handleBatchPayoutStatus({
+          ...outcome,
+          reference: recipient.payoutReference,
+          provider: recipient.payoutProvider
+        });
+      }
+    }
+  }
+
+  isDue(recipient, now) {
+    return recipient.status === OFFRAMP_RECIPIENT_STATUS.PROCESSING &&
+      recipient.payoutProvider &&
+      recipient.payoutSubmittedAt &&
+      recipient.payoutSubmittedAt.getTime() <= now - this.checkAfterMs &&
+      (!recipient.payoutStatusCheckedAt || recipient.payoutStatusCheckedAt.getTime() <= now - this.recheckMs);
+  }
+
+  /**
+   * Ask the provider how a payout ended up
+   * @returns {Promise<Object|null>} { status, transactionId, failureReason } once it has settled, null while it hasn't
+   *   or the provider can't say
+   */
+  async lookup(providerName, reference) {
+    const result = await payoutService.getPayoutStatus(providerName, reference);
+
+    if (result.status === 'completed') {
+      return { status: 'successful', transactionId: result.transactionId };
+    }
+    if (result.status === 'reversed') {
+      return { status: 'reversed', transactionId: result.transactionId, failureReason: result.error };
+    }
+    // A lookup error, or "not found yet", says nothing about the payout itself
+    if (result.status === 'failed' && !result.retryable && !result.outcomeUnknown) {
+      return { status: 'failed', failureReason: result.error };
+    }
+
+    if (!result.success) {
+      console.warn(`[PAYOUT_POLLER] Couldn't get status of ${reference} from ${providerName}: ${result.error}`);
+    }
+    return null;
+  }
+
+  async flagStuck(order) {
+    console.error(`[PAYOUT_POLLER] ⚠️ Payout for order ${order.orderId} has been pending at ${order.payoutProvider} since ${order.payoutSubmittedAt.toISOString()} - flagged for review`);
+
+    await BusinessOfframpOrder.updateOne({ _id: order._id }, {
+      $set: { 'metadata.requiresReview': true, 'metadata.payoutStuckAt': new Date() }
+    });
+
+    const notificationUrl = process.env.INTERNAL_NOTIFICATION_WEBHOOK;
+    if (!notificationUrl) return;
+
+    try {
+      await axios.post(notificationUrl, {
+        type: 'PAYOUT_STUCK',
+        orderId: order.orderId,
+        businessOrderReference: order.businessOrderReference,
+        payoutProvider: order.payoutProvider,
+        payoutReference: order.payoutReference,
+        payoutAmount: order.payoutAmount,
+        payoutSubmittedAt: order.payoutSubmittedAt,
+        statusChecks: order.payoutStatusChecks,
+        requiresReview: true,
+        timestamp: new Date().toISOString()
+      }, { timeout: 10000 });
+    } catch (error) {
+      console.error(`[PAYOUT_POLLER] Failed to send stuck payout notification for ${order.orderId}:`, error.message);
+    }
+  }
+
+  getStatus() {
+    return {
+      running: !!this.timer,
+      intervalMs: this.intervalMs,
+      checkAfterMinutes: this.checkAfterMs / 60000,
+      recheckMinutes: this.recheckMs / 60000,
+      stuckAlertHours: this.stuckAlertMs / 3600000
+    };
+  }
+}
+
+module.exports = new PayoutStatusPoller();
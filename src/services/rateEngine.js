@@ -0,0 +1,225 @@
+// src/services/rateEngine.js
+const CryptoCompareRateSource = require('./rateSources/cryptoCompareRateSource');
+const PaycrestRateSource = require('./rateSources/paycrestRateSource');
+const ManualRateSource = require('./rateSources/manualRateSource');
+const { ManualRate, RATE_SIDES } = require('../models/ManualRate');
+
+const SOURCE_CLASSES = {
+  cryptocompare: CryptoCompareRateSource,
+  paycrest: PaycrestRateSource,
+  manual: ManualRateSource
+};
+
+const DEFAULT_SOURCES = {
+  onramp: 'cryptocompare,manual',
+  offramp: 'paycrest,manual'
+};
+
+function rateError(message, code, status = 400) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+/**
+ * The one place NGN exchange rates come from, for onramp and offramp quotes, orders and payouts.
+ *  - RATE_SOURCES_ONRAMP / RATE_SOURCES_OFFRAMP: comma-separated sources, tried in order
+ *    (cryptocompare, paycrest, manual). Put manual first to make an admin-set rate override the feeds.
+ *  - RATE_CACHE_TTL_SECONDS: how long a fetched rate is reused before asking the sources again
+ *  - RATE_MAX_AGE_SECONDS: when every source fails, the last good rate is still served (marked stale)
+ *    until this long after it was fetched. After that getRate throws RATE_UNAVAILABLE - there is no
+ *    hard-coded fallback.
+ */
+class RateEngine {
+  constructor() {
+    this.cacheTtlMs = parseInt(process.env.RATE_CACHE_TTL_SECONDS || '60') * 1000;
+    this.maxAgeMs = parseInt(process.env.RATE_MAX_AGE_SECONDS || '300') * 1000;
+
+    this.sources = {};
+    for (const side of RATE_SIDES) {
+      const names = process.env[`RATE_SOURCES_${side.toUpperCase()}`] || DEFAULT_SOURCES[side];
+      this.sources[side] = names
+        .split(',')
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean)
+        .map(name => {
+          if (!SOURCE_CLASSES[name]) {
+            console.error(`[RATE_ENGINE] ⚠️ Unknown rate source "${name}" in RATE_SOURCES_${side.toUpperCase()} - ignoring`);
+            return null;
+          }
+          return new SOURCE_CLASSES[name]();
+        })
+        .filter(Boolean);
+    }
+
+    this.cache = new Map();    // side:token -> last good rate
+    this.inFlight = new Map(); // side:token -> pending fetch, so concurrent quotes share one
+    this.health = {};          // side:source -> { lastSuccessAt, lastError, lastFailureAt }
+  }
+
+  /**
+   * NGN per token for a side
+   * @param {string} side 'onramp' or 'offramp'
+   * @param {string} [token] symbol, USDC by default
+   * @returns {Promise<Object>} { side, token, rate, source, fetchedAt, ageSeconds, stale, details }
+   * @throws RATE_UNAVAILABLE (503) when no source has a rate and the last good one is too old
+   */
+  async getRate(side, token = 'USDC') {
+    if (!RATE_SIDES.includes(side)) {
+      throw rateError(`Unknown rate side "${side}". Use one of: ${RATE_SIDES.join(', ')}`, 'INVALID_RATE_SIDE');
+    }
+
+    const symbol = token.toUpperCase();
+    const key = `${side}:${symbol}`;
+
+    const cached = this.cache.get(key);
+    if (cached && Date.now() - cached.cachedAt < this.cacheTtlMs) {
+      return this.format(side, symbol, cached, false);
+    }
+
+    if (!this.inFlight.has(key)) {
+      this.inFlight.set(key, this.fetchFromSources(side, symbol).finally(() => this.inFlight.delete(key)));
+    }
+    const { rate, attempts } = await this.inFlight.get(key);
+
+    if (rate) {
+      return this.format(side, symbol, rate, false);
+    }
+
+    const lastGood = this.cache.get(key);
+    if (lastGood && Date.now() - lastGood.cachedAt <= this.maxAgeMs) {
+      console.warn(`[RATE_ENGINE] ⚠️ No live ${key} rate - serving the ${lastGood.source} rate fetched ${new Date(lastGood.cachedAt).toISOString()}`);
+      return this.format(side, symbol, lastGood, true);
+    }
+
+    const reasons = attempts.map(attempt => `${attempt.source}: ${attempt.error}`).join('; ');
+    console.error(`[RATE_ENGINE] ❌ No ${side} rate available for ${symbol} (${reasons || 'no sources configured'})`);
+    const error = rateError(`No ${side} NGN rate is available for ${symbol} right now - please try again shortly`, 'RATE_UNAVAILABLE', 503);
+    error.attempts = attempts;
+    throw error;
+  }
+
+  // First source with a usable rate wins
+  async fetchFromSources(side, token) {
+    const attempts = [];
+
+    for (const source of this.sources[side]) {
+      if (!source.isConfigured() || !source.supports(side, token)) continue;
+
+      const health = this.healthOf(side, source.name);
+      try {
+        const result = await source.fetchRate(side, token);
+        if (source.isTooOld(result.fetchedAt)) {
+          throw new Error(`rate from ${result.fetchedAt.toISOString()} is too old`);
+        }
+
+        health.lastSuccessAt = new Date();
+        health.lastError = null;
+
+        const rate = { ...result, source: source.name, cachedAt: Date.now() };
+        this.cache.set(`${side}:${token}`, rate);
+        return { rate, attempts };
+      } catch (error) {
+        const message = error.response?.data?.message || error.message;
+        health.lastError = message;
+        health.lastFailureAt = new Date();
+        attempts.push({ source: source.name, error: message });
+        console.warn(`[RATE_ENGINE] ${source.name} ${side} rate for ${token} failed: ${message}`);
+      }
+    }
+
+    return { rate: null, attempts };
+  }
+
+  healthOf(side, name) {
+    const key = `${side}:${name}`;
+    if (!this.health[key]) {
+      this.health[key] = { lastSuccessAt: null, lastError: null, lastFailureAt: null };
+    }
+    return this.health[key];
+  }
+
+  format(side, token, rate, stale) {
+    return {
+      side,
+      token,
+      rate: rate.rate,
+      source: rate.source,
+      fetchedAt: rate.fetchedAt,
+      ageSeconds: Math.round((Date.now() - rate.fetchedAt.getTime()) / 1000),
+      stale,
+      details: rate.details
+    };
+  }
+
+  /**
+   * Set the rate the manual source returns. Takes effect immediately.
+   */
+  async setManualRate({ side, token, rate, notes }, admin) {
+    if (!RATE_SIDES.includes(side)) {
+      throw rateError(`side must be one of: ${RATE_SIDES.join(', ')}`, 'INVALID_RATE_SIDE');
+    }
+    if (!token) {
+      throw rateError('token is required', 'TOKEN_REQUIRED');
+    }
+    const value = parseFloat(rate);
+    if (!Number.isFinite(value) || value <= 0) {
+      throw rateError('rate must be a positive number of NGN per token', 'INVALID_RATE');
+    }
+
+    const symbol = token.toUpperCase();
+    await ManualRate.updateMany({ side, token: symbol, active: true }, { $set: { active: false } });
+    const manual = await ManualRate.create({ side, token: symbol, rate: value, setBy: admin, notes });
+    this.cache.delete(`${side}:${symbol}`);
+
+    console.log(`[RATE_ENGINE] ✏️ Manual ${side} rate for ${symbol} set to ₦${value.toLocaleString()} by ${admin}`);
+    return manual;
+  }
+
+  async clearManualRate(side, token, admin) {
+    if (!RATE_SIDES.includes(side)) {
+      throw rateError(`side must be one of: ${RATE_SIDES.join(', ')}`, 'INVALID_RATE_SIDE');
+    }
+
+    const symbol = token.toUpperCase();
+    const result = await ManualRate.updateMany(
+      { side, token: symbol, active: true },
+      { $set: { active: false, clearedBy: admin, clearedAt: new Date() } }
+    );
+    if (result.modifiedCount === 0) {
+      throw rateError(`No manual ${side} rate is set for ${symbol}`, 'MANUAL_RATE_NOT_FOUND', 404);
+    }
+    this.cache.delete(`${side}:${symbol}`);
+
+    console.log(`[RATE_ENGINE] 🧽 Manual ${side} rate for ${symbol} cleared by ${admin}`);
+  }
+
+  listManualRates({ activeOnly = true } = {}) {
+    return ManualRate.find(activeOnly ? { active: true } : {}).sort({ createdAt: -1 }).limit(100);
+  }
+
+  getStatus() {
+    const sources = {};
+    for (const side of RATE_SIDES) {
+      sources[side] = this.sources[side].map(source => ({
+        name: source.name,
+        configured: source.isConfigured(),
+        maxAgeMinutes: source.maxAgeMs === null ? null : source.maxAgeMs / 60000,
+        ...this.healthOf(side, source.name)
+      }));
+    }
+
+    return {
+      cacheTtlSeconds: this.cacheTtlMs / 1000,
+      maxAgeSeconds: this.maxAgeMs / 1000,
+      sources,
+      rates: [...this.cache.entries()].map(([key, rate]) => {
+        const [side, token] = key.split(':');
+        return { ...this.format(side, token, rate, false), cachedAt: new Date(rate.cachedAt) };
+      })
+    };
+  }
+}
+
+module.exports = new RateEngine();
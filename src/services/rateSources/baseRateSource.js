@@ -0,0 +1,42 @@
+// src/services/rateSources/baseRateSource.js
+
+/**
+ * Common behaviour for NGN rate sources. Each source implements:
+ *  - isConfigured()
+ *  - supports(side, token)
+ *  - fetchRate(side, token) -> { rate, fetchedAt, details }, throwing when it has no rate
+ * Rates are NGN per token. side is 'onramp' (customer buys crypto) or 'offramp' (customer sells).
+ *
+ * Each source can cap how old its own rate may be with RATE_<NAME>_MAX_AGE_MINUTES - useful for rates
+ * that don't come from a live feed (the admin-set manual rate).
+ */
+class BaseRateSource {
+  constructor(name, defaultMaxAgeMinutes = null) {
+    this.name = name;
+
+    const maxAge = process.env[`RATE_${name.toUpperCase()}_MAX_AGE_MINUTES`] || defaultMaxAgeMinutes;
+    this.maxAgeMs = maxAge ? parseFloat(maxAge) * 60 * 1000 : null;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  supports(side, token) {
+    return true;
+  }
+
+  isTooOld(fetchedAt) {
+    return this.maxAgeMs !== null && Date.now() - new Date(fetchedAt).getTime() > this.maxAgeMs;
+  }
+
+  result(rate, fetchedAt = new Date(), details = {}) {
+    const value = parseFloat(rate);
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new Error(`${this.name} returned an invalid rate: ${rate}`);
+    }
+    return { rate: value, fetchedAt: new Date(fetchedAt), details };
+  }
+}
+
+module.exports = BaseRateSource;
@@ -0,0 +1,46 @@
+// src/services/rateSources/cryptoCompareRateSource.js
+const axios = require('axios');
+const BaseRateSource = require('./baseRateSource');
+
+/**
+ * CryptoCompare market price in NGN (any symbol CryptoCompare lists).
+ * It's a mid-market price, so onramp rates are marked up by RATE_CRYPTOCOMPARE_ONRAMP_MARKUP_PERCENT
+ * (default 2, as the /onramp-price endpoint always did) and offramp rates marked down by
+ * RATE_CRYPTOCOMPARE_OFFRAMP_MARKDOWN_PERCENT (default 2).
+ */
+class CryptoCompareRateSource extends BaseRateSource {
+  constructor() {
+    super('cryptocompare');
+    this.baseUrl = process.env.CRYPTOCOMPARE_BASE_URL || 'https://min-api.cryptocompare.com/data';
+    this.apiKey = process.env.CRYPTOCOMPARE_API_KEY;
+    this.onrampMarkupPercent = parseFloat(process.env.RATE_CRYPTOCOMPARE_ONRAMP_MARKUP_PERCENT || '2');
+    this.offrampMarkdownPercent = parseFloat(process.env.RATE_CRYPTOCOMPARE_OFFRAMP_MARKDOWN_PERCENT || '2');
+  }
+
+  async fetchRate(side, token) {
+    const response = await axios.get(`${this.baseUrl}/price`, {
+      params: {
+        fsym: token.toUpperCase(),
+        tsyms: 'NGN',
+        ...(this.apiKey && { api_key: this.apiKey })
+      },
+      timeout: 10000,
+      headers: {
+        'User-Agent': 'Aboki-B2B-Platform/1.0.0'
+      }
+    });
+
+    const marketRate = response.data?.NGN;
+    if (!marketRate) {
+      throw new Error(response.data?.Message || `No NGN price for ${token.toUpperCase()}`);
+    }
+
+    const adjustment = side === 'onramp' ? this.onrampMarkupPercent : -this.offrampMarkdownPercent;
+    return this.result(marketRate * (1 + adjustment / 100), new Date(), {
+      marketRate,
+      adjustmentPercent: adjustment
+    });
+  }
+}
+
+module.exports = CryptoCompareRateSource;
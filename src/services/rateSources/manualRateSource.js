@@ -0,0 +1,27 @@
+// src/services/rateSources/manualRateSource.js
+const BaseRateSource = require('./baseRateSource');
+const { ManualRate } = require('../../models/ManualRate');
+
+/**
+ * Rate set by an admin (PUT /api/v1/admin/rates/manual). Goes stale after
+ * RATE_MANUAL_MAX_AGE_MINUTES (default 720 - 12 hours) so a forgotten override can't price orders for days.
+ */
+class ManualRateSource extends BaseRateSource {
+  constructor() {
+    super('manual', 720);
+  }
+
+  async fetchRate(side, token) {
+    const manual = await ManualRate.findCurrent(side, token);
+    if (!manual) {
+      throw new Error(`No manual ${side} rate set for ${token.toUpperCase()}`);
+    }
+    if (this.isTooOld(manual.createdAt)) {
+      throw new Error(`Manual ${side} rate for ${token.toUpperCase()} was set at ${manual.createdAt.toISOString()} and is too old to use`);
+    }
+
+    return this.result(manual.rate, manual.createdAt, { setBy: manual.setBy, notes: manual.notes });
+  }
+}
+
+module.exports = ManualRateSource;
@@ -0,0 +1,41 @@
+// src/services/rateSources/paycrestRateSource.js
+const axios = require('axios');
+const BaseRateSource = require('./baseRateSource');
+
+const PAYCREST_TOKENS = ['USDT', 'USDC'];
+
+/**
+ * Paycrest's NGN rate for selling stablecoins - offramp only.
+ * PAYCREST_RATE_PROVIDER_ID pins the rate to one Paycrest provider.
+ */
+class PaycrestRateSource extends BaseRateSource {
+  constructor() {
+    super('paycrest');
+    this.baseUrl = process.env.PAYCREST_BASE_URL || 'https://api.paycrest.io/v1';
+    this.providerId = process.env.PAYCREST_RATE_PROVIDER_ID;
+  }
+
+  supports(side, token) {
+    return side === 'offramp' && PAYCREST_TOKENS.includes(token.toUpperCase());
+  }
+
+  async fetchRate(side, token) {
+    const response = await axios.get(`${this.baseUrl}/rates/${token.toLowerCase()}/1/ngn`, {
+      params: this.providerId ? { provider_id: this.providerId } : undefined,
+      timeout: 15000,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Aboki-B2B-Platform/1.0.0'
+      }
+    });
+
+    const { data: rate, status, message } = response.data || {};
+    if (status !== 'success' || !rate) {
+      throw new Error(`Rate not available: ${message || 'Unknown error'}`);
+    }
+
+    return this.result(rate, new Date(), { providerId: this.providerId || 'default' });
+  }
+}
+
+module.exports = PaycrestRateSource;
@@ -0,0 +1,391 @@
+// src/services/reconciliationService.js
+const axios = require('axios');
+const { BusinessOnrampOrder, BUSINESS_ORDER_STATUS } = require('../models/BusinessOnrampOrder');
+const {
+  ReconciliationReport,
+  RECONCILIATION_STATUS,
+  DISCREPANCY_TYPES,
+  DISCREPANCY_ACTIONS
+} = require('../models/ReconciliationReport');
+const monnifyService = require('./monnifyService');
+
+// Errors carry a code and HTTP status so controllers can map them directly
+function reconciliationError(message, code, status = 400) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+/**
+ * Reconciles onramp orders against Monnify so a lost payment webhook doesn't strand a paid customer.
+ * Each run pulls the Monnify transaction for recent orders and:
+ *  - applies payments whose webhook never arrived (missed_payment, auto-healed)
+ *  - starts settlement for paid orders that never got one (paid_not_settled, auto-healed)
+ *  - reports orders Monnify has no payment for (settled_not_paid) and amount mismatches for review
+ * Healing goes through handlers registered by the onramp controller, the same code path the webhook uses.
+ */
+class ReconciliationService {
+  constructor() {
+    this.intervalMs = parseInt(process.env.ONRAMP_RECONCILIATION_INTERVAL_MS || String(15 * 60 * 1000));
+    this.lookbackHours = parseInt(process.env.ONRAMP_RECONCILIATION_LOOKBACK_HOURS || '48');
+    // Leave the webhook time to arrive before treating a payment as missed
+    this.graceMs = parseInt(process.env.ONRAMP_RECONCILIATION_GRACE_MINUTES || '15') * 60 * 1000;
+    this.settlementSlaMs = parseInt(process.env.ONRAMP_RECONCILIATION_SETTLEMENT_SLA_MINUTES || '30') * 60 * 1000;
+    this.maxOrdersPerRun = parseInt(process.env.ONRAMP_RECONCILIATION_MAX_ORDERS || '500');
+    this.lockMs = 30 * 60 * 1000;
+
+    this.handlers = null;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * @param {Object} handlers
+   * @param {Function} handlers.applyPayment async (order, payment, reportId) => { status, message }
+   * @param {Function} handlers.startSettlement async (order, reportId) => void
+   */
+  start(handlers) {
+    this.handlers = handlers;
+
+    if (this.timer || process.env.NODE_ENV === 'test' || process.env.ONRAMP_RECONCILIATION_ENABLED === 'false') {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.runScheduled().catch(error => console.error('[RECONCILIATION] ❌ Scheduled run failed:', error.message));
+    }, this.intervalMs);
+
+    console.log(`[RECONCILIATION] ⏰ Started (every ${this.intervalMs / 60000} min, ${this.lookbackHours}h lookback)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async runScheduled() {
+    if (this.running) return;
+
+    let report;
+    try {
+      report = await this.createReport({ trigger: 'scheduled' });
+    } catch (error) {
+      if (error.code === 'RECONCILIATION_IN_PROGRESS') return;
+      throw error;
+    }
+
+    return this.execute(report);
+  }
+
+  /**
+   * Start a run for an admin. Resolves with the report as soon as it is created; the run continues in the background.
+   */
+  async startManualRun({ triggeredBy, lookbackHours }) {
+    const report = await this.createReport({ trigger: 'manual', triggeredBy, lookbackHours });
+
+    this.execute(report)
+      .catch(error => console.error(`[RECONCILIATION_${report.reportId}] ❌ Run failed:`, error.message));
+
+    return report;
+  }
+
+  async createReport({ trigger, triggeredBy, lookbackHours }) {
+    if (!this.handlers) {
+      throw reconciliationError('Reconciliation handlers are not registered', 'RECONCILIATION_UNAVAILABLE', 503);
+    }
+
+    // One run at a time across instances - a run that died without finishing stops blocking after lockMs
+    const active = await ReconciliationReport.findOne({
+      status: RECONCILIATION_STATUS.RUNNING,
+      startedAt: { $gt: new Date(Date.now() - this.lockMs) }
+    });
+    if (this.running || active) {
+      throw reconciliationError(
+        active ? `Reconciliation ${active.reportId} is already running` : 'Reconciliation is already running',
+        'RECONCILIATION_IN_PROGRESS',
+        409
+      );
+    }
+
+    const windowEnd = new Date();
+    const hours = Math.min(parseInt(lookbackHours) || this.lookbackHours, 24 * 30);
+
+    return ReconciliationReport.create({
+      reportId: ReconciliationReport.generateReportId(),
+      trigger,
+      triggeredBy,
+      windowStart: new Date(windowEnd.getTime() - hours * 60 * 60 * 1000),
+      windowEnd
+    });
+  }
+
+  async execute(report) {
+    const tag = `RECONCILIATION_${report.reportId}`;
+    this.running = true;
+
+    console.log(`[${tag}] 🔎 Reconciling orders since ${report.windowStart.toISOString()}`);
+
+    try {
+      const orders = await this.findOrdersToCheck(report);
+
+      for (const order of orders) {
+        await this.reconcileOrder(report, order, tag);
+      }
+
+      report.status = RECONCILIATION_STATUS.COMPLETED;
+      report.finishedAt = new Date();
+      await report.save();
+
+      console.log(`[${tag}] ✅ Checked ${report.ordersChecked} orders: ${report.discrepancies.length} discrepancies, ${report.healedCount} healed, ${report.providerErrors} lookup errors`);
+
+      await this.notifyAdmins(report);
+      return report;
+
+    } catch (error) {
+      console.error(`[${tag}] ❌ Run failed:`, error.message);
+
+      report.status = RECONCILIATION_STATUS.FAILED;
+      report.error = error.message;
+      report.finishedAt = new Date();
+      await report.save();
+      return report;
+
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Orders that have (or should have) their own Monnify transaction. Batch children share the batch's
+  // payment and balance-funded schedule orders never touch Monnify, so both are left out.
+  findOrdersToCheck(report) {
+    const awaitingPaymentBefore = new Date(report.windowEnd.getTime() - this.graceMs);
+
+    return BusinessOnrampOrder.find({
+      batchId: null,
+      'metadata.fundedFromBalance': { $ne: true },
+      $and: [
+        {
+          $or: [
+            { monnifyTransactionReference: { $ne: null } },
+            { paymentReference: { $ne: null } }
+          ]
+        },
+        {
+          $or: [
+            // No payment recorded yet - Monnify may have one the webhook never delivered
+            {
+              status: { $in: [BUSINESS_ORDER_STATUS.INITIATED, BUSINESS_ORDER_STATUS.EXPIRED, BUSINESS_ORDER_STATUS.CANCELLED] },
+              'metadata.paymentAfterCancellation': null,
+              createdAt: { $gte: report.windowStart, $lte: awaitingPaymentBefore }
+            },
+            // Payment recorded - Monnify should agree, and settlement should be moving
+            {
+              status: { $in: [BUSINESS_ORDER_STATUS.PENDING, BUSINESS_ORDER_STATUS.PROCESSING] },
+              paymentCompletedAt: { $gte: report.windowStart }
+            },
+            {
+              status: BUSINESS_ORDER_STATUS.COMPLETED,
+              reconciledAt: null,
+              createdAt: { $gte: report.windowStart }
+            }
+          ]
+        }
+      ]
+    })
+      .sort({ createdAt: 1 })
+      .limit(this.maxOrdersPerRun);
+  }
+
+  async lookupPayment(order) {
+    const result = order.monnifyTransactionReference
+      ? await monnifyService.getTransactionStatus(order.monnifyTransactionReference)
+      : await monnifyService.getTransactionByPaymentReference(order.paymentReference);
+
+    if (!result.success) {
+      return { error: result.error || result.message };
+    }
+    if (result.found === false) {
+      return { payment: null };
+    }
+
+    const data = result.data || {};
+    return {
+      payment: {
+        transactionReference: data.transactionReference || order.monnifyTransactionReference,
+        paymentReference: data.paymentReference || order.paymentReference,
+        amountPaid: parseFloat(result.amountPaid || data.amountPaid || 0),
+        paymentStatus: result.paymentStatus,
+        paidOn: data.paidOn || data.completedOn || new Date(),
+        paymentMethod: data.paymentMethod
+      }
+    };
+  }
+
+  async reconcileOrder(report, order, tag) {
+    report.ordersChecked += 1;
+
+    const { payment, error } = await this.lookupPayment(order);
+    if (error) {
+      report.providerErrors += 1;
+      console.warn(`[${tag}] ⚠️ Could not look up ${order.orderId} at Monnify: ${error}`);
+      return;
+    }
+
+    const isPaid = payment?.paymentStatus === 'PAID';
+    const base = {
+      orderId: order.orderId,
+      businessId: order.businessId,
+      businessOrderReference: order.businessOrderReference,
+      orderStatus: order.status,
+      orderAmount: order.amount,
+      recordedPaidAmount: order.paidAmount,
+      monnifyStatus: payment?.paymentStatus || 'NOT_FOUND',
+      monnifyAmountPaid: payment?.amountPaid,
+      monnifyTransactionReference: payment?.transactionReference
+    };
+
+    // Nothing recorded on our side yet
+    if ([BUSINESS_ORDER_STATUS.INITIATED, BUSINESS_ORDER_STATUS.EXPIRED, BUSINESS_ORDER_STATUS.CANCELLED].includes(order.status)) {
+      if (isPaid) {
+        await this.healMissedPayment(report, order, payment, base, tag);
+      }
+      return;
+    }
+
+    // The order moved past payment, so Monnify must have a successful one
+    if (!isPaid) {
+      console.warn(`[${tag}] ⚠️ ${order.orderId} is ${order.status} but Monnify says ${base.monnifyStatus}`);
+      report.addDiscrepancy({
+        ...base,
+        type: DISCREPANCY_TYPES.SETTLED_NOT_PAID,
+        action: DISCREPANCY_ACTIONS.NEEDS_REVIEW,
+        detail: `Order is ${order.status} but Monnify reports ${base.monnifyStatus}`
+      });
+      return;
+    }
+
+    const amountMatches = Math.abs(payment.amountPaid - (order.paidAmount || 0)) < 0.01;
+    if (!amountMatches) {
+      report.addDiscrepancy({
+        ...base,
+        type: DISCREPANCY_TYPES.AMOUNT_MISMATCH,
+        action: DISCREPANCY_ACTIONS.NEEDS_REVIEW,
+        detail: `Order recorded ₦${(order.paidAmount || 0).toLocaleString()} paid, Monnify has ₦${payment.amountPaid.toLocaleString()}`
+      });
+    }
+
+    if (order.status === BUSINESS_ORDER_STATUS.COMPLETED) {
+      if (amountMatches) {
+        await BusinessOnrampOrder.updateOne({ _id: order._id }, { $set: { reconciledAt: new Date() } });
+      }
+      return;
+    }
+
+    const paidAt = order.paymentCompletedAt || order.updatedAt;
+    if (Date.now() - paidAt.getTime() > this.settlementSlaMs) {
+      await this.handleUnsettledOrder(report, order, base, tag);
+    }
+  }
+
+  async healMissedPayment(report, order, payment, base, tag) {
+    // The webhook may have arrived while Monnify was being asked - work from the latest copy
+    const current = await BusinessOnrampOrder.findById(order._id);
+    if (current.status !== order.status || current.metadata?.paymentAfterCancellation) {
+      return;
+    }
+
+    try {
+      const result = await this.handlers.applyPayment(current, payment, report.reportId);
+
+      // Paid after cancellation/expiry becomes a refund, which still wants an admin to look at it
+      const healed = order.status === BUSINESS_ORDER_STATUS.INITIATED;
+      console.log(`[${tag}] 🩹 ${order.orderId}: ${result.message}`);
+
+      report.addDiscrepancy({
+        ...base,
+        type: DISCREPANCY_TYPES.MISSED_PAYMENT,
+        action: healed ? DISCREPANCY_ACTIONS.AUTO_HEALED : DISCREPANCY_ACTIONS.NEEDS_REVIEW,
+        detail: result.message
+      });
+    } catch (error) {
+      console.error(`[${tag}] ❌ Could not apply missed payment to ${order.orderId}:`, error.message);
+      report.addDiscrepancy({
+        ...base,
+        type: DISCREPANCY_TYPES.MISSED_PAYMENT,
+        action: DISCREPANCY_ACTIONS.HEAL_FAILED,
+        detail: error.message
+      });
+    }
+  }
+
+  async handleUnsettledOrder(report, order, base, tag) {
+    const discrepancy = { ...base, type: DISCREPANCY_TYPES.PAID_NOT_SETTLED };
+
+    if (order.status === BUSINESS_ORDER_STATUS.PROCESSING) {
+      // Settlement was requested - sending it again could deliver tokens twice
+      report.addDiscrepancy({
+        ...discrepancy,
+        action: DISCREPANCY_ACTIONS.NEEDS_REVIEW,
+        detail: `Settlement started ${order.settlementInitiatedAt ? order.settlementInitiatedAt.toISOString() : 'at an unknown time'} and has not completed`
+      });
+      return;
+    }
+
+    if (order.paymentMismatch?.requiresReview) {
+      report.addDiscrepancy({
+        ...discrepancy,
+        action: DISCREPANCY_ACTIONS.NEEDS_REVIEW,
+        detail: `Payment held for review (${order.paymentMismatch.type})`
+      });
+      return;
+    }
+
+    // Paid and pending means settlement was never started (initiateSettlement moves the order on straight away)
+    const current = await BusinessOnrampOrder.findById(order._id);
+    if (current.status !== BUSINESS_ORDER_STATUS.PENDING) {
+      return;
+    }
+
+    try {
+      await this.handlers.startSettlement(current, report.reportId);
+      console.log(`[${tag}] 🩹 Started settlement for ${order.orderId}`);
+
+      report.addDiscrepancy({
+        ...discrepancy,
+        action: DISCREPANCY_ACTIONS.AUTO_HEALED,
+        detail: 'Settlement was never started - started by reconciliation'
+      });
+    } catch (error) {
+      report.addDiscrepancy({
+        ...discrepancy,
+        action: DISCREPANCY_ACTIONS.HEAL_FAILED,
+        detail: error.message
+      });
+    }
+  }
+
+  async notifyAdmins(report) {
+    const needsReview = report.discrepancies.filter(d => d.action !== DISCREPANCY_ACTIONS.AUTO_HEALED);
+    const notificationUrl = process.env.INTERNAL_NOTIFICATION_WEBHOOK;
+
+    if (needsReview.length === 0 || !notificationUrl) return;
+
+    try {
+      await axios.post(notificationUrl, {
+        type: 'ONRAMP_RECONCILIATION_DISCREPANCIES',
+        reportId: report.reportId,
+        summary: report.summary,
+        needsReview: needsReview.length,
+        healed: report.healedCount,
+        timestamp: new Date().toISOString()
+      }, { timeout: 10000 });
+    } catch (error) {
+      console.error(`[RECONCILIATION_${report.reportId}] Failed to send admin notification:`, error.message);
+    }
+  }
+}
+
+module.exports = new ReconciliationService();
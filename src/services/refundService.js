@@ -0,0 +1,547 @@
+// src/services/refundService.js
+const axios = require('axios');
+const crypto = require('crypto');
+const { OnrampRefund, REFUND_STATUS, REFUND_SOURCES, REFUND_PROVIDERS } = require('../models/OnrampRefund');
+const { BusinessOnrampOrder } = require('../models/BusinessOnrampOrder');
+const { CustomerFundingAccount } = require('../models/CustomerFundingAccount');
+const monnifyService = require('./monnifyService');
+const emailService = require('./EmailService');
+
+// Errors carry a code and HTTP status so controllers can map them directly
+function refundError(message, code, status = 400) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+/**
+ * NGN refunds for onramp orders.
+ * Refunds are created per order + source, auto-approved below REFUND_AUTO_APPROVE_MAX_NGN,
+ * paid out through the configured provider and can be retried by an admin when they fail.
+ */
+class RefundService {
+  constructor() {
+    this.defaultProvider = Object.values(REFUND_PROVIDERS).includes(process.env.REFUND_PROVIDER)
+      ? process.env.REFUND_PROVIDER
+      : REFUND_PROVIDERS.MONNIFY_REFUND;
+    this.autoApproveMaxNgn = parseFloat(process.env.REFUND_AUTO_APPROVE_MAX_NGN || '100000');
+
+    // Disbursement adapters - each returns { success, status: processing|completed|failed, reference, error, data }
+    this.providers = {
+      [REFUND_PROVIDERS.MONNIFY_REFUND]: {
+        send: async (refund) => {
+          if (!refund.monnifyTransactionReference) {
+            return { success: false, status: 'failed', error: 'Order has no Monnify transaction reference to refund against' };
+          }
+
+          const result = await monnifyService.initiateRefund({
+            transactionReference: refund.monnifyTransactionReference,
+            refundReference: refund.refundReference,
+            refundAmount: refund.amount,
+            refundReason: refund.reason,
+            customerNote: `Refund for order ${refund.orderId}`
+          });
+
+          return this.normalizeMonnifyRefund(result, refund.refundReference);
+        },
+        status: async (refund) => {
+          const result = await monnifyService.getRefundStatus(refund.refundReference);
+          return this.normalizeMonnifyRefund(result, refund.refundReference);
+        }
+      },
+
+      [REFUND_PROVIDERS.MONNIFY_DISBURSEMENT]: {
+        send: async (refund) => {
+          if (!refund.destination?.accountNumber || !refund.destination?.bankCode) {
+            return { success: false, status: 'failed', error: 'Refund destination bank account is required for disbursement' };
+          }
+
+          const result = await monnifyService.initiateDisbursement({
+            amount: refund.amount,
+            reference: refund.refundReference,
+            narration: `Refund ${refund.orderId}`,
+            bankCode: refund.destination.bankCode,
+            accountNumber: refund.destination.accountNumber
+          });
+
+          return this.normalizeMonnifyDisbursement(result, refund.refundReference);
+        },
+        status: async (refund) => {
+          const result = await monnifyService.getDisbursementStatus(refund.refundReference);
+          return this.normalizeMonnifyDisbursement(result, refund.refundReference);
+        }
+      },
+
+      [REFUND_PROVIDERS.PAYOUT_SERVICE]: {
+        send: async (refund) => {
+          const payoutServiceUrl = process.env.PAYOUT_SERVICE_URL;
+          const payoutApiKey = process.env.PAYOUT_API_KEY;
+
+          if (!payoutServiceUrl || !payoutApiKey) {
+            return { success: false, status: 'failed', error: 'Payout service not configured' };
+          }
+          if (!refund.destination?.accountNumber || !refund.destination?.bankCode) {
+            return { success: false, status: 'failed', error: 'Refund destination bank account is required for payout' };
+          }
+
+          try {
+            const response = await axios.post(payoutServiceUrl, {
+              accountNumber: refund.destination.accountNumber,
+              accountName: refund.destination.accountName,
+              bankCode: refund.destination.bankCode,
+              amount: refund.amount,
+              reference: refund.refundReference,
+              narration: `Refund ${refund.orderId}`,
+              currency: 'NGN'
+            }, {
+              headers: {
+                'Authorization': `Bearer ${payoutApiKey}`,
+                'Content-Type': 'application/json'
+              },
+              timeout: 30000
+            });
+
+            if (!response.data.success) {
+              return { success: false, status: 'failed', error: response.data.message || 'Payout failed' };
+            }
+
+            const payoutStatus = (response.data.data?.status || '').toLowerCase();
+            return {
+              success: true,
+              status: ['completed', 'success', 'successful'].includes(payoutStatus) ? 'completed' : 'processing',
+              reference: response.data.data?.reference || refund.refundReference,
+              data: response.data.data
+            };
+          } catch (error) {
+            return { success: false, status: 'failed', error: error.response?.data?.message || error.message };
+          }
+        },
+        // No status endpoint - completion comes from the payout service callback or an admin
+        status: null
+      }
+    };
+
+    console.log(`[REFUND_SERVICE] 🔧 Initialized with provider: ${this.defaultProvider}, auto-approve up to ₦${this.autoApproveMaxNgn.toLocaleString()}`);
+  }
+
+  normalizeMonnifyRefund(result, reference) {
+    if (!result.success) {
+      return { success: false, status: 'failed', error: result.error, reference };
+    }
+
+    const statusMap = { COMPLETED: 'completed', FAILED: 'failed' };
+    const status = statusMap[result.refundStatus] || 'processing';
+
+    return {
+      success: status !== 'failed',
+      status,
+      reference,
+      error: status === 'failed' ? (result.data?.comment || 'Refund failed at Monnify') : undefined,
+      data: result.data
+    };
+  }
+
+  normalizeMonnifyDisbursement(result, reference) {
+    if (!result.success) {
+      return { success: false, status: 'failed', error: result.error, reference };
+    }
+
+    const statusMap = { SUCCESS: 'completed', FAILED: 'failed', REVERSED: 'failed' };
+    const status = statusMap[result.status] || 'processing';
+
+    return {
+      success: status !== 'failed',
+      status,
+      reference: result.data?.transactionReference || reference,
+      error: status === 'failed' ? `Disbursement ${result.status.toLowerCase()}` : undefined,
+      data: result.data
+    };
+  }
+
+  // Most that can still be refunded on an order after existing refunds
+  async getRefundableAmount(order) {
+    const collected = order.paidAmount || order.metadata?.paymentAfterCancellation?.amountPaid || 0;
+    const alreadyRefunded = await OnrampRefund.getRefundedTotal(order.orderId);
+    return Math.max(0, parseFloat((collected - alreadyRefunded).toFixed(2)));
+  }
+
+  /**
+   * Create a refund for an order. Returns the existing refund if one already exists for this source.
+   * @param {Object} order BusinessOnrampOrder document
+   * @param {Object} options
+   * @param {string} options.source One of REFUND_SOURCES
+   * @param {string} options.reason Why the customer is being refunded
+   * @param {number} [options.amount] Amount in NGN - defaults to everything still refundable
+   * @param {string} [options.requestedBy] 'system' or the admin email
+   * @param {Object} [options.destination] { accountNumber, accountName, bankCode } for bank payouts
+   * @param {string} [options.provider] Override the default provider
+   */
+  async createRefund(order, options = {}) {
+    const refundId = OnrampRefund.generateRefundId();
+    const { source, reason, requestedBy = 'system', destination, provider } = options;
+
+    console.log(`[REFUND_${refundId}] 💸 Creating ${source} refund for order ${order.orderId}`);
+
+    const existing = await OnrampRefund.findOne({ orderId: order.orderId, source });
+    if (existing) {
+      console.log(`[REFUND_${refundId}] ⏭️ Order already has a ${source} refund: ${existing.refundId}`);
+      return { refund: existing, created: false };
+    }
+
+    if (provider && !Object.values(REFUND_PROVIDERS).includes(provider)) {
+      throw refundError(`Unknown refund provider: ${provider}`, 'INVALID_REFUND_PROVIDER');
+    }
+
+    const refundable = await this.getRefundableAmount(order);
+    const amount = options.amount !== undefined && options.amount !== null
+      ? parseFloat(options.amount)
+      : refundable;
+
+    if (!(amount > 0)) {
+      throw refundError(`Nothing left to refund on order ${order.orderId}`, 'NOTHING_TO_REFUND');
+    }
+    if (amount > refundable) {
+      throw refundError(
+        `Refund amount ₦${amount.toLocaleString()} exceeds refundable balance ₦${refundable.toLocaleString()}`,
+        'REFUND_AMOUNT_EXCEEDS_PAID'
+      );
+    }
+
+    let refund;
+    try {
+      refund = await OnrampRefund.create({
+        refundId,
+        refundReference: `REFUND-${order.orderId}-${source}`,
+        orderId: order.orderId,
+        order: order._id,
+        businessId: order.businessId,
+        source,
+        amount,
+        reason,
+        customerEmail: order.customerEmail,
+        customerName: order.customerName,
+        monnifyTransactionReference: order.monnifyTransactionReference,
+        destination,
+        provider: provider || this.defaultProvider,
+        requestedBy
+      });
+    } catch (error) {
+      // Lost a race with another request creating the same refund
+      if (error.code === 11000) {
+        return { refund: await OnrampRefund.findOne({ orderId: order.orderId, source }), created: false };
+      }
+      throw error;
+    }
+
+    await this.syncOrder(refund);
+    await this.notifyBusiness(refund, 'order.refund_created', order);
+
+    if (amount <= this.autoApproveMaxNgn) {
+      refund.approve(requestedBy === 'system' ? 'auto' : requestedBy);
+      await refund.save();
+      console.log(`[REFUND_${refundId}] ✅ Auto-approved (₦${amount.toLocaleString()})`);
+
+      await this.processRefund(refund, refund.approvedBy);
+    } else {
+      console.log(`[REFUND_${refundId}] ⏸️ ₦${amount.toLocaleString()} is above the auto-approve limit - waiting for admin approval`);
+    }
+
+    return { refund, created: true };
+  }
+
+  /**
+   * Refund a paid order that failed during settlement. Safe to call more than once.
+   */
+  async refundFailedOrder(order, reason) {
+    if (!order.paidAmount || order.paidAmount <= 0) {
+      return null;
+    }
+
+    // Scheduled runs paid from a funding account balance go back on the balance, not to a bank
+    if (order.metadata?.fundedFromBalance) {
+      await this.restoreFundingBalance(order, reason);
+      return null;
+    }
+
+    try {
+      const { refund } = await this.createRefund(order, {
+        source: REFUND_SOURCES.SETTLEMENT_FAILURE,
+        reason: `Your order could not be completed: ${reason || 'settlement failed'}`
+      });
+      return refund;
+    } catch (error) {
+      if (error.code === 'NOTHING_TO_REFUND') {
+        console.log(`[REFUND_SERVICE] ⏭️ Order ${order.orderId} already fully refunded`);
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async restoreFundingBalance(order, reason) {
+    // Claim the restore on the order first so repeated failure callbacks credit the balance once
+    const claimed = await BusinessOnrampOrder.findOneAndUpdate(
+      { _id: order._id, 'metadata.balanceRestoredAt': { $exists: false } },
+      { $set: { 'metadata.balanceRestoredAt': new Date(), 'metadata.balanceRestoreReason': reason } }
+    );
+    if (!claimed) {
+      console.log(`[REFUND_SERVICE] ⏭️ Balance for order ${order.orderId} already restored`);
+      return;
+    }
+
+    await CustomerFundingAccount.restoreBalance(order.metadata.fundedFromBalance, order.paidAmount);
+    console.log(`[REFUND_SERVICE] ↩️ ₦${order.paidAmount.toLocaleString()} returned to funding account ${order.metadata.fundedFromBalance} for order ${order.orderId}`);
+  }
+
+  async approveRefund(refundId, approvedBy) {
+    const refund = await this.getRefundOrThrow(refundId);
+
+    if (!refund.canBeApproved()) {
+      throw refundError(`Refund ${refundId} is ${refund.status} and cannot be approved`, 'REFUND_NOT_APPROVABLE', 409);
+    }
+
+    refund.approve(approvedBy);
+    await refund.save();
+    console.log(`[REFUND_${refund.refundId}] ✅ Approved by ${approvedBy}`);
+
+    return this.processRefund(refund, approvedBy);
+  }
+
+  async retryRefund(refundId, triggeredBy, overrides = {}) {
+    const refund = await this.getRefundOrThrow(refundId);
+
+    if (!refund.canBeRetried()) {
+      throw refundError(`Refund ${refundId} is ${refund.status} and cannot be retried`, 'REFUND_NOT_RETRYABLE', 409);
+    }
+
+    if (overrides.provider) {
+      if (!Object.values(REFUND_PROVIDERS).includes(overrides.provider)) {
+        throw refundError(`Unknown refund provider: ${overrides.provider}`, 'INVALID_REFUND_PROVIDER');
+      }
+      refund.provider = overrides.provider;
+    }
+    if (overrides.destination) {
+      refund.destination = overrides.destination;
+    }
+    await refund.save();
+
+    console.log(`[REFUND_${refund.refundId}] 🔄 Retry requested by ${triggeredBy}`);
+    return this.processRefund(refund, triggeredBy);
+  }
+
+  /**
+   * Send an approved (or failed) refund to its provider
+   */
+  async processRefund(refund, triggeredBy = 'system') {
+    // Claim the refund so concurrent approve/retry calls can't pay out twice
+    const claimed = await OnrampRefund.findOneAndUpdate(
+      { _id: refund._id, status: { $in: [REFUND_STATUS.APPROVED, REFUND_STATUS.FAILED] } },
+      { $set: { status: REFUND_STATUS.PROCESSING, processingStartedAt: new Date(), updatedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      throw refundError(`Refund ${refund.refundId} is already being processed`, 'REFUND_IN_PROGRESS', 409);
+    }
+
+    const adapter = this.providers[claimed.provider];
+    console.log(`[REFUND_${claimed.refundId}] 📤 Sending ₦${claimed.amount.toLocaleString()} via ${claimed.provider}`);
+
+    let result;
+    try {
+      result = await adapter.send(claimed);
+    } catch (error) {
+      result = { success: false, status: 'failed', error: error.message };
+    }
+
+    claimed.attempts.push({
+      attemptNumber: claimed.attempts.length + 1,
+      provider: claimed.provider,
+      providerReference: result.reference,
+      status: result.status,
+      error: result.error,
+      triggeredBy
+    });
+
+    return this.applyProviderResult(claimed, result);
+  }
+
+  /**
+   * Record a provider result (from a send, a status poll or a provider webhook) and notify
+   */
+  async applyProviderResult(refund, result) {
+    refund.providerReference = result.reference || refund.providerReference;
+    refund.providerResponse = result.data || refund.providerResponse;
+
+    if (result.status === 'completed') {
+      refund.status = REFUND_STATUS.COMPLETED;
+      refund.completedAt = new Date();
+      refund.lastError = undefined;
+      console.log(`[REFUND_${refund.refundId}] ✅ Refund completed`);
+    } else if (result.status === 'failed') {
+      refund.status = REFUND_STATUS.FAILED;
+      refund.failedAt = new Date();
+      refund.lastError = result.error || 'Refund failed';
+      console.error(`[REFUND_${refund.refundId}] ❌ Refund failed: ${refund.lastError}`);
+    } else {
+      refund.status = REFUND_STATUS.PROCESSING;
+      console.log(`[REFUND_${refund.refundId}] ⏳ Refund accepted by provider, waiting for completion`);
+    }
+
+    await refund.save();
+    await this.syncOrder(refund);
+
+    const eventByStatus = {
+      [REFUND_STATUS.PROCESSING]: 'order.refund_processing',
+      [REFUND_STATUS.COMPLETED]: 'order.refund_completed',
+      [REFUND_STATUS.FAILED]: 'order.refund_failed'
+    };
+    await this.notifyBusiness(refund, eventByStatus[refund.status]);
+    await this.notifyCustomer(refund);
+
+    return refund;
+  }
+
+  /**
+   * Provider callback (e.g. Monnify SUCCESSFUL_REFUND / FAILED_REFUND) keyed by our refund reference
+   */
+  async handleProviderUpdate(refundReference, status, data = {}) {
+    const refund = await OnrampRefund.findOne({ refundReference });
+
+    if (!refund) {
+      throw refundError(`Refund not found for reference ${refundReference}`, 'REFUND_NOT_FOUND', 404);
+    }
+
+    if ([REFUND_STATUS.COMPLETED, REFUND_STATUS.FAILED].includes(refund.status) && refund.status === status) {
+      console.log(`[REFUND_${refund.refundId}] ⏭️ Duplicate ${status} update ignored`);
+      return refund;
+    }
+
+    return this.applyProviderResult(refund, {
+      status,
+      reference: refund.providerReference,
+      error: status === 'failed' ? (data.comment || data.refundReason || 'Refund failed at provider') : undefined,
+      data
+    });
+  }
+
+  // Poll the provider for a refund stuck in processing
+  async syncRefundStatus(refundId) {
+    const refund = await this.getRefundOrThrow(refundId);
+
+    if (refund.status !== REFUND_STATUS.PROCESSING) {
+      return refund;
+    }
+
+    const adapter = this.providers[refund.provider];
+    if (!adapter.status) {
+      return refund;
+    }
+
+    const result = await adapter.status(refund);
+    if (result.status === 'processing') {
+      return refund;
+    }
+
+    return this.applyProviderResult(refund, result);
+  }
+
+  async getRefundOrThrow(refundId) {
+    const refund = await OnrampRefund.findOne({ refundId });
+    if (!refund) {
+      throw refundError(`Refund ${refundId} not found`, 'REFUND_NOT_FOUND', 404);
+    }
+    return refund;
+  }
+
+  // Overpayment refunds also track their state on the order's paymentMismatch record
+  async syncOrder(refund) {
+    if (refund.source !== REFUND_SOURCES.OVERPAYMENT) {
+      return;
+    }
+
+    try {
+      await BusinessOnrampOrder.updateOne(
+        { _id: refund.order, paymentMismatch: { $ne: null } },
+        { $set: { 'paymentMismatch.refundStatus': refund.status === REFUND_STATUS.COMPLETED ? 'completed' : 'pending' } }
+      );
+    } catch (error) {
+      console.error(`[REFUND_${refund.refundId}] ⚠️ Failed to update order ${refund.orderId}:`, error.message);
+    }
+  }
+
+  async notifyBusiness(refund, eventType, order = null) {
+    try {
+      const refundOrder = order || await BusinessOnrampOrder.findById(refund.order);
+      if (!refundOrder?.webhookUrl) {
+        return { sent: false, reason: 'no_url' };
+      }
+
+      const webhookPayload = {
+        event: eventType,
+        timestamp: new Date().toISOString(),
+        data: {
+          orderId: refund.orderId,
+          businessOrderReference: refundOrder.businessOrderReference,
+          refundId: refund.refundId,
+          source: refund.source,
+          amount: refund.amount,
+          currency: refund.currency,
+          status: refund.status,
+          reason: refund.reason,
+          provider: refund.provider,
+          providerReference: refund.providerReference,
+          lastError: refund.lastError,
+          completedAt: refund.completedAt
+        }
+      };
+
+      const signature = crypto
+        .createHmac('sha256', process.env.WEBHOOK_SECRET || 'default-secret')
+        .update(JSON.stringify(webhookPayload))
+        .digest('hex');
+
+      await axios.post(refundOrder.webhookUrl, webhookPayload, {
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Webhook-Signature': `sha256=${signature}`,
+          'User-Agent': 'OnrampService/4.0'
+        },
+        timeout: 10000
+      });
+
+      await OnrampRefund.updateOne({ _id: refund._id }, { $set: { businessNotifiedAt: new Date() } });
+      console.log(`[REFUND_${refund.refundId}] 📡 Business notified: ${eventType}`);
+      return { sent: true };
+    } catch (error) {
+      console.error(`[REFUND_${refund.refundId}] ❌ Business webhook failed:`, error.message);
+      return { sent: false, error: error.message };
+    }
+  }
+
+  async notifyCustomer(refund) {
+    if (!refund.customerEmail) {
+      return;
+    }
+
+    try {
+      await emailService.sendRefundNotification(
+        { email: refund.customerEmail, name: refund.customerName },
+        {
+          refundId: refund.refundId,
+          orderId: refund.orderId,
+          amount: refund.amount,
+          status: refund.status,
+          reason: refund.reason
+        }
+      );
+      await OnrampRefund.updateOne({ _id: refund._id }, { $set: { customerNotifiedAt: new Date() } });
+    } catch (error) {
+      console.error(`[REFUND_${refund.refundId}] ❌ Customer email failed:`, error.message);
+    }
+  }
+}
+
+// Export a singleton
+module.exports = new RefundService();
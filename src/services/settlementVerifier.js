@@ -0,0 +1,446 @@
+// src/services/settlementVerifier.js
+const axios = require('axios');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { Connection } = require('@solana/web3.js');
+const {
+  BusinessOnrampOrder,
+  BUSINESS_ORDER_STATUS,
+  SETTLEMENT_VERIFICATION_STATUS
+} = require('../models/BusinessOnrampOrder');
+const { BASE_CONFIG } = require('../config/baseConfig');
+const { SOLANA_CONFIG } = require('../config/solanaConfig');
+const { liquidityService } = require('./liquidityService');
+
+const TRANSFER_TOPIC = ethers.utils.id('Transfer(address,address,uint256)');
+const NATIVE_EVM_TOKEN = '0x0000000000000000000000000000000000000000';
+const WRAPPED_SOL_MINT = 'So11111111111111111111111111111111111111112';
+
+/**
+ * Checks settlement transactions on-chain before an onramp order is completed.
+ * The liquidity server reporting a transactionHash is not enough: the transaction must have sent
+ * tokenContractAddress to customerWallet, for roughly estimatedTokenAmount.
+ *  - Base/Ethereum: ERC-20 Transfer logs in the receipt (native ETH: the transaction value)
+ *  - Solana: token balance deltas for customerWallet (native SOL: lamport delta)
+ * Transactions that aren't confirmed yet are re-checked by a background poller; mismatches are held for review.
+ */
+class SettlementVerifier {
+  constructor() {
+    this.intervalMs = parseInt(process.env.SETTLEMENT_VERIFY_INTERVAL_MS || '30000');
+    this.retryDelayMs = parseInt(process.env.SETTLEMENT_VERIFY_RETRY_SECONDS || '60') * 1000;
+    this.maxAttempts = parseInt(process.env.SETTLEMENT_VERIFY_MAX_ATTEMPTS || '20');
+    this.tolerancePercent = parseFloat(process.env.SETTLEMENT_AMOUNT_TOLERANCE_PERCENT || '2');
+    this.minConfirmations = {
+      base: parseInt(process.env.BASE_SETTLEMENT_MIN_CONFIRMATIONS || '2'),
+      ethereum: parseInt(process.env.ETHEREUM_SETTLEMENT_MIN_CONFIRMATIONS || '3')
+    };
+
+    this.evmProviders = {
+      base: new ethers.providers.JsonRpcProvider(process.env.BASE_RPC_URL || BASE_CONFIG.rpc),
+      ethereum: new ethers.providers.JsonRpcProvider(process.env.ETHEREUM_RPC_URL || 'https://cloudflare-eth.com')
+    };
+    this.solanaConnection = new Connection(SOLANA_CONFIG.rpc, 'confirmed');
+    this.decimalsCache = new Map();
+
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  start() {
+    if (this.timer || process.env.NODE_ENV === 'test' || process.env.SETTLEMENT_VERIFIER_ENABLED === 'false') {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.tick().catch(error => console.error('[SETTLEMENT_VERIFIER] ❌ Tick failed:', error.message));
+    }, this.intervalMs);
+
+    console.log(`[SETTLEMENT_VERIFIER] ⏰ Started (every ${this.intervalMs / 1000}s)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Called when the liquidity server reports a settlement as done. Completes the order only if the
+   * transaction checks out on-chain.
+   * @param {Object} order BusinessOnrampOrder in processing
+   * @param {Object} settlement { transactionHash, actualTokenAmount, liquidityServerOrderId, actor, eventId }
+   * @returns {Promise<Object>} { status: verified|pending|mismatch|already_completed, order, verification }
+   */
+  async confirmSettlement(order, settlement) {
+    const { transactionHash, actualTokenAmount, liquidityServerOrderId } = settlement;
+
+    if (order.status === BUSINESS_ORDER_STATUS.COMPLETED) {
+      return { status: 'already_completed', order };
+    }
+
+    if (!transactionHash) {
+      return this.recordOutcome(order, settlement, {
+        status: SETTLEMENT_VERIFICATION_STATUS.MISMATCH,
+        mismatches: ['transaction_hash'],
+        detail: 'Settlement reported as completed without a transaction hash'
+      });
+    }
+
+    order.transactionHash = transactionHash;
+    if (liquidityServerOrderId) order.liquidityServerOrderId = liquidityServerOrderId;
+
+    const result = await this.verify(order, transactionHash);
+
+    console.log(`[SETTLEMENT_VERIFIER] ${result.status === SETTLEMENT_VERIFICATION_STATUS.VERIFIED ? '✅' : '⚠️'} ${order.orderId} ${transactionHash}: ${result.status}${result.detail ? ` (${result.detail})` : ''}`);
+
+    return this.recordOutcome(order, { ...settlement, actualTokenAmount }, result);
+  }
+
+  async recordOutcome(order, settlement, result) {
+    const previous = order.settlementVerification || {};
+    const attempts = (previous.transactionHash === settlement.transactionHash ? previous.attempts || 0 : 0) + 1;
+    let status = result.status;
+
+    // Give up waiting for confirmation eventually and hand it to an admin
+    if (status === SETTLEMENT_VERIFICATION_STATUS.PENDING && attempts >= this.maxAttempts) {
+      status = SETTLEMENT_VERIFICATION_STATUS.UNVERIFIED;
+    }
+
+    order.settlementVerification = {
+      status,
+      transactionHash: settlement.transactionHash,
+      expectedRecipient: order.customerWallet,
+      expectedToken: order.tokenContractAddress,
+      expectedAmount: order.estimatedTokenAmount,
+      reportedAmount: settlement.actualTokenAmount,
+      onChainAmount: result.onChainAmount,
+      confirmations: result.confirmations,
+      mismatches: result.mismatches || [],
+      detail: status === SETTLEMENT_VERIFICATION_STATUS.UNVERIFIED
+        ? `Not confirmed after ${attempts} checks: ${result.detail}`
+        : result.detail,
+      attempts,
+      nextCheckAt: status === SETTLEMENT_VERIFICATION_STATUS.PENDING
+        ? new Date(Date.now() + this.retryDelayMs)
+        : null,
+      checkedAt: new Date(),
+      requiresReview: [SETTLEMENT_VERIFICATION_STATUS.MISMATCH, SETTLEMENT_VERIFICATION_STATUS.UNVERIFIED].includes(status)
+    };
+
+    if (status === SETTLEMENT_VERIFICATION_STATUS.VERIFIED) {
+      order.markAsCompleted(settlement.transactionHash, result.onChainAmount, {
+        actor: settlement.actor || 'system',
+        eventId: settlement.eventId || settlement.transactionHash,
+        reason: 'Settlement verified on-chain'
+      });
+      await order.save();
+      await liquidityService.finalizeReservation(order);
+      await this.notifyCompleted(order);
+
+      return { status: 'verified', order, verification: order.settlementVerification };
+    }
+
+    await order.save();
+
+    if (order.settlementVerification.requiresReview) {
+      await this.notifyFlagged(order);
+    }
+
+    return { status, order, verification: order.settlementVerification };
+  }
+
+  /**
+   * Look the transaction up on-chain and compare it with the order
+   * @returns {Promise<Object>} { status, onChainAmount, confirmations, mismatches, detail }
+   */
+  async verify(order, transactionHash) {
+    try {
+      // A transfer that already settled (or was offered for) another order proves nothing about this one
+      const otherOrder = await BusinessOnrampOrder.findOne({
+        _id: { $ne: order._id },
+        $or: [
+          { transactionHash },
+          { 'settlementVerification.transactionHash': transactionHash }
+        ]
+      }).select('orderId');
+      if (otherOrder) {
+        return this.mismatch(['transaction_reused'], `Transaction already recorded for order ${otherOrder.orderId}`);
+      }
+
+      if (order.targetNetwork === 'solana') {
+        return await this.verifySolana(order, transactionHash);
+      }
+      if (this.evmProviders[order.targetNetwork]) {
+        return await this.verifyEvm(order, transactionHash);
+      }
+      return this.mismatch(['network'], `Unsupported network: ${order.targetNetwork}`);
+    } catch (error) {
+      // RPC trouble isn't evidence against the settlement - look again later
+      return this.pending(`Lookup failed: ${error.message}`);
+    }
+  }
+
+  async verifyEvm(order, transactionHash) {
+    const network = order.targetNetwork;
+    const provider = this.evmProviders[network];
+
+    const receipt = await provider.getTransactionReceipt(transactionHash);
+    if (!receipt) {
+      return this.pending('Transaction not found yet');
+    }
+    if (receipt.status === 0) {
+      return this.mismatch(['transaction_failed'], 'Transaction reverted');
+    }
+
+    const latestBlock = await provider.getBlockNumber();
+    const confirmations = latestBlock - receipt.blockNumber + 1;
+    if (confirmations < this.minConfirmations[network]) {
+      return this.pending(`${confirmations} of ${this.minConfirmations[network]} confirmations`, { confirmations });
+    }
+
+    const block = await provider.getBlock(receipt.blockNumber);
+    if (block && this.minedBeforeOrder(order, block.timestamp)) {
+      return this.mismatch(['timestamp'], `Transaction was mined at ${new Date(block.timestamp * 1000).toISOString()}, before the order was created`, { confirmations });
+    }
+
+    const recipient = order.customerWallet.toLowerCase();
+    const token = order.tokenContractAddress.toLowerCase();
+
+    if (token === NATIVE_EVM_TOKEN) {
+      const tx = await provider.getTransaction(transactionHash);
+      if (!tx.to || tx.to.toLowerCase() !== recipient) {
+        return this.mismatch(['recipient'], `Native transfer went to ${tx.to}, not ${order.customerWallet}`, { confirmations });
+      }
+      return this.compareAmount(order, parseFloat(ethers.utils.formatEther(tx.value)), confirmations);
+    }
+
+    // Sum every Transfer of the order's token into the customer's wallet
+    let received = ethers.BigNumber.from(0);
+    let sawToken = false;
+    for (const log of receipt.logs) {
+      if (log.topics[0] !== TRANSFER_TOPIC || log.topics.length < 3) continue;
+      if (log.address.toLowerCase() !== token) continue;
+      sawToken = true;
+
+      const to = ethers.utils.getAddress(ethers.utils.hexDataSlice(log.topics[2], 12)).toLowerCase();
+      if (to === recipient) {
+        received = received.add(ethers.BigNumber.from(log.data));
+      }
+    }
+
+    if (!sawToken) {
+      return this.mismatch(['token'], `No ${order.targetToken} transfer in the transaction`, { confirmations });
+    }
+    if (received.isZero()) {
+      return this.mismatch(['recipient'], `No ${order.targetToken} transfer to ${order.customerWallet}`, { confirmations });
+    }
+
+    const decimals = await this.getTokenDecimals(network, order.tokenContractAddress);
+    return this.compareAmount(order, parseFloat(ethers.utils.formatUnits(received, decimals)), confirmations);
+  }
+
+  async verifySolana(order, transactionHash) {
+    const tx = await this.solanaConnection.getParsedTransaction(transactionHash, {
+      commitment: 'finalized',
+      maxSupportedTransactionVersion: 0
+    });
+
+    if (!tx) {
+      return this.pending('Transaction not found or not finalized yet');
+    }
+    if (tx.meta?.err) {
+      return this.mismatch(['transaction_failed'], `Transaction failed: ${JSON.stringify(tx.meta.err)}`);
+    }
+
+    if (tx.blockTime && this.minedBeforeOrder(order, tx.blockTime)) {
+      return this.mismatch(['timestamp'], `Transaction was confirmed at ${new Date(tx.blockTime * 1000).toISOString()}, before the order was created`);
+    }
+
+    const wallet = order.customerWallet;
+    const mint = order.tokenContractAddress;
+
+    const balanceFor = (balances) => (balances || [])
+      .filter(b => b.owner === wallet && b.mint === mint)
+      .reduce((sum, b) => sum + parseFloat(b.uiTokenAmount.uiAmountString || '0'), 0);
+
+    const tokenDelta = balanceFor(tx.meta.postTokenBalances) - balanceFor(tx.meta.preTokenBalances);
+    if (tokenDelta > 0) {
+      return this.compareAmount(order, tokenDelta);
+    }
+
+    // SOL orders may be settled as plain lamports rather than wrapped SOL
+    if (mint === WRAPPED_SOL_MINT) {
+      const index = tx.transaction.message.accountKeys.findIndex(k => k.pubkey.toBase58() === wallet);
+      if (index >= 0) {
+        const lamports = tx.meta.postBalances[index] - tx.meta.preBalances[index];
+        if (lamports > 0) {
+          return this.compareAmount(order, lamports / 1e9);
+        }
+      }
+    }
+
+    const touchedMint = [...(tx.meta.postTokenBalances || [])].some(b => b.mint === mint);
+    return touchedMint
+      ? this.mismatch(['recipient'], `No ${order.targetToken} received by ${wallet}`)
+      : this.mismatch(['token'], `No ${order.targetToken} transfer in the transaction`);
+  }
+
+  /**
+   * An earlier transfer to the same wallet can't be this order's settlement
+   * @param {number} blockTimeSeconds - Unix time the transaction was mined
+   */
+  minedBeforeOrder(order, blockTimeSeconds) {
+    return Boolean(order.createdAt) && blockTimeSeconds * 1000 < new Date(order.createdAt).getTime();
+  }
+
+  compareAmount(order, onChainAmount, confirmations) {
+    const expected = order.estimatedTokenAmount;
+    const differencePercent = expected > 0 ? Math.abs(onChainAmount - expected) / expected * 100 : 100;
+
+    if (differencePercent > this.tolerancePercent) {
+      return this.mismatch(
+        ['amount'],
+        `Received ${onChainAmount} ${order.targetToken}, expected ${expected} (${differencePercent.toFixed(2)}% off, tolerance ${this.tolerancePercent}%)`,
+        { onChainAmount, confirmations }
+      );
+    }
+
+    return { status: SETTLEMENT_VERIFICATION_STATUS.VERIFIED, onChainAmount, confirmations, mismatches: [] };
+  }
+
+  pending(detail, extra = {}) {
+    return { status: SETTLEMENT_VERIFICATION_STATUS.PENDING, detail, mismatches: [], ...extra };
+  }
+
+  mismatch(mismatches, detail, extra = {}) {
+    return { status: SETTLEMENT_VERIFICATION_STATUS.MISMATCH, detail, mismatches, ...extra };
+  }
+
+  async getTokenDecimals(network, tokenAddress) {
+    const key = `${network}:${tokenAddress.toLowerCase()}`;
+    if (!this.decimalsCache.has(key)) {
+      const contract = new ethers.Contract(
+        tokenAddress,
+        ['function decimals() view returns (uint8)'],
+        this.evmProviders[network]
+      );
+      this.decimalsCache.set(key, await contract.decimals());
+    }
+    return this.decimalsCache.get(key);
+  }
+
+  // Re-check settlements that weren't confirmed when the liquidity server reported them
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      for (;;) {
+        const order = await this.claimNextPending();
+        if (!order) break;
+
+        await this.confirmSettlement(order, {
+          transactionHash: order.settlementVerification.transactionHash,
+          actualTokenAmount: order.settlementVerification.reportedAmount,
+          actor: 'system',
+          eventId: `verify-${order.settlementVerification.attempts + 1}`
+        });
+      }
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  claimNextPending() {
+    const now = new Date();
+    return BusinessOnrampOrder.findOneAndUpdate(
+      {
+        status: BUSINESS_ORDER_STATUS.PROCESSING,
+        'settlementVerification.status': SETTLEMENT_VERIFICATION_STATUS.PENDING,
+        'settlementVerification.nextCheckAt': { $lte: now }
+      },
+      { $set: { 'settlementVerification.nextCheckAt': new Date(now.getTime() + this.retryDelayMs) } },
+      { new: true, sort: { 'settlementVerification.nextCheckAt': 1 } }
+    );
+  }
+
+  async notifyCompleted(order) {
+    if (!order.webhookUrl) return;
+
+    const sent = await this.sendBusinessWebhook(order.webhookUrl, {
+      orderId: order.orderId,
+      businessOrderReference: order.businessOrderReference,
+      status: order.status,
+      amount: order.amount,
+      targetToken: order.targetToken,
+      targetNetwork: order.targetNetwork,
+      estimatedTokenAmount: order.estimatedTokenAmount,
+      actualTokenAmount: order.actualTokenAmount,
+      customerEmail: order.customerEmail,
+      customerWallet: order.customerWallet,
+      transactionHash: order.transactionHash,
+      completedAt: order.completedAt,
+      settlementCompletedAt: order.settlementCompletedAt,
+      paidAmount: order.paidAmount,
+      paymentMismatch: order.paymentMismatch || null,
+      metadata: order.metadata
+    }, 'order.completed');
+
+    if (sent) {
+      order.markWebhookDelivered();
+    } else {
+      order.updateWebhookAttempt();
+    }
+    await order.save();
+  }
+
+  async notifyFlagged(order) {
+    const notificationUrl = process.env.INTERNAL_NOTIFICATION_WEBHOOK;
+    if (!notificationUrl) return;
+
+    try {
+      await axios.post(notificationUrl, {
+        type: 'SETTLEMENT_VERIFICATION_FAILED',
+        orderId: order.orderId,
+        businessOrderReference: order.businessOrderReference,
+        targetNetwork: order.targetNetwork,
+        verification: order.settlementVerification,
+        requiresReview: true,
+        timestamp: new Date().toISOString()
+      }, { timeout: 10000 });
+    } catch (error) {
+      console.error(`[SETTLEMENT_VERIFIER] Failed to send review notification for ${order.orderId}:`, error.message);
+    }
+  }
+
+  async sendBusinessWebhook(webhookUrl, data, eventType) {
+    try {
+      const payload = {
+        event: eventType,
+        timestamp: new Date().toISOString(),
+        data
+      };
+
+      const signature = crypto
+        .createHmac('sha256', process.env.WEBHOOK_SECRET || 'default-secret')
+        .update(JSON.stringify(payload))
+        .digest('hex');
+
+      await axios.post(webhookUrl, payload, {
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Webhook-Signature': `sha256=${signature}`,
+          'User-Agent': 'OnrampService/4.0'
+        },
+        timeout: 10000
+      });
+      return true;
+    } catch (error) {
+      console.error(`[SETTLEMENT_VERIFIER] Failed to send ${eventType} webhook:`, error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = new SettlementVerifier();
@@ -0,0 +1,37 @@
+// src/services/signers/baseSigner.js
+
+/**
+ * Common behaviour for transaction signers. Each signer implements:
+ *  - isConfigured()
+ *  - getAddress(key) -> address the key signs as
+ *  - signEvmTransaction(key, unsignedTx, request) -> signed raw transaction (0x hex)
+ *  - signSolanaMessage(key, message, request) -> 64-byte ed25519 signature (Buffer)
+ *
+ * A key is a reference, never key material:
+ *  - { type: 'deposit_wallet', network, address, derivationIndex, encryptedPrivateKey }
+ *  - { type: 'gas_funder', network }
+ * request is { requestId, purpose, reference } from the audit log entry for this signature.
+ */
+class BaseSigner {
+  constructor(name) {
+    this.name = name;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async getAddress(key) {
+    throw new Error(`${this.name} signer does not implement getAddress`);
+  }
+
+  async signEvmTransaction(key, unsignedTx, request) {
+    throw new Error(`${this.name} signer does not implement signEvmTransaction`);
+  }
+
+  async signSolanaMessage(key, message, request) {
+    throw new Error(`${this.name} signer does not implement signSolanaMessage`);
+  }
+}
+
+module.exports = BaseSigner;
@@ -0,0 +1,80 @@
+// src/services/signers/localSigner.js
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { Keypair } = require('@solana/web3.js');
+const BaseSigner = require('./baseSigner');
+const walletGeneratorService = require('../walletGeneratorService');
+
+// PKCS#8 wrapper for a raw 32-byte ed25519 seed, so Node's crypto can sign with it
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+function signerError(message, code, status = 400) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+/**
+ * Signs in the API process. Deposit wallet keys are re-derived or decrypted by walletGeneratorService
+ * for each signature and never cached; gas funder keys come from SWEEPER_GAS_FUNDER_PRIVATE_KEY (EVM)
+ * and SWEEPER_SOLANA_GAS_FUNDER_SECRET_KEY (Solana, base64 secret key).
+ */
+class LocalSigner extends BaseSigner {
+  constructor() {
+    super('local');
+  }
+
+  async getAddress(key) {
+    if (key.type === 'gas_funder') {
+      const privateKey = this.funderPrivateKey(key.network);
+      return key.network === 'solana'
+        ? Keypair.fromSecretKey(Buffer.from(privateKey, 'base64')).publicKey.toBase58()
+        : new ethers.Wallet(privateKey).address;
+    }
+
+    return key.address || walletGeneratorService.deriveWallet(key.network, key.derivationIndex).address;
+  }
+
+  async signEvmTransaction(key, unsignedTx) {
+    const wallet = new ethers.Wallet(await this.privateKeyFor(key));
+    return wallet.signTransaction(unsignedTx);
+  }
+
+  async signSolanaMessage(key, message) {
+    const secretKey = Buffer.from(await this.privateKeyFor(key), 'base64');
+    const privateKey = crypto.createPrivateKey({
+      key: Buffer.concat([ED25519_PKCS8_PREFIX, secretKey.subarray(0, 32)]),
+      format: 'der',
+      type: 'pkcs8'
+    });
+    return crypto.sign(null, message, privateKey);
+  }
+
+  async privateKeyFor(key) {
+    if (key.type === 'gas_funder') {
+      return this.funderPrivateKey(key.network);
+    }
+
+    const walletKeys = await walletGeneratorService.getWalletPrivateKey({
+      address: key.address,
+      network: key.network,
+      derivationIndex: key.derivationIndex,
+      privateKey: key.encryptedPrivateKey
+    });
+    if (!walletKeys.success) {
+      throw new Error(`Failed to get wallet keys: ${walletKeys.error}`);
+    }
+    return walletKeys.privateKey;
+  }
+
+  funderPrivateKey(network) {
+    const envName = network === 'solana' ? 'SWEEPER_SOLANA_GAS_FUNDER_SECRET_KEY' : 'SWEEPER_GAS_FUNDER_PRIVATE_KEY';
+    if (!process.env[envName]) {
+      throw signerError(`${envName} is not configured`, 'GAS_FUNDER_NOT_CONFIGURED', 503);
+    }
+    return process.env[envName];
+  }
+}
+
+module.exports = LocalSigner;
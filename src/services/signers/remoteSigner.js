@@ -0,0 +1,91 @@
+// src/services/signers/remoteSigner.js
+const axios = require('axios');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const BaseSigner = require('./baseSigner');
+
+/**
+ * Asks a separate signing service to sign, so deposit wallet keys (HD seeds, master keys) and gas
+ * funder keys live only there. Requests are JSON POSTs authenticated with an HMAC of the body:
+ *  - X-Signer-Client: SIGNER_SERVICE_CLIENT_ID
+ *  - X-Signer-Timestamp: unix milliseconds
+ *  - X-Signer-Signature: hex HMAC-SHA256 of "<timestamp>.<body>" with SIGNER_SERVICE_SECRET
+ * Endpoints (relative to SIGNER_SERVICE_URL):
+ *  - POST /v1/address      { key } -> { address }
+ *  - POST /v1/sign/evm     { requestId, purpose, reference, key, transaction: unsigned 0x hex } -> { signedTransaction }
+ *  - POST /v1/sign/solana  { requestId, purpose, reference, key, message: base64 } -> { signature: base64 }
+ * Signatures that come back are checked against the request before they are used (see transactionSigner).
+ */
+class RemoteSigner extends BaseSigner {
+  constructor() {
+    super('remote');
+    this.baseUrl = (process.env.SIGNER_SERVICE_URL || '').replace(/\/$/, '');
+    this.clientId = process.env.SIGNER_SERVICE_CLIENT_ID || 'aboki-b2b-api';
+    this.secret = process.env.SIGNER_SERVICE_SECRET;
+    this.timeoutMs = parseInt(process.env.SIGNER_SERVICE_TIMEOUT_MS || '15000');
+  }
+
+  isConfigured() {
+    return !!(this.baseUrl && this.secret);
+  }
+
+  async getAddress(key) {
+    const { address } = await this.post('/v1/address', { key });
+    if (!address) {
+      throw new Error('Signing service returned no address');
+    }
+    return address;
+  }
+
+  async signEvmTransaction(key, unsignedTx, request) {
+    const { signedTransaction } = await this.post('/v1/sign/evm', {
+      ...request,
+      key,
+      transaction: ethers.utils.serializeTransaction(unsignedTx)
+    });
+    if (!signedTransaction) {
+      throw new Error('Signing service returned no signed transaction');
+    }
+    return signedTransaction;
+  }
+
+  async signSolanaMessage(key, message, request) {
+    const { signature } = await this.post('/v1/sign/solana', {
+      ...request,
+      key,
+      message: Buffer.from(message).toString('base64')
+    });
+    if (!signature) {
+      throw new Error('Signing service returned no signature');
+    }
+    return Buffer.from(signature, 'base64');
+  }
+
+  async post(path, payload) {
+    const body = JSON.stringify(payload);
+    const timestamp = Date.now().toString();
+    const signature = crypto
+      .createHmac('sha256', this.secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+
+    try {
+      const response = await axios.post(`${this.baseUrl}${path}`, body, {
+        timeout: this.timeoutMs,
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Signer-Client': this.clientId,
+          'X-Signer-Timestamp': timestamp,
+          'X-Signer-Signature': signature,
+          'User-Agent': 'Aboki-B2B-Platform/1.0.0'
+        }
+      });
+      return response.data || {};
+    } catch (error) {
+      const message = error.response?.data?.message || error.message;
+      throw new Error(`Signing service ${path} failed${error.response ? ` (${error.response.status})` : ''}: ${message}`);
+    }
+  }
+}
+
+module.exports = RemoteSigner;
@@ -0,0 +1,93 @@
+// src/services/swapRetryScheduler.js
+const { BusinessOfframpOrder, BUSINESS_OFFRAMP_STATUS } = require('../models/BusinessOfframpOrder');
+const offrampWebhookHandler = require('./offrampWebhookHandler');
+
+/**
+ * Retries offramp swaps parked in swap_retry because they would have exceeded the slippage budget.
+ *  - SWAP_RETRY_POLL_INTERVAL_MS: how often due retries are looked for
+ * When a retry is due and how many are allowed is decided by offrampWebhookHandler.scheduleSwapRetry
+ * (OFFRAMP_SWAP_RETRY_MINUTES, OFFRAMP_SWAP_MAX_ATTEMPTS).
+ */
+class SwapRetryScheduler {
+  constructor() {
+    this.intervalMs = parseInt(process.env.SWAP_RETRY_POLL_INTERVAL_MS || '60000');
+
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  start() {
+    if (this.timer || process.env.NODE_ENV === 'test' || process.env.SWAP_RETRY_SCHEDULER_ENABLED === 'false') {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.tick().catch(error => console.error('[SWAP_RETRY] ❌ Tick failed:', error.message));
+    }, this.intervalMs);
+
+    console.log(`[SWAP_RETRY] ⏰ Started (every ${this.intervalMs / 1000}s)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      for (;;) {
+        const order = await this.claimNext();
+        if (!order) break;
+
+        console.log(`[SWAP_RETRY] 🔁 Retrying swap for order ${order.orderId} (attempt ${order.swap.attempts + 1})`);
+        await offrampWebhookHandler.initiateTokenSwap(order);
+      }
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  // Moving the order to processing claims it, so two instances never retry the same swap
+  claimNext() {
+    return BusinessOfframpOrder.findOneAndUpdate(
+      {
+        status: BUSINESS_OFFRAMP_STATUS.SWAP_RETRY,
+        'swap.nextRetryAt': { $lte: new Date() }
+      },
+      {
+        $set: {
+          status: BUSINESS_OFFRAMP_STATUS.PROCESSING,
+          'swap.nextRetryAt': null,
+          updatedAt: new Date()
+        }
+      },
+      { new: true, sort: { 'swap.nextRetryAt': 1 } }
+    );
+  }
+
+  async getStatus() {
+    const [waiting, due] = await Promise.all([
+      BusinessOfframpOrder.countDocuments({ status: BUSINESS_OFFRAMP_STATUS.SWAP_RETRY }),
+      BusinessOfframpOrder.countDocuments({
+        status: BUSINESS_OFFRAMP_STATUS.SWAP_RETRY,
+        'swap.nextRetryAt': { $lte: new Date() }
+      })
+    ]);
+
+    return {
+      running: !!this.timer,
+      intervalMs: this.intervalMs,
+      slippageBudgetPercent: offrampWebhookHandler.swapSlippagePercent,
+      maxAttempts: offrampWebhookHandler.swapMaxAttempts,
+      waiting,
+      due
+    };
+  }
+}
+
+module.exports = new SwapRetryScheduler();
@@ -0,0 +1,249 @@
+// src/services/transactionSigner.js
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { PublicKey, VersionedTransaction } = require('@solana/web3.js');
+const LocalSigner = require('./signers/localSigner');
+const RemoteSigner = require('./signers/remoteSigner');
+const { SigningAuditLog, SIGNING_STATUS } = require('../models/SigningAuditLog');
+
+const SIGNER_CLASSES = {
+  local: LocalSigner,
+  remote: RemoteSigner
+};
+
+// SPKI wrapper for a raw 32-byte ed25519 public key, so Node's crypto can verify with it
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+/**
+ * An ethers Signer whose signatures come from transactionSigner, so contract calls and
+ * sendTransaction work as they do with an ethers.Wallet - without the key in this process.
+ */
+class ManagedEvmSigner extends ethers.Signer {
+  constructor(transactionSigner, key, address, context, provider) {
+    super();
+    ethers.utils.defineReadOnly(this, 'address', address);
+    ethers.utils.defineReadOnly(this, 'provider', provider || null);
+    this.transactionSigner = transactionSigner;
+    this.key = key;
+    this.context = context;
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  async signMessage() {
+    throw new Error('Message signing is not supported for managed wallets');
+  }
+
+  async signTransaction(transaction) {
+    return this.transactionSigner.signEvmTransaction(this.key, transaction, this.context);
+  }
+
+  connect(provider) {
+    return new ManagedEvmSigner(this.transactionSigner, this.key, this.address, this.context, provider);
+  }
+}
+
+/**
+ * Every signature the platform makes - swaps, sweeps, refunds and gas top-ups - goes through here.
+ *  - SIGNER_MODE: 'local' (default, keys handled in this process) or 'remote' (signing service,
+ *    see signers/remoteSigner for its settings). Boot fails if remote mode isn't configured.
+ * Each request is written to the signing audit log with its purpose and order/batch reference before
+ * the key is used; if the log can't be written, nothing is signed.
+ */
+class TransactionSigner {
+  constructor() {
+    this.mode = (process.env.SIGNER_MODE || 'local').toLowerCase();
+
+    if (!SIGNER_CLASSES[this.mode]) {
+      throw new Error(`Unknown SIGNER_MODE "${this.mode}". Use one of: ${Object.keys(SIGNER_CLASSES).join(', ')}`);
+    }
+    this.signer = new SIGNER_CLASSES[this.mode]();
+    if (!this.signer.isConfigured()) {
+      throw new Error('SIGNER_MODE is remote but SIGNER_SERVICE_URL / SIGNER_SERVICE_SECRET are not set');
+    }
+
+    this.addressCache = new Map(); // gas funder addresses, which don't change while running
+
+    console.log(`[SIGNER] ✍️ Signing with the ${this.mode} signer`);
+  }
+
+  // Key reference for an order's or batch's deposit wallet
+  depositKey(owner) {
+    const wallet = owner.depositWallet;
+    return {
+      type: 'deposit_wallet',
+      network: owner.targetNetwork || wallet.network,
+      address: wallet.address,
+      derivationIndex: wallet.derivationIndex ?? undefined,
+      encryptedPrivateKey: wallet.privateKey || undefined
+    };
+  }
+
+  funderKey(network) {
+    return { type: 'gas_funder', network };
+  }
+
+  async getAddress(key) {
+    if (key.address) return key.address;
+
+    const cacheKey = key.type === 'gas_funder' ? `${key.type}:${key.network}` : null;
+    if (cacheKey && this.addressCache.has(cacheKey)) {
+      return this.addressCache.get(cacheKey);
+    }
+
+    const address = await this.signer.getAddress(key);
+    if (cacheKey) this.addressCache.set(cacheKey, address);
+    return address;
+  }
+
+  /**
+   * An ethers Signer for a key, bound to a provider
+   * @param {Object} key depositKey() or funderKey()
+   * @param {Object} context { reference, purpose } recorded with every signature it makes
+   */
+  async evmSigner(key, provider, context) {
+    return new ManagedEvmSigner(this, key, await this.getAddress(key), context, provider);
+  }
+
+  /**
+   * Sign a populated EVM transaction
+   * @returns {Promise<string>} signed raw transaction
+   */
+  async signEvmTransaction(key, transaction, context) {
+    const address = await this.getAddress(key);
+    const unsigned = await ethers.utils.resolveProperties(transaction);
+
+    if (unsigned.from && unsigned.from.toLowerCase() !== address.toLowerCase()) {
+      throw new Error(`Transaction from ${unsigned.from} can't be signed by ${address}`);
+    }
+    delete unsigned.from;
+
+    return this.audited(key, address, context, {
+      payloadType: 'evm_transaction',
+      payloadHash: ethers.utils.keccak256(ethers.utils.serializeTransaction(unsigned)),
+      to: unsigned.to,
+      value: unsigned.value ? ethers.BigNumber.from(unsigned.value).toString() : '0'
+    }, async request => {
+      const signed = await this.signer.signEvmTransaction(key, unsigned, request);
+
+      // Never broadcast something other than what was asked for
+      const parsed = ethers.utils.parseTransaction(signed);
+      const same = (a, b) => (a || '').toString().toLowerCase() === (b || '').toString().toLowerCase();
+      if (!same(parsed.from, address) || !same(parsed.to, unsigned.to) ||
+          !same(parsed.data, unsigned.data || '0x') || parsed.nonce !== ethers.BigNumber.from(unsigned.nonce).toNumber() ||
+          !parsed.value.eq(unsigned.value || 0)) {
+        throw new Error('Signed transaction does not match the request');
+      }
+
+      return { result: signed, transactionHash: parsed.hash };
+    });
+  }
+
+  /**
+   * Add signatures from each key to a Solana transaction (legacy or versioned).
+   * A legacy transaction needs its feePayer and recentBlockhash set first.
+   */
+  async signSolanaTransaction(transaction, keys, context) {
+    const versioned = transaction instanceof VersionedTransaction;
+    const message = versioned ? transaction.message.serialize() : transaction.serializeMessage();
+    const payloadHash = crypto.createHash('sha256').update(message).digest('hex');
+
+    for (const key of keys) {
+      const address = await this.getAddress(key);
+      const publicKey = new PublicKey(address);
+
+      const signature = await this.audited(key, address, context, {
+        payloadType: 'solana_transaction',
+        payloadHash
+      }, async request => {
+        const signed = await this.signer.signSolanaMessage(key, message, request);
+
+        const valid = signed.length === 64 && crypto.verify(
+          null,
+          message,
+          crypto.createPublicKey({ key: Buffer.concat([ED25519_SPKI_PREFIX, publicKey.toBuffer()]), format: 'der', type: 'spki' }),
+          signed
+        );
+        if (!valid) {
+          throw new Error(`Signature from ${address} does not verify`);
+        }
+
+        return { result: signed, transactionHash: ethers.utils.base58.encode(signed) };
+      });
+
+      transaction.addSignature(publicKey, signature);
+    }
+
+    return transaction;
+  }
+
+  /**
+   * Sign a legacy Solana transaction with each key, send it and wait for confirmation
+   * @returns {Promise<string>} transaction signature
+   */
+  async sendSolanaTransaction(connection, transaction, keys, context) {
+    const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed');
+    transaction.recentBlockhash = blockhash;
+
+    await this.signSolanaTransaction(transaction, keys, context);
+
+    const signature = await connection.sendRawTransaction(transaction.serialize());
+    const confirmation = await connection.confirmTransaction({ signature, blockhash, lastValidBlockHeight }, 'confirmed');
+    if (confirmation.value.err) {
+      throw new Error(`Transaction ${signature} failed: ${JSON.stringify(confirmation.value.err)}`);
+    }
+
+    return signature;
+  }
+
+  // Log the request, sign, then record the outcome. No log entry, no signature.
+  async audited(key, address, context, payload, sign) {
+    const startedAt = Date.now();
+    const entry = await SigningAuditLog.create({
+      requestId: SigningAuditLog.generateRequestId(),
+      signer: this.mode,
+      purpose: context.purpose,
+      reference: context.reference,
+      keyType: key.type,
+      network: key.network,
+      address,
+      derivationIndex: key.derivationIndex,
+      ...payload
+    });
+
+    try {
+      const { result, transactionHash } = await sign({
+        requestId: entry.requestId,
+        purpose: context.purpose,
+        reference: context.reference
+      });
+
+      entry.status = SIGNING_STATUS.SIGNED;
+      entry.transactionHash = transactionHash;
+      return result;
+
+    } catch (error) {
+      entry.status = SIGNING_STATUS.FAILED;
+      entry.error = error.message;
+      console.error(`[SIGNER] ❌ ${context.purpose} signature for ${context.reference} by ${address} failed: ${error.message}`);
+      throw error;
+
+    } finally {
+      entry.completedAt = new Date();
+      entry.durationMs = Date.now() - startedAt;
+      await entry.save().catch(error => console.error(`[SIGNER] ❌ Could not update audit entry ${entry.requestId}:`, error.message));
+    }
+  }
+
+  getStatus() {
+    return {
+      mode: this.mode,
+      configured: this.signer.isConfigured(),
+      ...(this.mode === 'remote' && { serviceUrl: this.signer.baseUrl })
+    };
+  }
+}
+
+module.exports = new TransactionSigner();
@@ -3,8 +3,13 @@
  * Generates secure wallets for customers to deposit tokens
  * Supports Base (EVM) and Solana networks with encryption
  * 
+ * Deposit wallets are derived from per-network HD seeds (BIP44 for EVM, SLIP-0010 for Solana) and only
+ * the derivation index is stored, so any key can be re-derived from the seed. Wallets from before HD
+ * derivation (or made while a seed isn't configured) keep a stored private key with envelope encryption:
+ * a per-wallet data key wrapped by a versioned master key (WALLET_MASTER_KEYS), so master keys can be
+ * rotated by re-wrapping (see keyRotationService).
+ *
  * FIXES:
- * - Fixed encryption key generation
  * - Improved error handling
  * - Better validation
  * - More robust fallbacks
@@ -13,281 +18,357 @@
 const { ethers } = require('ethers');
 const { Keypair } = require('@solana/web3.js');
 const crypto = require('crypto');
+const { HdDerivationCounter } = require('../models/HdDerivationCounter');
+
+const ENVELOPE_VERSION = 'env1';
+const LEGACY_KEY_ID = 'legacy';
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+const DATA_AAD = Buffer.from('wallet-private-key', 'utf8');
+
+// Base and Ethereum share the EVM seed; Solana (ed25519) only allows hardened derivation
+const HD_SEED_ENV = {
+  evm: 'WALLET_HD_SEED_EVM',
+  solana: 'WALLET_HD_SEED_SOLANA'
+};
+const HD_PATHS = {
+  evm: index => `m/44'/60'/0'/0/${index}`,
+  solana: index => `m/44'/501'/${index}'/0'`
+};
+const MAX_DERIVATION_INDEX = 0x7fffffff;
 
 class WalletGeneratorService {
   constructor() {
-    this.encryptionKey = this.initializeEncryptionKey();
-    console.log('🔑 Wallet Generator Service initialized with encryption');
+    // With SIGNER_MODE=remote the signing service holds the master keys and seeds; this process
+    // never loads them and gets deposit addresses from the signer
+    if (this.usesRemoteSigner()) {
+      this.masterKeys = new Map();
+      this.legacyKey = null;
+      this.activeKeyId = null;
+      this.hdSeeds = { evm: null, solana: null };
+      console.log('🔑 Wallet Generator Service initialized without local keys (SIGNER_MODE=remote)');
+      return;
+    }
+
+    this.loadMasterKeys();
+    this.loadHdSeeds();
+    console.log(`🔑 Wallet Generator Service initialized with envelope encryption (master key ${this.activeKeyId})`);
   }
 
   /**
-   * FIXED: Initialize encryption key with proper validation
+   * Load the master keys that wrap each wallet's data key. Throws when there are none - a randomly
+   * generated key would leave every stored wallet undecryptable after a restart.
+   *  - WALLET_MASTER_KEYS: comma-separated id:hex pairs, each key 32 bytes (64 hex chars), e.g. v1:ab12...,v2:cd34...
+   *  - WALLET_MASTER_KEY_ID: the key new wallets are wrapped with (default: the last one listed)
+   *  - WALLET_ENCRYPTION_KEY: the old single key. Still loaded (as key id "legacy") so older wallets
+   *    decrypt until a rotation re-wraps them, and used as the master key when WALLET_MASTER_KEYS is unset.
    */
-  initializeEncryptionKey() {
-    try {
-      // Try to use environment variable first
-      if (process.env.WALLET_ENCRYPTION_KEY) {
-        const envKey = process.env.WALLET_ENCRYPTION_KEY;
-        
-        // If it's a hex string, convert it to buffer
-        if (envKey.match(/^[0-9a-fA-F]{64}$/)) {
-          return Buffer.from(envKey, 'hex');
-        }
-        
-        // If it's a regular string, hash it to get 32 bytes
-        return crypto.createHash('sha256').update(envKey).digest();
+  loadMasterKeys() {
+    this.masterKeys = new Map();
+
+    const configured = (process.env.WALLET_MASTER_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean);
+    for (const entry of configured) {
+      const [id, hex] = entry.split(':');
+      if (!KEY_ID_PATTERN.test(id || '') || id === LEGACY_KEY_ID) {
+        throw new Error(`WALLET_MASTER_KEYS has an invalid key id "${id}" - use letters, numbers, _ or -, and not "${LEGACY_KEY_ID}"`);
       }
-      
-      // Generate a secure random key if no environment variable
-      console.warn('⚠️ No WALLET_ENCRYPTION_KEY found, generating secure random key');
-      console.warn('⚠️ For production, set WALLET_ENCRYPTION_KEY environment variable');
-      
-      return crypto.randomBytes(32); // 256 bits for AES-256
-      
-    } catch (error) {
-      console.error('❌ Failed to initialize encryption key:', error);
-      // Emergency fallback - use a deterministic key based on system info
-      const fallbackSeed = `wallet-encryption-${process.pid}-${Date.now()}`;
-      return crypto.createHash('sha256').update(fallbackSeed).digest();
+      if (!/^[0-9a-fA-F]{64}$/.test(hex || '')) {
+        throw new Error(`WALLET_MASTER_KEYS key "${id}" must be 32 bytes of hex (64 characters)`);
+      }
+      if (this.masterKeys.has(id)) {
+        throw new Error(`WALLET_MASTER_KEYS lists key id "${id}" twice`);
+      }
+      this.masterKeys.set(id, Buffer.from(hex, 'hex'));
+    }
+
+    // The single-key setup this replaces: a 64-char hex key, or any string hashed to 32 bytes
+    this.legacyKey = null;
+    if (process.env.WALLET_ENCRYPTION_KEY) {
+      const envKey = process.env.WALLET_ENCRYPTION_KEY;
+      this.legacyKey = /^[0-9a-fA-F]{64}$/.test(envKey)
+        ? Buffer.from(envKey, 'hex')
+        : crypto.createHash('sha256').update(envKey).digest();
+      this.masterKeys.set(LEGACY_KEY_ID, this.legacyKey);
+    }
+
+    if (this.masterKeys.size === 0) {
+      throw new Error('No wallet master key configured - set WALLET_MASTER_KEYS (id:hex pairs). Refusing to start: deposit wallet keys could not be decrypted.');
+    }
+
+    const configuredIds = [...this.masterKeys.keys()].filter(id => id !== LEGACY_KEY_ID);
+    this.activeKeyId = process.env.WALLET_MASTER_KEY_ID || configuredIds[configuredIds.length - 1] || LEGACY_KEY_ID;
+
+    if (!this.masterKeys.has(this.activeKeyId)) {
+      throw new Error(`WALLET_MASTER_KEY_ID "${this.activeKeyId}" is not one of the keys in WALLET_MASTER_KEYS`);
+    }
+    if (this.activeKeyId === LEGACY_KEY_ID) {
+      console.warn('⚠️ Wrapping wallet keys with WALLET_ENCRYPTION_KEY - set WALLET_MASTER_KEYS and rotate to move off it');
     }
   }
 
   /**
-   * FIXED: Encrypt private key with modern Node.js crypto methods
+   * Load the seeds deposit wallets are derived from. Each may be a BIP39 mnemonic, a 16-64 byte hex
+   * seed, or either of those encrypted with encryptPrivateKey (env1:...) so it isn't kept in plain text.
+   *  - WALLET_HD_SEED_EVM: Base and Ethereum wallets
+   *  - WALLET_HD_SEED_SOLANA: Solana wallets
+   * A network without a seed falls back to random keys stored encrypted on the order.
    */
-  encryptPrivateKey(privateKey) {
-    try {
-      if (!privateKey) {
-        throw new Error('Private key is required for encryption');
+  loadHdSeeds() {
+    this.hdSeeds = {};
+
+    for (const [scheme, envName] of Object.entries(HD_SEED_ENV)) {
+      const value = (process.env[envName] || '').trim();
+      if (!value) {
+        this.hdSeeds[scheme] = null;
+        console.warn(`⚠️ ${envName} is not set - new ${scheme} deposit wallets get random keys stored encrypted`);
+        continue;
       }
 
-      if (!this.encryptionKey || this.encryptionKey.length !== 32) {
-        throw new Error('Invalid encryption key - must be 32 bytes');
+      const secret = value.startsWith(`${ENVELOPE_VERSION}:`) ? this.decryptPrivateKey(value) : value;
+
+      if (/\s/.test(secret)) {
+        if (!ethers.utils.isValidMnemonic(secret)) {
+          throw new Error(`${envName} is not a valid BIP39 mnemonic`);
+        }
+        this.hdSeeds[scheme] = Buffer.from(ethers.utils.mnemonicToSeed(secret).slice(2), 'hex');
+      } else {
+        const hex = secret.replace(/^0x/, '');
+        if (!/^[0-9a-fA-F]{32,128}$/.test(hex) || hex.length % 2 !== 0) {
+          throw new Error(`${envName} must be a BIP39 mnemonic or a 16-64 byte hex seed`);
+        }
+        this.hdSeeds[scheme] = Buffer.from(hex, 'hex');
       }
+    }
+  }
 
-      // Use AES-256-CBC with explicit IV (modern approach)
-      return this.encryptWithModernCBC(privateKey);
-      
-    } catch (error) {
-      console.error('❌ Failed to encrypt private key:', error);
-      throw new Error(`Encryption failed: ${error.message}`);
+  getMasterKey(keyId) {
+    if (this.usesRemoteSigner()) {
+      throw new Error('Wallet master keys are held by the signing service (SIGNER_MODE=remote)');
+    }
+    const key = this.masterKeys.get(keyId);
+    if (!key) {
+      throw new Error(`Master key "${keyId}" is not configured - add it to WALLET_MASTER_KEYS`);
     }
+    return key;
   }
 
   /**
-   * Modern CBC encryption using createCipheriv (works on all Node.js versions)
+   * Encrypt a private key under a fresh data key, wrapped with the active master key.
+   * Format: env1:keyId:wrapIv:wrapTag:wrappedDataKey:iv:tag:ciphertext (hex)
    */
-  encryptWithModernCBC(privateKey) {
-    const iv = crypto.randomBytes(16);
-    const cipher = crypto.createCipheriv('aes-256-cbc', this.encryptionKey, iv);
-    
-    let encrypted = cipher.update(privateKey, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    
-    // Create HMAC for authentication
-    const hmac = crypto.createHmac('sha256', this.encryptionKey);
-    hmac.update(iv.toString('hex') + ':' + encrypted);
-    const authTag = hmac.digest('hex');
-    
-    // Format: modern:iv:authTag:encrypted
-    const combined = 'modern:' + iv.toString('hex') + ':' + authTag + ':' + encrypted;
-    
-    console.log('🔐 Private key encrypted successfully (Modern CBC+HMAC)');
-    return combined;
+  encryptPrivateKey(privateKey) {
+    if (!privateKey) {
+      throw new Error('Private key is required for encryption');
+    }
+
+    const dataKey = crypto.randomBytes(32);
+    const data = this.seal(dataKey, Buffer.from(privateKey, 'utf8'), DATA_AAD);
+    const wrapped = this.seal(this.getMasterKey(this.activeKeyId), dataKey, Buffer.from(this.activeKeyId, 'utf8'));
+
+    return [ENVELOPE_VERSION, this.activeKeyId, wrapped, data].join(':');
+  }
+
+  decryptPrivateKey(encryptedData) {
+    if (!encryptedData) {
+      throw new Error('Encrypted data is required for decryption');
+    }
+
+    const parts = encryptedData.split(':');
+
+    if (parts[0] === ENVELOPE_VERSION && parts.length === 8) {
+      const [, keyId, ...sealed] = parts;
+      const dataKey = this.open(this.getMasterKey(keyId), sealed.slice(0, 3), Buffer.from(keyId, 'utf8'));
+      return this.open(dataKey, sealed.slice(3), DATA_AAD).toString('utf8');
+    }
+
+    if (parts[0] === 'modern' && parts.length === 4) {
+      return this.decryptLegacyModernCBC(parts);
+    }
+
+    throw new Error('Unknown encryption format');
   }
 
   /**
-   * FIXED: Decrypt private key with modern methods
+   * Re-wrap a stored key's data key with another master key. The private key's own ciphertext is
+   * left alone; records from before envelope encryption are re-encrypted into the envelope format.
+   * @returns {{ encrypted: string, changed: boolean, fromKeyId: string }}
    */
-  decryptPrivateKey(encryptedData) {
-    try {
-      if (!encryptedData) {
-        throw new Error('Encrypted data is required for decryption');
-      }
+  rewrapPrivateKey(encryptedData, targetKeyId = this.activeKeyId) {
+    const fromKeyId = this.keyIdOf(encryptedData);
+    if (fromKeyId === targetKeyId && encryptedData.startsWith(`${ENVELOPE_VERSION}:`)) {
+      return { encrypted: encryptedData, changed: false, fromKeyId };
+    }
 
-      const parts = encryptedData.split(':');
-      if (parts.length < 3) {
-        throw new Error('Invalid encrypted data format');
-      }
-      
-      if (!this.encryptionKey || this.encryptionKey.length !== 32) {
-        throw new Error('Invalid encryption key for decryption');
-      }
-      
-      // Detect encryption format
-      if (parts[0] === 'modern' && parts.length === 4) {
-        return this.decryptModernCBC(parts);
-      } else if (parts[0] === 'gcm' && parts.length === 4) {
-        return this.decryptGCM(parts);
-      } else if (parts[0] === 'cbc' && parts.length === 4) {
-        return this.decryptLegacyCBC(parts);
-      } else if (parts.length === 3) {
-        // Legacy format (assume GCM)
-        return this.decryptLegacyGCM(parts);
-      } else {
-        throw new Error('Unknown encryption format');
-      }
-      
-    } catch (error) {
-      console.error('❌ Failed to decrypt private key:', error);
-      throw new Error(`Decryption failed: ${error.message}`);
+    const targetKey = this.getMasterKey(targetKeyId);
+    const targetAad = Buffer.from(targetKeyId, 'utf8');
+
+    if (!encryptedData.startsWith(`${ENVELOPE_VERSION}:`)) {
+      const dataKey = crypto.randomBytes(32);
+      const data = this.seal(dataKey, Buffer.from(this.decryptPrivateKey(encryptedData), 'utf8'), DATA_AAD);
+      const wrapped = this.seal(targetKey, dataKey, targetAad);
+      return { encrypted: [ENVELOPE_VERSION, targetKeyId, wrapped, data].join(':'), changed: true, fromKeyId };
     }
+
+    const [, keyId, ...sealed] = encryptedData.split(':');
+    const dataKey = this.open(this.getMasterKey(keyId), sealed.slice(0, 3), Buffer.from(keyId, 'utf8'));
+    const wrapped = this.seal(targetKey, dataKey, targetAad);
+
+    return {
+      encrypted: [ENVELOPE_VERSION, targetKeyId, wrapped, sealed.slice(3).join(':')].join(':'),
+      changed: true,
+      fromKeyId
+    };
+  }
+
+  // Master key id a stored value is wrapped with ("legacy" for pre-envelope records)
+  keyIdOf(encryptedData) {
+    const parts = (encryptedData || '').split(':');
+    return parts[0] === ENVELOPE_VERSION ? parts[1] : LEGACY_KEY_ID;
+  }
+
+  // AES-256-GCM -> "iv:tag:ciphertext"
+  seal(key, plaintext, aad) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(aad);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return [iv.toString('hex'), cipher.getAuthTag().toString('hex'), ciphertext.toString('hex')].join(':');
+  }
+
+  open(key, [ivHex, tagHex, ciphertextHex], aad) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(ivHex, 'hex'));
+    decipher.setAAD(aad);
+    decipher.setAuthTag(Buffer.from(tagHex, 'hex'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertextHex, 'hex')), decipher.final()]);
   }
 
   /**
-   * Decrypt modern CBC format
+   * Records written before envelope encryption (modern:iv:hmac:ciphertext, AES-256-CBC + HMAC under
+   * WALLET_ENCRYPTION_KEY). Kept so they can be read and rotated into the envelope format.
    */
-  decryptModernCBC(parts) {
-    const [format, ivHex, authTagHex, encrypted] = parts;
-    
-    // Verify HMAC
-    const hmac = crypto.createHmac('sha256', this.encryptionKey);
+  decryptLegacyModernCBC(parts) {
+    if (!this.legacyKey) {
+      throw new Error('This wallet was encrypted with WALLET_ENCRYPTION_KEY, which is not configured');
+    }
+
+    const [, ivHex, authTagHex, encrypted] = parts;
+
+    const hmac = crypto.createHmac('sha256', this.legacyKey);
     hmac.update(ivHex + ':' + encrypted);
-    const expectedAuthTag = hmac.digest('hex');
-    
-    if (expectedAuthTag !== authTagHex) {
+    const expectedAuthTag = hmac.digest();
+    const authTag = Buffer.from(authTagHex, 'hex');
+
+    if (authTag.length !== expectedAuthTag.length || !crypto.timingSafeEqual(expectedAuthTag, authTag)) {
       throw new Error('Authentication failed - data may be corrupted');
     }
-    
-    const iv = Buffer.from(ivHex, 'hex');
-    const decipher = crypto.createDecipheriv('aes-256-cbc', this.encryptionKey, iv);
-    
+
+    const decipher = crypto.createDecipheriv('aes-256-cbc', this.legacyKey, Buffer.from(ivHex, 'hex'));
     let decrypted = decipher.update(encrypted, 'hex', 'utf8');
     decrypted += decipher.final('utf8');
-    
-    console.log('🔓 Private key decrypted successfully (Modern CBC+HMAC)');
     return decrypted;
   }
 
-  /**
-   * Check if GCM mode is supported
-   */
-  checkGCMSupport() {
-    try {
-      // Test if createCipherGCM exists and works
-      const testIv = crypto.randomBytes(16);
-      const testCipher = crypto.createCipherGCM('aes-256-gcm', this.encryptionKey);
-      return !!testCipher;
-    } catch (error) {
-      console.log('GCM not supported:', error.message);
-      return false;
-    }
+  // HD seed a network's wallets are derived from
+  schemeOf(network) {
+    return network?.toLowerCase() === 'solana' ? 'solana' : 'evm';
   }
 
-  /**
-   * Encrypt using GCM mode (preferred) - if available
-   */
-  encryptWithGCM(privateKey) {
-    const iv = crypto.randomBytes(16);
-    const cipher = crypto.createCipherGCM('aes-256-gcm', this.encryptionKey);
-    
-    let encrypted = cipher.update(privateKey, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    
-    const authTag = cipher.getAuthTag();
-    
-    // Format: gcm:iv:authTag:encrypted
-    const combined = 'gcm:' + iv.toString('hex') + ':' + authTag.toString('hex') + ':' + encrypted;
-    
-    console.log('🔐 Private key encrypted successfully (GCM)');
-    return combined;
+  derivationPath(network, index) {
+    return HD_PATHS[this.schemeOf(network)](index);
   }
 
   /**
-   * Encrypt using legacy CBC mode (deprecated)
+   * Derive the deposit wallet at an index. The private key is in the same format as stored keys
+   * (0x hex for EVM, base64 secret key for Solana) so swap and sweep code doesn't care where it came from.
    */
-  encryptWithCBC(privateKey) {
-    const iv = crypto.randomBytes(16);
-    const cipher = crypto.createCipher('aes-256-cbc', this.encryptionKey.toString('hex'));
-    
-    let encrypted = cipher.update(privateKey, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    
-    // Create HMAC for authentication
-    const hmac = crypto.createHmac('sha256', this.encryptionKey);
-    hmac.update(iv.toString('hex') + ':' + encrypted);
-    const authTag = hmac.digest('hex');
-    
-    // Format: cbc:iv:authTag:encrypted
-    const combined = 'cbc:' + iv.toString('hex') + ':' + authTag + ':' + encrypted;
-    
-    console.log('🔐 Private key encrypted successfully (CBC+HMAC)');
-    return combined;
-  }
+  deriveWallet(network, index) {
+    if (this.usesRemoteSigner()) {
+      throw new Error(`HD seeds are held by the signing service (SIGNER_MODE=remote) - cannot derive ${network} deposit wallet #${index} locally`);
+    }
+    const scheme = this.schemeOf(network);
+    const seed = this.hdSeeds[scheme];
+    if (!seed) {
+      throw new Error(`${HD_SEED_ENV[scheme]} is not configured - cannot derive ${network} deposit wallet #${index}`);
+    }
+    if (!Number.isInteger(index) || index < 0 || index > MAX_DERIVATION_INDEX) {
+      throw new Error(`Invalid derivation index: ${index}`);
+    }
 
-  /**
-   * Decrypt GCM format (if available)
-   */
-  decryptGCM(parts) {
-    try {
-      const [format, ivHex, authTagHex, encrypted] = parts;
-      
-      const iv = Buffer.from(ivHex, 'hex');
-      const authTag = Buffer.from(authTagHex, 'hex');
-      
-      const decipher = crypto.createDecipherGCM('aes-256-gcm', this.encryptionKey);
-      decipher.setAuthTag(authTag);
-      
-      let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-      decrypted += decipher.final('utf8');
-      
-      console.log('🔓 Private key decrypted successfully (GCM)');
-      return decrypted;
-    } catch (error) {
-      throw new Error(`GCM decryption failed: ${error.message}`);
+    const derivationPath = HD_PATHS[scheme](index);
+
+    if (scheme === 'evm') {
+      const node = ethers.utils.HDNode.fromSeed(seed).derivePath(derivationPath);
+      return {
+        address: node.address,
+        privateKey: node.privateKey,
+        publicKey: node.publicKey,
+        derivationPath
+      };
     }
+
+    const keypair = Keypair.fromSeed(this.deriveEd25519(seed, derivationPath));
+    return {
+      address: keypair.publicKey.toBase58(),
+      privateKey: Buffer.from(keypair.secretKey).toString('base64'),
+      publicKey: keypair.publicKey.toBase58(),
+      derivationPath
+    };
   }
 
-  /**
-   * Decrypt legacy CBC format
-   */
-  decryptLegacyCBC(parts) {
-    try {
-      const [format, ivHex, authTagHex, encrypted] = parts;
-      
-      // Verify HMAC
-      const hmac = crypto.createHmac('sha256', this.encryptionKey);
-      hmac.update(ivHex + ':' + encrypted);
-      const expectedAuthTag = hmac.digest('hex');
-      
-      if (expectedAuthTag !== authTagHex) {
-        throw new Error('Authentication failed - data may be corrupted');
+  // SLIP-0010 ed25519 derivation - every segment must be hardened
+  deriveEd25519(seed, path) {
+    let digest = crypto.createHmac('sha512', 'ed25519 seed').update(seed).digest();
+
+    for (const segment of path.split('/').slice(1)) {
+      if (!/^\d+'$/.test(segment)) {
+        throw new Error(`ed25519 derivation only supports hardened segments, got "${segment}" in ${path}`);
       }
-      
-      const decipher = crypto.createDecipher('aes-256-cbc', this.encryptionKey.toString('hex'));
-      
-      let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-      decrypted += decipher.final('utf8');
-      
-      console.log('🔓 Private key decrypted successfully (Legacy CBC+HMAC)');
-      return decrypted;
-    } catch (error) {
-      throw new Error(`Legacy CBC decryption failed: ${error.message}`);
+
+      const data = Buffer.alloc(37);
+      digest.copy(data, 1, 0, 32);
+      data.writeUInt32BE(parseInt(segment, 10) + 0x80000000, 33);
+      digest = crypto.createHmac('sha512', digest.subarray(32)).update(data).digest();
     }
+
+    return digest.subarray(0, 32);
   }
 
   /**
-   * Decrypt legacy GCM format (backward compatibility)
+   * Derive a fresh deposit wallet, reserving the next index for its seed. With SIGNER_MODE=remote the
+   * signing service holds the seeds and derives the address; no key is returned.
    */
-  decryptLegacyGCM(parts) {
-    try {
-      const [ivHex, authTagHex, encrypted] = parts;
-      
-      const iv = Buffer.from(ivHex, 'hex');
-      const authTag = Buffer.from(authTagHex, 'hex');
-      
-      const decipher = crypto.createDecipherGCM('aes-256-gcm', this.encryptionKey);
-      decipher.setAAD(Buffer.from('wallet-private-key', 'utf8'));
-      decipher.setAuthTag(authTag);
-      
-      let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-      decrypted += decipher.final('utf8');
-      
-      console.log('🔓 Private key decrypted successfully (Legacy GCM)');
-      return decrypted;
-    } catch (error) {
-      throw new Error(`Legacy GCM decryption failed: ${error.message}`);
+  async generateHdWallet(network) {
+    const scheme = this.schemeOf(network);
+    const derivationIndex = await HdDerivationCounter.allocate(scheme);
+    if (derivationIndex > MAX_DERIVATION_INDEX) {
+      throw new Error(`${scheme} derivation indexes are exhausted - configure a new ${HD_SEED_ENV[scheme]}`);
+    }
+
+    let wallet;
+    if (this.usesRemoteSigner()) {
+      // Required here rather than at the top: the local signer in transactionSigner depends on this service
+      const transactionSigner = require('./transactionSigner');
+      const address = await transactionSigner.getAddress({ type: 'deposit_wallet', network, derivationIndex });
+      wallet = { address, publicKey: address, derivationPath: this.derivationPath(network, derivationIndex) };
+    } else {
+      wallet = this.deriveWallet(network, derivationIndex);
     }
+    console.log(`✅ ${network} wallet derived at ${wallet.derivationPath}: ${wallet.address}`);
+
+    return {
+      ...wallet,
+      derivationIndex,
+      network,
+      walletType: scheme
+    };
+  }
+
+  usesRemoteSigner() {
+    return (process.env.SIGNER_MODE || 'local').toLowerCase() === 'remote';
+  }
+
+  // Whether wallets on this network can be HD-derived (a local seed, or the signing service's)
+  canDeriveHd(network) {
+    return this.usesRemoteSigner() || !!this.hdSeeds[this.schemeOf(network)];
   }
 
   /**
@@ -432,8 +513,10 @@ class WalletGeneratorService {
       
       let walletData;
       
-      // Generate appropriate wallet based on network
-      if (normalizedNetwork === 'solana') {
+      // Derive from the network's seed when there is one, otherwise generate a random wallet
+      if (this.canDeriveHd(normalizedNetwork)) {
+        walletData = await this.generateHdWallet(normalizedNetwork);
+      } else if (normalizedNetwork === 'solana') {
         walletData = this.generateSolanaWallet();
       } else {
         // Base and Ethereum use EVM wallets
@@ -442,25 +525,32 @@ class WalletGeneratorService {
       }
       
       // Validate wallet was generated
-      if (!walletData || !walletData.address || !walletData.privateKey) {
+      if (!walletData || !walletData.address || (!walletData.privateKey && walletData.derivationIndex === undefined)) {
         throw new Error('Wallet generation returned invalid data');
       }
       
-      // Encrypt the private key before returning
-      console.log(`🔐 Encrypting private key for secure storage...`);
-      const encryptedPrivateKey = this.encryptPrivateKey(walletData.privateKey);
+      const derived = walletData.derivationIndex !== undefined;
+      let encryptedPrivateKey;
       
-      if (!encryptedPrivateKey) {
-        throw new Error('Failed to encrypt private key');
+      // Random wallets can't be re-derived, so their key is encrypted for storage
+      if (!derived) {
+        console.log(`🔐 Encrypting private key for secure storage...`);
+        encryptedPrivateKey = this.encryptPrivateKey(walletData.privateKey);
+        
+        if (!encryptedPrivateKey) {
+          throw new Error('Failed to encrypt private key');
+        }
+        
+        console.log(`🔐 Private key encrypted successfully`);
       }
       
-      console.log(`🔐 Private key encrypted successfully`);
-      
       const result = {
         success: true,
         address: walletData.address,
         publicKey: walletData.publicKey,
-        encryptedPrivateKey: encryptedPrivateKey,
+        keySource: derived ? 'hd' : 'stored',
+        derivationIndex: walletData.derivationIndex,
+        encryptedPrivateKey,
         network: walletData.network,
         walletType: walletData.walletType,
         tokenSymbol: normalizedTokenSymbol, // Keep original format including $
@@ -491,7 +581,7 @@ class WalletGeneratorService {
         troubleshooting: {
           tokenSymbolFormat: 'Token symbols can contain letters, numbers, $, _, and - (max 20 chars)',
           supportedNetworks: 'base, solana, ethereum',
-          checkEncryptionKey: 'Ensure WALLET_ENCRYPTION_KEY is set or allow random generation',
+          checkEncryptionKey: 'Ensure WALLET_MASTER_KEYS is set and includes WALLET_MASTER_KEY_ID',
           checkDependencies: 'Verify ethers and @solana/web3.js are installed',
           checkPermissions: 'Verify crypto module permissions'
         }
@@ -500,23 +590,47 @@ class WalletGeneratorService {
   }
 
   /**
-   * FIXED: Get wallet private key with validation
+   * Get a deposit wallet's private key - re-derived from its HD index, or decrypted from the stored key
+   * @param {Object} depositWallet order or batch depositWallet ({ address, network, derivationIndex, privateKey })
    */
-  async getWalletPrivateKey(encryptedPrivateKey) {
+  async getWalletPrivateKey(depositWallet) {
     try {
-      if (!encryptedPrivateKey) {
-        throw new Error('Encrypted private key is required');
+      if (!depositWallet) {
+        throw new Error('Deposit wallet is required');
       }
       
-      console.log('🔓 Decrypting wallet private key for processing...');
+      let privateKey;
       
-      const privateKey = this.decryptPrivateKey(encryptedPrivateKey);
+      if (depositWallet.derivationIndex !== undefined && depositWallet.derivationIndex !== null) {
+        console.log(`🔓 Re-deriving ${depositWallet.network} wallet #${depositWallet.derivationIndex} for processing...`);
+        
+        const derived = this.deriveWallet(depositWallet.network, depositWallet.derivationIndex);
+        
+        // A different seed would hand back a key for some other address
+        const matches = this.schemeOf(depositWallet.network) === 'evm'
+          ? derived.address.toLowerCase() === depositWallet.address?.toLowerCase()
+          : derived.address === depositWallet.address;
+        if (!matches) {
+          throw new Error(`Derived address ${derived.address} does not match ${depositWallet.address} - check ${HD_SEED_ENV[this.schemeOf(depositWallet.network)]}`);
+        }
+        
+        privateKey = derived.privateKey;
+      } else {
+        if (!depositWallet.privateKey) {
+          throw new Error(depositWallet.keyRetiredAt
+            ? `Deposit wallet key was retired on ${new Date(depositWallet.keyRetiredAt).toISOString()}`
+            : 'Deposit wallet has neither a derivation index nor a stored private key');
+        }
+        
+        console.log('🔓 Decrypting wallet private key for processing...');
+        privateKey = this.decryptPrivateKey(depositWallet.privateKey);
+      }
       
       if (!privateKey) {
-        throw new Error('Decryption returned empty private key');
+        throw new Error('Wallet private key is empty');
       }
       
-      console.log('✅ Private key decrypted successfully');
+      console.log('✅ Private key ready');
       
       return {
         success: true,
@@ -525,7 +639,7 @@ class WalletGeneratorService {
       };
       
     } catch (error) {
-      console.error('❌ Failed to decrypt wallet private key:', error);
+      console.error('❌ Failed to get wallet private key:', error);
       return {
         success: false,
         error: error.message,
@@ -722,42 +836,35 @@ class WalletGeneratorService {
    */
   getServiceStatus() {
     try {
-      const encryptionKeyValid = this.encryptionKey && this.encryptionKey.length === 32;
-      
-      // Test modern crypto methods
-      const modernCryptoSupport = this.testModernCryptoSupport();
-      
       return {
         configured: true,
-        encryptionEnabled: !!this.encryptionKey,
-        encryptionKeyValid: encryptionKeyValid,
-        encryptionKeySource: process.env.WALLET_ENCRYPTION_KEY ? 'environment' : 'generated',
-        encryptionMethod: modernCryptoSupport.primary,
+        encryptionEnabled: true,
+        encryptionMethod: 'AES-256-GCM envelope (per-wallet data key wrapped by a master key)',
+        keyCustody: this.usesRemoteSigner() ? 'remote_signer' : 'local',
+        activeMasterKeyId: this.activeKeyId,
+        masterKeyIds: [...this.masterKeys.keys()],
+        legacyKeyLoaded: !!this.legacyKey,
+        hdDerivation: {
+          evm: this.canDeriveHd('base'),
+          solana: this.canDeriveHd('solana')
+        },
         supportedNetworks: ['base', 'solana', 'ethereum'],
         capabilities: {
           evmWallets: true,
           solanaWallets: true,
-          privateKeyEncryption: encryptionKeyValid,
+          privateKeyEncryption: true,
+          keyRotation: true,
+          hdDerivation: true,
           batchGeneration: true,
           tokenSpecificWallets: true,
-          addressValidation: true,
-          modernCrypto: modernCryptoSupport.modern,
-          legacyCompatibility: true
-        },
-        security: {
-          primaryEncryption: modernCryptoSupport.primary,
-          fallbackMethods: modernCryptoSupport.available,
-          keyLength: this.encryptionKey ? this.encryptionKey.length : 0,
-          keyValid: encryptionKeyValid,
-          authenticationMethod: 'HMAC-SHA256'
+          addressValidation: true
         },
         dependencies: {
           ethers: !!ethers,
           solanaWeb3: !!Keypair,
-          crypto: !!crypto,
-          modernCryptoSupport: modernCryptoSupport.modern
+          crypto: !!crypto
         },
-        health: encryptionKeyValid && !!ethers && !!Keypair && modernCryptoSupport.modern ? 'healthy' : 'degraded'
+        health: !!ethers && !!Keypair ? 'healthy' : 'degraded'
       };
     } catch (error) {
       return {
@@ -768,49 +875,6 @@ class WalletGeneratorService {
     }
   }
 
-  /**
-   * Test modern crypto support
-   */
-  testModernCryptoSupport() {
-    const support = {
-      modern: false,
-      gcm: false,
-      cbc: false,
-      available: [],
-      primary: 'none'
-    };
-
-    // Test modern CBC (createCipheriv)
-    try {
-      const testIv = crypto.randomBytes(16);
-      const testCipher = crypto.createCipheriv('aes-256-cbc', this.encryptionKey, testIv);
-      if (testCipher) {
-        support.cbc = true;
-        support.modern = true;
-        support.available.push('AES-256-CBC');
-        support.primary = 'AES-256-CBC+HMAC';
-      }
-    } catch (error) {
-      console.warn('Modern CBC not supported:', error.message);
-    }
-
-    // Test GCM if available
-    try {
-      const testCipher = crypto.createCipherGCM('aes-256-gcm', this.encryptionKey);
-      if (testCipher) {
-        support.gcm = true;
-        support.available.push('AES-256-GCM');
-        if (!support.primary || support.primary === 'none') {
-          support.primary = 'AES-256-GCM';
-        }
-      }
-    } catch (error) {
-      // GCM not supported, which is fine
-    }
-
-    return support;
-  }
-
   /**
    * FIXED: Test wallet generation with comprehensive validation
    */
@@ -838,13 +902,19 @@ class WalletGeneratorService {
           const extraValidation = {
             addressFormatValid: result.success ? this.validateWalletAddress(result.address, result.network) : false,
             hasEncryptedKey: result.success ? !!result.encryptedPrivateKey : false,
+            keySource: result.success ? result.keySource : null,
             canDecrypt: false
           };
           
-          // Test decryption if wallet was generated successfully
-          if (result.success && result.encryptedPrivateKey) {
+          // Test key recovery (derivation or decryption) if wallet was generated successfully
+          if (result.success) {
             try {
-              const decryptResult = await this.getWalletPrivateKey(result.encryptedPrivateKey);
+              const decryptResult = await this.getWalletPrivateKey({
+                address: result.address,
+                network: result.network,
+                derivationIndex: result.derivationIndex,
+                privateKey: result.encryptedPrivateKey
+              });
               extraValidation.canDecrypt = decryptResult.success;
             } catch (decryptError) {
               console.warn(`Decryption test failed for ${test.description}:`, decryptError.message);